@@ -1,303 +1,1263 @@
-// app.js
-
-// Importamos las funciones principales desde sus módulos correspondientes.
-// Estas funciones se encargan de las diferentes etapas del proceso de compilación y ejecución.
-import { analyzeLexically } from './modules/lexer.js';
-import { analyzeSyntax } from './modules/parser.js';
-import { analyzeSemantics } from './modules/semantic.js';
-import { interpret } from './modules/interpreter.js';
-
-
-// ----------------- Variables de estado y constantes -----------------
-const executionHistory = [];  // Array para almacenar un historial de las últimas ejecuciones.
-const maxHistory = 5;         // Límite máximo de ejecuciones que se guardarán en el historial.
-let semanticAnalysisRun = false; // Una bandera para saber si el análisis semántico ya se ejecutó. Esto es útil para decidir qué mostrar en la pestaña de errores.
-
-
-// ----------------- Referencias a elementos del DOM -----------------
-// Obtenemos las referencias a los elementos HTML con los que interactuaremos.
-const codeInput = document.getElementById('codeInput'); // El textarea donde el usuario escribe el código.
-const lineNumbers = document.getElementById('lineNumbers'); // El div que muestra los números de línea.
-const resultText = document.getElementById('resultText'); // El div para mostrar los resultados de la ejecución.
-const astText = document.getElementById('astText'); // El div para mostrar el Árbol de Sintaxis Abstracta (AST).
-const errorText = document.getElementById('errorText'); // El div para mostrar los errores.
-
-
-// ----------------- Funciones de utilidades para la UI -----------------
-/**
- * Actualiza el contenido del div de números de línea para que coincida con el número de líneas
- * del textarea de código.
- */
-function updateLineNumbers() {
-  const lines = codeInput.value.split('\n').length;
-  // Creamos un array del tamaño de las líneas, lo llenamos con 0s y luego mapeamos
-  // cada elemento a su índice + 1 para obtener la numeración.
-  lineNumbers.textContent = Array(lines).fill(0).map((_, i) => i + 1).join('\n');
-}
-
-/**
- * Sincroniza el scroll del div de números de línea con el scroll del textarea de código.
- */
-function syncScroll() {
-  lineNumbers.scrollTop = codeInput.scrollTop;
-}
-
-
-// ----------------- Gestión de eventos iniciales -----------------
-// Cuando la página se cargue, inicializamos los números de línea.
-window.addEventListener('DOMContentLoaded', () => {
-  updateLineNumbers();
-});
-
-// Cuando el usuario escribe, actualizamos los números de línea.
-codeInput.addEventListener('input', updateLineNumbers);
-// Cuando el usuario hace scroll en el textarea, sincronizamos el scroll de los números de línea.
-codeInput.addEventListener('scroll', syncScroll);
-// Cuando el usuario hace scroll en los números de línea (poco probable pero por seguridad),
-// sincronizamos el scroll del textarea.
-lineNumbers.addEventListener('scroll', () => {
-  codeInput.scrollTop = lineNumbers.scrollTop;
-});
-
-
-// ----------------- Funciones principales de análisis y ejecución (expuestas en `window`) -----------------
-
-/**
- * Función para ejecutar el análisis léxico.
- * Analiza el código de entrada, lo divide en tokens y muestra el resultado en una tabla.
- */
-window.runLexicalAnalysis = () => {
-  const inputCode = codeInput.value;
-  // Llama a la función de análisis léxico desde el módulo `lexer.js`.
-  const tokens = analyzeLexically(inputCode);
-
-  // Manejamos casos especiales: si no hay tokens pero el código no está vacío, o si el código está vacío.
-  if (!tokens.length && inputCode.trim() !== '') {
-    resultText.innerHTML = `<p class="text-red-400">❌ No se encontraron tokens.</p>`;
-    showTab('resultText');
-    return;
-  } else if (inputCode.trim() === '') {
-    resultText.innerHTML = `<p class="text-gray-400">Escribe código y presiona "Léxico" para comenzar...</p>`;
-    showTab('resultText');
-    return;
-  }
-
-  // Construimos una tabla HTML para mostrar los tokens de manera estructurada.
-  let output = `
-    <div class="overflow-x-auto">
-      <table class="min-w-full table-auto border border-gray-700 text-sm text-left text-gray-300">
-        <thead class="bg-gray-800 text-gray-100">
-          <tr>
-            <th class="px-4 py-2 border border-gray-700">📍 Línea</th>
-            <th class="px-4 py-2 border border-gray-700">📌 Columna</th>
-            <th class="px-4 py-2 border border-gray-700">🔠 Tipo</th>
-            <th class="px-4 py-2 border border-gray-700">🧩 Lexema</th>
-          </tr>
-        </thead>
-        <tbody class="bg-gray-900">
-  `;
-
-  // Iteramos sobre cada token y agregamos una fila a la tabla.
-  tokens.forEach(token => {
-    output += `
-      <tr class="hover:bg-gray-800 transition-colors duration-150">
-        <td class="px-4 py-2 border border-gray-700">${token.line}</td>
-        <td class="px-4 py-2 border border-gray-700">${token.column}</td>
-        <td class="px-4 py-2 border border-gray-700">${token.type}</td>
-        <td class="px-4 py-2 border border-gray-700 font-mono text-yellow-300">"${token.value}"</td>
-      </tr>
-    `;
-  });
-
-  output += `
-        </tbody>
-      </table>
-    </div>
-  `;
-
-  // Insertamos la tabla en el div de resultados y mostramos la pestaña.
-  resultText.innerHTML = output;
-  showTab('resultText', document.querySelector('button[onclick="showTab(\'resultText\', this)"]'));
-  saveExecutionInHistory(); // Guardamos el resultado de la ejecución en el historial.
-};
-
-/**
- * Función para ejecutar el análisis sintáctico.
- * Analiza la secuencia de tokens para construir un Árbol de Sintaxis Abstracta (AST).
- * Si hay errores sintácticos, los muestra. Si no, muestra el AST.
- */
-window.runSyntaxAnalysis = () => {
-  const inputCode = codeInput.value;
-  // Llama a la función de análisis sintáctico. Devuelve el AST y cualquier error encontrado.
-  const { ast, errors } = analyzeSyntax(inputCode);
-
-  semanticAnalysisRun = false; // Reiniciamos la bandera de análisis semántico.
-
-  if (errors.length > 0) {
-    // Si se encontraron errores, los mostramos en la pestaña de errores.
-    errorText.innerHTML = errors
-      .map((err, i) => `<strong>Error Sintáctico ${i + 1}:</strong> ${err}`)
-      .join('<br><br>');
-    showTab('errorText', document.querySelector('button[onclick="showTab(\'errorText\', this)"]'));
-    // Limpiamos el AST, ya que no se pudo construir correctamente.
-    astText.textContent = '[AST no disponible debido a errores sintácticos]';
-    resultText.innerHTML = `<p class="text-red-400">❌ Análisis Sintáctico: Fallido. Verifique la pestaña de Errores.</p>`;
-  } else {
-    // Si no hay errores, mostramos el AST formateado en la pestaña AST.
-    astText.textContent = JSON.stringify(ast, null, 2);
-    resultText.innerHTML = `<p class="text-green-400">✅ Análisis Sintáctico: Correcto. Se ha construido el Árbol de Sintaxis Abstracta (AST).</p>`;
-    showTab('astText', document.querySelector('button[onclick="showTab(\'astText\', this)"]'));
-  }
-};
-
-/**
- * Función para ejecutar el análisis semántico.
- * Este paso verifica la coherencia de tipos y el uso de variables, requiriendo un AST válido.
- */
-window.runSemanticAnalysis = () => {
-  const inputCode = codeInput.value;
-  // Primero, re-ejecutamos el análisis sintáctico para obtener el AST más reciente.
-  const { ast, errors: syntaxErrors } = analyzeSyntax(inputCode);
-
-  semanticAnalysisRun = true; // Establecemos la bandera para indicar que el análisis semántico se ha corrido.
-
-  if (syntaxErrors.length > 0 || !ast) {
-    // Si el análisis sintáctico falló, no podemos continuar. Mostramos un error.
-    errorText.innerHTML = `<p class="text-red-400">❌ Análisis Semántico: No se puede realizar debido a errores sintácticos previos. Verifique la pestaña de Errores.</p>`;
-    showErrors(syntaxErrors.map(err => `Error Sintáctico: ${err}`));
-    showTab('errorText', document.querySelector('button[onclick="showTab(\'errorText\', this)"]'));
-    return;
-  }
-
-  // Si el AST es válido, llamamos a la función de análisis semántico.
-  const semanticErrors = analyzeSemantics(ast);
-
-  // Verificamos si se encontraron errores semánticos (excluyendo el mensaje de éxito).
-  if (semanticErrors.length > 0 && !(semanticErrors.length === 1 && semanticErrors[0].includes("✅ Análisis semántico correcto"))) {
-    // Si hay errores, los mostramos.
-    showErrors(semanticErrors);
-    showTab('errorText', document.querySelector('button[onclick="showTab(\'errorText\', this)"]'));
-  } else {
-    // Si no hay errores, mostramos un mensaje de éxito.
-    errorText.innerHTML = `<p class="text-green-400">✅ Análisis semántico correcto. ¡Variables y tipos OK!</p>`;
-    showTab('errorText', document.querySelector('button[onclick="showTab(\'errorText\', this)"]'));
-  }
-};
-
-/**
- * Función para ejecutar el intérprete.
- * Primero valida que no existan errores sintácticos ni semánticos, luego ejecuta el AST.
- */
-window.runInterpretation = () => {
-  const inputCode = codeInput.value;
-  const { ast, errors: syntaxErrors } = analyzeSyntax(inputCode);
-
-  // Verificamos primero si hay errores sintácticos.
-  if (syntaxErrors.length > 0 || !ast) {
-    resultText.innerHTML = `<p class="text-red-400">❌ Ejecución: No se puede ejecutar el código debido a errores sintácticos. Verifique la pestaña de Errores.</p>`;
-    showTab('resultText', document.querySelector('button[onclick="showTab(\'resultText\', this)"]'));
-    return;
-  }
-
-  // Luego, verificamos si hay errores semánticos.
-  const semanticErrors = analyzeSemantics(ast);
-  if (semanticErrors.length > 0 && !(semanticErrors.length === 1 && semanticErrors[0].includes("✅ Análisis semántico correcto"))) {
-    resultText.innerHTML = `<p class="text-red-400">❌ Ejecución: No se puede ejecutar el código debido a errores semánticos. Verifique la pestaña de Errores.</p>`;
-    showTab('resultText', document.querySelector('button[onclick="showTab(\'resultText\', this)"]'));
-    return;
-  }
-
-  // Si no hay errores, llamamos al intérprete para que evalúe el AST.
-  const interpretationResult = interpret(ast);
-  resultText.textContent = interpretationResult;
-  showTab('resultText', document.querySelector('button[onclick="showTab(\'resultText\', this)"]'));
-};
-
-
-// ----------------- Funciones de control de la UI -----------------
-
-/**
- * Muestra los errores de forma formateada en la pestaña de errores.
- * @param {Array<string>} errors - La lista de errores a mostrar.
- */
-function showErrors(errors) {
-  const errorTextElement = document.getElementById('errorText');
-
-  if (!errors || errors.length === 0 || (errors.length === 1 && errors[0].includes("✅ Análisis semántico correcto"))) {
-    errorTextElement.innerHTML = "✅ No se encontraron errores.";
-    return;
-  }
-
-  // Mapea los errores para darles un formato de lista con negrita.
-  errorTextElement.innerHTML = errors
-    .map((err, i) => `<strong>Error ${i + 1}:</strong> ${err}`)
-    .join('<br><br>');
-}
-
-/**
- * Restablece la interfaz de usuario a su estado inicial.
- * Limpia el editor, los resultados, el AST y los errores.
- */
-window.clearAll = () => {
-  codeInput.value = '';
-  lineNumbers.textContent = '1'; // Resetea los números de línea a solo '1'.
-  resultText.innerHTML = `Escribe código y presiona "Léxico" para comenzar...`;
-  astText.innerHTML = `[AST aparecerá aquí]`;
-  errorText.innerHTML = `⚠️ Por favor, presiona ‘Semántico’ para ver los errores.`;
-  semanticAnalysisRun = false; // Reinicia la bandera.
-  codeInput.focus(); // Devuelve el foco al editor de código.
-  // Vuelve a mostrar la pestaña de resultados.
-  showTab('resultText', document.querySelector('button[onclick="showTab(\'resultText\', this)"]'));
-};
-
-/**
- * Controla la visibilidad de las pestañas de resultados.
- * @param {string} tabId - El ID de la pestaña a mostrar.
- * @param {HTMLElement} buttonElement - El botón de la pestaña que se ha clicado.
- */
-window.showTab = (tabId, buttonElement) => {
-  // Lista de los IDs de todas las pestañas.
-  const tabsContent = ['resultText', 'astText', 'errorText'];
-
-  // Iteramos sobre las pestañas y mostramos solo la que corresponde al `tabId`.
-  tabsContent.forEach(id => {
-    document.getElementById(id).classList.toggle('hidden', id !== tabId);
-  });
-
-  // Iteramos sobre todos los botones de pestaña.
-  document.querySelectorAll('button.tab').forEach(btn => {
-    btn.classList.remove('tab-active');
-    // Restablece los estilos inline para los botones inactivos.
-    btn.style.color = getComputedStyle(document.documentElement).getPropertyValue('--tab-inactive-text-light');
-    btn.style.borderColor = 'transparent';
-    if (document.documentElement.classList.contains('dark')) {
-      btn.style.color = getComputedStyle(document.documentElement).getPropertyValue('--tab-inactive-text-dark');
-    }
-  });
-
-  // Si se proporcionó un botón, le aplicamos la clase y los estilos de pestaña activa.
-  if (buttonElement) {
-    buttonElement.classList.add('tab-active');
-    // Aplica los estilos inline para el botón activo.
-    buttonElement.style.color = getComputedStyle(document.documentElement).getPropertyValue('--tab-active-text-light');
-    buttonElement.style.borderColor = getComputedStyle(document.documentElement).getPropertyValue('--tab-active-border-light');
-    if (document.documentElement.classList.contains('dark')) {
-      buttonElement.style.color = getComputedStyle(document.documentElement).getPropertyValue('--tab-active-text-dark');
-      buttonElement.style.borderColor = getComputedStyle(document.documentElement).getPropertyValue('--tab-active-border-dark');
-    }
-  }
-};
-
-/**
- * Función placeholder para guardar el historial de ejecución.
- * La implementación está comentada, pero sirve como ejemplo de dónde
- * se podría añadir la lógica para guardar ejecuciones pasadas.
- */
-function saveExecutionInHistory() {
-  // Implementación de historial si es necesaria.
-  // const currentCode = codeInput.value;
-  // executionHistory.unshift({ code: currentCode, timestamp: new Date() });
-  // if (executionHistory.length > maxHistory) {
-  //   executionHistory.pop();
-  // }
-}
+// app.js
+
+// Importamos las funciones principales desde sus módulos correspondientes.
+// Estas funciones se encargan de las diferentes etapas del proceso de compilación y ejecución.
+import { analyzeLexically } from './modules/lexer.js';
+import { analyzeSyntax } from './modules/parser.js';
+import { analyzeSemantics } from './modules/semantic.js';
+import { compileProgram, disassemble } from './modules/compiler.js';
+import { transpile, withInlineSourceMap } from './modules/transpiler.js';
+import { Debugger } from './modules/debugger.js';
+import { traceProgram, DEFAULT_MAX_STEPS } from './modules/reducer.js';
+import { Execution, DEFAULT_TIMEOUT, DEFAULT_MAX_STEPS as DEFAULT_EXECUTION_STEPS } from './modules/sandbox.js';
+import { ToplevelWorker } from './modules/repl.js';
+import { SEVERITY, hasErrors, diagnosticLines } from './modules/diagnostics.js';
+import { checkCode, typeAt, LIVE_CHECK_DELAY } from './modules/livecheck.js';
+import { LineHighlighter, matchBrackets, indentationAfter } from './modules/highlighter.js';
+import { buildAstTree, describeFields, nodeAt, astToSvg, astToDot } from './modules/astview.js';
+
+
+// ----------------- Variables de estado y constantes -----------------
+const executionHistory = [];  // Array para almacenar un historial de las últimas ejecuciones.
+const maxHistory = 5;         // Límite máximo de ejecuciones que se guardarán en el historial.
+let semanticAnalysisRun = false; // Una bandera para saber si el análisis semántico ya se ejecutó. Esto es útil para decidir qué mostrar en la pestaña de errores.
+let lastTranspilation = null; // El último código JavaScript generado y su mapa de fuentes, para descargarlo.
+let activeExecution = null; // La ejecución en curso en el worker, o `null` si no se está ejecutando nada.
+let activeDebugger = null; // La sesión de depuración en curso, o `null` si no se está depurando.
+let debugLine = null; // La línea en la que está detenido el depurador, para resaltarla en los números de línea.
+const breakpoints = new Set(); // Las líneas con punto de ruptura; se conservan entre sesiones de depuración.
+const replHistory = []; // Las entradas enviadas al toplevel, de la más antigua a la más reciente.
+let replHistoryIndex = 0; // La posición en el historial al recorrerlo con ↑/↓ (`replHistory.length` = entrada nueva).
+let debugSpan = null; // El fragmento que va a reducir el depurador, resaltado en el editor.
+let liveCheck = null; // La última comprobación en vivo (`checkCode`): el código analizado, su AST y sus diagnósticos.
+let liveCheckTimer = null; // El temporizador que lanza la comprobación en vivo cuando se deja de escribir.
+const highlighter = new LineHighlighter(); // Los tokens de cada línea del editor, para colorearlo; se actualiza por líneas.
+let renderedCaret = null; // La posición del cursor con la que se dibujó la copia del código (para la pareja del paréntesis).
+let overlayLines = []; // Las líneas dibujadas en la copia del código: la línea analizada, sus marcas y su elemento.
+let astView = null; // El explorador del AST: el código analizado, su árbol (`buildAstTree`), los nodos plegados, el seleccionado y el `viewBox` del grafo.
+let astSpan = null; // El rango del nodo seleccionado en el explorador del AST, resaltado en el editor.
+let astDrag = null; // El arrastre en curso (o el último) del grafo del AST: dónde empezó, el `viewBox` de entonces y si se movió.
+
+
+// ----------------- Referencias a elementos del DOM -----------------
+// Obtenemos las referencias a los elementos HTML con los que interactuaremos.
+const codeInput = document.getElementById('codeInput'); // El textarea donde el usuario escribe el código.
+const lineNumbers = document.getElementById('lineNumbers'); // El div que muestra los números de línea.
+const resultText = document.getElementById('resultText'); // El div para mostrar los resultados de la ejecución.
+const astPanel = document.getElementById('astPanel'); // La pestaña AST, con sus controles.
+const astText = document.getElementById('astText'); // El div donde se explora el Árbol de Sintaxis Abstracta (AST), como árbol o como grafo.
+const astViewMode = document.getElementById('astViewMode'); // La vista del AST: árbol plegable o grafo.
+const astGraphControls = document.querySelectorAll('.ast-graph-control'); // Los botones de zoom del grafo.
+const astDownloadButtons = [document.getElementById('astSvgButton'), document.getElementById('astDotButton')]; // Los botones que exportan el AST.
+const errorText = document.getElementById('errorText'); // El div para mostrar los errores.
+const bytecodeText = document.getElementById('bytecodeText'); // El div para mostrar el bytecode generado.
+const jsText = document.getElementById('jsText'); // El div para mostrar el JavaScript generado.
+const jsDownloadButton = document.getElementById('jsDownloadButton'); // El botón que descarga el JavaScript generado.
+const codeHighlight = document.getElementById('codeHighlight'); // La copia coloreada del código, detrás del textarea, con el resaltado del depurador y los subrayados de los errores.
+const editorTooltip = document.getElementById('editorTooltip'); // La información que aparece al pasar el ratón por el código.
+const debugText = document.getElementById('debugText'); // El div para mostrar la pila de llamadas y los entornos.
+const debugControls = document.querySelectorAll('.debug-control'); // Los botones Entrar, Saltar, Salir, Continuar y Detener.
+const traceText = document.getElementById('traceText'); // El div para mostrar la traza de reducciones.
+const traceStrategy = document.getElementById('traceStrategy'); // La estrategia de la traza: por valor, por necesidad o ambas.
+const traceMaxSteps = document.getElementById('traceMaxSteps'); // El límite de pasos de cada expresión.
+const stopButton = document.getElementById('stopButton'); // El botón que detiene la ejecución en curso.
+const executionTimeout = document.getElementById('executionTimeout'); // El tiempo máximo de ejecución, en segundos.
+const executionMaxSteps = document.getElementById('executionMaxSteps'); // El presupuesto de pasos de evaluación.
+const replTranscript = document.getElementById('replTranscript'); // El div con la transcripción del toplevel.
+const replInput = document.getElementById('replInput'); // El textarea donde se escriben las frases del toplevel.
+
+// La sesión del toplevel interactivo, en un worker; `#use` carga el código del editor.
+const toplevel = new ToplevelWorker({ source: () => codeInput.value });
+
+
+// ----------------- Funciones de utilidades para la UI -----------------
+/**
+ * Actualiza el contenido del div de números de línea para que coincida con el número de líneas
+ * del textarea de código. Cada número marca si la línea tiene un punto de ruptura o si el
+ * depurador está detenido en ella.
+ */
+function updateLineNumbers() {
+  const lines = codeInput.value.split('\n').length;
+  // Los diagnósticos de la comprobación en vivo se marcan en la línea donde empiezan.
+  const diagnosticsByLine = new Map();
+  currentDiagnostics().forEach(diagnostic => {
+    const line = diagnostic.range.start.line;
+    diagnosticsByLine.set(line, [...(diagnosticsByLine.get(line) || []), diagnostic]);
+  });
+  // Creamos un array del tamaño de las líneas, lo llenamos con 0s y luego mapeamos
+  // cada elemento a su índice + 1 para obtener la numeración.
+  lineNumbers.innerHTML = Array(lines).fill(0).map((_, i) => {
+    const line = i + 1;
+    const diagnostics = diagnosticsByLine.get(line) || [];
+    const marker = diagnostics.length === 0 ? '' : hasErrors(diagnostics) ? 'diagnostic-error' : 'diagnostic-warning';
+    const classes = [breakpoints.has(line) ? 'breakpoint' : '', debugLine === line ? 'current-line' : '', marker].join(' ').trim();
+    const title = diagnostics.length > 0 ? ` title="${escapeHtml(diagnostics.map(diagnostic => diagnostic.message).join('\n'))}"` : '';
+    return `<span data-line="${line}"${classes ? ` class="${classes}"` : ''}${title}>${line}</span>`;
+  }).join('\n');
+}
+
+/**
+ * Escapa los caracteres especiales de HTML para poder insertar texto arbitrario
+ * (como lexemas de cadenas o comentarios) dentro de `innerHTML` sin romper el marcado.
+ * @param {string} text - El texto a escapar.
+ * @returns {string} El texto seguro para HTML.
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Descarga un texto como archivo.
+ * @param {string} content - El contenido.
+ * @param {string} name - El nombre del archivo.
+ * @param {string} type - El tipo MIME.
+ */
+function downloadFile(content, name, type) {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([content], { type }));
+  link.download = name;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Sincroniza el scroll del div de números de línea con el scroll del textarea de código.
+ */
+function syncScroll() {
+  lineNumbers.scrollTop = codeInput.scrollTop;
+  codeHighlight.scrollTop = codeInput.scrollTop;
+  codeHighlight.scrollLeft = codeInput.scrollLeft;
+}
+
+/**
+ * Posiciones del código donde empieza cada línea, para convertir entre posiciones (línea y
+ * columna) y desplazamientos en el texto.
+ * @param {string} code - El código.
+ * @returns {Array<number>} El desplazamiento del primer carácter de cada línea.
+ */
+function lineStartsOf(code) {
+  const lineStarts = [0];
+  for (let i = 0; i < code.length; i++) {
+    if (code[i] === '\n') lineStarts.push(i + 1);
+  }
+  return lineStarts;
+}
+
+/**
+ * Convierte una posición del editor (línea y columna, desde 1) en un desplazamiento en el texto.
+ * @param {{line: number, column: number}} position - La posición.
+ * @param {Array<number>} [lineStarts] - Dónde empieza cada línea (ver `lineStartsOf`), si ya se
+ * calcularon para el código actual.
+ * @returns {number} El desplazamiento.
+ */
+function offsetAt({ line, column }, lineStarts = lineStartsOf(codeInput.value)) {
+  const code = codeInput.value;
+  return Math.min((lineStarts[line - 1] ?? code.length) + column - 1, code.length);
+}
+
+/**
+ * Convierte un desplazamiento en el texto del editor en una posición (línea y columna, desde 1).
+ * @param {number} offset - El desplazamiento.
+ * @returns {{line: number, column: number}} La posición.
+ */
+function positionAt(offset) {
+  const before = codeInput.value.slice(0, offset).split('\n');
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+/**
+ * Los diagnósticos de la comprobación en vivo, si corresponden al código actual del editor
+ * (mientras se escribe, los de la comprobación anterior ya no están en su sitio).
+ * @returns {Array<Object>} Los diagnósticos.
+ */
+function currentDiagnostics() {
+  return liveCheck && liveCheck.code === codeInput.value ? liveCheck.diagnostics : [];
+}
+
+/**
+ * Devuelve los desplazamientos que subraya un diagnóstico. Un rango vacío (por ejemplo, la
+ * posición de un `raise`) se amplía a un carácter para que se vea.
+ * @param {Object} diagnostic - El diagnóstico.
+ * @param {Array<number>} lineStarts - Dónde empieza cada línea del código (ver `lineStartsOf`).
+ * @returns {{start: number, end: number}} Los desplazamientos de inicio y de fin (exclusivo).
+ */
+function diagnosticOffsets(diagnostic, lineStarts) {
+  const start = offsetAt(diagnostic.range.start, lineStarts);
+  const end = offsetAt(diagnostic.range.end, lineStarts);
+  return { start, end: Math.max(end, Math.min(start + 1, codeInput.value.length)) };
+}
+
+/**
+ * Reparte un rango del editor entre sus líneas: un trozo por línea, con las columnas desde 0
+ * y el fin exclusivo. Un rango vacío se amplía a un carácter para que se vea.
+ * @param {{start: {line: number, column: number}, end: {line: number, column: number}}} range - El rango.
+ * @param {string} className - La clase con la que se marca.
+ * @param {Array<Array<Object>>} marks - Las marcas de cada línea, a las que se añaden los trozos.
+ */
+function addLineMarks({ start, end }, className, marks) {
+  const empty = start.line === end.line && start.column === end.column;
+  for (let line = start.line; line <= end.line && line <= marks.length; line++) {
+    const from = line === start.line ? start.column - 1 : 0;
+    const to = empty ? from + 1 : line === end.line ? end.column - 1 : Infinity;
+    marks[line - 1].push({ start: from, end: to, className });
+  }
+}
+
+/**
+ * Escribe el HTML de una línea de la copia del código: sus tokens, cada uno con la clase de su
+ * color, y las marcas que la cubren. Las marcas pueden solaparse: el texto se corta en cada
+ * inicio y cada fin.
+ * @param {{text: string, tokens: Array<Object>}} line - La línea analizada (ver `LineHighlighter`).
+ * @param {Array<{start: number, end: number, className: string}>} marks - Sus marcas (columnas desde 0).
+ * @returns {string} El HTML, con el salto de línea final.
+ */
+function lineHtml({ text, tokens }, marks) {
+  const cuts = [...new Set([0, text.length, ...[...tokens, ...marks].flatMap(mark => [mark.start, Math.min(mark.end, text.length)])])]
+    .filter(cut => cut <= text.length)
+    .sort((a, b) => a - b);
+  let html = '';
+  let next = 0; // Los tokens están ordenados y no se solapan: se recorren a la vez que los cortes.
+  for (let i = 0; i < cuts.length - 1; i++) {
+    const segment = escapeHtml(text.slice(cuts[i], cuts[i + 1]));
+    while (next < tokens.length && tokens[next].end <= cuts[i]) next++;
+    const token = tokens[next] && tokens[next].start <= cuts[i] ? tokens[next].className : '';
+    const classes = marks.filter(mark => mark.start <= cuts[i] && cuts[i] < mark.end).map(mark => mark.className);
+    if (classes.length > 0) {
+      html += `<mark class="${[token, ...new Set(classes)].join(' ').trim()}">${segment}</mark>`;
+    } else {
+      html += token ? `<span class="${token}">${segment}</span>` : segment;
+    }
+  }
+  return `${html}\n`;
+}
+
+/**
+ * Dibuja la copia del código que está detrás del textarea transparente: coloreada según sus
+ * tokens, con el fragmento que va a reducir el depurador y el del nodo seleccionado en el
+ * explorador del AST resaltados, los errores y avisos de la
+ * comprobación en vivo subrayados, la pareja del paréntesis o bloque del cursor marcada y los
+ * que no tienen pareja en rojo. Cada línea es un elemento propio y solo se vuelven a escribir
+ * las que cambian: las que el resaltado volvió a analizar y aquellas cuyas marcas son otras.
+ */
+function renderCodeOverlay() {
+  const lines = highlighter.update(codeInput.value);
+  const marks = lines.map(() => []);
+  currentDiagnostics().forEach(diagnostic => {
+    addLineMarks(diagnostic.range, diagnostic.severity === SEVERITY.ERROR ? 'squiggle-error' : 'squiggle-warning', marks);
+  });
+  if (debugSpan) addLineMarks(debugSpan, 'debug-highlight', marks);
+  if (astSpan) addLineMarks(astSpan, 'ast-highlight', marks);
+  // La pareja solo se marca con el cursor en el editor y sin texto seleccionado.
+  renderedCaret = codeInput.selectionStart;
+  const caret = document.activeElement === codeInput && codeInput.selectionStart === codeInput.selectionEnd ? positionAt(renderedCaret) : null;
+  const brackets = matchBrackets(lines, caret);
+  (brackets.match || []).forEach(range => addLineMarks(range, 'bracket-match', marks));
+  brackets.unmatched.forEach(range => addLineMarks(range, 'bracket-unmatched', marks));
+
+  // Se quitan los elementos de las líneas sustituidas y se insertan vacíos los de las nuevas.
+  const { start, end, removed } = highlighter.changed;
+  const inserted = lines.slice(start, end).map(() => ({ line: null, marks: null, element: document.createElement('span') }));
+  const stale = overlayLines.splice(start, removed, ...inserted);
+  stale.forEach(({ element }) => element.remove());
+  const following = overlayLines[start + inserted.length]?.element ?? null;
+  inserted.forEach(({ element }) => codeHighlight.insertBefore(element, following));
+  if (overlayLines.length !== lines.length) {
+    // El resaltado se actualizó fuera de aquí: se vuelve a construir toda la copia.
+    overlayLines = lines.map(() => ({ line: null, marks: null, element: document.createElement('span') }));
+    codeHighlight.replaceChildren(...overlayLines.map(({ element }) => element));
+  }
+  overlayLines.forEach((rendered, i) => {
+    const key = marks[i].map(mark => `${mark.start}:${mark.end}:${mark.className}`).join(' ');
+    if (rendered.line === lines[i] && rendered.marks === key) return;
+    // Cada línea lleva su salto de línea: así la copia tiene la misma altura que el textarea.
+    rendered.element.innerHTML = lineHtml(lines[i], marks[i]);
+    rendered.line = lines[i];
+    rendered.marks = key;
+  });
+  syncScroll();
+}
+
+/**
+ * Vuelve a dibujar la copia del código si el cursor se movió, para marcar la pareja del
+ * paréntesis o bloque en el que está.
+ */
+function updateBracketMatch() {
+  if (codeInput.selectionStart !== renderedCaret) renderCodeOverlay();
+}
+
+/**
+ * Al pulsar Intro, abre una línea con la misma sangría que la actual, o con un nivel más si
+ * la línea termina en `=`, `->`, `then`, `else`, `in`, `with` o en una apertura.
+ * @param {KeyboardEvent} event - La tecla pulsada en el editor.
+ */
+function autoIndent(event) {
+  if (event.key !== 'Enter' || event.shiftKey || event.ctrlKey || event.altKey || event.metaKey || event.isComposing) return;
+  event.preventDefault();
+  const text = `\n${indentationAfter(highlighter.update(codeInput.value), positionAt(codeInput.selectionStart))}`;
+  // `insertText` conserva el deshacer del navegador; si no está disponible, se inserta a mano.
+  if (!document.execCommand?.('insertText', false, text)) {
+    codeInput.setRangeText(text, codeInput.selectionStart, codeInput.selectionEnd, 'end');
+    codeInput.dispatchEvent(new Event('input'));
+  }
+}
+
+/**
+ * Resalta en el editor un fragmento del código (la subexpresión que va a reducir el
+ * depurador), o quita el resaltado.
+ * @param {{start: {line: number, column: number}, end: {line: number, column: number}}|null} span -
+ * Las posiciones de inicio y de fin (exclusiva), o `null` para quitar el resaltado.
+ */
+function highlightCode(span) {
+  debugSpan = span;
+  renderCodeOverlay();
+}
+
+/**
+ * Comprueba el código del editor y actualiza los subrayados y las marcas de las líneas.
+ */
+function runLiveCheck() {
+  liveCheckTimer = null;
+  liveCheck = checkCode(codeInput.value);
+  renderCodeOverlay();
+  updateLineNumbers();
+}
+
+/**
+ * Programa la comprobación en vivo para cuando el usuario deje de escribir.
+ */
+function scheduleLiveCheck() {
+  clearTimeout(liveCheckTimer);
+  liveCheckTimer = setTimeout(runLiveCheck, LIVE_CHECK_DELAY);
+}
+
+/**
+ * Devuelve el desplazamiento del carácter del código que hay bajo un punto de la pantalla.
+ * El textarea no permite saberlo, así que se busca en la copia que tiene detrás, que ocupa
+ * exactamente el mismo sitio.
+ * @param {number} x - La coordenada horizontal (`clientX`).
+ * @param {number} y - La coordenada vertical (`clientY`).
+ * @returns {number|null} El desplazamiento, o `null` si no hay texto en ese punto.
+ */
+function offsetAtPoint(x, y) {
+  codeInput.style.pointerEvents = 'none';
+  codeHighlight.style.pointerEvents = 'auto';
+  let node = null;
+  let offset = 0;
+  if (document.caretPositionFromPoint) {
+    const caret = document.caretPositionFromPoint(x, y);
+    if (caret) ({ offsetNode: node, offset } = caret);
+  } else if (document.caretRangeFromPoint) {
+    const range = document.caretRangeFromPoint(x, y);
+    if (range) ({ startContainer: node, startOffset: offset } = range);
+  }
+  codeInput.style.pointerEvents = '';
+  codeHighlight.style.pointerEvents = '';
+  if (!node || !codeHighlight.contains(node)) return null;
+  const before = document.createRange();
+  before.setStart(codeHighlight, 0);
+  before.setEnd(node, offset);
+  return before.toString().length;
+}
+
+/**
+ * Muestra junto al ratón los errores y avisos del código que hay debajo y, si es un nombre,
+ * su tipo inferido; o esconde la información si no hay nada que mostrar.
+ * @param {MouseEvent} event - El movimiento del ratón sobre el editor.
+ */
+function showEditorTooltip(event) {
+  const offset = offsetAtPoint(event.clientX, event.clientY);
+  const lines = [];
+  if (offset !== null && offset < codeInput.value.length) {
+    const position = positionAt(offset);
+    const lineStarts = lineStartsOf(codeInput.value);
+    currentDiagnostics()
+      .filter(diagnostic => {
+        const { start, end } = diagnosticOffsets(diagnostic, lineStarts);
+        return start <= offset && offset < end;
+      })
+      .forEach(diagnostic => lines.push(escapeHtml(diagnosticLines(diagnostic)[0])));
+    const found = liveCheck?.ast && liveCheck.code === codeInput.value ? typeAt(liveCheck.ast, position) : null;
+    if (found) {
+      lines.push(`<span class="font-mono">${escapeHtml(found.name)} : ${escapeHtml(found.type)}</span>`);
+    }
+  }
+  if (lines.length === 0) {
+    editorTooltip.classList.add('hidden');
+    return;
+  }
+  editorTooltip.innerHTML = lines.join('<br>');
+  editorTooltip.style.left = `${event.clientX + 12}px`;
+  editorTooltip.style.top = `${event.clientY + 16}px`;
+  editorTooltip.classList.remove('hidden');
+}
+
+/**
+ * Selecciona en el editor un fragmento del código y lo desplaza para que se vea.
+ * @param {{start: {line: number, column: number}, end: {line: number, column: number}}} range - El fragmento.
+ */
+function jumpToRange(range) {
+  codeInput.focus();
+  codeInput.setSelectionRange(offsetAt(range.start), offsetAt(range.end));
+  revealLine(range.start.line);
+}
+
+/**
+ * Desplaza el editor para que se vea una línea (centrada), si no se ve ya.
+ * @param {number} line - El número de la línea.
+ */
+function revealLine(line) {
+  const lineHeight = parseFloat(getComputedStyle(codeInput).lineHeight);
+  const top = (line - 1) * lineHeight;
+  if (top >= codeInput.scrollTop && top + lineHeight <= codeInput.scrollTop + codeInput.clientHeight) return;
+  codeInput.scrollTop = Math.max(0, top - codeInput.clientHeight / 2);
+  syncScroll();
+}
+
+/**
+ * Escribe un nodo del AST y sus hijos (salvo si está plegado) como una lista anidada, para la
+ * vista de árbol del explorador.
+ * @param {Object} node - El nodo (ver `buildAstTree`).
+ * @returns {string} El HTML.
+ */
+function astTreeHtml(node) {
+  const expanded = !astView.collapsed.has(node.id);
+  const toggle = node.children.length > 0
+    ? `<button class="ast-toggle" data-ast-toggle="${node.id}" aria-expanded="${expanded}">${expanded ? '▾' : '▸'}</button>`
+    : '<span class="ast-toggle"></span>';
+  const edge = node.edge ? `<span class="ast-edge">${escapeHtml(node.edge)}:</span> ` : '';
+  const fields = describeFields(node);
+  const range = node.range
+    ? ` <span class="ast-range">${node.range.start.line}:${node.range.start.column}–${node.range.end.line}:${node.range.end.column}</span>`
+    : '';
+  const children = node.children.length > 0 && expanded ? `<ul>${node.children.map(astTreeHtml).join('')}</ul>` : '';
+  return `<li>${toggle}<span class="ast-node${node.id === astView.selected ? ' selected' : ''}" data-ast-id="${node.id}">`
+    + `${edge}<strong>${escapeHtml(node.label)}</strong>${fields ? ` <span class="ast-fields">${escapeHtml(fields)}</span>` : ''}${range}</span>${children}</li>`;
+}
+
+/**
+ * Selecciona un nodo en el explorador del AST (desplegando sus antepasados) y resalta en el
+ * editor el código que ocupa.
+ * @param {Object} node - El nodo (ver `buildAstTree`).
+ * @param {{fromEditor?: boolean}} [options] - Si la selección viene del cursor del editor: el
+ * editor no se desplaza (el cursor ya está ahí) y el grafo se desplaza hasta el nodo.
+ */
+function selectAstNode(node, { fromEditor = false } = {}) {
+  astView.selected = node.id;
+  for (let ancestor = node.parent; ancestor; ancestor = ancestor.parent) astView.collapsed.delete(ancestor.id);
+  astSpan = node.range;
+  renderCodeOverlay();
+  if (node.range && !fromEditor) revealLine(node.range.start.line);
+  window.renderAstView({ reveal: fromEditor });
+}
+
+/**
+ * Selecciona en el explorador del AST el nodo más profundo que hay en el cursor del editor,
+ * si la pestaña AST está a la vista y el AST es el del código actual.
+ */
+function syncAstSelection() {
+  if (!astView || astView.code !== codeInput.value || astPanel.classList.contains('hidden')) return;
+  const node = nodeAt(astView.tree, positionAt(codeInput.selectionStart));
+  if (node && node.id !== astView.selected) selectAstNode(node, { fromEditor: true });
+}
+
+/**
+ * Aplica al grafo del AST el `viewBox` guardado, que decide qué parte se ve y con qué zoom.
+ */
+function applyAstViewBox() {
+  const svg = astText.querySelector('svg');
+  if (!svg) return;
+  const { x, y, width, height } = astView.viewBox;
+  svg.setAttribute('viewBox', `${x} ${y} ${width} ${height}`);
+}
+
+/**
+ * Convierte un punto de la pantalla en coordenadas del grafo del AST.
+ * @param {SVGSVGElement} svg - El grafo.
+ * @param {number} x - La coordenada horizontal (`clientX`).
+ * @param {number} y - La coordenada vertical (`clientY`).
+ * @returns {{x: number, y: number}} El punto en coordenadas del grafo.
+ */
+function astGraphPoint(svg, x, y) {
+  const point = svg.createSVGPoint();
+  point.x = x;
+  point.y = y;
+  return point.matrixTransform(svg.getScreenCTM().inverse());
+}
+
+
+// ----------------- Gestión de eventos iniciales -----------------
+// Cuando la página se cargue, inicializamos los números de línea y coloreamos el código.
+// Si el navegador conserva el código de una visita anterior, se comprueba enseguida.
+window.addEventListener('DOMContentLoaded', () => {
+  updateLineNumbers();
+  renderCodeOverlay();
+  if (codeInput.value) runLiveCheck();
+});
+
+// Cuando el usuario escribe, actualizamos los números de línea. Si se estaba depurando, el
+// código ya no es el que se ejecuta: se detiene la depuración.
+codeInput.addEventListener('input', () => {
+  if (activeDebugger) stopDebugging();
+  astSpan = null; // El rango del nodo seleccionado ya no corresponde al código.
+  updateLineNumbers();
+  renderCodeOverlay();
+  scheduleLiveCheck();
+});
+// Al pasar el ratón por el código se muestran los errores y el tipo de lo que hay debajo.
+codeInput.addEventListener('mousemove', showEditorTooltip);
+codeInput.addEventListener('mouseleave', () => editorTooltip.classList.add('hidden'));
+// Intro mantiene la sangría; al mover el cursor se marca la pareja del paréntesis o bloque.
+codeInput.addEventListener('keydown', autoIndent);
+['keyup', 'click'].forEach(type => codeInput.addEventListener(type, updateBracketMatch));
+// Fuera del editor no hay cursor, así que tampoco pareja marcada.
+['focus', 'blur'].forEach(type => codeInput.addEventListener(type, renderCodeOverlay));
+// Al mover el cursor por el código se selecciona su nodo en el explorador del AST.
+['keyup', 'click'].forEach(type => codeInput.addEventListener(type, syncAstSelection));
+// En el explorador del AST, un clic en ▸/▾ pliega o despliega un nodo y un clic en un nodo lo
+// selecciona y resalta su código; en el grafo, el doble clic lo pliega o despliega.
+astText.addEventListener('click', event => {
+  if (!astView || astDrag?.moved) return;
+  const toggle = event.target.closest('[data-ast-toggle]');
+  const element = event.target.closest('[data-ast-id]');
+  if (toggle) {
+    const id = Number(toggle.dataset.astToggle);
+    if (!astView.collapsed.delete(id)) astView.collapsed.add(id);
+    window.renderAstView();
+  } else if (element) {
+    selectAstNode(astView.tree.nodes[Number(element.dataset.astId)]);
+  }
+});
+astText.addEventListener('dblclick', event => {
+  const element = event.target.closest('svg [data-ast-id]');
+  if (!astView || !element) return;
+  const id = Number(element.dataset.astId);
+  if (!astView.collapsed.delete(id)) astView.collapsed.add(id);
+  window.renderAstView();
+});
+// En el grafo del AST, la rueda del ratón acerca o aleja alrededor del puntero y arrastrar lo desplaza.
+astText.addEventListener('wheel', event => {
+  const svg = event.target.closest('svg');
+  if (!astView || !svg) return;
+  event.preventDefault();
+  window.zoomAstGraph(event.deltaY < 0 ? 1.1 : 1 / 1.1, astGraphPoint(svg, event.clientX, event.clientY));
+}, { passive: false });
+astText.addEventListener('mousedown', event => {
+  const svg = event.target.closest('svg');
+  if (!astView || !svg || event.button !== 0) return;
+  const { width, height } = svg.getBoundingClientRect();
+  // Píxeles de la pantalla por unidad del grafo (con `preserveAspectRatio`, la menor de las dos escalas).
+  const scale = Math.min(width / astView.viewBox.width, height / astView.viewBox.height);
+  astDrag = { x: event.clientX, y: event.clientY, viewBox: { ...astView.viewBox }, scale, active: true, moved: false };
+  event.preventDefault();
+});
+window.addEventListener('mousemove', event => {
+  if (!astDrag?.active) return;
+  const dx = event.clientX - astDrag.x;
+  const dy = event.clientY - astDrag.y;
+  if (Math.abs(dx) + Math.abs(dy) > 3) astDrag.moved = true;
+  astView.viewBox = { ...astDrag.viewBox, x: astDrag.viewBox.x - dx / astDrag.scale, y: astDrag.viewBox.y - dy / astDrag.scale };
+  applyAstViewBox();
+});
+window.addEventListener('mouseup', () => {
+  if (astDrag) astDrag.active = false;
+});
+// Un clic en un error de la pestaña Errores (o en una posición relacionada) lleva a su posición.
+errorText.addEventListener('click', event => {
+  const link = event.target.closest('[data-range]');
+  if (link) jumpToRange(JSON.parse(link.dataset.range));
+});
+// Cuando el usuario hace scroll en el textarea, sincronizamos el scroll de los números de línea.
+codeInput.addEventListener('scroll', syncScroll);
+// Cuando el usuario hace scroll en los números de línea (poco probable pero por seguridad),
+// sincronizamos el scroll del textarea.
+lineNumbers.addEventListener('scroll', () => {
+  codeInput.scrollTop = lineNumbers.scrollTop;
+});
+// Un clic en un número de línea pone o quita un punto de ruptura.
+lineNumbers.addEventListener('click', event => {
+  const lineElement = event.target.closest('[data-line]');
+  if (!lineElement) return;
+  const line = Number(lineElement.dataset.line);
+  if (!breakpoints.delete(line)) breakpoints.add(line);
+  if (activeDebugger) activeDebugger.toggleBreakpoint(line);
+  updateLineNumbers();
+});
+// En el toplevel, Intro envía la entrada si es una frase completa (termina en `;;`) o una
+// directiva; si no, añade una línea. ↑ y ↓ recorren el historial desde la primera y la
+// última línea de la entrada.
+replInput.addEventListener('keydown', event => {
+  const text = replInput.value;
+  if (event.key === 'Enter' && !event.shiftKey && (text.trim().endsWith(';;') || text.trim().startsWith('#'))) {
+    event.preventDefault();
+    submitToToplevel(text);
+  } else if (event.key === 'ArrowUp' && !text.slice(0, replInput.selectionStart).includes('\n') && replHistoryIndex > 0) {
+    event.preventDefault();
+    replHistoryIndex--;
+    replInput.value = replHistory[replHistoryIndex];
+  } else if (event.key === 'ArrowDown' && !text.slice(replInput.selectionEnd).includes('\n') && replHistoryIndex < replHistory.length) {
+    event.preventDefault();
+    replHistoryIndex++;
+    replInput.value = replHistory[replHistoryIndex] ?? '';
+  }
+});
+// Atajos del depurador, como en los depuradores habituales: F5 continúa, F10 salta,
+// F11 entra y Mayús+F11 sale de la llamada actual.
+document.addEventListener('keydown', event => {
+  if (!activeDebugger) return;
+  const command = { F5: 'continue', F10: 'stepOver', F11: event.shiftKey ? 'stepOut' : 'stepInto' }[event.key];
+  if (!command) return;
+  event.preventDefault();
+  window.debugStep(command);
+});
+
+
+// ----------------- Funciones principales de análisis y ejecución (expuestas en `window`) -----------------
+
+/**
+ * Función para ejecutar el análisis léxico.
+ * Analiza el código de entrada, lo divide en tokens y muestra el resultado en una tabla.
+ */
+window.runLexicalAnalysis = () => {
+  const inputCode = codeInput.value;
+  // Llama a la función de análisis léxico desde el módulo `lexer.js`.
+  const tokens = analyzeLexically(inputCode);
+
+  // Manejamos casos especiales: si no hay tokens (aparte de `EOF`) pero el código no está vacío, o si el código está vacío.
+  if (tokens.length <= 1 && inputCode.trim() !== '') {
+    resultText.innerHTML = `<p class="text-red-400">❌ No se encontraron tokens.</p>`;
+    showTab('resultText');
+    return;
+  } else if (inputCode.trim() === '') {
+    resultText.innerHTML = `<p class="text-gray-400">Escribe código y presiona "Léxico" para comenzar...</p>`;
+    showTab('resultText');
+    return;
+  }
+
+  // Construimos una tabla HTML para mostrar los tokens de manera estructurada.
+  let output = `
+    <div class="overflow-x-auto">
+      <table class="min-w-full table-auto border border-gray-700 text-sm text-left text-gray-300">
+        <thead class="bg-gray-800 text-gray-100">
+          <tr>
+            <th class="px-4 py-2 border border-gray-700">📍 Línea</th>
+            <th class="px-4 py-2 border border-gray-700">📌 Columna</th>
+            <th class="px-4 py-2 border border-gray-700">🔠 Tipo</th>
+            <th class="px-4 py-2 border border-gray-700">🧩 Lexema</th>
+          </tr>
+        </thead>
+        <tbody class="bg-gray-900">
+  `;
+
+  // Iteramos sobre cada token y agregamos una fila a la tabla.
+  // Los tokens de tipo `Error` se resaltan en rojo y muestran el mensaje del lexer.
+  tokens.forEach(token => {
+    const isError = token.type === "Error";
+    output += `
+      <tr class="hover:bg-gray-800 transition-colors duration-150${isError ? ' text-red-400' : ''}">
+        <td class="px-4 py-2 border border-gray-700">${token.line}</td>
+        <td class="px-4 py-2 border border-gray-700">${token.column}</td>
+        <td class="px-4 py-2 border border-gray-700">${token.type}</td>
+        <td class="px-4 py-2 border border-gray-700 font-mono ${isError ? 'text-red-400' : 'text-yellow-300'}">"${escapeHtml(token.value)}"${isError ? ` — ${escapeHtml(token.message)}` : ''}</td>
+      </tr>
+    `;
+  });
+
+  output += `
+        </tbody>
+      </table>
+    </div>
+  `;
+
+  // Insertamos la tabla en el div de resultados y mostramos la pestaña.
+  resultText.innerHTML = output;
+  showTab('resultText', document.querySelector('button[onclick="showTab(\'resultText\', this)"]'));
+  saveExecutionInHistory(); // Guardamos el resultado de la ejecución en el historial.
+};
+
+/**
+ * Función para ejecutar el análisis sintáctico.
+ * Analiza la secuencia de tokens para construir un Árbol de Sintaxis Abstracta (AST).
+ * Si hay errores sintácticos, los muestra. Si no, muestra el AST.
+ */
+window.runSyntaxAnalysis = () => {
+  const inputCode = codeInput.value;
+  // Llama a la función de análisis sintáctico. Devuelve el AST y cualquier error encontrado.
+  const { ast, errors } = analyzeSyntax(inputCode);
+
+  semanticAnalysisRun = false; // Reiniciamos la bandera de análisis semántico.
+
+  if (errors.length > 0) {
+    // Si se encontraron errores, los mostramos en la pestaña de errores.
+    showErrors(errors, 'Error Sintáctico');
+    showTab('errorText', document.querySelector('button[onclick="showTab(\'errorText\', this)"]'));
+    // Limpiamos el AST, ya que no se pudo construir correctamente.
+    clearAstView('[AST no disponible debido a errores sintácticos]');
+    resultText.innerHTML = `<p class="text-red-400">❌ Análisis Sintáctico: Fallido. Verifique la pestaña de Errores.</p>`;
+  } else {
+    // Si no hay errores, mostramos el AST en el explorador de la pestaña AST.
+    astView = { code: inputCode, tree: buildAstTree(ast), collapsed: new Set(), selected: null, viewBox: null };
+    astSpan = null;
+    renderCodeOverlay();
+    astDownloadButtons.forEach(button => { button.disabled = false; });
+    resultText.innerHTML = `<p class="text-green-400">✅ Análisis Sintáctico: Correcto. Se ha construido el Árbol de Sintaxis Abstracta (AST).</p>`;
+    showTab('astPanel', document.querySelector('button[onclick="showTab(\'astPanel\', this)"]'));
+    window.renderAstView();
+  }
+};
+
+/**
+ * Vacía el explorador del AST y muestra un mensaje en su lugar.
+ * @param {string} message - El mensaje.
+ */
+function clearAstView(message) {
+  astView = null;
+  astSpan = null;
+  renderCodeOverlay();
+  astDownloadButtons.forEach(button => { button.disabled = true; });
+  astGraphControls.forEach(button => button.classList.add('hidden'));
+  astText.textContent = message;
+}
+
+/**
+ * Dibuja el explorador del AST con la vista elegida: un árbol plegable o un grafo SVG que se
+ * puede acercar, alejar y desplazar. El nodo seleccionado se marca en las dos.
+ * @param {{reveal?: boolean}} [options] - Con `reveal`, si el nodo seleccionado no se ve en el
+ * grafo, el grafo se desplaza hasta él.
+ */
+window.renderAstView = ({ reveal = false } = {}) => {
+  if (!astView) return;
+  const graph = astViewMode.value === 'graph';
+  astGraphControls.forEach(button => button.classList.toggle('hidden', !graph));
+  if (!graph) {
+    astText.innerHTML = `<ul class="ast-tree">${astTreeHtml(astView.tree.root)}</ul>`;
+    astText.querySelector('.ast-node.selected')?.scrollIntoView?.({ block: 'nearest' });
+    return;
+  }
+  astText.innerHTML = `<div class="ast-graph">${astToSvg(astView.tree, { collapsed: astView.collapsed, selected: astView.selected })}</div>`;
+  const svg = astText.querySelector('svg');
+  const size = { width: Number(svg.getAttribute('width')), height: Number(svg.getAttribute('height')) };
+  astView.viewBox ??= { x: 0, y: 0, ...size };
+  const box = reveal ? astText.querySelector('.ast-graph-node.selected rect') : null;
+  if (box) {
+    const [x, y, width, height] = ['x', 'y', 'width', 'height'].map(name => Number(box.getAttribute(name)));
+    const { viewBox } = astView;
+    if (x < viewBox.x || y < viewBox.y || x + width > viewBox.x + viewBox.width || y + height > viewBox.y + viewBox.height) {
+      astView.viewBox = { ...viewBox, x: x + width / 2 - viewBox.width / 2, y: y + height / 2 - viewBox.height / 2 };
+    }
+  }
+  applyAstViewBox();
+};
+
+/**
+ * Acerca o aleja el grafo del AST.
+ * @param {number} factor - Mayor que 1 para acercar y menor para alejar.
+ * @param {{x: number, y: number}} [center] - El punto del grafo que queda fijo (por defecto, el centro de lo que se ve).
+ */
+window.zoomAstGraph = (factor, center) => {
+  if (!astView?.viewBox) return;
+  const { x, y, width, height } = astView.viewBox;
+  const { x: cx, y: cy } = center ?? { x: x + width / 2, y: y + height / 2 };
+  astView.viewBox = { x: cx - (cx - x) / factor, y: cy - (cy - y) / factor, width: width / factor, height: height / factor };
+  applyAstViewBox();
+};
+
+/**
+ * Muestra el grafo del AST entero, sin zoom ni desplazamiento.
+ */
+window.fitAstGraph = () => {
+  if (!astView) return;
+  astView.viewBox = null;
+  window.renderAstView();
+};
+
+/**
+ * Descarga el AST completo (sin nodos plegados) como imagen SVG (`ast.svg`) o en el formato
+ * DOT de Graphviz (`ast.dot`).
+ * @param {'svg'|'dot'} format - El formato.
+ */
+window.downloadAst = format => {
+  if (!astView) return;
+  if (format === 'dot') {
+    downloadFile(astToDot(astView.tree), 'ast.dot', 'text/vnd.graphviz');
+  } else {
+    downloadFile(astToSvg(astView.tree), 'ast.svg', 'image/svg+xml');
+  }
+};
+
+/**
+ * Función para ejecutar el análisis semántico.
+ * Este paso verifica la coherencia de tipos y el uso de variables, requiriendo un AST válido.
+ */
+window.runSemanticAnalysis = () => {
+  const inputCode = codeInput.value;
+  // Primero, re-ejecutamos el análisis sintáctico para obtener el AST más reciente.
+  const { ast, errors: syntaxErrors } = analyzeSyntax(inputCode);
+
+  semanticAnalysisRun = true; // Establecemos la bandera para indicar que el análisis semántico se ha corrido.
+
+  if (syntaxErrors.length > 0 || !ast) {
+    // Si el análisis sintáctico falló, no podemos continuar. Mostramos un error.
+    errorText.innerHTML = `<p class="text-red-400">❌ Análisis Semántico: No se puede realizar debido a errores sintácticos previos. Verifique la pestaña de Errores.</p>`;
+    showErrors(syntaxErrors, 'Error Sintáctico');
+    showTab('errorText', document.querySelector('button[onclick="showTab(\'errorText\', this)"]'));
+    return;
+  }
+
+  // Si el AST es válido, llamamos a la función de análisis semántico.
+  const semanticErrors = analyzeSemantics(ast);
+
+  // Verificamos si se encontraron errores o avisos semánticos.
+  if (semanticErrors.length > 0) {
+    // Si hay errores, los mostramos.
+    showErrors(semanticErrors);
+    showTab('errorText', document.querySelector('button[onclick="showTab(\'errorText\', this)"]'));
+  } else {
+    // Si no hay errores, mostramos un mensaje de éxito.
+    errorText.innerHTML = `<p class="text-green-400">✅ Análisis semántico correcto. ¡Variables y tipos OK!</p>`;
+    showTab('errorText', document.querySelector('button[onclick="showTab(\'errorText\', this)"]'));
+  }
+};
+
+/**
+ * Indica en la pestaña de resultados que el código no se puede ejecutar por tener errores.
+ * @param {string} kind - El tipo de errores: `"sintácticos"` o `"semánticos"`.
+ */
+function showBlockedExecution(kind) {
+  resultText.innerHTML = `<p class="text-red-400">❌ Ejecución: No se puede ejecutar el código debido a errores ${kind}. Verifique la pestaña de Errores.</p>`;
+  showTab('resultText', document.querySelector('button[onclick="showTab(\'resultText\', this)"]'));
+}
+
+/**
+ * Comprueba que el código no tiene errores sintácticos ni semánticos antes de ejecutarlo.
+ * Si los tiene, lo indica en la pestaña de resultados.
+ * @returns {Object|null} El AST del programa, o `null` si no se puede ejecutar.
+ */
+function checkBeforeRunning() {
+  const inputCode = codeInput.value;
+  const { ast, errors: syntaxErrors } = analyzeSyntax(inputCode);
+
+  // Verificamos primero si hay errores sintácticos.
+  if (syntaxErrors.length > 0 || !ast) {
+    showBlockedExecution('sintácticos');
+    return null;
+  }
+
+  // Luego, verificamos si hay errores semánticos. Los avisos, como un `match` no
+  // exhaustivo, no impiden la ejecución, igual que en el compilador de OCaml.
+  const semanticErrors = analyzeSemantics(ast);
+  if (hasErrors(semanticErrors)) {
+    showBlockedExecution('semánticos');
+    return null;
+  }
+  return ast;
+}
+
+/**
+ * Muestra en la pestaña de resultados la salida de una ejecución. La salida estándar
+ * del programa se muestra antes que la respuesta del toplevel, y el aviso (si lo hay)
+ * después de ambas.
+ * @param {{output: string, stdout: string}} result - El resultado de la ejecución.
+ * @param {string} [notice] - Un aviso sobre la ejecución, como el motivo por el que se interrumpió.
+ */
+function showExecutionResult({ output, stdout }, notice = '') {
+  resultText.innerHTML = (stdout
+    ? `<div class="text-gray-400">📤 Salida estándar:</div><div class="text-white">${escapeHtml(stdout)}</div>`
+    : '') +
+    `<div class="text-gray-400">🧾 Respuesta del toplevel:</div><div>${escapeHtml(output)}</div>` +
+    (notice ? `<div class="text-yellow-400 mt-2">${escapeHtml(notice)}</div>` : '');
+  showTab('resultText', document.querySelector('button[onclick="showTab(\'resultText\', this)"]'));
+}
+
+/**
+ * Lee un límite numérico de un campo del formulario.
+ * @param {HTMLInputElement} input - El campo.
+ * @param {number} fallback - El valor si el campo no tiene un número positivo.
+ * @returns {number} El límite.
+ */
+function readLimit(input, fallback) {
+  const value = Number(input.value);
+  return value > 0 ? value : fallback;
+}
+
+/**
+ * Ejecuta el programa del editor en un Web Worker (ver `sandbox.js`), con el tiempo máximo y
+ * el presupuesto de pasos del formulario; mientras tanto se muestra la salida que va
+ * produciendo el programa, y el botón Detener permite interrumpirlo.
+ * @param {string} engine - El motor: `"interpreter"` o `"bytecode"`.
+ */
+async function startExecution(engine) {
+  activeExecution?.stop();
+  const execution = new Execution(codeInput.value, {
+    timeout: readLimit(executionTimeout, DEFAULT_TIMEOUT / 1000) * 1000,
+    maxSteps: readLimit(executionMaxSteps, DEFAULT_EXECUTION_STEPS),
+    engine,
+    onProgress: ({ stdout, output, steps }) => {
+      showExecutionResult({ stdout, output }, `⏳ Ejecutando… (${steps.toLocaleString()} pasos)`);
+    },
+  });
+  activeExecution = execution;
+  stopButton.disabled = false;
+  showExecutionResult({ stdout: '', output: '' }, '⏳ Ejecutando…');
+
+  const result = await execution.done;
+  if (activeExecution !== execution) return; // Otra ejecución la ha sustituido.
+  activeExecution = null;
+  stopButton.disabled = !toplevel.busy;
+  if (result.status === 'syntax-error') {
+    showBlockedExecution('sintácticos');
+  } else if (result.status === 'semantic-error') {
+    showBlockedExecution('semánticos');
+  } else if (result.status === 'aborted') {
+    showExecutionResult(result, `${result.message} Pasos ejecutados: ${result.steps.toLocaleString()}.`);
+  } else {
+    showExecutionResult({ stdout: result.stdout, output: result.output.trim() });
+  }
+}
+
+/**
+ * Función para ejecutar el intérprete, en un Web Worker (ver `startExecution`).
+ */
+window.runInterpretation = () => startExecution('interpreter');
+
+/**
+ * Detiene la ejecución en curso y las frases del toplevel, si las hay. El resultado parcial
+ * de la ejecución se muestra al terminar.
+ */
+window.stopExecution = () => {
+  activeExecution?.stop();
+  toplevel.stop();
+};
+
+/**
+ * Función para compilar el programa a bytecode y ejecutarlo en la máquina virtual.
+ * Valida el código igual que `runInterpretation` y muestra el listado de instrucciones
+ * generadas para cada sentencia en la pestaña Bytecode; la ejecución se hace, como la del
+ * intérprete, en un Web Worker con el tiempo máximo, el presupuesto de pasos y Detener.
+ */
+window.runCompilation = () => {
+  const ast = checkBeforeRunning();
+  if (!ast) return;
+
+  bytecodeText.textContent = disassemble(compileProgram(ast));
+  startExecution('bytecode');
+};
+
+/**
+ * Función para traducir el programa a JavaScript.
+ * Valida el código igual que `runInterpretation` y muestra el módulo generado en la pestaña
+ * JS, desde donde se puede descargar con su mapa de fuentes.
+ */
+window.runTranspilation = () => {
+  const ast = checkBeforeRunning();
+  if (!ast) return;
+
+  try {
+    lastTranspilation = transpile(ast, { fileName: 'programa.ml', source: codeInput.value });
+    jsText.textContent = lastTranspilation.code;
+  } catch (error) {
+    lastTranspilation = null;
+    jsText.textContent = `❌ Error al traducir a JavaScript: ${error.message}`;
+  }
+  jsDownloadButton.disabled = !lastTranspilation;
+  showTab('jsPanel', document.querySelector('button[onclick="showTab(\'jsPanel\', this)"]'));
+};
+
+/**
+ * Descarga el último JavaScript generado como `programa.js`, con el mapa de fuentes en línea
+ * para que las herramientas de depuración muestren el código OCaml original.
+ */
+window.downloadJavaScript = () => {
+  if (!lastTranspilation) return;
+  downloadFile(withInlineSourceMap(lastTranspilation.code, lastTranspilation.map), 'programa.js', 'text/javascript');
+};
+
+
+/** Nombres de las estrategias de evaluación de la traza. */
+const STRATEGY_NAMES = { value: 'Por valor', need: 'Por necesidad' };
+
+/**
+ * Muestra la traza de reducciones del programa con la estrategia elegida (o con las dos,
+ * una junto a otra, para compararlas). Valida el código igual que `runInterpretation`.
+ */
+window.runTrace = () => {
+  const ast = checkBeforeRunning();
+  if (!ast) return;
+
+  const maxSteps = Math.max(1, Number.parseInt(traceMaxSteps.value, 10) || DEFAULT_MAX_STEPS);
+  traceMaxSteps.value = maxSteps;
+  const strategies = traceStrategy.value === 'compare' ? ['value', 'need'] : [traceStrategy.value];
+  const columns = strategies.map(strategy => renderTrace(strategy, traceProgram(ast, { strategy, maxSteps })));
+  traceText.innerHTML = `<div class="grid gap-6 ${columns.length > 1 ? 'md:grid-cols-2' : ''}">${columns.join('')}</div>`;
+  showTab('tracePanel', document.querySelector('button[onclick="showTab(\'tracePanel\', this)"]'));
+};
+
+/**
+ * Genera el HTML de la traza de un programa con una estrategia: cada expresión con sus
+ * términos intermedios y el número de pasos, seguida de la respuesta del toplevel.
+ * @param {string} strategy - `'value'` o `'need'`.
+ * @param {{statements: Array<Object>, stdout: string}} trace - El resultado de `traceProgram`.
+ * @returns {string} El HTML.
+ */
+function renderTrace(strategy, { statements, stdout }) {
+  const total = statements.reduce((sum, { steps }) => sum + (steps ? steps.length - 1 : 0), 0);
+  const body = statements.map(({ steps, truncated, output }) => {
+    const lines = steps
+      ? steps.map((term, i) => `<div>${i === 0 ? '' : '<span class="text-gray-400">→ </span>'}${escapeHtml(term)}</div>`).join('') +
+        `<div class="text-gray-400">(${steps.length - 1} paso${steps.length === 2 ? '' : 's'}${truncated ? ', interrumpida' : ''})</div>`
+      : '';
+    return lines || output ? `<div class="mb-3">${lines}<div>${escapeHtml(output)}</div></div>` : '';
+  }).join('');
+  return `<div><div class="font-semibold mb-2">${STRATEGY_NAMES[strategy]}: ${total} paso${total === 1 ? '' : 's'}</div>${body}` +
+    (stdout ? `<div class="text-gray-400">📤 Salida estándar:</div><div>${escapeHtml(stdout)}</div>` : '') +
+    '</div>';
+}
+
+/** Clases de cada tipo de entrada de la transcripción del toplevel. */
+const REPL_ENTRY_CLASSES = {
+  stdout: 'text-white',
+  response: '',
+  warning: 'text-yellow-400',
+  error: 'text-red-400',
+  info: 'text-green-400',
+};
+
+/**
+ * Envía una entrada al toplevel (con el tiempo máximo y el presupuesto de pasos del
+ * formulario) y añade a la transcripción la entrada y, cuando el worker termina, sus
+ * respuestas. Mientras tanto, el botón Detener permite interrumpirla.
+ * @param {string} text - Las frases o la directiva.
+ */
+async function submitToToplevel(text) {
+  if (replHistory[replHistory.length - 1] !== text) replHistory.push(text);
+  replHistoryIndex = replHistory.length;
+  replInput.value = '';
+
+  // La primera entrada sustituye al texto de ayuda inicial.
+  if (!replTranscript.querySelector('div')) replTranscript.innerHTML = '';
+  replTranscript.insertAdjacentHTML('beforeend',
+    `<div class="text-gray-400 mt-2"># ${escapeHtml(text.trim())}</div><div class="text-gray-400">⏳ Ejecutando…</div>`);
+  const pending = replTranscript.lastElementChild;
+  pending.scrollIntoView({ block: 'nearest' });
+  stopButton.disabled = false;
+
+  const entries = await toplevel.submit(text, {
+    timeout: readLimit(executionTimeout, DEFAULT_TIMEOUT / 1000) * 1000,
+    maxSteps: readLimit(executionMaxSteps, DEFAULT_EXECUTION_STEPS),
+  });
+  stopButton.disabled = !activeExecution && !toplevel.busy;
+  if (!pending.isConnected) return; // Se borró la transcripción mientras tanto.
+  pending.insertAdjacentHTML('beforebegin',
+    entries.map(({ kind, text: entry }) => `<div class="${REPL_ENTRY_CLASSES[kind]}">${escapeHtml(entry)}</div>`).join(''));
+  pending.remove();
+  replTranscript.lastElementChild?.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Empieza a depurar el programa: lo valida igual que `runInterpretation` y lo deja en pausa
+ * al principio de la primera sentencia, con los puntos de ruptura marcados en los números
+ * de línea.
+ */
+window.startDebugging = () => {
+  const ast = checkBeforeRunning();
+  if (!ast) return;
+
+  activeDebugger = new Debugger(ast, codeInput.value);
+  breakpoints.forEach(line => activeDebugger.toggleBreakpoint(line));
+  showDebugState(activeDebugger.state());
+  showTab('debugPanel', document.querySelector('button[onclick="showTab(\'debugPanel\', this)"]'));
+};
+
+/**
+ * Ejecuta una orden del depurador y muestra dónde se detiene.
+ * @param {'stepInto'|'stepOver'|'stepOut'|'continue'} command - La orden.
+ */
+window.debugStep = (command) => {
+  if (!activeDebugger) return;
+  showDebugState(activeDebugger[command]());
+};
+
+/**
+ * Termina la sesión de depuración y quita el resaltado del editor.
+ */
+function stopDebugging() {
+  activeDebugger = null;
+  debugLine = null;
+  highlightCode(null);
+  updateLineNumbers();
+  debugControls.forEach(button => { button.disabled = true; });
+  debugText.innerHTML = '⏹️ Depuración detenida.';
+}
+window.stopDebugging = stopDebugging;
+
+/**
+ * Muestra el estado de una pausa del depurador: resalta la subexpresión en el editor y
+ * escribe en la pestaña Depurador la pila de llamadas, los entornos (con el contenido de las
+ * clausuras), la salida estándar y la respuesta del toplevel acumuladas.
+ * @param {Object} state - El estado que devuelve `Debugger.state`.
+ */
+function showDebugState(state) {
+  const outputs = (state.stdout
+    ? `<div class="text-gray-400 mt-4">📤 Salida estándar:</div><div>${escapeHtml(state.stdout)}</div>`
+    : '') +
+    (state.output
+      ? `<div class="text-gray-400 mt-4">🧾 Respuesta del toplevel:</div><div>${escapeHtml(state.output)}</div>`
+      : '');
+  if (state.finished) {
+    activeDebugger = null;
+    debugLine = null;
+    highlightCode(null);
+    updateLineNumbers();
+    debugControls.forEach(button => { button.disabled = true; });
+    debugText.innerHTML = `<div>✅ El programa terminó.</div>${outputs}`;
+    return;
+  }
+
+  debugLine = state.span.start.line;
+  highlightCode(state.span);
+  updateLineNumbers();
+  debugControls.forEach(button => { button.disabled = false; });
+
+  const calls = state.calls
+    .map(call => `<div>${escapeHtml(call.name)} <span class="text-gray-400">(línea ${call.line})</span></div>`)
+    .join('');
+  const scopes = state.scopes.map(scope => {
+    const bindings = scope.bindings.map(binding => {
+      const text = `<span class="font-semibold">${escapeHtml(binding.name)}</span> = ${escapeHtml(binding.value)}`;
+      if (!binding.closure) return `<div>${text}</div>`;
+      const captured = binding.closure.captured
+        .map(value => `<div class="ml-4">${escapeHtml(value.name)} = ${escapeHtml(value.value)}</div>`)
+        .join('') || '<div class="ml-4 text-gray-400">(no captura valores)</div>';
+      return `<details><summary>${text} <span class="text-gray-400">fun ${escapeHtml(binding.closure.params.join(' '))} -> …</span></summary>${captured}</details>`;
+    }).join('') || '<div class="text-gray-400">(vacío)</div>';
+    return `<div class="text-gray-400 mt-2">${escapeHtml(scope.name)}:</div><div class="ml-4">${bindings}</div>`;
+  }).join('');
+
+  debugText.innerHTML =
+    (state.message ? `<div class="text-yellow-500 mb-2">${escapeHtml(state.message)}</div>` : '') +
+    `<div class="text-gray-400">▶️ Línea ${state.span.start.line}:</div><div class="debug-expression">${escapeHtml(state.expression)}</div>` +
+    `<div class="text-gray-400 mt-4">📚 Pila de llamadas:</div><div class="ml-4">${calls}</div>` +
+    `<div class="text-gray-400 mt-4">🗂️ Entornos:</div>${scopes}` +
+    outputs;
+}
+
+
+// ----------------- Funciones de control de la UI -----------------
+
+/**
+ * Muestra los diagnósticos de forma formateada en la pestaña de errores, con sus posiciones
+ * relacionadas y sus correcciones sugeridas.
+ * @param {Array<Object>} errors - Los diagnósticos a mostrar (ver `diagnostics.js`).
+ * @param {string} [label] - Cómo se titula cada error; los avisos se titulan `Aviso`.
+ */
+function showErrors(errors, label = 'Error') {
+  const errorTextElement = document.getElementById('errorText');
+
+  if (!errors || errors.length === 0) {
+    errorTextElement.innerHTML = "✅ No se encontraron errores.";
+    return;
+  }
+
+  // Mapea los errores para darles un formato de lista con negrita.
+  errorTextElement.innerHTML = errors
+    .map((diagnostic, i) => {
+      const title = diagnostic.severity === SEVERITY.ERROR ? label : 'Aviso';
+      // El mensaje y las posiciones relacionadas llevan a su posición en el editor al hacer clic.
+      const ranges = [diagnostic.range, ...diagnostic.related.map(related => related.range)];
+      const [message, ...details] = diagnosticLines(diagnostic).map((line, j) => {
+        const text = escapeHtml(line);
+        return ranges[j] ? `<span class="diagnostic-link" data-range="${escapeHtml(JSON.stringify(ranges[j]))}">${text}</span>` : text;
+      });
+      return `<strong>${title} ${i + 1}:</strong> ${message}` +
+        details.map(detail => `<br><span class="text-gray-400 whitespace-pre">${detail}</span>`).join('');
+    })
+    .join('<br><br>');
+}
+
+/**
+ * Restablece la interfaz de usuario a su estado inicial.
+ * Limpia el editor, los resultados, el AST y los errores.
+ */
+window.clearAll = () => {
+  // La ejecución en curso se detiene sin mostrar su resultado.
+  const execution = activeExecution;
+  activeExecution = null;
+  execution?.stop();
+  stopButton.disabled = true;
+  codeInput.value = '';
+  clearTimeout(liveCheckTimer);
+  liveCheck = null;
+  breakpoints.clear();
+  stopDebugging();
+  debugText.innerHTML = `[Pulsa ‘Depurar’ para ejecutar el programa paso a paso]`;
+  updateLineNumbers(); // Resetea los números de línea a solo '1'.
+  resultText.innerHTML = `Escribe código y presiona "Léxico" para comenzar...`;
+  clearAstView('[AST aparecerá aquí]');
+  errorText.innerHTML = `⚠️ Por favor, presiona ‘Semántico’ para ver los errores.`;
+  bytecodeText.innerHTML = `[El bytecode aparecerá aquí al pulsar ‘Bytecode’]`;
+  jsText.innerHTML = `[El JavaScript aparecerá aquí al pulsar ‘JS’]`;
+  traceText.innerHTML = `[Pulsa ‘Traza’ para ver las reducciones de cada expresión]`;
+  toplevel.reset();
+  replTranscript.innerHTML = `[Escribe una frase terminada en ‘;;’ y pulsa Intro]`;
+  lastTranspilation = null;
+  jsDownloadButton.disabled = true;
+  semanticAnalysisRun = false; // Reinicia la bandera.
+  codeInput.focus(); // Devuelve el foco al editor de código.
+  // Vuelve a mostrar la pestaña de resultados.
+  showTab('resultText', document.querySelector('button[onclick="showTab(\'resultText\', this)"]'));
+};
+
+/**
+ * Controla la visibilidad de las pestañas de resultados.
+ * @param {string} tabId - El ID de la pestaña a mostrar.
+ * @param {HTMLElement} buttonElement - El botón de la pestaña que se ha clicado.
+ */
+window.showTab = (tabId, buttonElement) => {
+  // Lista de los IDs de todas las pestañas.
+  const tabsContent = ['resultText', 'astPanel', 'jsPanel', 'debugPanel', 'tracePanel', 'replPanel', 'errorText', 'bytecodeText'];
+
+  // Iteramos sobre las pestañas y mostramos solo la que corresponde al `tabId`.
+  tabsContent.forEach(id => {
+    document.getElementById(id).classList.toggle('hidden', id !== tabId);
+  });
+
+  // Iteramos sobre todos los botones de pestaña.
+  document.querySelectorAll('button.tab').forEach(btn => {
+    btn.classList.remove('tab-active');
+    // Restablece los estilos inline para los botones inactivos.
+    btn.style.color = getComputedStyle(document.documentElement).getPropertyValue('--tab-inactive-text-light');
+    btn.style.borderColor = 'transparent';
+    if (document.documentElement.classList.contains('dark')) {
+      btn.style.color = getComputedStyle(document.documentElement).getPropertyValue('--tab-inactive-text-dark');
+    }
+  });
+
+  // Si se proporcionó un botón, le aplicamos la clase y los estilos de pestaña activa.
+  if (buttonElement) {
+    buttonElement.classList.add('tab-active');
+    // Aplica los estilos inline para el botón activo.
+    buttonElement.style.color = getComputedStyle(document.documentElement).getPropertyValue('--tab-active-text-light');
+    buttonElement.style.borderColor = getComputedStyle(document.documentElement).getPropertyValue('--tab-active-border-light');
+    if (document.documentElement.classList.contains('dark')) {
+      buttonElement.style.color = getComputedStyle(document.documentElement).getPropertyValue('--tab-active-text-dark');
+      buttonElement.style.borderColor = getComputedStyle(document.documentElement).getPropertyValue('--tab-active-border-dark');
+    }
+  }
+};
+
+/**
+ * Función placeholder para guardar el historial de ejecución.
+ * La implementación está comentada, pero sirve como ejemplo de dónde
+ * se podría añadir la lógica para guardar ejecuciones pasadas.
+ */
+function saveExecutionInHistory() {
+  // Implementación de historial si es necesaria.
+  // const currentCode = codeInput.value;
+  // executionHistory.unshift({ code: currentCode, timestamp: new Date() });
+  // if (executionHistory.length > maxHistory) {
+  //   executionHistory.pop();
+  // }
+}
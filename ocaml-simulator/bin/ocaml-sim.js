@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+// bin/ocaml-sim.js
+
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { analyzeLexically, lexicalDiagnostics } from '../modules/lexer.js';
+import { analyzeSyntax } from '../modules/parser.js';
+import { analyzeSemantics } from '../modules/semantic.js';
+import { executeProgram, DEFAULT_TIMEOUT, DEFAULT_MAX_STEPS } from '../modules/sandbox.js';
+import { SEVERITY, createDiagnostic, hasErrors, diagnosticLines } from '../modules/diagnostics.js';
+
+/**
+ * Ejecuta una etapa del simulador sobre uno o más archivos (o la entrada estándar) desde la
+ * línea de comandos, sin la página:
+ *
+ *     ocaml-sim lex|parse|check|run [opciones] [archivo.ml ...]
+ *
+ * Sin archivos (o con `-`) se lee la entrada estándar. Con varios archivos, en modo texto cada
+ * resultado va precedido de `==> archivo <==`. Con `--json` se escribe un objeto JSON por
+ * archivo, uno por línea, para procesar los resultados por lotes; los errores y avisos van
+ * como diagnósticos (ver `modules/diagnostics.js`), con su código, su rango y sus correcciones.
+ *
+ * El código de salida es el peor de todos los archivos: `0` si todo fue bien, `1` si hay
+ * errores léxicos, sintácticos o semánticos, `2` si la ejecución falló (una excepción no
+ * capturada, el tiempo máximo o el límite de pasos), `64` si los argumentos no son válidos y
+ * `66` si no se pudo leer un archivo.
+ */
+
+/** Códigos de salida. */
+const EXIT = { OK: 0, PROGRAM_ERROR: 1, RUNTIME_ERROR: 2, USAGE: 64, NO_INPUT: 66 };
+
+/** Texto de ayuda (`--help`). */
+const USAGE = `Uso: ocaml-sim <etapa> [opciones] [archivo.ml ...]
+
+Etapas:
+  lex      Muestra la tabla de tokens.
+  parse    Muestra el AST en JSON.
+  check    Muestra los errores y avisos del análisis semántico.
+  run      Ejecuta el programa y muestra su salida estándar.
+
+Opciones:
+  --json             Un objeto JSON por archivo, uno por línea.
+  --toplevel         (run) Muestra también las respuestas del toplevel (val x : int = 1).
+  --timeout <s>      (run) Tiempo máximo de ejecución, en segundos (por defecto, ${DEFAULT_TIMEOUT / 1000}).
+  --max-steps <n>    (run) Presupuesto de pasos de evaluación (por defecto, ${DEFAULT_MAX_STEPS}).
+  -h, --help         Muestra esta ayuda.
+
+Sin archivos, o con "-", se lee la entrada estándar.
+Códigos de salida: 0 correcto, 1 errores en el programa, 2 error de ejecución,
+64 argumentos no válidos, 66 archivo no legible.`;
+
+/**
+ * Convierte un valor del AST a JSON. Los enteros del AST son `BigInt`, que JSON no sabe
+ * serializar: se escriben como texto, igual que en la pestaña AST.
+ * @param {*} value - El valor.
+ * @param {number} [indent] - La sangría (sin ella, en una sola línea).
+ * @returns {string} El JSON.
+ */
+function toJson(value, indent) {
+  return JSON.stringify(value, (key, item) => typeof item === 'bigint' ? item.toString() : item, indent);
+}
+
+/**
+ * Escribe diagnósticos como texto, con sus posiciones relacionadas y sus correcciones.
+ * @param {Array<Object>} diagnostics - Los diagnósticos.
+ * @returns {Array<string>} Las líneas.
+ */
+function formatDiagnostics(diagnostics) {
+  return diagnostics.flatMap(diagnosticLines);
+}
+
+/**
+ * Analiza léxicamente el código.
+ * @param {string} code - El código fuente.
+ * @returns {{code: number, text: string, json: Object}} El código de salida, el resultado en
+ * texto y el resultado para `--json`.
+ */
+function lex(code) {
+  const tokens = analyzeLexically(code);
+  const errors = lexicalDiagnostics(tokens);
+  const text = tokens.map(token => {
+    const position = `${token.line}:${token.column}`.padEnd(8);
+    return `${position}${token.type.padEnd(12)}"${token.value}"${token.type === "Error" ? ` — ${token.message}` : ''}`;
+  }).join('\n');
+  return {
+    code: errors.length > 0 ? EXIT.PROGRAM_ERROR : EXIT.OK,
+    text,
+    json: { ok: errors.length === 0, tokens, errors }
+  };
+}
+
+/**
+ * Analiza sintácticamente el código.
+ * @param {string} code - El código fuente.
+ * @returns {{code: number, text: string, json: Object}} El resultado (ver `lex`).
+ */
+function parse(code) {
+  const { ast, errors } = analyzeSyntax(code);
+  if (errors.length > 0 || !ast) {
+    return { code: EXIT.PROGRAM_ERROR, errors: formatDiagnostics(errors), text: '', json: { ok: false, ast: null, errors } };
+  }
+  return { code: EXIT.OK, text: toJson(ast, 2), json: { ok: true, ast, errors: [] } };
+}
+
+/**
+ * Analiza sintáctica y semánticamente el código.
+ * @param {string} code - El código fuente.
+ * @returns {{code: number, text: string, json: Object}} El resultado (ver `lex`).
+ */
+function check(code) {
+  const { ast, errors } = analyzeSyntax(code);
+  if (errors.length > 0 || !ast) {
+    return { code: EXIT.PROGRAM_ERROR, errors: formatDiagnostics(errors), text: '', json: { ok: false, errors, warnings: [] } };
+  }
+  const diagnostics = analyzeSemantics(ast);
+  const text = diagnostics.length > 0 ? formatDiagnostics(diagnostics).join('\n') : "✅ Análisis semántico correcto. ¡Variables y tipos OK!";
+  return {
+    code: hasErrors(diagnostics) ? EXIT.PROGRAM_ERROR : EXIT.OK,
+    text,
+    json: {
+      ok: !hasErrors(diagnostics),
+      errors: diagnostics.filter(diagnostic => diagnostic.severity === SEVERITY.ERROR),
+      warnings: diagnostics.filter(diagnostic => diagnostic.severity === SEVERITY.WARNING)
+    }
+  };
+}
+
+/**
+ * Analiza y ejecuta el código con los límites indicados.
+ * @param {string} code - El código fuente.
+ * @param {{timeout: number, maxSteps: number, toplevel: boolean}} options - El tiempo máximo
+ * en milisegundos, el presupuesto de pasos y si se muestran las respuestas del toplevel.
+ * @returns {{code: number, text: string, errors: Array<string>, json: Object, raw: boolean}} El
+ * resultado (ver `lex`); `errors` se escribe en la salida de errores y `text` se escribe tal
+ * cual (`raw`), sin añadirle un salto de línea.
+ */
+function run(code, { timeout, maxSteps, toplevel }) {
+  let result = null;
+  // `executeProgram` envía mensajes de progreso con la salida parcial y uno final; aquí solo
+  // interesa el total, así que se acumulan.
+  const collected = { stdout: "", output: "" };
+  executeProgram(code, { timeout, maxSteps }, message => {
+    collected.stdout += message.stdout;
+    collected.output += message.output;
+    if (message.type === "done") result = message;
+  });
+  const { status, steps, message, errors } = result;
+  const json = { ok: status === "ok" && errors.length === 0, status, stdout: collected.stdout, output: collected.output, steps, message, errors };
+
+  if (status === "syntax-error" || status === "semantic-error") {
+    return { code: EXIT.PROGRAM_ERROR, text: '', errors: formatDiagnostics(errors), json };
+  }
+  let text = collected.stdout;
+  if (toplevel && collected.output) {
+    // Las respuestas empiezan en una línea nueva aunque la salida del programa no termine en una.
+    text += `${text && !text.endsWith('\n') ? '\n' : ''}${collected.output}`;
+  }
+  const failures = formatDiagnostics(errors);
+  if (status === "aborted") {
+    failures.push(`${message} Pasos ejecutados: ${steps}.`);
+  }
+  return { code: failures.length > 0 ? EXIT.RUNTIME_ERROR : EXIT.OK, text, errors: failures, json, raw: true };
+}
+
+/** Las etapas, por nombre. */
+const STAGES = { lex, parse, check, run };
+
+/**
+ * Lee un archivo, o la entrada estándar si el nombre es `-`.
+ * @param {string} file - El nombre del archivo.
+ * @returns {string} Su contenido.
+ */
+function readSource(file) {
+  return readFileSync(file === '-' ? 0 : file, 'utf8');
+}
+
+/**
+ * Punto de entrada: interpreta los argumentos, procesa cada archivo y devuelve el código de salida.
+ * @param {Array<string>} args - Los argumentos (sin `node` ni el nombre del script).
+ * @returns {number} El código de salida.
+ */
+function main(args) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args,
+      allowPositionals: true,
+      options: {
+        json: { type: 'boolean', default: false },
+        toplevel: { type: 'boolean', default: false },
+        timeout: { type: 'string' },
+        'max-steps': { type: 'string' },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (error) {
+    process.stderr.write(`❌ ${error.message}\n\n${USAGE}\n`);
+    return EXIT.USAGE;
+  }
+  const { values, positionals } = parsed;
+  if (values.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return EXIT.OK;
+  }
+  const [stage, ...files] = positionals;
+  if (!STAGES[stage]) {
+    process.stderr.write(`${stage ? `❌ Etapa desconocida "${stage}".` : '❌ Falta la etapa.'}\n\n${USAGE}\n`);
+    return EXIT.USAGE;
+  }
+  const timeout = values.timeout === undefined ? DEFAULT_TIMEOUT : Number(values.timeout) * 1000;
+  const maxSteps = values['max-steps'] === undefined ? DEFAULT_MAX_STEPS : Number(values['max-steps']);
+  if (!(timeout > 0) || !(maxSteps > 0)) {
+    process.stderr.write(`❌ --timeout y --max-steps deben ser números positivos.\n`);
+    return EXIT.USAGE;
+  }
+
+  const inputs = files.length > 0 ? files : ['-'];
+  let exitCode = EXIT.OK;
+  inputs.forEach((file, i) => {
+    const name = file === '-' ? '<stdin>' : file;
+    let result;
+    try {
+      result = STAGES[stage](readSource(file), { timeout, maxSteps, toplevel: values.toplevel });
+    } catch (error) {
+      if (!error.code) throw error; // Solo los errores de lectura tienen `code` (ENOENT, EISDIR, ...).
+      // Un diagnóstico como los demás, para que `--json` tenga la misma forma; sin posición
+      // en el código, se sitúa al principio del archivo.
+      const diagnostic = createDiagnostic({
+        code: 'io/unreadable-file',
+        message: `No se puede leer "${name}": ${error.message}`,
+        range: { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } }
+      });
+      result = { code: EXIT.NO_INPUT, text: '', errors: [`❌ ${diagnostic.message}`], json: { ok: false, errors: [diagnostic] } };
+    }
+    exitCode = Math.max(exitCode, result.code);
+
+    if (values.json) {
+      process.stdout.write(`${toJson({ file: name, stage, exitCode: result.code, ...result.json })}\n`);
+      return;
+    }
+    if (inputs.length > 1) {
+      process.stdout.write(`${i > 0 ? '\n' : ''}==> ${name} <==\n`);
+    }
+    if (result.text) {
+      // La salida de un programa se escribe tal cual; el resto, con un salto de línea final.
+      process.stdout.write(result.raw ? result.text : `${result.text}\n`);
+    }
+    (result.errors || []).forEach(error => process.stderr.write(`${error}\n`));
+  });
+  return exitCode;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,232 @@
+// modules/astview.js
+
+import { forEachChild } from './parser.js';
+import { rangeOf, rangeContains } from './diagnostics.js';
+import { OCamlChar, formatChar } from './values.js';
+
+/**
+ * Explorador del AST: convierte el AST en un árbol para mostrarlo (cada nodo con su tipo, sus
+ * campos simples y el rango del código que ocupa), lo dibuja como un grafo SVG y lo exporta en
+ * SVG o en el formato DOT de Graphviz. La página lo usa en la pestaña AST, tanto en la vista de
+ * árbol plegable como en la de grafo.
+ */
+
+/** Campos de posición que anota el parser: se muestran como el rango del nodo, no como campos. */
+const POSITION_KEYS = new Set(["line", "column", "startLine", "startColumn", "endLine", "endColumn"]);
+
+/** Longitud máxima del texto de un campo; los más largos se recortan con `…`. */
+const MAX_VALUE_LENGTH = 24;
+
+/** Medidas del grafo, en píxeles. */
+const GRAPH = {
+  charWidth: 7.2,    // Ancho de un carácter del texto de los nodos (monoespaciado de 12px).
+  nodeHeight: 40,    // Alto de un nodo: el tipo y, debajo, los campos.
+  levelGap: 56,      // Separación vertical entre un nodo y sus hijos.
+  siblingGap: 16,    // Separación horizontal entre nodos vecinos.
+  padding: 20,       // Margen alrededor del grafo.
+  maxDetail: 40      // Caracteres como máximo de la línea de campos de un nodo.
+};
+
+/**
+ * Indica si un valor es un objeto del AST (no un tipo anotado por el análisis semántico, que
+ * son instancias de clases).
+ * @param {*} value - El valor.
+ * @returns {boolean} `true` si es un objeto plano.
+ */
+function isAstObject(value) {
+  return value !== null && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Escribe el valor de un campo simple, recortado si es largo.
+ * @param {*} value - El valor (texto, número, `BigInt`, booleano o el carácter de un `CharLiteral`).
+ * @returns {string} El texto.
+ */
+function formatValue(value) {
+  const text = typeof value === "string" ? JSON.stringify(value) : value instanceof OCamlChar ? formatChar(value) : String(value);
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Convierte el AST en el árbol que muestra el explorador. Cada nodo tiene:
+ *
+ * - `id`: su posición en un recorrido en preorden (el de la raíz es 0);
+ * - `label`: su tipo (`LetDeclaration`) o, si no tiene, el nombre del campo que lo contiene (`cases`);
+ * - `fields`: sus campos simples, como pares `[nombre, texto]`;
+ * - `range`: el rango del código que ocupa, o `null` si no tiene posición (`Program`);
+ * - `edge`: el campo del padre que lo contiene (`body[0]`), y `parent` y `children`.
+ *
+ * @param {Object} ast - El AST que devuelve el análisis sintáctico.
+ * @returns {{root: Object, nodes: Array<Object>}} La raíz y todos los nodos, por `id`.
+ */
+export function buildAstTree(ast) {
+  const nodes = [];
+  const visit = (value, label, edge, parent) => {
+    const node = {
+      id: nodes.length,
+      label,
+      fields: [],
+      range: value.line !== undefined ? rangeOf(value) : null,
+      edge,
+      parent,
+      children: []
+    };
+    nodes.push(node);
+    Object.entries(value).forEach(([key, field]) => {
+      if (key === "type" || POSITION_KEYS.has(key) || field === null || field === undefined) return;
+      if (field instanceof OCamlChar || typeof field !== "object" && typeof field !== "function") {
+        node.fields.push([key, formatValue(field)]);
+      }
+    });
+    forEachChild(value, (field, key) => {
+      if (!Array.isArray(field)) {
+        node.children.push(visit(field, field.type ?? key, key, node));
+      } else if (field.some(isAstObject)) {
+        forEachChild(field, (item, i) => {
+          if (isAstObject(item)) node.children.push(visit(item, item.type ?? key, `${key}[${i}]`, node));
+        });
+      } else if (field.length > 0) {
+        node.fields.push([key, `[${field.map(formatValue).join("; ")}]`]);
+      }
+    });
+    return node;
+  };
+  const root = visit(ast, ast.type ?? "AST", null, null);
+  return { root, nodes };
+}
+
+/**
+ * Escribe los campos simples de un nodo en una línea: `name: "f", recursive: true`.
+ * @param {Object} node - El nodo del árbol.
+ * @returns {string} El texto (vacío si no tiene campos).
+ */
+export function describeFields(node) {
+  return node.fields.map(([key, value]) => `${key}: ${value}`).join(", ");
+}
+
+/**
+ * Busca el nodo más profundo cuyo rango contiene una posición del código (el fin es exclusivo).
+ * @param {{nodes: Array<Object>}} tree - El árbol (ver `buildAstTree`).
+ * @param {{line: number, column: number}} position - La posición.
+ * @returns {Object|null} El nodo, o `null` si ninguno la contiene.
+ */
+export function nodeAt(tree, position) {
+  // En preorden, los descendientes van después de sus antepasados: el último que la contiene es el más profundo.
+  return tree.nodes.findLast(node => node.range && rangeContains(node.range, position)) ?? null;
+}
+
+/**
+ * Calcula la posición de cada nodo visible del grafo: cada nodo queda centrado sobre sus
+ * hijos, y los hijos de un nodo plegado no se muestran.
+ * @param {{root: Object}} tree - El árbol (ver `buildAstTree`).
+ * @param {Set<number>} [collapsed] - Los `id` de los nodos plegados.
+ * @returns {{width: number, height: number, boxes: Array<Object>}} El tamaño del grafo y un
+ * rectángulo (`node`, `x`, `y`, `width`, `height`, `title`, `detail`) por nodo visible, en preorden.
+ */
+export function layoutAstTree(tree, collapsed = new Set()) {
+  const boxes = [];
+  const subtreeWidths = new Map();
+  const visibleChildren = node => collapsed.has(node.id) ? [] : node.children;
+  const detailOf = node => {
+    const detail = describeFields(node);
+    return detail.length > GRAPH.maxDetail ? `${detail.slice(0, GRAPH.maxDetail - 1)}…` : detail;
+  };
+  const boxWidth = node => Math.ceil(Math.max(node.label.length, detailOf(node).length) * GRAPH.charWidth) + 16;
+
+  const measure = node => {
+    const children = visibleChildren(node);
+    children.forEach(measure);
+    const childrenWidth = children.reduce((sum, child) => sum + subtreeWidths.get(child), 0)
+      + GRAPH.siblingGap * Math.max(children.length - 1, 0);
+    subtreeWidths.set(node, Math.max(boxWidth(node), childrenWidth));
+  };
+  let height = 0;
+  const place = (node, left, depth) => {
+    const subtreeWidth = subtreeWidths.get(node);
+    const width = boxWidth(node);
+    const y = GRAPH.padding + depth * (GRAPH.nodeHeight + GRAPH.levelGap);
+    boxes.push({ node, x: left + (subtreeWidth - width) / 2, y, width, height: GRAPH.nodeHeight, title: node.label, detail: detailOf(node) });
+    height = Math.max(height, y + GRAPH.nodeHeight + GRAPH.padding);
+    const children = visibleChildren(node);
+    const childrenWidth = children.reduce((sum, child) => sum + subtreeWidths.get(child), 0)
+      + GRAPH.siblingGap * Math.max(children.length - 1, 0);
+    let childLeft = left + (subtreeWidth - childrenWidth) / 2;
+    children.forEach(child => {
+      place(child, childLeft, depth + 1);
+      childLeft += subtreeWidths.get(child) + GRAPH.siblingGap;
+    });
+  };
+  measure(tree.root);
+  place(tree.root, GRAPH.padding, 0);
+  return { width: subtreeWidths.get(tree.root) + 2 * GRAPH.padding, height, boxes };
+}
+
+/**
+ * Escapa un texto para insertarlo en SVG.
+ * @param {string} text - El texto.
+ * @returns {string} El texto escapado.
+ */
+function escapeXml(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+/**
+ * Dibuja el árbol como un grafo SVG independiente (con sus colores, para poder exportarlo).
+ * Cada nodo es un grupo `<g data-ast-id="...">` con la clase `ast-graph-node` (y `selected` o
+ * `collapsed`, si lo está). La página hace el zoom y el desplazamiento cambiando el `viewBox`.
+ * @param {{root: Object}} tree - El árbol (ver `buildAstTree`).
+ * @param {{collapsed?: Set<number>, selected?: number|null}} [options] - Los nodos plegados y el seleccionado.
+ * @returns {string} El documento SVG.
+ */
+export function astToSvg(tree, { collapsed = new Set(), selected = null } = {}) {
+  const { width, height, boxes } = layoutAstTree(tree, collapsed);
+  const positions = new Map(boxes.map(box => [box.node, box]));
+  const edges = boxes.filter(box => box.node.parent).map(box => {
+    const parent = positions.get(box.node.parent);
+    const x1 = parent.x + parent.width / 2;
+    const y1 = parent.y + parent.height;
+    const x2 = box.x + box.width / 2;
+    const y2 = box.y;
+    return `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="#a0aec0"/>`
+      + `<text x="${(x1 + x2) / 2}" y="${(y1 + y2) / 2}" font-size="10" fill="#718096" text-anchor="middle">${escapeXml(box.node.edge)}</text>`;
+  });
+  const nodes = boxes.map(({ node, x, y, width: boxWidth, height: boxHeight, title, detail }) => {
+    const classes = ["ast-graph-node", node.id === selected ? "selected" : "", collapsed.has(node.id) && node.children.length > 0 ? "collapsed" : ""];
+    const center = x + boxWidth / 2;
+    return `<g data-ast-id="${node.id}" class="${classes.join(" ").trim()}">`
+      + `<rect x="${x}" y="${y}" width="${boxWidth}" height="${boxHeight}" rx="6" fill="#ebf4ff" stroke="#5a67d8"${collapsed.has(node.id) && node.children.length > 0 ? ' stroke-dasharray="4 2"' : ""}/>`
+      + `<text x="${center}" y="${y + 16}" text-anchor="middle" font-weight="bold" fill="#2d3748">${escapeXml(title)}</text>`
+      + (detail ? `<text x="${center}" y="${y + 32}" text-anchor="middle" fill="#4a5568">${escapeXml(detail)}</text>` : "")
+      + `</g>`;
+  });
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="monospace" font-size="12">`
+    + `${edges.join("")}${nodes.join("")}</svg>`;
+}
+
+/**
+ * Escapa un texto para una cadena entre comillas de DOT.
+ * @param {string} text - El texto.
+ * @returns {string} El texto escapado.
+ */
+function escapeDot(text) {
+  return String(text).replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+}
+
+/**
+ * Escribe el árbol completo en el formato DOT de Graphviz: un nodo por nodo del AST, con su
+ * tipo y sus campos, y una arista por hijo, con el nombre del campo.
+ * @param {{nodes: Array<Object>}} tree - El árbol (ver `buildAstTree`).
+ * @returns {string} El grafo (`dot -Tpng ast.dot -o ast.png`).
+ */
+export function astToDot(tree) {
+  const lines = ["digraph AST {", '  node [shape=box, style=rounded, fontname="monospace"];'];
+  tree.nodes.forEach(node => {
+    const detail = describeFields(node);
+    lines.push(`  n${node.id} [label="${escapeDot(node.label)}${detail ? `\\n${escapeDot(detail)}` : ""}"];`);
+  });
+  tree.nodes.filter(node => node.parent).forEach(node => {
+    lines.push(`  n${node.parent.id} -> n${node.id} [label="${escapeDot(node.edge)}"];`);
+  });
+  lines.push("}");
+  return `${lines.join("\n")}\n`;
+}
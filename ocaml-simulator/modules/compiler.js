@@ -0,0 +1,1003 @@
+// modules/compiler.js
+
+import { Environment } from './environment.js';
+import { UNIT } from './values.js';
+import { primitives } from './primitives.js';
+import { formatValue, definedNames, bindingNames } from './toplevel.js';
+
+/**
+ * Compilador del AST a un bytecode para una máquina de pila, al estilo de la máquina ZINC
+ * del bytecode de OCaml. Las variables no se buscan por nombre al ejecutar: cada una se
+ * resuelve al compilar en una posición fija:
+ * - `LOCAL n`: la casilla `n` del marco de la función actual (el parámetro es la 0);
+ * - `ENVACC n`: la variable `n` capturada en el entorno de la clausura;
+ * - `RECACC n`: la función `n` del grupo `let rec` al que pertenece la función actual;
+ * - `GETGLOBAL n`: la definición de nivel superior `n` (las primeras son los valores predefinidos).
+ *
+ * Todas las funciones reciben un único argumento: `fun x y -> e` se compila como una
+ * clausura que devuelve otra clausura, igual que la currificación del lenguaje. Las
+ * llamadas en posición de cola se compilan con `APPTERM`, que reemplaza el marco actual.
+ *
+ * El programa compilado tiene una "frase" por sentencia de nivel superior (el código que
+ * se ejecuta para ella) y la lista de funciones, cada una con su código.
+ */
+
+/** Operadores binarios que se compilan a una sola instrucción. */
+const BINARY_INSTRUCTIONS = {
+  '+': "ADDINT", '-': "SUBINT", '*': "MULINT", '/': "DIVINT", 'mod': "MODINT",
+  'land': "ANDINT", 'lor': "ORINT", 'lxor': "XORINT", 'lsl': "LSLINT", 'lsr': "LSRINT", 'asr': "ASRINT",
+  '+.': "ADDFLOAT", '-.': "SUBFLOAT", '*.': "MULFLOAT", '/.': "DIVFLOAT", '**': "POWFLOAT",
+  '=': "EQ", '<>': "NEQ", '<': "LT", '>': "GT", '<=': "LE", '>=': "GE",
+  '==': "PHYSEQ", '!=': "PHYSNEQ", '^': "CONCAT", '@': "APPEND"
+};
+
+/**
+ * El código de una función (o de una frase de nivel superior) y la información para
+ * ejecutarlo: cuántas casillas locales necesita su marco y qué variables captura su clausura.
+ */
+class CodeBlock {
+  /**
+   * @param {string} name - Nombre para el listado (`fact`, `fun@3:10`, `frase 2`, ...).
+   * @param {Object} node - El nodo AST del que procede, para la posición.
+   * @param {number} locals - Casillas reservadas desde el principio (1 para el parámetro).
+   * @param {Array<Object>} [captures] - Las variables capturadas. Las funciones de un mismo
+   * `let rec` comparten la lista, porque comparten el entorno.
+   */
+  constructor(name, node, locals, captures = []) {
+    this.name = name;
+    this.node = node;
+    this.instructions = [];
+    this.localsCount = locals;
+    this.localNames = locals > 0 ? ["(parámetro)"] : [];
+    this.captures = captures;
+    this.index = -1; // Posición en `program.functions` (las frases no tienen).
+  }
+
+  /**
+   * Añade una instrucción.
+   * @param {string} op - El código de operación.
+   * @param {Array<*>} [args] - Sus operandos.
+   * @param {Object|null} [node] - El nodo AST, para la posición de los errores que produzca.
+   * @param {string} [comment] - Una aclaración para el listado (el nombre de una variable, ...).
+   * @returns {Object} La instrucción.
+   */
+  emit(op, args = [], node = null, comment = "") {
+    const instruction = { op, args, node, comment };
+    this.instructions.push(instruction);
+    return instruction;
+  }
+
+  /**
+   * Reserva una casilla local nueva.
+   * @param {string} name - El nombre de la variable (o una descripción del temporal), para el listado.
+   * @returns {number} El número de casilla.
+   */
+  newLocal(name) {
+    this.localNames.push(name);
+    return this.localsCount++;
+  }
+
+  /**
+   * Crea una etiqueta de salto, que se fija más tarde con `placeLabel`.
+   * @returns {{pc: number}} La etiqueta.
+   */
+  newLabel() {
+    return { pc: -1 };
+  }
+
+  /**
+   * Fija una etiqueta en la posición de la siguiente instrucción.
+   * @param {{pc: number}} label - La etiqueta.
+   */
+  placeLabel(label) {
+    label.pc = this.instructions.length;
+  }
+
+  /**
+   * Devuelve la posición de una variable capturada en el entorno de la clausura,
+   * añadiéndola si aún no se había capturado.
+   * @param {Object} location - La ubicación de la variable en una función exterior.
+   * @returns {number} Su posición en el entorno.
+   */
+  captureIndex(location) {
+    let index = this.captures.indexOf(location);
+    if (index === -1) {
+      index = this.captures.push(location) - 1;
+    }
+    return index;
+  }
+}
+
+/**
+ * Compila el programa completo.
+ * @param {Object} ast - El nodo `Program`, ya anotado por el análisis semántico.
+ * @returns {{globals: Array<string>, functions: Array<CodeBlock>, phrases: Array<Object>}} El
+ * programa: los nombres de las casillas globales, las funciones y una frase por sentencia
+ * (`{ statement, code, results, error }`).
+ */
+export function compileProgram(ast) {
+  return new Compiler().compileProgram(ast);
+}
+
+/**
+ * Traduce el AST a bytecode. Guarda las casillas globales y las funciones compiladas hasta
+ * el momento; el ámbito de compilación (qué ubicación corresponde a cada nombre) es un
+ * `Environment` que se extiende igual que el entorno del intérprete.
+ */
+class Compiler {
+  constructor() {
+    this.globals = [];
+    this.functions = [];
+    this.scope = new Environment();
+    // Los valores predefinidos ocupan las primeras casillas globales, en el orden de `primitives`.
+    const modules = new Map();
+    primitives.forEach(({ name }) => {
+      const location = this.newGlobal(name);
+      if (!name.includes(".")) {
+        this.scope.define(name, location);
+        return;
+      }
+      const [moduleName, component] = name.split(".");
+      if (!modules.has(moduleName)) {
+        modules.set(moduleName, new Map());
+      }
+      modules.get(moduleName).set(component, location);
+    });
+    modules.forEach((components, name) => this.scope.define(name, { kind: "module", components }));
+  }
+
+  /**
+   * Reserva una casilla global.
+   * @param {string} name - El nombre de la definición, para el listado.
+   * @returns {Object} Su ubicación.
+   */
+  newGlobal(name) {
+    return { kind: "global", slot: this.globals.push(name) - 1, name };
+  }
+
+  /**
+   * Compila cada sentencia de nivel superior en su propia frase. Un error de compilación
+   * (un nombre no definido, por ejemplo) se guarda en la frase para informarlo al ejecutarla.
+   * @param {Object} ast - El nodo `Program`.
+   * @returns {Object} El programa compilado.
+   */
+  compileProgram(ast) {
+    const phrases = ast.body.map((statement, i) => {
+      const code = new CodeBlock(`frase ${i + 1}`, statement, 0);
+      const firstFunction = this.functions.length;
+      const phrase = { statement, code, results: [], functions: [], error: null };
+      try {
+        if (!this.compileStatement(statement, code, phrase)) {
+          code.emit("RETURN");
+        }
+      } catch (error) {
+        phrase.error = error;
+      }
+      phrase.functions = this.functions.slice(firstFunction);
+      return phrase;
+    });
+    return { globals: this.globals, functions: this.functions, phrases };
+  }
+
+  /**
+   * Compila una sentencia de nivel superior. Sus definiciones se guardan en casillas
+   * globales nuevas, que se anotan en `phrase.results` para mostrarlas después.
+   * @param {Object} statement - La sentencia.
+   * @param {CodeBlock} code - El código de la frase.
+   * @param {Object|null} phrase - La frase, o `null` dentro de un módulo.
+   * @param {string} [modulePath] - Prefijo de los nombres globales dentro de un módulo (`"M."`).
+   * @returns {boolean} `true` si el código ya termina la frase (con `RETURN` o `APPTERM`); si
+   * no, deja el resultado en la pila.
+   */
+  compileStatement(statement, code, phrase, modulePath = "") {
+    switch (statement.type) {
+      case "LetDeclaration":
+      case "FunctionDeclaration":
+      case "PatternDeclaration":
+      case "DeclarationGroup": {
+        if (phrase && statement.type === "PatternDeclaration" && statement.pattern.type === "WildcardPattern") {
+          // `let _ = e` se muestra como la expresión `e`: su valor es el resultado de la frase.
+          this.compileExpression(statement.expression, this.scope, code, true);
+          return true;
+        }
+        const declarations = statement.type === "DeclarationGroup" ? statement.declarations : [statement];
+        const locations = declarations.flatMap(bindingNames).map(name => this.newGlobal(modulePath + name));
+        this.scope = this.compileBindings(declarations, statement.recursive, locations, this.scope, code);
+        if (phrase) {
+          // Una definición con patrón tiene como resultado las casillas de todas sus variables.
+          phrase.results = splitLocations(declarations, locations).map((group, i) => declarations[i].type === "PatternDeclaration"
+            ? group.map(location => location.slot)
+            : group[0].slot);
+        }
+        code.emit("CONST", [UNIT]);
+        break;
+      }
+
+      case "TopLevelExpression":
+        if (phrase) {
+          // El valor de la expresión es el resultado de la frase: puede ser una llamada en posición de cola.
+          this.compileExpression(statement.expression, this.scope, code, true);
+          return true;
+        }
+        this.compileExpression(statement.expression, this.scope, code, false);
+        break;
+
+      case "ModuleDeclaration":
+        this.scope = this.scope.extend();
+        this.scope.define(statement.name, this.compileModule(statement, code, modulePath));
+        code.emit("CONST", [UNIT]);
+        break;
+
+      case "OpenDeclaration":
+        // `open` solo cambia los nombres visibles al compilar: no genera código.
+        this.scope = this.openModule(statement.module, this.scope);
+        code.emit("CONST", [UNIT]);
+        break;
+
+      default:
+        // Las declaraciones de tipos, de excepciones y de firmas no generan código.
+        code.emit("CONST", [UNIT]);
+    }
+    return false;
+  }
+
+  /**
+   * Compila el cuerpo de un módulo dentro de la frase que lo define. Sus definiciones
+   * ocupan casillas globales con el nombre calificado (`M.x`), y el módulo es, al compilar,
+   * la tabla de las ubicaciones de los componentes que exporta: un acceso `M.x` se resuelve
+   * directamente a la casilla de `x`.
+   * @param {Object} declaration - El nodo `ModuleDeclaration`.
+   * @param {CodeBlock} code - El código de la frase.
+   * @param {string} modulePath - La ruta del módulo que lo contiene.
+   * @returns {Object} La ubicación del módulo (`{ kind: "module", components }`).
+   */
+  compileModule(declaration, code, modulePath) {
+    if (declaration.body.type === "ModulePath") {
+      return this.resolveModule(declaration.body.name, this.scope);
+    }
+    const outerScope = this.scope;
+    try {
+      for (const item of declaration.body.items) {
+        this.compileStatement(item, code, null, `${modulePath}${declaration.name}.`);
+        code.emit("POP");
+      }
+      const names = declaration.exports || definedNames(declaration.body.items);
+      return { kind: "module", components: new Map(names.map(name => [name, this.scope.lookup(name)])) };
+    } finally {
+      this.scope = outerScope;
+    }
+  }
+
+  /**
+   * Busca un módulo por su ruta (`M`, `M.N`).
+   * @param {string} path - La ruta.
+   * @param {Environment} scope - El ámbito actual.
+   * @returns {Object} La ubicación del módulo.
+   * @throws {Error} Si el módulo no existe.
+   */
+  resolveModule(path, scope) {
+    const location = this.resolveName(path, scope);
+    if (!location || location.kind !== "module") {
+      throw new Error(`Módulo "${path}" no definido.`);
+    }
+    return location;
+  }
+
+  /**
+   * Hace visibles sin calificar los componentes de un módulo (`open M`, `let open M in`).
+   * @param {string} path - La ruta del módulo.
+   * @param {Environment} scope - El ámbito actual.
+   * @returns {Environment} Un ámbito hijo con los componentes del módulo.
+   */
+  openModule(path, scope) {
+    const module = this.resolveModule(path, scope);
+    const opened = scope.extend();
+    module.components.forEach((location, name) => opened.define(name, location));
+    return opened;
+  }
+
+  /**
+   * Busca la ubicación de un nombre que puede estar calificado por módulos (`x`, `List.map`).
+   * @param {string} name - El nombre.
+   * @param {Environment} scope - El ámbito.
+   * @returns {Object|undefined} La ubicación, o `undefined` si no existe.
+   */
+  resolveName(name, scope) {
+    const [first, ...rest] = name.split(".");
+    let location = scope.lookup(first);
+    for (const component of rest) {
+      location = location && location.kind === "module" ? location.components.get(component) : undefined;
+    }
+    return location;
+  }
+
+  /**
+   * Emite el acceso a una variable desde el código de `code`. Si la variable pertenece a una
+   * función exterior, la función actual la captura en su entorno.
+   * @param {Object} location - La ubicación de la variable.
+   * @param {CodeBlock} code - El código que accede a ella.
+   * @param {Object|null} node - El nodo AST del acceso.
+   */
+  emitAccess(location, code, node = null) {
+    if (location.kind === "global") {
+      code.emit("GETGLOBAL", [location.slot], node, location.name);
+    } else if (location.block !== code) {
+      code.emit("ENVACC", [code.captureIndex(location)], node, location.name);
+    } else if (location.kind === "rec") {
+      code.emit("RECACC", [location.index], node, location.name);
+    } else {
+      code.emit("LOCAL", [location.slot], node, location.name);
+    }
+  }
+
+  /**
+   * Emite la instrucción que guarda el valor de la cima de la pila en una ubicación nueva.
+   * @param {Object} location - Una ubicación `global` o `local`.
+   * @param {CodeBlock} code - El código.
+   */
+  emitStore(location, code) {
+    if (location.kind === "global") {
+      code.emit("SETGLOBAL", [location.slot], null, location.name);
+    } else {
+      code.emit("SETLOCAL", [location.slot], null, location.name);
+    }
+  }
+
+  /**
+   * Compila un grupo de definiciones (`let x = e`, `let f x = e`, `let rec f ... and g ...`).
+   * En un grupo recursivo, las funciones se crean juntas con `CLOSUREREC`: comparten el
+   * entorno y cada una ve a las demás con `RECACC`. En uno no recursivo, las expresiones se
+   * compilan en el ámbito exterior, sin ver los nombres que se están definiendo.
+   * Una definición con patrón guarda su valor en una casilla local y lo ajusta al patrón.
+   * @param {Array<Object>} declarations - Nodos `LetDeclaration`, `FunctionDeclaration` o `PatternDeclaration`.
+   * @param {boolean} recursive - Si el grupo se declaró con `rec`.
+   * @param {Array<Object>} locations - Dónde se guarda cada nombre definido, en orden (globales o locales).
+   * @param {Environment} scope - El ámbito exterior.
+   * @param {CodeBlock} code - El código donde se evalúan las definiciones.
+   * @returns {Environment} El ámbito con las definiciones.
+   */
+  compileBindings(declarations, recursive, locations, scope, code) {
+    const newScope = scope.extend();
+    const declarationLocations = splitLocations(declarations, locations);
+    const functions = recursive ? declarations.filter(isFunctionBinding) : [];
+    if (functions.length > 0) {
+      // Las funciones del grupo comparten una lista de capturas: su entorno común.
+      const captures = [];
+      const blocks = functions.map(declaration => new CodeBlock(bindingName(declaration), declaration, 1, captures));
+      blocks.forEach((block, i) => {
+        const bodyScope = scope.extend();
+        functions.forEach((declaration, j) => {
+          bodyScope.define(bindingName(declaration), { kind: "rec", index: j, block, name: bindingName(declaration) });
+        });
+        this.compileFunctionBody(block, functionParts(functions[i]), bodyScope);
+      });
+      captures.forEach(location => this.emitAccess(location, code));
+      code.emit("CLOSUREREC", [blocks.map(block => block.index), captures.length], functions[0]);
+      // `CLOSUREREC` deja las clausuras en la pila en orden: se guardan de la última a la primera.
+      [...functions].reverse().forEach(declaration => {
+        const [location] = declarationLocations[declarations.indexOf(declaration)];
+        this.emitStore(location, code);
+        newScope.define(bindingName(declaration), location);
+      });
+    }
+
+    declarations.forEach((declaration, i) => {
+      if (functions.includes(declaration)) return;
+      const definitionScope = recursive ? newScope : scope;
+      if (declaration.type === "PatternDeclaration") {
+        this.compileExpression(declaration.expression, definitionScope, code, false);
+        this.compilePatternBinding(declaration, declarationLocations[i], code);
+        return;
+      }
+      if (declaration.type === "FunctionDeclaration") {
+        this.compileClosure(bindingName(declaration), declaration.params, null, declaration.body, declaration, definitionScope, code);
+      } else {
+        this.compileExpression(declaration.expression, definitionScope, code, false, bindingName(declaration));
+      }
+      this.emitStore(declarationLocations[i][0], code);
+    });
+    declarations.forEach((declaration, i) => {
+      bindingNames(declaration).forEach((name, j) => newScope.define(name, declarationLocations[i][j]));
+    });
+    return newScope;
+  }
+
+  /**
+   * Ajusta al patrón de una definición `let patrón = expresión` el valor que está en la cima
+   * de la pila, y guarda cada variable del patrón en su ubicación. Si el valor no coincide,
+   * lanza `Match_failure`.
+   * @param {Object} declaration - El nodo `PatternDeclaration`.
+   * @param {Array<Object>} locations - Dónde se guarda cada variable, en orden.
+   * @param {CodeBlock} code - El código.
+   */
+  compilePatternBinding(declaration, locations, code) {
+    const subject = { kind: "local", slot: code.newLocal("(let)"), block: code, name: "(let)" };
+    code.emit("SETLOCAL", [subject.slot], null, "(let)");
+    const patternScope = new Environment();
+    const failure = code.newLabel();
+    this.compilePattern(declaration.pattern, subject, patternScope, code, failure);
+    if (!isIrrefutable(declaration.pattern)) {
+      const matched = code.newLabel();
+      code.emit("BRANCH", [matched]);
+      code.placeLabel(failure);
+      code.emit("MATCHFAILURE", [], declaration);
+      code.placeLabel(matched);
+    }
+    bindingNames(declaration).forEach((name, i) => {
+      this.emitAccess(patternScope.lookup(name), code);
+      this.emitStore(locations[i], code);
+    });
+  }
+
+  /**
+   * Compila una función y emite en `code` la creación de su clausura: primero las
+   * variables que captura y después `CLOSURE`.
+   * @param {string} name - El nombre de la función, para el listado.
+   * @param {Array<Object>|null} params - Los patrones de los parámetros.
+   * @param {Array<Object>|null} cases - Los casos de una función `function`.
+   * @param {Object|null} body - El cuerpo.
+   * @param {Object} node - El nodo AST de la función.
+   * @param {Environment} scope - El ámbito donde se define.
+   * @param {CodeBlock} code - El código que crea la clausura.
+   */
+  compileClosure(name, params, cases, body, node, scope, code) {
+    const block = new CodeBlock(name, node, 1);
+    this.compileFunctionBody(block, { params, cases, body, node }, scope);
+    block.captures.forEach(location => this.emitAccess(location, code));
+    code.emit("CLOSURE", [block.index, block.captures.length], node, name);
+  }
+
+  /**
+   * Compila el código de una función de un argumento y la registra en `functions`. Si la
+   * función tiene varios parámetros, su cuerpo crea y devuelve la clausura que espera el siguiente.
+   * @param {CodeBlock} block - El código de la función.
+   * @param {{params: Array<Object>|null, cases: Array<Object>|null, body: Object|null, node: Object}} parts - La función.
+   * @param {Environment} scope - El ámbito donde se define la función.
+   */
+  compileFunctionBody(block, { params, cases, body, node }, scope) {
+    block.index = this.functions.push(block) - 1;
+    const name = params && params[0].type === "VariablePattern" ? params[0].name : "(parámetro)";
+    block.localNames[0] = name;
+    const argument = { kind: "local", slot: 0, block, name };
+    if (cases) {
+      this.compileCases(cases, argument, scope, block, true, cases[0]);
+      return;
+    }
+    const bodyScope = scope.extend();
+    const failure = block.newLabel();
+    this.compilePattern(params[0], argument, bodyScope, block, failure);
+    const matched = block.newLabel();
+    if (!isIrrefutable(params[0])) {
+      block.emit("BRANCH", [matched]);
+      block.placeLabel(failure);
+      block.emit("MATCHFAILURE", [], params[0]);
+    }
+    block.placeLabel(matched);
+    if (params.length > 1) {
+      this.compileClosure(block.name, params.slice(1), null, body, node, bodyScope, block);
+      block.emit("RETURN");
+    } else {
+      this.compileExpression(body, bodyScope, block, true);
+    }
+  }
+
+  /**
+   * Compila una expresión: su código deja el valor en la cima de la pila. En posición de cola
+   * (`tail`), el código termina la función: acaba en `RETURN` o en una llamada `APPTERM`.
+   * @param {Object} node - La expresión.
+   * @param {Environment} scope - El ámbito.
+   * @param {CodeBlock} code - El código donde se emite.
+   * @param {boolean} tail - Si la expresión está en posición de cola.
+   * @param {string} [name] - El nombre con el que se define el valor, para nombrar las funciones anónimas.
+   */
+  compileExpression(node, scope, code, tail, name = null) {
+    switch (node.type) {
+      case "NumberLiteral":
+      case "FloatLiteral":
+      case "CharLiteral":
+      case "StringLiteral":
+      case "BooleanLiteral":
+        code.emit("CONST", [node.value], node);
+        break;
+
+      case "Identifier": {
+        const location = this.resolveName(node.value, scope);
+        if (!location || location.kind === "module") {
+          throw new Error(`Variable "${node.value}" no definida.`);
+        }
+        this.emitAccess(location, code, node);
+        break;
+      }
+
+      case "FunctionExpression":
+        this.compileClosure(name || `fun@${node.line}:${node.column}`, node.params || null, node.cases || null, node.body || null, node, scope, code);
+        break;
+
+      case "LetExpression": {
+        const locations = node.declarations.flatMap(bindingNames).map(name => ({ kind: "local", slot: code.newLocal(name), block: code, name }));
+        const bodyScope = this.compileBindings(node.declarations, node.recursive, locations, scope, code);
+        this.compileExpression(node.body, bodyScope, code, tail);
+        return;
+      }
+
+      case "LetOpenExpression":
+        this.compileExpression(node.body, this.openModule(node.module, scope), code, tail);
+        return;
+
+      case "ApplicationExpression":
+        this.compileExpression(node.callee, scope, code, false);
+        this.compileExpression(node.argument, scope, code, false);
+        // Una llamada en posición de cola reemplaza el marco de la función actual.
+        code.emit(tail ? "APPTERM" : "APPLY", [], node);
+        return;
+
+      case "IfExpression":
+        this.compileConditional(node.condition, node.thenBranch, node.elseBranch, scope, code, tail);
+        return;
+
+      case "BinaryExpression":
+        // `a && b` es `if a then b else false` y `a || b` es `if a then true else b`.
+        if (node.operator === '&&') {
+          this.compileConditional(node.left, node.right, { type: "BooleanLiteral", value: false }, scope, code, tail);
+          return;
+        }
+        if (node.operator === '||') {
+          this.compileConditional(node.left, { type: "BooleanLiteral", value: true }, node.right, scope, code, tail);
+          return;
+        }
+        this.compileExpression(node.left, scope, code, false);
+        this.compileExpression(node.right, scope, code, false);
+        if (node.operator === ':=') {
+          code.emit("SETRECORDFIELD", ["contents"], node);
+          code.emit("CONST", [UNIT]);
+        } else if (BINARY_INSTRUCTIONS[node.operator]) {
+          code.emit(BINARY_INSTRUCTIONS[node.operator], [], node);
+        } else {
+          throw new Error(`Operador desconocido: ${node.operator}`);
+        }
+        break;
+
+      case "UnaryExpression":
+        this.compileExpression(node.operand, scope, code, false);
+        if (node.operator === '!') {
+          code.emit("GETRECORDFIELD", ["contents"], node);
+        } else {
+          code.emit(node.operator === '-.' ? "NEGFLOAT" : "NEGINT", [], node);
+        }
+        break;
+
+      case "MatchExpression": {
+        this.compileExpression(node.scrutinee, scope, code, false);
+        const scrutinee = { kind: "local", slot: code.newLocal("(match)"), block: code, name: "(match)" };
+        code.emit("SETLOCAL", [scrutinee.slot], null, "(match)");
+        this.compileCases(node.cases, scrutinee, scope, code, tail, node);
+        return;
+      }
+
+      case "TryExpression": {
+        // `PUSHTRAP` instala el manejador: si el cuerpo lanza una excepción, la pila se
+        // restaura y la ejecución sigue en el manejador con la excepción en la cima.
+        const handler = code.newLabel();
+        const end = code.newLabel();
+        code.emit("PUSHTRAP", [handler], node);
+        this.compileExpression(node.body, scope, code, false);
+        code.emit("POPTRAP");
+        code.emit("BRANCH", [end]);
+        code.placeLabel(handler);
+        const exception = { kind: "local", slot: code.newLocal("(excepción)"), block: code, name: "(excepción)" };
+        code.emit("SETLOCAL", [exception.slot], null, "(excepción)");
+        // Si ningún caso acepta la excepción, se vuelve a lanzar.
+        this.compileCases(node.cases, exception, scope, code, tail, null);
+        code.placeLabel(end);
+        break;
+      }
+
+      case "TupleExpression":
+        node.elements.forEach(element => this.compileExpression(element, scope, code, false));
+        code.emit("MAKETUPLE", [node.elements.length], node);
+        break;
+
+      case "ConstructorExpression":
+        if (node.argument) {
+          this.compileExpression(node.argument, scope, code, false);
+        }
+        code.emit("MAKEBLOCK", [node.qualifiedName || node.name, node.tag || 0, node.argument ? 1 : 0], node);
+        break;
+
+      case "ListExpression":
+        node.elements.forEach(element => this.compileExpression(element, scope, code, false));
+        code.emit("MAKELIST", [node.elements.length], node);
+        break;
+
+      case "ConsExpression":
+        this.compileExpression(node.head, scope, code, false);
+        this.compileExpression(node.tail, scope, code, false);
+        code.emit("CONS", [], node);
+        break;
+
+      case "ArrayExpression":
+        node.elements.forEach(element => this.compileExpression(element, scope, code, false));
+        code.emit("MAKEARRAY", [node.elements.length], node);
+        break;
+
+      case "RecordExpression": {
+        if (node.base) {
+          this.compileExpression(node.base, scope, code, false);
+        }
+        node.fields.forEach(field => this.compileExpression(field.value, scope, code, false));
+        const order = node.fieldOrder || node.fields.map(field => field.name);
+        code.emit("MAKERECORD", [node.fields.map(field => field.name), order, node.mutableFields || [], Boolean(node.base)], node);
+        break;
+      }
+
+      case "FieldAccessExpression":
+        this.compileExpression(node.record, scope, code, false);
+        code.emit("GETRECORDFIELD", [node.field], node);
+        break;
+
+      case "ArrayAccessExpression":
+        this.compileExpression(node.array, scope, code, false);
+        this.compileExpression(node.index, scope, code, false);
+        code.emit("GETARRAY", [], node);
+        break;
+
+      case "AssignmentExpression":
+        if (node.target.type === "FieldAccessExpression") {
+          this.compileExpression(node.target.record, scope, code, false);
+          this.compileExpression(node.value, scope, code, false);
+          code.emit("SETRECORDFIELD", [node.target.field], node);
+        } else {
+          this.compileExpression(node.target.array, scope, code, false);
+          this.compileExpression(node.target.index, scope, code, false);
+          this.compileExpression(node.value, scope, code, false);
+          code.emit("SETARRAY", [], node);
+        }
+        code.emit("CONST", [UNIT]);
+        break;
+
+      case "SequenceExpression":
+        if (node.expressions.length === 0) {
+          code.emit("CONST", [UNIT]);
+          break;
+        }
+        node.expressions.forEach((expression, i) => {
+          const last = i === node.expressions.length - 1;
+          this.compileExpression(expression, scope, code, last && tail);
+          if (!last) code.emit("POP");
+        });
+        return;
+
+      case "WhileExpression": {
+        const loop = code.newLabel();
+        const end = code.newLabel();
+        code.placeLabel(loop);
+        this.compileExpression(node.condition, scope, code, false);
+        code.emit("BRANCHIFNOT", [end]);
+        this.compileExpression(node.body, scope, code, false);
+        code.emit("POP");
+        code.emit("BRANCH", [loop]);
+        code.placeLabel(end);
+        code.emit("CONST", [UNIT]);
+        break;
+      }
+
+      case "ForExpression": {
+        // La variable del bucle y el límite (evaluado una sola vez) ocupan dos casillas locales.
+        const variable = { kind: "local", slot: code.newLocal(node.variable), block: code, name: node.variable };
+        const limit = code.newLocal("(límite)");
+        const loop = code.newLabel();
+        const end = code.newLabel();
+        this.compileExpression(node.start, scope, code, false);
+        code.emit("SETLOCAL", [variable.slot], null, node.variable);
+        this.compileExpression(node.end, scope, code, false);
+        code.emit("SETLOCAL", [limit], null, "(límite)");
+        code.placeLabel(loop);
+        code.emit("LOCAL", [variable.slot], null, node.variable);
+        code.emit("LOCAL", [limit], null, "(límite)");
+        code.emit(node.direction === "to" ? "LE" : "GE");
+        code.emit("BRANCHIFNOT", [end]);
+        const bodyScope = scope.extend();
+        bodyScope.define(node.variable, variable);
+        this.compileExpression(node.body, bodyScope, code, false);
+        code.emit("POP");
+        code.emit("LOCAL", [variable.slot], null, node.variable);
+        code.emit("CONST", [1n]);
+        code.emit(node.direction === "to" ? "ADDINT" : "SUBINT");
+        code.emit("SETLOCAL", [variable.slot], null, node.variable);
+        code.emit("BRANCH", [loop]);
+        code.placeLabel(end);
+        code.emit("CONST", [UNIT]);
+        break;
+      }
+
+      default:
+        throw new Error(`Tipo de nodo AST desconocido para la compilación: ${node.type}`);
+    }
+    if (tail) {
+      code.emit("RETURN");
+    }
+  }
+
+  /**
+   * Compila `if condición then a else b` (sin `else`, el resultado es `()`).
+   * @param {Object} condition - La condición.
+   * @param {Object} thenBranch - La rama `then`.
+   * @param {Object|null} elseBranch - La rama `else`.
+   * @param {Environment} scope - El ámbito.
+   * @param {CodeBlock} code - El código.
+   * @param {boolean} tail - Si la expresión está en posición de cola (y con ella sus ramas).
+   */
+  compileConditional(condition, thenBranch, elseBranch, scope, code, tail) {
+    const otherwise = code.newLabel();
+    const end = code.newLabel();
+    this.compileExpression(condition, scope, code, false);
+    code.emit("BRANCHIFNOT", [otherwise]);
+    this.compileExpression(thenBranch, scope, code, tail);
+    if (!tail) code.emit("BRANCH", [end]);
+    code.placeLabel(otherwise);
+    if (elseBranch) {
+      this.compileExpression(elseBranch, scope, code, tail);
+    } else {
+      code.emit("CONST", [UNIT]);
+      if (tail) code.emit("RETURN");
+    }
+    code.placeLabel(end);
+  }
+
+  /**
+   * Compila los casos de un `match`, de una función `function` o de un manejador `try`:
+   * se prueba cada patrón (y su guarda) en orden sobre el valor de `subject`, y se evalúa
+   * el cuerpo del primero que coincide.
+   * @param {Array<Object>} cases - Los casos.
+   * @param {Object} subject - La ubicación local del valor comparado.
+   * @param {Environment} scope - El ámbito.
+   * @param {CodeBlock} code - El código.
+   * @param {boolean} tail - Si los cuerpos están en posición de cola.
+   * @param {Object|null} failureNode - El nodo para `Match_failure` si ningún caso coincide,
+   * o `null` para volver a lanzar el valor (la excepción de un `try`).
+   */
+  compileCases(cases, subject, scope, code, tail, failureNode) {
+    const end = code.newLabel();
+    for (const matchCase of cases) {
+      const next = code.newLabel();
+      const caseScope = scope.extend();
+      this.compilePattern(matchCase.pattern, subject, caseScope, code, next);
+      if (matchCase.guard) {
+        this.compileExpression(matchCase.guard, caseScope, code, false);
+        code.emit("BRANCHIFNOT", [next]);
+      }
+      this.compileExpression(matchCase.body, caseScope, code, tail);
+      if (!tail) code.emit("BRANCH", [end]);
+      code.placeLabel(next);
+    }
+    if (failureNode) {
+      code.emit("MATCHFAILURE", [], failureNode);
+    } else {
+      this.emitAccess(subject, code);
+      code.emit("RERAISE");
+    }
+    code.placeLabel(end);
+  }
+
+  /**
+   * Compila la comprobación de un patrón sobre el valor de una casilla local. Si el valor no
+   * coincide, salta a `failure`; si coincide, las variables del patrón quedan definidas en
+   * `scope` (cada una en la casilla que contiene su parte del valor).
+   * @param {Object} pattern - El patrón.
+   * @param {Object} subject - La ubicación local del valor.
+   * @param {Environment} scope - El ámbito donde se definen las variables del patrón.
+   * @param {CodeBlock} code - El código.
+   * @param {{pc: number}} failure - La etiqueta a la que se salta si el valor no coincide.
+   */
+  compilePattern(pattern, subject, scope, code, failure) {
+    // Extrae una parte del valor (con las instrucciones `extract`) a una casilla nueva y compara con ella el subpatrón.
+    const part = (subpattern, description, ...extract) => {
+      if (subpattern.type === "WildcardPattern") return;
+      this.emitAccess(subject, code);
+      extract.forEach(([op, args = []]) => code.emit(op, args));
+      const name = subpattern.type === "VariablePattern" ? subpattern.name : description;
+      const location = { kind: "local", slot: code.newLocal(name), block: code, name };
+      code.emit("SETLOCAL", [location.slot], null, name);
+      this.compilePattern(subpattern, location, scope, code, failure);
+    };
+    const test = name => {
+      this.emitAccess(subject, code);
+      code.emit("ISCONSTR", [name]);
+      code.emit("BRANCHIFNOT", [failure]);
+    };
+
+    switch (pattern.type) {
+      case "WildcardPattern":
+        break;
+      case "VariablePattern":
+        scope.define(pattern.name, subject);
+        break;
+      case "LiteralPattern":
+        this.emitAccess(subject, code);
+        code.emit("CONST", [pattern.literal.value]);
+        code.emit("EQ");
+        code.emit("BRANCHIFNOT", [failure]);
+        break;
+      case "AliasPattern":
+        this.compilePattern(pattern.pattern, subject, scope, code, failure);
+        scope.define(pattern.name, subject);
+        break;
+      case "OrPattern": {
+        // Las dos alternativas definen las mismas variables: se copian a casillas comunes.
+        const right = code.newLabel();
+        const matched = code.newLabel();
+        const leftScope = new Environment();
+        this.compilePattern(pattern.left, subject, leftScope, code, right);
+        const shared = new Map([...leftScope.values.keys()].map(name => [name, { kind: "local", slot: code.newLocal(name), block: code, name }]));
+        const copy = alternativeScope => shared.forEach((location, name) => {
+          const source = alternativeScope.lookup(name);
+          if (!source) return; // Alternativas con variables distintas: el análisis semántico ya lo informa.
+          this.emitAccess(source, code);
+          code.emit("SETLOCAL", [location.slot], null, name);
+        });
+        copy(leftScope);
+        code.emit("BRANCH", [matched]);
+        code.placeLabel(right);
+        const rightScope = new Environment();
+        this.compilePattern(pattern.right, subject, rightScope, code, failure);
+        copy(rightScope);
+        code.placeLabel(matched);
+        shared.forEach((location, name) => scope.define(name, location));
+        break;
+      }
+      case "TuplePattern":
+        pattern.elements.forEach((element, i) => part(element, `(componente ${i})`, ["GETFIELD", [i]]));
+        break;
+      case "ConsPattern":
+        test("::");
+        part(pattern.head, "(cabeza)", ["GETFIELD", [0]]);
+        part(pattern.tail, "(cola)", ["GETFIELD", [1]]);
+        break;
+      case "ListPattern": {
+        // `[p1; p2]` es `p1 :: p2 :: []`.
+        const nil = { type: "ConstructorPattern", name: "[]", argument: null };
+        const desugared = pattern.elements.reduceRight((tail, head) => ({ type: "ConsPattern", head, tail }), nil);
+        this.compilePattern(desugared, subject, scope, code, failure);
+        break;
+      }
+      case "ConstructorPattern":
+        // El análisis semántico anota el nombre calificado (`M.Leaf`), el mismo se escriba `Leaf` o `M.Leaf`.
+        test(pattern.qualifiedName || pattern.name);
+        if (pattern.argument) {
+          part(pattern.argument, "(argumento)", ["GETARG"]);
+        }
+        break;
+      case "RecordPattern":
+        pattern.fields.forEach(field => part(field.pattern, `(campo ${field.name})`, ["GETRECORDFIELD", [field.name]]));
+        break;
+      default:
+        throw new Error(`Tipo de patrón desconocido: ${pattern.type}`);
+    }
+  }
+}
+
+/**
+ * Devuelve el nombre que define una declaración.
+ * @param {Object} declaration - Un nodo `LetDeclaration` o `FunctionDeclaration`.
+ * @returns {string} El nombre.
+ */
+function bindingName(declaration) {
+  return declaration.type === "FunctionDeclaration" ? declaration.name : declaration.identifier;
+}
+
+/**
+ * Reparte entre las definiciones de un grupo las ubicaciones de los nombres que definen.
+ * @param {Array<Object>} declarations - Las definiciones.
+ * @param {Array<Object>} locations - Las ubicaciones de todos los nombres, en orden.
+ * @returns {Array<Array<Object>>} Las ubicaciones de cada definición.
+ */
+function splitLocations(declarations, locations) {
+  let next = 0;
+  return declarations.map(declaration => locations.slice(next, next += bindingNames(declaration).length));
+}
+
+/**
+ * Indica si una declaración define una función (`let f x = ...` o `let f = fun x -> ...`),
+ * que en un `let rec` se crea con `CLOSUREREC`.
+ * @param {Object} declaration - La declaración.
+ * @returns {boolean} `true` si define una función.
+ */
+function isFunctionBinding(declaration) {
+  return declaration.type === "FunctionDeclaration" || declaration.expression.type === "FunctionExpression";
+}
+
+/**
+ * Devuelve los componentes de la función que define una declaración.
+ * @param {Object} declaration - Una declaración para la que `isFunctionBinding` es `true`.
+ * @returns {{params: Array<Object>|null, cases: Array<Object>|null, body: Object|null, node: Object}} La función.
+ */
+function functionParts(declaration) {
+  const node = declaration.type === "FunctionDeclaration" ? declaration : declaration.expression;
+  return { params: node.params || null, cases: node.cases || null, body: node.body || null, node };
+}
+
+/**
+ * Indica si un patrón acepta cualquier valor, de modo que no hace falta el código de `Match_failure`.
+ * @param {Object} pattern - El patrón.
+ * @returns {boolean} `true` si el patrón es irrefutable.
+ */
+function isIrrefutable(pattern) {
+  switch (pattern.type) {
+    case "WildcardPattern":
+    case "VariablePattern":
+      return true;
+    case "AliasPattern":
+      return isIrrefutable(pattern.pattern);
+    case "TuplePattern":
+      return pattern.elements.every(isIrrefutable);
+    case "RecordPattern":
+      return pattern.fields.every(field => isIrrefutable(field.pattern));
+    case "ConstructorPattern":
+      return pattern.name === "()";
+    default:
+      return false;
+  }
+}
+
+/**
+ * Escribe un programa compilado como listado legible: el código de cada sentencia de nivel
+ * superior seguido del de las funciones que define, con una instrucción por línea.
+ * @param {Object} program - El programa devuelto por `compileProgram`.
+ * @returns {string} El listado.
+ */
+export function disassemble(program) {
+  return program.phrases.map(phrase => {
+    const { statement } = phrase;
+    const header = `(* Sentencia ${program.phrases.indexOf(phrase) + 1}, línea ${statement.line} *)`;
+    if (phrase.error) {
+      return `${header}\n    ❌ ${phrase.error.message}`;
+    }
+    const blocks = [listBlock(phrase.code), ...phrase.functions.map(block => `F${block.index}: ${block.name} (línea ${block.node.line}, columna ${block.node.column})` +
+      `, ${block.localsCount} ${block.localsCount === 1 ? 'casilla' : 'casillas'}, entorno: [${block.captures.map(location => location.name).join(', ')}]\n${listBlock(block)}`)];
+    return `${header}\n${blocks.join('\n\n')}`;
+  }).join('\n\n');
+}
+
+/**
+ * Escribe las instrucciones de un bloque de código, numeradas.
+ * @param {CodeBlock} block - El bloque.
+ * @returns {string} Una línea por instrucción.
+ */
+function listBlock(block) {
+  const width = String(block.instructions.length).length;
+  return block.instructions.map((instruction, pc) => {
+    const text = `${String(pc).padStart(width + 4)}  ${instruction.op}${formatOperands(instruction)}`;
+    return instruction.comment ? `${text.padEnd(36)} (* ${instruction.comment} *)` : text;
+  }).join('\n');
+}
+
+/**
+ * Escribe los operandos de una instrucción para el listado.
+ * @param {Object} instruction - La instrucción.
+ * @returns {string} Los operandos, precedidos de un espacio (o vacío si no tiene).
+ */
+function formatOperands({ op, args }) {
+  switch (op) {
+    case "CONST":
+      return ` ${formatValue(args[0])}`;
+    case "BRANCH":
+    case "BRANCHIF":
+    case "BRANCHIFNOT":
+    case "PUSHTRAP":
+      return ` ${args[0].pc}`;
+    case "CLOSURE":
+      return ` F${args[0]}, ${args[1]}`;
+    case "CLOSUREREC":
+      return ` [${args[0].map(index => `F${index}`).join(', ')}], ${args[1]}`;
+    case "MAKEBLOCK":
+      return ` ${args[0]}, ${args[2]}`;
+    case "MAKERECORD":
+      return ` {${args[0].join('; ')}}${args[3] ? ' with' : ''}`;
+    case "ISCONSTR":
+    case "GETRECORDFIELD":
+    case "SETRECORDFIELD":
+      return ` ${args[0]}`;
+    default:
+      return args.length > 0 ? ` ${args.join(', ')}` : '';
+  }
+}
@@ -0,0 +1,291 @@
+// modules/debugger.js
+
+import { walkAst } from './parser.js';
+import { rangeOf } from './diagnostics.js';
+import { OCamlModule } from './values.js';
+import { describeStatement, describeError, formatValue } from './toplevel.js';
+import { Interpreter, OCamlFunction, Pause, createGlobalEnvironment } from './interpreter.js';
+
+/**
+ * Depurador paso a paso. Ejecuta el programa con el intérprete en modo observado
+ * (`Interpreter.run` con `observe`), que se detiene antes de evaluar cada subexpresión, y
+ * avanza de una pausa a otra según la orden: entrar, saltar, salir o continuar hasta un
+ * punto de ruptura. En cada pausa ofrece la subexpresión que se va a reducir (su posición en
+ * el código), la cadena de entornos, el contenido de las clausuras y la pila de llamadas.
+ *
+ * Las funciones que llaman las predefinidas (`List.map f l`) se ejecutan sin pausas: el
+ * intérprete las evalúa con `drive`, fuera del bucle observado.
+ */
+
+/** Pausas que puede avanzar una orden antes de detenerse aunque no haya llegado a su destino. */
+export const DEFAULT_STEP_BUDGET = 1000000;
+
+/**
+ * Nombre de la función que se llama en una aplicación (`f` en `f x y`), para la pila de llamadas.
+ * @param {Object} call - El nodo `ApplicationExpression`.
+ * @returns {string} El nombre, o `fun` si la función no es un identificador.
+ */
+function calleeName(call) {
+  let callee = call;
+  while (callee.type === "ApplicationExpression") {
+    callee = callee.callee;
+  }
+  return callee.type === "Identifier" ? callee.value : "fun";
+}
+
+/**
+ * Número de llamadas activas: los marcos que ejecutan el cuerpo de una función.
+ * @param {Array<Frame>} frames - Los marcos de una pausa.
+ * @returns {number} Las llamadas.
+ */
+function callDepth(frames) {
+  return frames.reduce((count, frame) => count + (frame.call ? 1 : 0), 0);
+}
+
+/**
+ * Texto con el que se muestra un valor en el inspector.
+ * @param {*} value - El valor.
+ * @returns {string} Su representación con la sintaxis de OCaml.
+ */
+function formatBinding(value) {
+  return value instanceof OCamlModule ? `<módulo ${[...value.components.keys()].join(", ")}>` : formatValue(value);
+}
+
+/**
+ * Una sesión de depuración de un programa. Al crearla queda en pausa al principio de la
+ * primera sentencia; cada orden devuelve el estado de la pausa siguiente.
+ */
+export class Debugger {
+  /**
+   * @param {Object} ast - El AST del programa (ya comprobado por el análisis semántico).
+   * @param {string} source - El código fuente, para mostrar el fragmento de cada subexpresión.
+   * @param {{maxStackDepth?: number, stepBudget?: number}} [options] - La profundidad máxima
+   * de la pila del intérprete y las pausas que puede avanzar una orden sin detenerse.
+   */
+  constructor(ast, source, options = {}) {
+    this.ast = ast;
+    this.source = source;
+    this.lines = source.split("\n");
+    this.statement = null; // La sentencia de nivel superior que se está ejecutando.
+    this.stdout = [];
+    this.globals = createGlobalEnvironment(this.stdout);
+    this.interpreter = new Interpreter(ast, this.globals, options);
+    this.stepBudget = options.stepBudget ?? DEFAULT_STEP_BUDGET;
+    this.breakpoints = new Set();
+    this.output = "";
+    this.message = "";
+    this.steps = this.run();
+    this.pause = null;
+    this.finished = false;
+    this.advance(() => true);
+  }
+
+  /**
+   * Activa o desactiva un punto de ruptura.
+   * @param {number} line - La línea (empezando en 1).
+   * @returns {boolean} Si la línea tiene ahora un punto de ruptura.
+   */
+  toggleBreakpoint(line) {
+    if (this.breakpoints.delete(line)) {
+      return false;
+    }
+    this.breakpoints.add(line);
+    return true;
+  }
+
+  /**
+   * Avanza hasta la siguiente subexpresión, entrando en las llamadas.
+   * @returns {Object} El estado de la nueva pausa (ver `state`).
+   */
+  stepInto() {
+    return this.advance(() => true);
+  }
+
+  /**
+   * Avanza hasta la siguiente subexpresión que no esté dentro de la actual: las llamadas que
+   * haga se ejecutan sin detenerse (salvo en un punto de ruptura).
+   * @returns {Object} El estado de la nueva pausa.
+   */
+  stepOver() {
+    if (this.finished || !this.pause) return this.state();
+    const { frames } = this.pause;
+    const depth = frames.length;
+    const calls = callDepth(frames);
+    return this.advance(pause => pause.frames.length <= depth && callDepth(pause.frames) <= calls, true);
+  }
+
+  /**
+   * Avanza hasta que termina la llamada actual (o la sentencia, si no hay ninguna llamada).
+   * @returns {Object} El estado de la nueva pausa.
+   */
+  stepOut() {
+    if (this.finished || !this.pause) return this.state();
+    const calls = callDepth(this.pause.frames);
+    return this.advance(pause => callDepth(pause.frames) < calls || pause.frames.length === 0, true);
+  }
+
+  /**
+   * Continúa hasta el siguiente punto de ruptura o hasta el final del programa.
+   * @returns {Object} El estado de la nueva pausa.
+   */
+  continue() {
+    return this.advance(() => false, true);
+  }
+
+  /**
+   * Reanuda la ejecución hasta una pausa que cumpla la condición, que llegue a un punto de
+   * ruptura o que agote el presupuesto de pasos.
+   * @param {function(Object): boolean} accept - Si hay que detenerse en una pausa.
+   * @param {boolean} [breakable] - Si los puntos de ruptura detienen la ejecución. Las pausas
+   * de la línea de partida no cuentan hasta que la ejecución pasa a otra línea.
+   * @returns {Object} El estado de la nueva pausa.
+   */
+  advance(accept, breakable = false) {
+    if (this.finished) {
+      return this.state();
+    }
+    let line = this.pause ? rangeOf(this.pause.node).start.line : null;
+    let pause = this.pause;
+    this.message = "";
+    for (let step = 0; ; step++) {
+      if (step === this.stepBudget) {
+        this.message = `⚠️ Se avanzaron ${this.stepBudget} pasos sin llegar al destino; la ejecución sigue en pausa aquí.`;
+        break;
+      }
+      const next = this.steps.next();
+      if (next.done) {
+        this.pause = null;
+        this.finished = true;
+        return this.state();
+      }
+      pause = next.value;
+      const current = rangeOf(pause.node).start.line;
+      if (accept(pause) || (breakable && current !== line && this.breakpoints.has(current))) {
+        break;
+      }
+      if (current !== line) {
+        line = null; // La ejecución ya salió de la línea de partida.
+      }
+    }
+    // Los marcos de una `Pause` son el array vivo del intérprete: se copian para conservarlos.
+    this.pause = new Pause(pause.node, pause.env, pause.frames.slice());
+    return this.state();
+  }
+
+  /**
+   * Ejecuta las sentencias del programa una tras otra, cediendo una pausa sin marcos al
+   * empezar cada una y las pausas del intérprete mientras se evalúa. Acumula la respuesta
+   * del toplevel como `interpret`.
+   */
+  *run() {
+    for (const statement of this.ast.body) {
+      this.statement = statement;
+      yield new Pause(statement, this.interpreter.env, []);
+      try {
+        this.output += describeStatement(statement, yield* this.interpreter.execute(statement, true));
+      } catch (e) {
+        this.output += describeError(e, statement);
+      }
+    }
+  }
+
+  /**
+   * El texto del código que ocupa un nodo.
+   * @param {Object} node - El nodo.
+   * @returns {string} El fragmento.
+   */
+  sourceText(node) {
+    const { start, end } = rangeOf(node);
+    const lines = this.lines.slice(start.line - 1, end.line);
+    lines[lines.length - 1] = lines[lines.length - 1].slice(0, end.column - 1);
+    lines[0] = lines[0].slice(start.column - 1);
+    return lines.join("\n");
+  }
+
+  /**
+   * Describe una clausura: sus parámetros y los valores que captura de su entorno (los
+   * nombres que usa su cuerpo sin definirlos, salvo los predefinidos).
+   * @param {OCamlFunction} closure - La clausura.
+   * @returns {{params: Array<string>, captured: Array<{name: string, value: string}>}}
+   */
+  describeClosure(closure) {
+    const parts = [...closure.params, ...(closure.cases || []), closure.body];
+    const used = new Set();
+    const bound = new Set();
+    walkAst(parts, node => {
+      if (node.type === "Identifier") used.add(node.value.split(".")[0]);
+      if (node.type === "VariablePattern" || node.type === "AliasPattern") bound.add(node.name);
+      if (node.type === "ForExpression") bound.add(node.variable);
+    });
+    const captured = [];
+    for (const name of used) {
+      if (bound.has(name)) continue;
+      for (let env = closure.closureEnv; env && env !== this.globals; env = env.parent) {
+        if (env.values.has(name)) {
+          captured.push({ name, value: formatBinding(env.values.get(name)) });
+          break;
+        }
+      }
+    }
+    const params = closure.cases ? ["function"] : closure.params.map(param => this.sourceText(param));
+    return { params, captured };
+  }
+
+  /**
+   * Los alcances visibles desde un entorno, del más interno al más externo: cada alcance
+   * local por separado y todas las definiciones de nivel superior juntas. No incluye los
+   * valores predefinidos.
+   * @param {Environment} env - El entorno.
+   * @returns {Array<{name: string, bindings: Array<Object>}>} Los alcances con sus valores.
+   */
+  describeScopes(env) {
+    const topLevel = new Set();
+    for (let scope = this.interpreter.env; scope; scope = scope.parent) {
+      topLevel.add(scope);
+    }
+    const scopes = [];
+    const global = { name: "Nivel superior", bindings: [] };
+    const shown = new Set();
+    for (let scope = env; scope && scope !== this.globals; scope = scope.parent) {
+      const target = topLevel.has(scope) ? global : { name: `Local ${scopes.length + 1}`, bindings: [] };
+      for (const [name, value] of scope.values) {
+        if (target === global && shown.has(name)) continue;
+        shown.add(name);
+        target.bindings.push({
+          name,
+          value: formatBinding(value),
+          closure: value instanceof OCamlFunction ? this.describeClosure(value) : null
+        });
+      }
+      if (target !== global && target.bindings.length > 0) scopes.push(target);
+    }
+    return [...scopes, global];
+  }
+
+  /**
+   * El estado de la pausa actual, para mostrarlo.
+   * @returns {{finished: boolean, span: Object|null, expression: string, scopes: Array<Object>,
+   * calls: Array<{name: string, line: number}>, output: string, stdout: string, message: string}}
+   * La llamada más interna va primero en `calls`.
+   */
+  state() {
+    const common = { output: this.output.trim(), stdout: this.stdout.join(""), message: this.message };
+    if (this.finished) {
+      return { ...common, finished: true, span: null, expression: "", scopes: this.describeScopes(this.interpreter.env), calls: [] };
+    }
+    const { node, env, frames } = this.pause;
+    const calls = frames
+      .filter(frame => frame.call)
+      .map(frame => ({ name: calleeName(frame.call), line: rangeOf(frame.call).start.line }))
+      .reverse();
+    calls.push({ name: "nivel superior", line: rangeOf(this.statement).start.line });
+    return {
+      ...common,
+      finished: false,
+      span: rangeOf(node),
+      expression: this.sourceText(node),
+      scopes: this.describeScopes(env),
+      calls
+    };
+  }
+}
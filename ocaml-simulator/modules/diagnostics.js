@@ -0,0 +1,165 @@
+// modules/diagnostics.js
+
+/**
+ * Diagnósticos: los errores y avisos que producen el análisis léxico, el sintáctico, el
+ * semántico y la ejecución. Son objetos planos (se pueden enviar a un worker o escribir como
+ * JSON tal cual) con esta forma:
+ *
+ *     {
+ *       severity: "error" | "warning",
+ *       code: "syntax/unexpected-token",         // Estable: ver `DIAGNOSTIC_CODES`.
+ *       message: "Se esperaba ...",
+ *       range: { start: { line, column }, end: { line, column } },   // Fin exclusivo.
+ *       related: [{ message, range }],            // Otras posiciones que ayudan a entenderlo.
+ *       fixes: [{ message, edits: [{ range, text }] }]               // Correcciones sugeridas.
+ *     }
+ *
+ * La interfaz los muestra con `formatDiagnostic` (`❌ Línea 3, columna 5: ...`); las
+ * herramientas pueden usar directamente los campos.
+ */
+
+/** Gravedades de un diagnóstico. Solo los errores impiden ejecutar el programa. */
+export const SEVERITY = Object.freeze({ ERROR: "error", WARNING: "warning" });
+
+/** Icono con el que se muestra cada gravedad. */
+const SEVERITY_ICONS = { error: "❌", warning: "⚠️" };
+
+/** Códigos de los diagnósticos, con una descripción breve de cada uno. */
+export const DIAGNOSTIC_CODES = Object.freeze({
+  "lex/unterminated-comment": "Comentario sin cerrar.",
+  "lex/unterminated-string": "Cadena sin cerrar.",
+  "lex/invalid-char": "Literal de carácter mal formado.",
+  "lex/unexpected-character": "Carácter que no forma parte de ningún token.",
+  "syntax/unexpected-token": "Token inesperado.",
+  "syntax/unexpected-eof": "El código termina antes de completar una construcción.",
+  "syntax/unclosed-block": "Falta el 'end' de un 'struct' o un 'sig'.",
+  "syntax/capitalization": "Un nombre de módulo, excepción o constructor no empieza con mayúscula.",
+  "syntax/empty-record": "Registro o tipo registro sin campos.",
+  "syntax/invalid-assignment": "'<-' sobre algo que no es un campo ni un elemento de array.",
+  "syntax/integer-overflow": "Literal entero fuera del rango de int.",
+  "syntax/missing-delimiter": "Falta el ';;' final.",
+  "syntax/internal": "Error interno del parser.",
+  "type/mismatch": "El tipo encontrado no es el esperado.",
+  "type/invalid-format": "Cadena de formato de Printf inválida.",
+  "type/unbound-value": "Variable no declarada.",
+  "type/unbound-module": "Módulo no definido.",
+  "type/unbound-signature": "Firma no definida.",
+  "type/unbound-type": "Tipo no definido.",
+  "type/unbound-type-variable": "Variable de tipo que no es parámetro del tipo.",
+  "type/unbound-constructor": "Constructor no definido.",
+  "type/unbound-field": "Campo no definido.",
+  "type/type-arity": "Tipo aplicado a un número incorrecto de argumentos.",
+  "type/constructor-arity": "Constructor aplicado a un número incorrecto de argumentos.",
+  "type/duplicate-definition": "Parámetro, constructor o campo repetido en una definición de tipo.",
+  "type/duplicate-field": "Campo repetido en un registro.",
+  "type/wrong-field": "Campo de otro tipo registro.",
+  "type/missing-fields": "Faltan campos en un registro.",
+  "type/immutable-field": "Asignación a un campo no mutable.",
+  "type/duplicate-variable": "Variable repetida en un patrón.",
+  "type/or-pattern-variables": "Los lados de un patrón '|' no ligan las mismas variables.",
+  "type/invalid-let-rec": "Lado derecho no permitido en un 'let rec'.",
+  "type/not-a-function": "Aplicación de algo que no es una función.",
+  "type/signature-mismatch": "Un módulo no cumple su firma.",
+  "type/unsupported": "Construcción no soportada por el análisis semántico.",
+  "warning/non-unit-statement": "Se descarta un valor que no es de tipo unit.",
+  "warning/non-exhaustive-match": "'match' no exhaustivo.",
+  "warning/non-exhaustive-pattern": "Patrón de parámetro no exhaustivo.",
+  "warning/unused-case": "Caso de 'match' que no se usa nunca.",
+  "warning/physical-equality": "'==' o '!=' entre cadenas o float, que el simulador compara por valor.",
+  "runtime/uncaught-exception": "Excepción no capturada.",
+  "runtime/error": "Error de ejecución.",
+  "io/unreadable-file": "Archivo que no se puede leer (en la línea de comandos)."
+});
+
+/**
+ * Crea un diagnóstico.
+ * @param {{severity?: string, code: string, message: string, range: Object, related?: Array<Object>, fixes?: Array<Object>}} fields -
+ * Sus campos; por defecto es un error sin posiciones relacionadas ni correcciones.
+ * @returns {Object} El diagnóstico.
+ */
+export function createDiagnostic({ severity = SEVERITY.ERROR, code, message, range, related = [], fixes = [] }) {
+  return { severity, code, message, range, related, fixes };
+}
+
+/**
+ * Devuelve el rango que ocupa un nodo del AST. El parser anota el principio y el final del
+ * fragmento del nodo (`startLine`, `startColumn`, `endLine`, `endColumn`); sin ellos, el rango
+ * empieza y termina en la posición del nodo.
+ * @param {Object} node - El nodo, con `line` y `column`.
+ * @returns {{start: {line: number, column: number}, end: {line: number, column: number}}} El rango.
+ */
+export function rangeOf(node) {
+  const position = { line: node.line ?? 1, column: node.column ?? 1 };
+  if (node.endLine === undefined) {
+    return { start: position, end: position };
+  }
+  return {
+    start: { line: node.startLine ?? position.line, column: node.startColumn ?? position.column },
+    end: { line: node.endLine, column: node.endColumn }
+  };
+}
+
+/**
+ * Compara dos posiciones del código.
+ * @param {{line: number, column: number}} a - Una posición.
+ * @param {{line: number, column: number}} b - Otra posición.
+ * @returns {number} Negativo si `a` va antes que `b`, cero si coinciden y positivo si va después.
+ */
+export function comparePositions(a, b) {
+  return a.line - b.line || a.column - b.column;
+}
+
+/**
+ * Indica si una posición está dentro de un rango (el fin es exclusivo).
+ * @param {{start: Object, end: Object}} range - El rango.
+ * @param {{line: number, column: number}} position - La posición.
+ * @returns {boolean} `true` si la contiene.
+ */
+export function rangeContains(range, position) {
+  return comparePositions(range.start, position) <= 0 && comparePositions(position, range.end) < 0;
+}
+
+/**
+ * Devuelve el rango que ocupa un token.
+ * @param {Object} token - El token, con su inicio y su fin.
+ * @returns {{start: {line: number, column: number}, end: {line: number, column: number}}} El rango.
+ */
+export function tokenRange(token) {
+  return { start: { line: token.line, column: token.column }, end: { line: token.endLine, column: token.endColumn } };
+}
+
+/**
+ * Indica si hay algún error (los avisos no impiden ejecutar el programa).
+ * @param {Array<Object>} diagnostics - Los diagnósticos.
+ * @returns {boolean} `true` si alguno es un error.
+ */
+export function hasErrors(diagnostics) {
+  return diagnostics.some(diagnostic => diagnostic.severity === SEVERITY.ERROR);
+}
+
+/**
+ * Escribe un diagnóstico como se muestra en la interfaz: `❌ Línea 3, columna 5: mensaje`.
+ * @param {Object} diagnostic - El diagnóstico.
+ * @returns {string} El texto.
+ */
+export function formatDiagnostic({ severity, message, range }) {
+  return `${SEVERITY_ICONS[severity]} Línea ${range.start.line}, columna ${range.start.column}: ${message}`;
+}
+
+/**
+ * Escribe un diagnóstico con sus posiciones relacionadas y sus correcciones, una por línea:
+ *
+ *     ❌ Línea 3, columna 5: mensaje
+ *        ↳ Línea 1, columna 10: posición relacionada
+ *        💡 corrección sugerida
+ *
+ * @param {Object} diagnostic - El diagnóstico.
+ * @returns {Array<string>} Las líneas.
+ */
+export function diagnosticLines(diagnostic) {
+  return [
+    formatDiagnostic(diagnostic),
+    ...diagnostic.related.map(({ message, range }) => `   ↳ Línea ${range.start.line}, columna ${range.start.column}: ${message}`),
+    ...diagnostic.fixes.map(fix => `   💡 ${fix.message}`)
+  ];
+}
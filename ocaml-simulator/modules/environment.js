@@ -0,0 +1,50 @@
+// modules/environment.js
+
+/**
+ * Representa un entorno: una tabla de nombres enlazada con el entorno que la contiene.
+ * En lugar de copiar todas las entradas cada vez que se abre un nuevo alcance
+ * (`let ... in`, llamada a función), se crea un entorno hijo que apunta al padre, y la
+ * búsqueda de un nombre recorre la cadena desde el más interno hacia afuera.
+ * El intérprete lo usa para asociar nombres con valores y el análisis semántico para
+ * asociarlos con tipos.
+ */
+export class Environment {
+  /**
+   * @param {Environment|null} [parent] - El entorno que contiene a este, o `null` para el global.
+   */
+  constructor(parent = null) {
+    this.values = new Map(); // Nombres definidos directamente en este alcance.
+    this.parent = parent;
+  }
+
+  /**
+   * Busca lo asociado a un nombre recorriendo la cadena de entornos.
+   * @param {string} name - El nombre.
+   * @returns {*} El valor o tipo asociado, o `undefined` si el nombre no está definido.
+   */
+  lookup(name) {
+    for (let env = this; env; env = env.parent) {
+      if (env.values.has(name)) {
+        return env.values.get(name);
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Define (o redefine) un nombre en este alcance.
+   * @param {string} name - El nombre.
+   * @param {*} value - Su valor (o su tipo).
+   */
+  define(name, value) {
+    this.values.set(name, value);
+  }
+
+  /**
+   * Crea un entorno hijo cuyo padre es este.
+   * @returns {Environment} El nuevo alcance.
+   */
+  extend() {
+    return new Environment(this);
+  }
+}
@@ -0,0 +1,379 @@
+// modules/exhaustiveness.js
+
+/**
+ * Análisis de exhaustividad y redundancia de los casos de un `match` (o de una función
+ * `function`), siguiendo el algoritmo de "utilidad" de Maranget que usa el propio
+ * compilador de OCaml ("Warnings for pattern matching", 2007).
+ *
+ * Un patrón es *útil* respecto a una lista de patrones anteriores si existe algún valor
+ * que él acepta y ninguno de los anteriores acepta. Así:
+ * - un caso es redundante si su patrón no es útil respecto a los casos previos;
+ * - el `match` es no exhaustivo si el comodín `_` es útil respecto a todos los casos,
+ *   y el valor que lo demuestra sirve como ejemplo de valor no cubierto.
+ */
+
+/**
+ * Constructores predefinidos agrupados por tipo. Si una columna de patrones usa todos los
+ * constructores de su tipo, la columna es "completa" y no hace falta un caso comodín.
+ */
+const builtinSignatures = [
+  [{ name: "[]", arity: 0 }, { name: "::", arity: 2 }],
+  [{ name: "None", arity: 0 }, { name: "Some", arity: 1 }],
+  [{ name: "true", arity: 0 }, { name: "false", arity: 0 }],
+  [{ name: "()", arity: 0 }]
+];
+
+/**
+ * Convierte un patrón del AST a la forma normalizada que usa el algoritmo:
+ * - `{ kind: "any" }` para variables y comodines;
+ * - `{ kind: "constructor", name, args }` para constructores, listas, tuplas y registros
+ *   (una tupla de n componentes es un constructor de aridad n, único en su tipo, y un
+ *   registro es un constructor único con un argumento por campo);
+ * - `{ kind: "literal", value, literalType }` para literales (tipos con infinitos valores);
+ * - `{ kind: "or", alternatives }` para patrones alternativos.
+ * @param {Object} pattern - El nodo de patrón del AST.
+ * @param {Function} signatureOf - Búsqueda de la firma de un constructor (ver `analyzeMatch`).
+ * @returns {Object} El patrón normalizado.
+ */
+function normalize(pattern, signatureOf, fieldsOf) {
+  switch (pattern.type) {
+    case "WildcardPattern":
+    case "VariablePattern":
+      return { kind: "any" };
+    case "AliasPattern":
+      return normalize(pattern.pattern, signatureOf, fieldsOf);
+    case "OrPattern":
+      return { kind: "or", alternatives: [normalize(pattern.left, signatureOf, fieldsOf), normalize(pattern.right, signatureOf, fieldsOf)] };
+    case "LiteralPattern":
+      // `true` y `false` son los dos constructores constantes del tipo `bool`.
+      if (pattern.literal.type === "BooleanLiteral") {
+        return { kind: "constructor", name: `${pattern.literal.value}`, args: [] };
+      }
+      return { kind: "literal", value: literalKey(pattern.literal), literalType: pattern.literal.type };
+    case "TuplePattern":
+      return { kind: "constructor", name: tupleName(pattern.elements.length), args: pattern.elements.map(p => normalize(p, signatureOf, fieldsOf)) };
+    case "ConsPattern":
+      return { kind: "constructor", name: "::", args: [normalize(pattern.head, signatureOf, fieldsOf), normalize(pattern.tail, signatureOf, fieldsOf)] };
+    case "ListPattern":
+      // `[a; b]` es azúcar sintáctico de `a :: b :: []`.
+      return pattern.elements.reduceRight(
+        (tail, element) => ({ kind: "constructor", name: "::", args: [normalize(element, signatureOf, fieldsOf), tail] }),
+        { kind: "constructor", name: "[]", args: [] }
+      );
+    case "RecordPattern": {
+      // Los campos se ordenan como en la declaración del tipo; los omitidos equivalen a `_`.
+      const fieldNames = fieldsOf(pattern.fields[0]) || pattern.fields.map(field => field.name);
+      const args = fieldNames.map(name => {
+        const field = pattern.fields.find(f => f.name === name);
+        return field ? normalize(field.pattern, signatureOf, fieldsOf) : { kind: "any" };
+      });
+      return { kind: "constructor", name: recordName(fieldNames), args };
+    }
+    case "ConstructorPattern": {
+      // El análisis semántico anota el nombre calificado (`M.Leaf`), el mismo se escriba `Leaf` o `M.Leaf`.
+      const name = pattern.qualifiedName || pattern.name;
+      const arity = constructorArity(name, signatureOf);
+      // Sin argumento (caso erróneo que reporta el análisis semántico) se asume un comodín por componente.
+      let args = Array(arity).fill({ kind: "any" });
+      if (pattern.argument) {
+        const argument = normalize(pattern.argument, signatureOf, fieldsOf);
+        if (arity > 1 && pattern.argument.type === "TuplePattern" && pattern.argument.elements.length === arity) {
+          // `Node (l, v, r)` da un argumento a cada componente del constructor.
+          args = argument.args;
+        } else if (arity <= 1) {
+          args = [argument];
+        }
+        // En otro caso (`Node _`), el comodín cubre todos los componentes.
+      }
+      return { kind: "constructor", name, args };
+    }
+    default:
+      return { kind: "any" };
+  }
+}
+
+/**
+ * Nombre interno del "constructor" de las tuplas de `n` componentes.
+ * @param {number} size - Número de componentes.
+ * @returns {string} El nombre, por ejemplo `"(,,)"` para tres componentes.
+ */
+function tupleName(size) {
+  return `(${",".repeat(size - 1)})`;
+}
+
+/**
+ * Nombre interno del "constructor" de un tipo registro.
+ * @param {Array<string>} fieldNames - Los campos del registro, en orden de declaración.
+ * @returns {string} El nombre, por ejemplo `"{x;y}"`.
+ */
+function recordName(fieldNames) {
+  return `{${fieldNames.join(";")}}`;
+}
+
+/**
+ * Clave con la que se comparan los literales entre sí.
+ * @param {Object} literal - El nodo literal.
+ * @returns {string} Una representación única del valor literal.
+ */
+function literalKey(literal) {
+  return `${literal.type}:${literal.value}`;
+}
+
+/**
+ * Devuelve la firma completa (todos los constructores del mismo tipo) de un constructor.
+ * @param {string} name - El nombre del constructor.
+ * @param {Function} signatureOf - Búsqueda de firmas de constructores definidos por el usuario.
+ * @returns {Array<{name: string, arity: number}>|null} La firma, o `null` si es desconocida.
+ */
+function signatureFor(name, signatureOf) {
+  if (name.startsWith("(") && name.endsWith(")") && name !== "()") {
+    return [{ name, arity: name.length - 1 }];
+  }
+  if (name.startsWith("{")) {
+    return [{ name, arity: name.slice(1, -1).split(";").length }];
+  }
+  const builtin = builtinSignatures.find(signature => signature.some(constructor => constructor.name === name));
+  return builtin || signatureOf(name);
+}
+
+/**
+ * Devuelve la aridad de un constructor según su firma (1 si se desconoce).
+ * @param {string} name - El nombre del constructor.
+ * @param {Function} signatureOf - Búsqueda de firmas de constructores.
+ * @returns {number} El número de argumentos del constructor.
+ */
+function constructorArity(name, signatureOf) {
+  const signature = signatureFor(name, signatureOf);
+  const constructor = signature && signature.find(c => c.name === name);
+  return constructor ? constructor.arity : 1;
+}
+
+/**
+ * Expande las filas cuyo primer patrón es una alternativa `p1 | p2` en una fila por alternativa.
+ * @param {Array<Array<Object>>} matrix - La matriz de patrones (una fila por caso).
+ * @returns {Array<Array<Object>>} La matriz sin alternativas en la primera columna.
+ */
+function expandOr(matrix) {
+  return matrix.flatMap(row => row[0].kind === "or"
+    ? expandOr(row[0].alternatives.map(alternative => [alternative, ...row.slice(1)]))
+    : [row]);
+}
+
+/**
+ * Matriz especializada S(c, P): las filas que pueden empezar por el constructor (o literal)
+ * `head`, con los argumentos del constructor sustituyendo a la primera columna.
+ * @param {Object} head - El constructor o literal normalizado.
+ * @param {number} arity - Su aridad.
+ * @param {Array<Array<Object>>} matrix - La matriz de patrones.
+ * @returns {Array<Array<Object>>} La matriz especializada.
+ */
+function specialize(head, arity, matrix) {
+  const rows = [];
+  for (const row of expandOr(matrix)) {
+    const first = row[0];
+    if (first.kind === "any") {
+      rows.push([...Array(arity).fill({ kind: "any" }), ...row.slice(1)]);
+    } else if (sameHead(first, head)) {
+      rows.push([...(first.args || []), ...row.slice(1)]);
+    }
+  }
+  return rows;
+}
+
+/**
+ * Matriz por defecto D(P): las filas cuyo primer patrón es un comodín, sin esa columna.
+ * @param {Array<Array<Object>>} matrix - La matriz de patrones.
+ * @returns {Array<Array<Object>>} La matriz por defecto.
+ */
+function defaultMatrix(matrix) {
+  return expandOr(matrix).filter(row => row[0].kind === "any").map(row => row.slice(1));
+}
+
+/**
+ * Indica si dos patrones normalizados tienen la misma cabeza (mismo constructor o mismo literal).
+ * @param {Object} a - Primer patrón.
+ * @param {Object} b - Segundo patrón.
+ * @returns {boolean} `true` si las cabezas coinciden.
+ */
+function sameHead(a, b) {
+  if (a.kind === "constructor" && b.kind === "constructor") return a.name === b.name;
+  if (a.kind === "literal" && b.kind === "literal") return a.value === b.value;
+  return false;
+}
+
+/**
+ * Devuelve las cabezas distintas (constructores o literales) de la primera columna.
+ * @param {Array<Array<Object>>} matrix - La matriz de patrones.
+ * @returns {Array<Object>} Las cabezas encontradas, sin repetir.
+ */
+function columnHeads(matrix) {
+  const heads = [];
+  for (const row of expandOr(matrix)) {
+    const first = row[0];
+    if (first.kind !== "any" && !heads.some(head => sameHead(head, first))) {
+      heads.push(first);
+    }
+  }
+  return heads;
+}
+
+/**
+ * Calcula, si existe, un vector de valores (como patrones) de longitud `width` que no es
+ * aceptado por ninguna fila de la matriz. Es la versión constructiva del test de utilidad
+ * del comodín: si devuelve `null`, las filas cubren todos los valores posibles.
+ * @param {Array<Array<Object>>} matrix - La matriz de patrones.
+ * @param {number} width - El número de columnas.
+ * @param {Function} signatureOf - Búsqueda de firmas de constructores.
+ * @returns {Array<Object>|null} Un vector testigo o `null`.
+ */
+function findUncovered(matrix, width, signatureOf) {
+  if (width === 0) {
+    return matrix.length === 0 ? [] : null;
+  }
+
+  const heads = columnHeads(matrix);
+  const constructors = heads.filter(head => head.kind === "constructor");
+  const signature = constructors.length > 0 ? signatureFor(constructors[0].name, signatureOf) : null;
+  const complete = signature && signature.every(c => constructors.some(head => head.name === c.name));
+
+  if (complete) {
+    // Todos los constructores del tipo aparecen: el testigo debe empezar por alguno de ellos.
+    for (const constructor of signature) {
+      const witness = findUncovered(specialize({ kind: "constructor", name: constructor.name }, constructor.arity, matrix), constructor.arity + width - 1, signatureOf);
+      if (witness) {
+        return [
+          { kind: "constructor", name: constructor.name, args: witness.slice(0, constructor.arity) },
+          ...witness.slice(constructor.arity)
+        ];
+      }
+    }
+    return null;
+  }
+
+  // Falta algún constructor (o el tipo tiene infinitos valores): basta con las filas comodín.
+  const witness = findUncovered(defaultMatrix(matrix), width - 1, signatureOf);
+  if (!witness) {
+    return null;
+  }
+  return [missingHead(heads, signature), ...witness];
+}
+
+/**
+ * Elige un valor de ejemplo que no aparece entre las cabezas de una columna incompleta.
+ * @param {Array<Object>} heads - Las cabezas presentes en la columna.
+ * @param {Array<Object>|null} signature - La firma del tipo, si se conoce.
+ * @returns {Object} Un patrón normalizado que representa el valor no cubierto.
+ */
+function missingHead(heads, signature) {
+  if (heads.length === 0) {
+    return { kind: "any" };
+  }
+  if (signature) {
+    const missing = signature.find(c => !heads.some(head => head.name === c.name));
+    return { kind: "constructor", name: missing.name, args: Array(missing.arity).fill({ kind: "any" }) };
+  }
+  const literals = heads.filter(head => head.kind === "literal");
+  if (literals.length === 0) {
+    return { kind: "any" };
+  }
+  // Para los literales buscamos un valor concreto que no esté en la lista.
+  const used = new Set(literals.map(head => head.value));
+  const type = literals[0].literalType;
+  const candidates = type === "StringLiteral"
+    ? ["", "*", "a", "b", "c"].map(v => ({ key: `${type}:${v}`, text: JSON.stringify(v) }))
+    : type === "CharLiteral"
+    ? ["a", "b", "c", "d", "e"].map(v => ({ key: `${type}:${v}`, text: `'${v}'` }))
+    : Array.from({ length: used.size + 1 }, (_, i) => ({ key: `${type}:${i}`, text: type === "FloatLiteral" ? `${i}.` : `${i}` }));
+  const candidate = candidates.find(c => !used.has(c.key));
+  return candidate ? { kind: "example", text: candidate.text } : { kind: "any" };
+}
+
+/**
+ * Indica si un vector de patrones es útil respecto a una matriz: si acepta algún valor
+ * que ninguna fila de la matriz acepta.
+ * @param {Array<Array<Object>>} matrix - Las filas anteriores.
+ * @param {Array<Object>} vector - El vector a evaluar.
+ * @param {Function} signatureOf - Búsqueda de firmas de constructores.
+ * @returns {boolean} `true` si el vector es útil.
+ */
+function isUseful(matrix, vector, signatureOf) {
+  if (vector.length === 0) {
+    return matrix.length === 0;
+  }
+
+  const [first, ...rest] = vector;
+  if (first.kind === "or") {
+    return first.alternatives.some(alternative => isUseful(matrix, [alternative, ...rest], signatureOf));
+  }
+  if (first.kind !== "any") {
+    const args = first.args || [];
+    return isUseful(specialize(first, args.length, matrix), [...args, ...rest], signatureOf);
+  }
+
+  const constructors = columnHeads(matrix).filter(head => head.kind === "constructor");
+  const signature = constructors.length > 0 ? signatureFor(constructors[0].name, signatureOf) : null;
+  if (signature && signature.every(c => constructors.some(head => head.name === c.name))) {
+    return signature.some(c =>
+      isUseful(specialize({ kind: "constructor", name: c.name }, c.arity, matrix), [...Array(c.arity).fill({ kind: "any" }), ...rest], signatureOf));
+  }
+  return isUseful(defaultMatrix(matrix), rest, signatureOf);
+}
+
+/**
+ * Convierte un patrón normalizado en texto con sintaxis de OCaml, para los mensajes.
+ * @param {Object} pattern - El patrón normalizado.
+ * @param {boolean} [nested] - Si aparece como argumento (y necesita paréntesis).
+ * @returns {string} El patrón en sintaxis OCaml.
+ */
+function formatPattern(pattern, nested = false) {
+  if (pattern.kind === "example") return pattern.text;
+  if (pattern.kind !== "constructor") return "_";
+
+  const { name, args } = pattern;
+  let text;
+  if (name === "::") {
+    text = `${formatPattern(args[0], true)} :: ${formatPattern(args[1])}`;
+  } else if (name.startsWith("(") && name !== "()") {
+    return `(${args.map(arg => formatPattern(arg)).join(", ")})`;
+  } else if (name.startsWith("{")) {
+    const fieldNames = name.slice(1, -1).split(";");
+    return `{${fieldNames.map((field, i) => `${field} = ${formatPattern(args[i])}`).join("; ")}}`;
+  } else if (args.length === 0) {
+    return name;
+  } else if (args.length === 1) {
+    text = `${name} ${formatPattern(args[0], true)}`;
+  } else {
+    text = `${name} (${args.map(arg => formatPattern(arg)).join(", ")})`;
+  }
+  return nested ? `(${text})` : text;
+}
+
+/**
+ * Analiza los casos de un `match` o de una función `function`.
+ * Los casos con guarda (`when`) pueden fallar, así que no cuentan para la exhaustividad,
+ * pero sí pueden ser redundantes si casos anteriores ya cubren su patrón.
+ * @param {Array<Object>} cases - Los casos del AST (`{ pattern, guard, body }`).
+ * @param {Function} [signatureOf] - Función que, dado el nombre de un constructor definido por
+ * el usuario, devuelve la lista de constructores de su tipo (`[{ name, arity }]`) o `null`.
+ * @param {Function} [fieldsOf] - Función que, dado un campo de un patrón de registro
+ * (`{ name, module }`), devuelve todos los campos de su tipo en orden de declaración, o `null`.
+ * @returns {{missing: string|null, redundant: Array<Object>}} Un ejemplo de valor no cubierto
+ * (o `null` si el `match` es exhaustivo) y la lista de casos redundantes.
+ */
+export function analyzeMatch(cases, signatureOf = () => null, fieldsOf = () => null) {
+  const rows = cases.map(matchCase => [normalize(matchCase.pattern, signatureOf, fieldsOf)]);
+  const redundant = [];
+  const previous = [];
+
+  cases.forEach((matchCase, i) => {
+    if (!isUseful(previous, rows[i], signatureOf)) {
+      redundant.push(matchCase);
+    }
+    if (!matchCase.guard) {
+      previous.push(rows[i]);
+    }
+  });
+
+  const witness = findUncovered(previous, 1, signatureOf);
+  return { missing: witness ? formatPattern(witness[0]) : null, redundant };
+}
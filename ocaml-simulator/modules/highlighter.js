@@ -0,0 +1,232 @@
+// modules/highlighter.js
+
+import { analyzeLexically } from './lexer.js';
+
+/**
+ * Resaltado de sintaxis del editor con nuestro propio analizador léxico: cada línea se colorea
+ * según el tipo de sus tokens (palabras reservadas, cadenas, números, comentarios, ...), se
+ * emparejan los paréntesis y los bloques (`begin`/`end`, `struct`/`end`, ...) y se calcula la
+ * sangría de la línea nueva al pulsar Intro.
+ *
+ * Para no volver a analizar todo el código con cada tecla, se analiza línea a línea: cada línea
+ * empieza en el estado en que terminó la anterior (dentro de un comentario, de una cadena o en
+ * código normal) y solo se vuelven a analizar las líneas que cambian y las siguientes cuyo
+ * estado inicial cambia por ello (por ejemplo, al abrir un comentario).
+ */
+
+/** Clase CSS con la que se colorea cada tipo de token. */
+export const TOKEN_CLASSES = Object.freeze({
+  Keyword: "tok-keyword",
+  String: "tok-string",
+  Char: "tok-string",
+  Number: "tok-number",
+  Float: "tok-number",
+  Identifier: "tok-identifier",
+  TypeVariable: "tok-type-variable",
+  Symbol: "tok-operator",
+  Delimiter: "tok-delimiter",
+  Comment: "tok-comment",
+  Error: "tok-error"
+});
+
+/** Parejas de apertura y cierre que se emparejan en el editor. */
+const BRACKETS = { "(": ")", "[": "]", "[|": "|]", "{": "}", begin: "end", struct: "end", sig: "end", do: "done" };
+
+/** Los tokens de cierre de `BRACKETS`. */
+const CLOSING_BRACKETS = new Set(Object.values(BRACKETS));
+
+/** Tokens tras los que la línea siguiente lleva un nivel más de sangría. */
+const INDENT_AFTER = new Set(["=", "->", "then", "else", "in", "with", ...Object.keys(BRACKETS)]);
+
+/** Espacios de cada nivel de sangría. */
+const INDENT_UNIT = "  ";
+
+/** Estado al principio del código: fuera de comentarios y cadenas. */
+const INITIAL_STATE = Object.freeze({ kind: "code" });
+
+/**
+ * Devuelve el texto que, puesto delante de una línea, deja al analizador léxico en el estado
+ * con el que empieza: una comilla para seguir dentro de una cadena y tantos `(*` como
+ * comentarios anidados sigan abiertos (más una comilla si el comentario estaba dentro de una cadena).
+ * @param {{kind: string, depth?: number, inString?: boolean}} state - El estado.
+ * @returns {string} El prefijo.
+ */
+function statePrefix(state) {
+  if (state.kind === "string") return '"';
+  if (state.kind === "comment") return "(*".repeat(state.depth) + (state.inString ? '"' : "");
+  return "";
+}
+
+/**
+ * Indica si dos estados son iguales.
+ * @param {Object} a - Un estado.
+ * @param {Object} b - Otro estado.
+ * @returns {boolean} `true` si son iguales.
+ */
+function sameState(a, b) {
+  return a.kind === b.kind && a.depth === b.depth && a.inString === b.inString;
+}
+
+/**
+ * Devuelve la clase CSS de un token. Los identificadores que empiezan con mayúscula son
+ * constructores o módulos y se colorean aparte.
+ * @param {{type: string, value: string}} token - El token.
+ * @returns {string} La clase.
+ */
+export function tokenClass({ type, value }) {
+  if (type === "Identifier" && /^[A-Z]/.test(value)) return "tok-constructor";
+  return TOKEN_CLASSES[type] ?? "";
+}
+
+/**
+ * Analiza una línea empezando en un estado. Un comentario o una cadena sin cerrar al final
+ * de la línea no es un error: continúa en la siguiente.
+ * @param {string} text - El texto de la línea, sin el salto de línea.
+ * @param {Object} [state] - El estado en que terminó la línea anterior.
+ * @returns {{text: string, state: Object, tokens: Array<Object>, endState: Object}} La línea:
+ * su texto, su estado inicial, sus tokens (`type`, `value`, `className` y las columnas `start`
+ * y `end`, desde 0 y con el fin exclusivo) y el estado en que termina.
+ */
+export function lexLine(text, state = INITIAL_STATE) {
+  const prefix = statePrefix(state);
+  const tokens = [];
+  let endState = INITIAL_STATE;
+  analyzeLexically(prefix + text, { comments: true }).forEach(token => {
+    if (token.type === "EOF") return;
+    let type = token.type;
+    if (token.code === "lex/unterminated-comment") {
+      type = "Comment";
+      endState = { kind: "comment", depth: token.depth, inString: token.inString };
+    } else if (token.code === "lex/unterminated-string") {
+      type = "String";
+      endState = { kind: "string" };
+    }
+    // El token que empieza en el prefijo se recorta al principio de la línea.
+    const start = Math.max(token.column - 1 - prefix.length, 0);
+    const end = token.endColumn - 1 - prefix.length;
+    if (end <= start) return;
+    const value = text.slice(start, end);
+    tokens.push({ type, value, start, end, className: tokenClass({ type, value }) });
+  });
+  return { text, state, tokens, endState };
+}
+
+/**
+ * Resaltado incremental de un código que se edita: recuerda las líneas analizadas y, en cada
+ * actualización, reutiliza las que no cambian ni empiezan en otro estado.
+ */
+export class LineHighlighter {
+  constructor() {
+    this.lines = [];   // Las líneas analizadas (ver `lexLine`).
+    this.relexed = 0;  // Cuántas líneas se analizaron en la última actualización.
+    // Las líneas que cambiaron en la última actualización: las líneas `start` a `end` (sin
+    // incluirla) son nuevas y sustituyen a `removed` líneas de la anterior; el resto se conserva.
+    this.changed = { start: 0, end: 0, removed: 0 };
+  }
+
+  /**
+   * Actualiza el análisis con el código actual.
+   * @param {string} code - El código completo.
+   * @returns {Array<Object>} Las líneas analizadas, una por línea del código.
+   */
+  update(code) {
+    const texts = code.split("\n");
+    const previous = this.lines;
+    // Las líneas iguales al principio se conservan tal cual; las iguales al final, si
+    // empiezan en el mismo estado que antes.
+    let prefix = 0;
+    while (prefix < texts.length && prefix < previous.length && previous[prefix].text === texts[prefix]) {
+      prefix++;
+    }
+    let suffix = 0;
+    while (suffix < texts.length - prefix && suffix < previous.length - prefix
+      && previous[previous.length - 1 - suffix].text === texts[texts.length - 1 - suffix]) {
+      suffix++;
+    }
+
+    const lines = previous.slice(0, prefix);
+    let state = prefix > 0 ? lines[prefix - 1].endState : INITIAL_STATE;
+    this.relexed = 0;
+    let end = prefix; // Tras la primera línea reutilizada del final, se reutilizan todas las siguientes.
+    for (let i = prefix; i < texts.length; i++) {
+      const reusable = i >= texts.length - suffix ? previous[previous.length - (texts.length - i)] : null;
+      if (reusable && sameState(reusable.state, state)) {
+        lines.push(reusable);
+      } else {
+        lines.push(lexLine(texts[i], state));
+        this.relexed++;
+        end = i + 1;
+      }
+      state = lines[i].endState;
+    }
+    this.lines = lines;
+    this.changed = { start: prefix, end, removed: previous.length - (texts.length - end) - prefix };
+    return lines;
+  }
+}
+
+/**
+ * Rango (líneas y columnas desde 1, fin exclusivo) de un token de una línea.
+ * @param {number} line - El número de la línea.
+ * @param {{start: number, end: number}} token - El token.
+ * @returns {{start: {line: number, column: number}, end: {line: number, column: number}}} El rango.
+ */
+function tokenRange(line, token) {
+  return { start: { line, column: token.start + 1 }, end: { line, column: token.end + 1 } };
+}
+
+/**
+ * Empareja los paréntesis, corchetes, llaves y bloques (`begin`/`end`, `struct`/`end`,
+ * `sig`/`end`, `do`/`done`) del código y busca la pareja del que está en el cursor (el que
+ * empieza en el cursor o, si no hay, el que termina justo antes).
+ * @param {Array<Object>} lines - Las líneas analizadas (ver `LineHighlighter`).
+ * @param {{line: number, column: number}} [position] - La posición del cursor (desde 1).
+ * @returns {{match: Array<Object>|null, unmatched: Array<Object>}} Los rangos de la pareja del
+ * cursor (`null` si el cursor no está en uno o no tiene pareja) y los de los que no tienen pareja.
+ */
+export function matchBrackets(lines, position) {
+  const pairs = [];
+  const unmatched = [];
+  const open = [];
+  lines.forEach((line, index) => line.tokens.forEach(token => {
+    if (token.type !== "Symbol" && token.type !== "Keyword") return;
+    const bracket = { line: index + 1, token };
+    if (BRACKETS[token.value]) {
+      open.push(bracket);
+    } else if (CLOSING_BRACKETS.has(token.value)) {
+      if (open.length > 0 && BRACKETS[open[open.length - 1].token.value] === token.value) {
+        pairs.push([open.pop(), bracket]);
+      } else {
+        unmatched.push(bracket);
+      }
+    }
+  }));
+  unmatched.push(...open);
+
+  let match = null;
+  if (position) {
+    const caret = position.column - 1;
+    const touching = pairs.filter(pair => pair.some(({ line, token }) => line === position.line && token.start <= caret && caret <= token.end));
+    const pair = touching.find(candidate => candidate.some(({ line, token }) => line === position.line && token.start === caret)) ?? touching[0];
+    if (pair) match = pair.map(({ line, token }) => tokenRange(line, token));
+  }
+  return { match, unmatched: unmatched.map(({ line, token }) => tokenRange(line, token)) };
+}
+
+/**
+ * Calcula la sangría de la línea que se abre al pulsar Intro: la de la línea actual, con un
+ * nivel más si antes del cursor la línea termina en `=`, `->`, `then`, `else`, `in`, `with` o
+ * en una apertura (`(`, `begin`, `struct`, ...). Los comentarios no cuentan.
+ * @param {Array<Object>} lines - Las líneas analizadas (ver `LineHighlighter`).
+ * @param {{line: number, column: number}} position - La posición del cursor (desde 1).
+ * @returns {string} Los espacios de la nueva línea.
+ */
+export function indentationAfter(lines, position) {
+  const line = lines[position.line - 1];
+  if (!line) return "";
+  const caret = position.column - 1;
+  const indentation = line.text.match(/^[ \t]*/)[0].slice(0, caret);
+  const last = line.tokens.filter(token => token.end <= caret && token.type !== "Comment").pop();
+  const opens = last && (last.type === "Symbol" || last.type === "Keyword") && INDENT_AFTER.has(last.value);
+  return opens ? indentation + INDENT_UNIT : indentation;
+}
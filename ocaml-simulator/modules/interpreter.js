@@ -1,193 +1,988 @@
-// modules/interpreter.js
-
-/**
- * Representa un valor de función (closure) en el intérprete.
- * Una clausura es una función junto con el entorno en el que fue creada.
- * Esto es crucial para la correcta implementación de funciones curried y
- * de funciones que "recuerdan" las variables de su entorno de definición.
- */
-class OCamlFunction {
-  constructor(params, body, closureEnv) {
-    this.params = params; // Los nombres de los parámetros de la función.
-    this.body = body;     // El nodo AST que representa el cuerpo de la función.
-    this.closureEnv = closureEnv; // El entorno (closure) donde se definió la función.
-  }
-
-  /**
-   * Aplica la función a un argumento.
-   * Este método gestiona el currying, devolviendo una nueva función si aún
-   * faltan parámetros, o evaluando el cuerpo si se ha recibido el último.
-   * @param {*} argValue - El valor del argumento que se está aplicando.
-   * @param {Map} currentEnv - El entorno actual de la llamada, no de la definición.
-   * @returns {OCamlFunction|*} Una nueva función si es aplicación parcial, o el resultado final de la evaluación del cuerpo.
-   */
-  apply(argValue, currentEnv) {
-    // Si la función espera más de un parámetro, devolvemos una nueva función con
-    // el primer parámetro "atado" a su valor.
-    if (this.params.length > 1) {
-      const newParams = this.params.slice(1); // Parámetros restantes.
-      const newClosureEnv = new Map(this.closureEnv); // Copia el entorno de la clausura.
-      newClosureEnv.set(this.params[0], argValue); // Atamos el primer parámetro al valor.
-      return new OCamlFunction(newParams, this.body, newClosureEnv);
-    } else {
-      // Si este es el último parámetro (o el único), evaluamos el cuerpo de la función.
-      const callEnv = new Map(this.closureEnv); // Creamos un nuevo entorno de llamada, basándonos en la clausura.
-      callEnv.set(this.params[0], argValue); // Atamos el último parámetro al valor.
-
-      // Creamos un intérprete temporal para evaluar el cuerpo de la función
-      // con el entorno de llamada modificado.
-      const tempInterpreter = new Interpreter(this.body, callEnv);
-      return tempInterpreter.evaluate(this.body);
-    }
-  }
-}
-
-/**
- * Clase del intérprete para evaluar el Árbol de Sintaxis Abstracta (AST).
- * Realiza un recorrido post-orden del árbol, evaluando cada nodo y devolviendo
- * un valor.
- */
-class Interpreter {
-  /**
-   * @param {Object} ast - El AST completo o un sub-árbol a interpretar.
-   * @param {Map} [initialEnv] - Un entorno inicial. Esto es útil para las clausuras,
-   * que necesitan un entorno preexistente.
-   */
-  constructor(ast, initialEnv = new Map()) {
-    this.ast = ast;
-    this.env = initialEnv; // El entorno es un mapa que almacena variables y sus valores.
-  }
-
-  /**
-   * Evalúa un nodo del AST de forma recursiva. El tipo de nodo determina la
-   * acción a realizar.
-   * @param {Object} node - El nodo AST a evaluar.
-   * @returns {*} El valor resultante de la evaluación (número, cadena, función, etc.).
-   * @throws {Error} Si ocurre un error de ejecución (ej. variable no definida, división por cero).
-   */
-  evaluate(node) {
-    if (!node) {
-      throw new Error("Error de interpretación: Nodo AST nulo o indefinido.");
-    }
-
-    switch (node.type) {
-      case "Program":
-        let programResult = "";
-        for (const statement of node.body) {
-          try {
-            const result = this.evaluate(statement);
-            // Formateamos la salida de manera similar a cómo lo haría un REPL de OCaml.
-            if (statement.type === "LetDeclaration") {
-                programResult += `val ${statement.identifier} : ${typeof result === 'number' ? 'int' : typeof result === 'string' ? 'string' : 'unknown'} = ${result}\n`;
-            } else if (statement.type === "FunctionDeclaration") {
-                // Para las funciones, solo mostramos la firma (simplificado).
-                programResult += `val ${statement.name} : ${'fun'} = <fun>\n`; 
-            } else if (statement.type === "TopLevelExpression") {
-                programResult += `val it : ${typeof result === 'number' ? 'int' : typeof result === 'string' ? 'string' : 'unknown'} = ${result}\n`;
-            } else {
-                programResult += `${result}\n`;
-            }
-          } catch (e) {
-            // Capturamos errores de sentencias individuales para poder continuar
-            // si el programa tiene más código después del error.
-            programResult += `❌ Error en línea ${statement.line}, columna ${statement.column}: ${e.message}\n`;
-          }
-        }
-        return programResult.trim(); // Eliminamos el último salto de línea.
-
-      case "LetDeclaration":
-        const value = this.evaluate(node.expression); // Evaluamos la expresión asignada.
-        this.env.set(node.identifier, value); // Almacenamos el valor en el entorno.
-        return value; // Devolvemos el valor para su impresión.
-
-      case "FunctionDeclaration":
-        // Creamos una nueva clausura que contiene los parámetros, el cuerpo y el entorno actual.
-        const func = new OCamlFunction(node.params, node.body, new Map(this.env));
-        this.env.set(node.name, func); // Almacenamos la función en el entorno bajo su nombre.
-        return func;
-
-      case "ApplicationExpression":
-        const callee = this.evaluate(node.callee); // Evaluamos la expresión de la función a llamar.
-        const argument = this.evaluate(node.argument); // Evaluamos el argumento.
-
-        if (!(callee instanceof OCamlFunction)) {
-          throw new Error(`Se intentó aplicar a un valor que no es una función.`);
-        }
-        // Llamamos al método `apply` de la clausura con el argumento.
-        return callee.apply(argument, this.env);
-
-      case "BinaryExpression":
-        const left = this.evaluate(node.left);
-        const right = this.evaluate(node.right);
-
-        if (typeof left !== 'number' || typeof right !== 'number') {
-          throw new Error(`Operación '${node.operator}' requiere operandos de tipo 'int', pero se encontraron '${typeof left}' y '${typeof right}'.`);
-        }
-
-        switch (node.operator) {
-          case '+': return left + right;
-          case '-': return left - right;
-          case '*': return left * right;
-          case '/': 
-            if (right === 0) {
-              throw new Error(`División por cero.`);
-            }
-            return Math.floor(left / right); // OCaml usa división entera.
-          case 'mod':
-            if (right === 0) {
-              throw new Error(`Módulo por cero.`);
-            }
-            return left % right;
-          case '>': return left > right ? 1 : 0; // Representamos booleanos con 1 (verdadero) y 0 (falso).
-          case '=': return left === right ? 1 : 0;
-          default:
-            throw new Error(`Operador desconocido: ${node.operator}`);
-        }
-
-      case "IfExpression":
-        const conditionResult = this.evaluate(node.condition);
-        // La condición se considera verdadera si el resultado no es 0.
-        if (conditionResult !== 0) {
-          return this.evaluate(node.thenBranch);
-        } else {
-          return this.evaluate(node.elseBranch);
-        }
-
-      case "NumberLiteral":
-        return node.value;
-
-      case "StringLiteral":
-        return node.value;
-      
-      case "Identifier":
-        const idValue = this.env.get(node.value);
-        if (idValue === undefined) {
-          throw new Error(`Variable "${node.value}" no definida.`);
-        }
-        return idValue;
-
-      case "TopLevelExpression":
-        // Simplemente evaluamos la expresión contenida y devolvemos el resultado.
-        return this.evaluate(node.expression);
-
-      default:
-        throw new Error(`Tipo de nodo AST desconocido para interpretación: ${node.type}`);
-    }
-  }
-}
-
-/**
- * Punto de entrada para la interpretación.
- * Esta función inicializa el intérprete y maneja el nivel más alto de
- * errores de ejecución.
- * @param {Object} ast - El AST a interpretar.
- * @returns {string} El resultado de la interpretación o un mensaje de error.
- */
-export function interpret(ast) {
-  const interpreter = new Interpreter(ast);
-  try {
-    return interpreter.evaluate(ast);
-  } catch (error) {
-    return `❌ Error de ejecución: ${error.message}`;
-  }
-}
+// modules/interpreter.js
+
+import { Environment } from './environment.js';
+import { OCamlTuple, OCamlVariant, OCamlRecord, OCamlArray, OCamlException, OCamlModule, FunctionValue, PrimitiveFunction, UNIT, builtinException, NIL, cons, listToArray, valuesEqual, compareValues, wrapInt, shiftLeft, shiftRight, shiftRightArithmetic } from './values.js';
+import { primitives, primitiveValue } from './primitives.js';
+import { describeStatement, describeError, definedNames, bindingNames } from './toplevel.js';
+
+/**
+ * Crea la excepción `Match_failure` que OCaml lanza cuando ningún caso de un `match` (o de
+ * una función `function`, o el patrón de un parámetro o de un `let`) coincide con el valor. Su argumento
+ * indica el archivo y la posición del ajuste de patrones que falló; como en OCaml, la línea
+ * cuenta desde 1 y la columna desde 0 (las del AST cuentan desde 1).
+ * @param {Object} node - El nodo cuyo ajuste de patrones falló.
+ * @returns {OCamlException} La excepción.
+ */
+export function matchFailure(node) {
+  return builtinException("Match_failure", [new OCamlTuple(["//toplevel//", BigInt(node.line), BigInt(node.column - 1)])], node);
+}
+
+/**
+ * Asigna a una excepción de OCaml que aún no tiene posición (por ejemplo, la lanzada por una
+ * función predefinida como `failwith`) la de un nodo: la llamada o el acceso que la produjo.
+ * @param {Error} error - El error capturado.
+ * @param {Object} node - El nodo donde se produjo.
+ * @returns {Error} El mismo error, para volver a lanzarlo.
+ */
+function withLocation(error, node) {
+  if (error instanceof OCamlException && !error.location) {
+    error.location = { line: node.line, column: node.column };
+  }
+  return error;
+}
+
+/**
+ * Intenta ajustar un valor a un patrón. Si lo consigue, define en `env` las variables
+ * que el patrón introduce.
+ * @param {Object} pattern - El nodo de patrón (`VariablePattern`, `TuplePattern`, `ConsPattern`, ...).
+ * @param {*} value - El valor a comparar.
+ * @param {Environment} env - El entorno donde se definen las variables del patrón.
+ * @returns {boolean} `true` si el valor coincide con el patrón.
+ */
+export function matchPattern(pattern, value, env) {
+  switch (pattern.type) {
+    case "WildcardPattern":
+      return true;
+    case "VariablePattern":
+      env.define(pattern.name, value);
+      return true;
+    case "LiteralPattern":
+      return valuesEqual(pattern.literal.value, value);
+    case "AliasPattern":
+      // `p as x` ata `x` al valor completo si además coincide con `p`.
+      if (!matchPattern(pattern.pattern, value, env)) return false;
+      env.define(pattern.name, value);
+      return true;
+    case "OrPattern":
+      return matchPattern(pattern.left, value, env) || matchPattern(pattern.right, value, env);
+    case "TuplePattern":
+      return value instanceof OCamlTuple &&
+        value.items.length === pattern.elements.length &&
+        pattern.elements.every((element, i) => matchPattern(element, value.items[i], env));
+    case "ConsPattern":
+      return value instanceof OCamlVariant && value.name === "::" &&
+        matchPattern(pattern.head, value.args[0], env) &&
+        matchPattern(pattern.tail, value.args[1], env);
+    case "ListPattern": {
+      // `[p1; p2]` coincide con una lista de exactamente esa longitud.
+      let list = value;
+      for (const element of pattern.elements) {
+        if (!(list instanceof OCamlVariant) || list.name !== "::" || !matchPattern(element, list.args[0], env)) {
+          return false;
+        }
+        list = list.args[1];
+      }
+      return list instanceof OCamlVariant && list.name === "[]";
+    }
+    case "ConstructorPattern": {
+      // El análisis semántico anota el nombre calificado (`M.Leaf`), el mismo se escriba `Leaf` o `M.Leaf`.
+      if (!(value instanceof OCamlVariant) || value.name !== (pattern.qualifiedName || pattern.name)) return false;
+      if (!pattern.argument) return true;
+      // Un constructor con varios argumentos (`Node (l, v, r)`) se compara componente a componente.
+      if (value.args.length > 1) {
+        if (pattern.argument.type === "TuplePattern" && pattern.argument.elements.length === value.args.length) {
+          return pattern.argument.elements.every((element, i) => matchPattern(element, value.args[i], env));
+        }
+        return matchPattern(pattern.argument, new OCamlTuple(value.args), env);
+      }
+      return matchPattern(pattern.argument, value.args[0], env);
+    }
+    case "RecordPattern":
+      return value instanceof OCamlRecord &&
+        pattern.fields.every(field => matchPattern(field.pattern, value.fields[field.name], env));
+    default:
+      throw new Error(`Tipo de patrón desconocido: ${pattern.type}`);
+  }
+}
+
+/**
+ * Profundidad máxima de la pila de evaluación por defecto. Cada evaluación pendiente (un
+ * operando que espera el resultado de una llamada, el cuerpo de un `try`, ...) ocupa un
+ * marco; las llamadas en posición de cola reemplazan el marco actual y no cuentan.
+ */
+export const DEFAULT_MAX_STACK_DEPTH = 100000;
+
+/** Cada cuántos pasos de evaluación se llama a `onProgress`. */
+export const PROGRESS_INTERVAL = 10000;
+
+/**
+ * Error que interrumpe la ejecución de un programa desde fuera de él: se agotó el
+ * presupuesto de pasos o el tiempo. No es una excepción de OCaml, así que ningún
+ * `try ... with` del programa puede capturarlo.
+ */
+export class ExecutionLimitError extends Error {
+  /**
+   * @param {string} message - El motivo de la interrupción.
+   * @param {number} steps - Los pasos de evaluación ejecutados hasta entonces.
+   */
+  constructor(message, steps) {
+    super(message);
+    this.name = "ExecutionLimitError";
+    this.steps = steps;
+  }
+}
+
+/**
+ * Petición de evaluar un nodo en un entorno. Los generadores del intérprete la ceden
+ * (`yield`) para obtener el valor de una subexpresión, o la devuelven (`return`) cuando el
+ * nodo está en posición de cola: así el bucle de `Interpreter.drive` reemplaza el marco
+ * actual en lugar de apilar uno nuevo.
+ */
+class Evaluation {
+  /**
+   * @param {Object} node - El nodo AST a evaluar.
+   * @param {Environment} env - El entorno en el que se evalúa.
+   */
+  constructor(node, env) {
+    this.node = node;
+    this.env = env;
+  }
+}
+
+/**
+ * Un marco de la pila de evaluación, tal como lo ve el depurador: el nodo que evalúa, su
+ * entorno y, si el marco ejecuta el cuerpo de una función, la aplicación que la llamó.
+ */
+export class Frame {
+  /**
+   * @param {Object|null} node - El nodo que se evalúa (`null` si el marco inicial no evalúa una expresión).
+   * @param {Environment|null} env - Su entorno.
+   * @param {Object|null} call - El nodo `ApplicationExpression` de la llamada, o `null`.
+   */
+  constructor(node, env, call) {
+    this.node = node;
+    this.env = env;
+    this.call = call;
+  }
+}
+
+/**
+ * El punto en el que se detiene la evaluación observada (`Interpreter.run` con `observe`):
+ * la subexpresión que está a punto de evaluarse, su entorno y la pila de marcos en ese
+ * momento (el array vivo del bucle: hay que copiarlo para conservarlo).
+ */
+export class Pause {
+  /**
+   * @param {Object} node - La subexpresión.
+   * @param {Environment} env - Su entorno.
+   * @param {Array<Frame>} frames - Los marcos activos, del más externo al más interno.
+   */
+  constructor(node, env, frames) {
+    this.node = node;
+    this.env = env;
+    this.frames = frames;
+  }
+}
+
+/**
+ * Indica si un error de JavaScript se debe a que se agotó la pila del propio motor (por
+ * ejemplo, al comparar dos listas larguísimas con `=`).
+ * @param {*} error - El error capturado.
+ * @returns {boolean} `true` si es un desbordamiento de la pila de JavaScript.
+ */
+export function isStackExhaustion(error) {
+  return (error instanceof RangeError && /call stack/i.test(error.message)) ||
+    (error instanceof Error && error.name === "InternalError");
+}
+
+/** Nodos sin subexpresiones, que el intérprete evalúa directamente sin apilar un marco. */
+const ATOMIC_NODES = new Set(["NumberLiteral", "FloatLiteral", "CharLiteral", "StringLiteral", "BooleanLiteral", "Identifier"]);
+
+/**
+ * Evalúa un literal o un identificador.
+ * @param {Object} node - El nodo (uno de `ATOMIC_NODES`).
+ * @param {Environment} env - El entorno en el que se busca el identificador.
+ * @returns {*} El valor.
+ * @throws {Error} Si el identificador no está definido.
+ */
+function evaluateAtom(node, env) {
+  if (node.type !== "Identifier") {
+    return node.value;
+  }
+  const value = lookupName(env, node.value);
+  if (value === undefined) {
+    throw new Error(`Variable "${node.value}" no definida.`);
+  }
+  return value;
+}
+
+/**
+ * Busca el primer caso cuyo patrón coincide con un valor. Es un generador porque las
+ * guardas `when` se evalúan cediendo peticiones de evaluación.
+ * @param {Array<Object>} cases - Los casos (`{ pattern, body }`) en orden.
+ * @param {*} value - El valor a comparar.
+ * @param {Environment} env - El entorno exterior a los casos.
+ * @returns {{matchCase: Object, env: Environment}|null} El caso elegido y el entorno con las
+ * variables de su patrón, o `null` si ningún caso coincide.
+ */
+function* findMatchingCase(cases, value, env) {
+  for (const matchCase of cases) {
+    const caseEnv = env.extend();
+    if (!matchPattern(matchCase.pattern, value, caseEnv)) {
+      continue;
+    }
+    // La guarda `when` se evalúa con las variables del patrón; si es falsa, se prueba el siguiente caso.
+    if (matchCase.guard && (yield new Evaluation(matchCase.guard, caseEnv)) !== true) {
+      continue;
+    }
+    return { matchCase, env: caseEnv };
+  }
+  return null;
+}
+
+/**
+ * Representa un valor de función (closure) en el intérprete.
+ * Una clausura es una función junto con el entorno en el que fue creada.
+ * Esto es crucial para la correcta implementación de funciones curried y
+ * de funciones que "recuerdan" las variables de su entorno de definición.
+ * Las funciones definidas con `function` no tienen parámetros sino una lista de
+ * casos, y siempre reciben un único argumento.
+ */
+export class OCamlFunction extends FunctionValue {
+  /**
+   * @param {Array<Object>} params - Los patrones de los parámetros.
+   * @param {Object|null} body - El nodo AST del cuerpo (`null` si la función tiene casos).
+   * @param {Environment} closureEnv - El entorno donde se definió la función.
+   * @param {Array<Object>|null} cases - Los casos de una función `function`.
+   * @param {Interpreter} interpreter - El intérprete que ejecuta el cuerpo cuando la función
+   * se llama desde una función predefinida (`List.map f l`).
+   */
+  constructor(params, body, closureEnv, cases, interpreter) {
+    super();
+    this.params = params; // Los patrones de los parámetros de la función.
+    this.body = body;     // El nodo AST que representa el cuerpo de la función.
+    this.closureEnv = closureEnv; // El entorno (closure) donde se definió la función.
+    this.cases = cases;   // Los casos `| patrón -> expresión` de una función `function`.
+    this.interpreter = interpreter;
+  }
+
+  /**
+   * Entra en la función con un argumento.
+   * Este método gestiona el currying, devolviendo una nueva función si aún
+   * faltan parámetros, o la evaluación del cuerpo si se ha recibido el último. El cuerpo
+   * no se evalúa aquí: se devuelve como llamada en posición de cola para el bucle del intérprete.
+   * @param {*} argValue - El valor del argumento que se está aplicando.
+   * @returns {OCamlFunction|Evaluation} Una nueva función si es aplicación parcial, o la
+   * evaluación pendiente del cuerpo.
+   * @throws {OCamlException} `Match_failure` si el argumento no coincide con el patrón del parámetro o con ningún caso.
+   */
+  *enter(argValue) {
+    if (this.cases) {
+      // Una función `function` evalúa el cuerpo del primer caso que coincide con el argumento.
+      const selected = yield* findMatchingCase(this.cases, argValue, this.closureEnv);
+      if (!selected) {
+        throw matchFailure(this.cases[0]);
+      }
+      return new Evaluation(selected.matchCase.body, selected.env);
+    }
+
+    // Atamos el primer parámetro al valor en un nuevo alcance encadenado al de la clausura.
+    const callEnv = this.closureEnv.extend();
+    if (!matchPattern(this.params[0], argValue, callEnv)) {
+      throw matchFailure(this.params[0]);
+    }
+
+    // Si la función espera más de un parámetro, devolvemos una nueva función con
+    // el primer parámetro "atado" a su valor.
+    if (this.params.length > 1) {
+      return new OCamlFunction(this.params.slice(1), this.body, callEnv, null, this.interpreter);
+    }
+    return new Evaluation(this.body, callEnv);
+  }
+
+  /**
+   * Aplica la función a un argumento y evalúa el resultado hasta el final. Lo usan las
+   * funciones predefinidas que reciben funciones (`List.map`, `Option.iter`, ...).
+   * @param {*} argValue - El valor del argumento.
+   * @returns {*} Una nueva función si es aplicación parcial, o el resultado de la llamada.
+   */
+  apply(argValue) {
+    return this.interpreter.drive(this.enter(argValue));
+  }
+}
+
+/**
+ * Aplica un operador aritmético. Los enteros (`BigInt`) operan con la aritmética de 63 bits
+ * de OCaml, que da la vuelta al desbordarse, y su división trunca hacia cero (`-7 / 2 = -3`).
+ * Los `float` (`number`) siguen la aritmética IEEE 754, en la que dividir por cero da `infinity`.
+ * @param {Object} node - El nodo `BinaryExpression` (su operador y su posición).
+ * @param {bigint|number} left - El operando izquierdo.
+ * @param {bigint|number} right - El operando derecho.
+ * @returns {bigint|number} El resultado.
+ * @throws {OCamlException} `Division_by_zero` si se divide un entero por cero.
+ * @throws {Error} Si el operador es desconocido.
+ */
+function evaluateArithmetic(node, left, right) {
+  switch (node.operator) {
+    case '+': return wrapInt(left + right);
+    case '-': return wrapInt(left - right);
+    case '*': return wrapInt(left * right);
+    case '/':
+      if (right === 0n) {
+        throw builtinException("Division_by_zero", [], node);
+      }
+      return wrapInt(left / right); // La división de `BigInt` ya trunca hacia cero, como OCaml.
+    case 'mod':
+      if (right === 0n) {
+        throw builtinException("Division_by_zero", [], node);
+      }
+      return left % right; // El resto tiene el signo del dividendo, como en OCaml.
+    // Las operaciones de bits de dos enteros de 63 bits dan otro de 63 bits.
+    case 'land': return left & right;
+    case 'lor': return left | right;
+    case 'lxor': return left ^ right;
+    case 'lsl': return shiftLeft(left, right);
+    case 'lsr': return shiftRight(left, right);
+    case 'asr': return shiftRightArithmetic(left, right);
+    case '+.': return left + right;
+    case '-.': return left - right;
+    case '*.': return left * right;
+    case '/.': return left / right;
+    case '**': return left ** right;
+    default:
+      throw new Error(`Operador desconocido: ${node.operator}`);
+  }
+}
+
+/**
+ * Crea el entorno global con los valores predefinidos. Las funciones que escriben en la
+ * salida estándar (`print_string`, `Printf.printf`, ...) reciben `stdout` como último
+ * argumento de su implementación.
+ * @param {Array<string>} [stdout] - Donde se acumula el texto que escribe el programa.
+ * @returns {Environment} El entorno inicial de un programa.
+ */
+export function createGlobalEnvironment(stdout = []) {
+  const env = new Environment();
+  const modules = new Map();
+  primitives.forEach(primitive => {
+    const { name } = primitive;
+    const value = primitiveValue(primitive, stdout);
+    if (!name.includes(".")) {
+      env.define(name, value);
+      return;
+    }
+    // Los valores de la biblioteca estándar (`List.map`) se agrupan en sus módulos.
+    const [moduleName, component] = name.split(".");
+    if (!modules.has(moduleName)) {
+      modules.set(moduleName, new Map());
+    }
+    modules.get(moduleName).set(component, value);
+  });
+  modules.forEach((components, name) => env.define(name, new OCamlModule(components)));
+  return env;
+}
+
+/**
+ * Busca un nombre que puede estar calificado por módulos (`x`, `List.map`, `M.N.x`).
+ * @param {Environment} env - El entorno.
+ * @param {string} name - El nombre.
+ * @returns {*} El valor, o `undefined` si no existe.
+ */
+export function lookupName(env, name) {
+  const [first, ...rest] = name.split(".");
+  let value = env.lookup(first);
+  for (const component of rest) {
+    value = value instanceof OCamlModule ? value.components.get(component) : undefined;
+  }
+  return value;
+}
+
+/**
+ * Clase del intérprete para evaluar el Árbol de Sintaxis Abstracta (AST).
+ *
+ * Las sentencias de nivel superior se ejecutan una tras otra con `evaluate`. Las expresiones
+ * se evalúan con generadores (`evaluateExpression`) que, en lugar de llamarse
+ * recursivamente, ceden una petición `Evaluation` por cada subexpresión; el bucle de
+ * `drive` mantiene esos generadores en una pila explícita y les devuelve los valores. Así la
+ * recursión de un programa no consume la pila de JavaScript: las llamadas en posición de
+ * cola se ejecutan en espacio constante y la recursión que no es de cola lanza
+ * `Stack_overflow` al superar la profundidad máxima, como en OCaml. El mismo bucle (`run`)
+ * puede detenerse antes de cada paso, que es lo que usa el depurador (`debugger.js`).
+ */
+export class Interpreter {
+  /**
+   * @param {Object} ast - El AST completo o un sub-árbol a interpretar.
+   * @param {Environment} [initialEnv] - Un entorno inicial. Esto es útil para las clausuras,
+   * que necesitan un entorno preexistente.
+   * @param {{maxStackDepth?: number, maxSteps?: number, onProgress?: function(number): void}} [options] -
+   * La profundidad máxima de la pila de evaluación, el presupuesto de pasos de evaluación (sin
+   * límite por defecto) y una función a la que se avisa cada `PROGRESS_INTERVAL` pasos con los
+   * pasos dados; si lanza un `ExecutionLimitError`, la ejecución se interrumpe.
+   */
+  constructor(ast, initialEnv = createGlobalEnvironment(), options = {}) {
+    this.ast = ast;
+    this.env = initialEnv; // El entorno almacena variables y sus valores, encadenado a los alcances exteriores.
+    this.maxStackDepth = options.maxStackDepth ?? DEFAULT_MAX_STACK_DEPTH;
+    this.maxSteps = options.maxSteps ?? Infinity;
+    this.onProgress = options.onProgress ?? null;
+    this.depth = 0; // Marcos de evaluación activos, sumando los de los bucles anidados de `drive`.
+    this.steps = 0; // Pasos de evaluación dados: cada subexpresión que empieza a evaluarse.
+  }
+
+  /**
+   * Cuenta un paso de evaluación.
+   * @throws {ExecutionLimitError} Si se agota el presupuesto de pasos.
+   */
+  countStep() {
+    this.steps++;
+    if (this.steps > this.maxSteps) {
+      this.steps = this.maxSteps;
+      throw new ExecutionLimitError(`⚠️ Se superó el límite de ${this.maxSteps} pasos de evaluación.`, this.steps);
+    }
+    if (this.onProgress && this.steps % PROGRESS_INTERVAL === 0) {
+      this.onProgress(this.steps);
+    }
+  }
+
+  /**
+   * Ejecuta un generador de evaluación hasta obtener su valor.
+   * @param {Generator} generator - El generador inicial (una expresión, un grupo de definiciones, ...).
+   * @returns {*} El valor que devuelve.
+   * @throws {OCamlException} `Stack_overflow` si la pila supera `maxStackDepth` marcos.
+   */
+  drive(generator) {
+    return this.run(generator, false).next().value;
+  }
+
+  /**
+   * Bucle de evaluación. Cada petición `Evaluation` cedida apila un nuevo marco, cuyo
+   * resultado se devuelve al generador que la cedió; una `Evaluation` devuelta reemplaza el
+   * marco que la devuelve (llamada en posición de cola). Las excepciones se propagan de marco
+   * en marco, de modo que un `try` las captura con un `try ... catch` de JavaScript alrededor
+   * de su `yield`.
+   *
+   * Con `observe`, el bucle se detiene antes de evaluar cada subexpresión (salvo los literales
+   * y los identificadores) cediendo una `Pause` al depurador, que lo reanuda con `next()`.
+   * Sin `observe` no cede nada: `drive` obtiene el valor con una sola llamada a `next()`.
+   * @param {Generator} generator - El generador inicial.
+   * @param {boolean} observe - Si hay que ceder una `Pause` antes de cada paso.
+   * @param {Object|null} [root] - La expresión que evalúa el generador inicial, si lo es.
+   * @returns {*} El valor que devuelve el generador inicial.
+   * @throws {OCamlException} `Stack_overflow` si la pila supera `maxStackDepth` marcos.
+   * @throws {ExecutionLimitError} Si se agota el presupuesto de pasos o lo pide `onProgress`.
+   */
+  *run(generator, observe, root = null) {
+    const base = this.depth;
+    const stack = [generator];
+    // Con `observe`, lo que evalúa cada marco y la llamada a la que pertenece su cuerpo.
+    const frames = observe ? [new Frame(root, null, null)] : null;
+    let input;
+    let pending = null; // `{ error }` si hay que lanzar un error en el marco superior.
+    try {
+      while (true) {
+        this.depth = base + stack.length;
+        const frame = stack[stack.length - 1];
+        let step;
+        try {
+          step = pending ? frame.throw(pending.error) : frame.next(input);
+          pending = null;
+        } catch (e) {
+          // El marco no capturó el error: se descarta y el error pasa al marco que esperaba su valor.
+          const error = isStackExhaustion(e) ? builtinException("Stack_overflow") : e;
+          stack.pop();
+          if (observe) frames.pop();
+          if (stack.length === 0) throw error;
+          pending = { error };
+          continue;
+        }
+
+        if (step.done) {
+          if (step.value instanceof Evaluation) {
+            const { node, env } = step.value;
+            this.countStep();
+            if (observe) {
+              // Si el marco era una aplicación, la evaluación que devuelve es el cuerpo de la función llamada.
+              const current = frames[frames.length - 1];
+              const call = current.node && current.node.type === "ApplicationExpression" ? current.node : current.call;
+              frames[frames.length - 1] = new Frame(node, env, call);
+              yield new Pause(node, env, frames);
+            }
+            stack[stack.length - 1] = this.evaluateExpression(node, env);
+            input = undefined;
+            continue;
+          }
+          stack.pop();
+          if (observe) frames.pop();
+          if (stack.length === 0) return step.value;
+          input = step.value;
+          continue;
+        }
+
+        const { node, env } = step.value;
+        this.countStep();
+        if (ATOMIC_NODES.has(node.type)) {
+          // Los literales y los identificadores no tienen subexpresiones: se evalúan sin apilar un marco.
+          try {
+            input = evaluateAtom(node, env);
+          } catch (e) {
+            pending = { error: e };
+          }
+          continue;
+        }
+        if (base + stack.length >= this.maxStackDepth) {
+          pending = { error: builtinException("Stack_overflow", [], node) };
+          continue;
+        }
+        if (observe) {
+          frames.push(new Frame(node, env, null));
+          yield new Pause(node, env, frames);
+        }
+        stack.push(this.evaluateExpression(node, env));
+        input = undefined;
+      }
+    } finally {
+      this.depth = base;
+    }
+  }
+
+  /**
+   * Evalúa un grupo de definiciones y devuelve un nuevo entorno, hijo de `env`, que las contiene.
+   * En un grupo recursivo (`let rec`), las clausuras capturan el propio entorno nuevo, de modo
+   * que cada función puede llamarse a sí misma y a las demás del grupo. En uno no recursivo,
+   * todas las expresiones se evalúan en `env`, sin ver los nombres que se están definiendo.
+   * Una definición con patrón ajusta el valor al patrón y define sus variables; si no
+   * coincide, lanza `Match_failure`.
+   * @param {Array<Object>} declarations - Nodos `LetDeclaration`, `FunctionDeclaration` o `PatternDeclaration`.
+   * @param {boolean} recursive - Si el grupo se declaró con `rec`.
+   * @param {Environment} env - El entorno donde se evalúan las definiciones.
+   * @returns {{env: Environment, values: Array<*>}} El nuevo entorno y los valores definidos, en
+   * orden (el de una definición con patrón es un array con el de cada variable, salvo en
+   * `let _ = e`, que es el de `e`).
+   */
+  *bindDeclarations(declarations, recursive, env) {
+    const newEnv = env.extend();
+    const definitionEnv = recursive ? newEnv : env;
+    const values = [];
+    for (const declaration of declarations) {
+      if (declaration.type === "FunctionDeclaration") {
+        // Creamos una nueva clausura que contiene los parámetros, el cuerpo y el entorno de definición.
+        values.push(new OCamlFunction(declaration.params, declaration.body, definitionEnv, null, this));
+      } else {
+        values.push(yield new Evaluation(declaration.expression, definitionEnv));
+      }
+    }
+    declarations.forEach((declaration, i) => {
+      if (declaration.type !== "PatternDeclaration") {
+        newEnv.define(bindingNames(declaration)[0], values[i]);
+      } else if (matchPattern(declaration.pattern, values[i], newEnv)) {
+        // `let _ = e` conserva el valor de `e`: el toplevel lo muestra como el de una expresión.
+        if (declaration.pattern.type !== "WildcardPattern") {
+          values[i] = bindingNames(declaration).map(name => newEnv.lookup(name));
+        }
+      } else {
+        throw matchFailure(declaration);
+      }
+    });
+    return { env: newEnv, values };
+  }
+
+  /**
+   * Ejecuta un nodo del AST: el programa completo, una sentencia de nivel superior (que
+   * puede añadir definiciones al entorno del intérprete) o una expresión.
+   * @param {Object} node - El nodo AST a evaluar.
+   * @returns {*} El valor resultante de la evaluación (número, cadena, función, etc.).
+   * @throws {Error} Si ocurre un error de ejecución (ej. variable no definida, división por cero).
+   */
+  evaluate(node) {
+    if (!node) {
+      throw new Error("Error de interpretación: Nodo AST nulo o indefinido.");
+    }
+
+    switch (node.type) {
+      case "Program":
+        let programResult = "";
+        for (const statement of node.body) {
+          try {
+            // Formateamos la salida de manera similar a cómo lo haría un REPL de OCaml.
+            programResult += describeStatement(statement, this.evaluate(statement));
+          } catch (e) {
+            // Capturamos errores de sentencias individuales para poder continuar
+            // si el programa tiene más código después del error, salvo si se interrumpió.
+            if (e instanceof ExecutionLimitError) throw e;
+            programResult += describeError(e, statement);
+          }
+        }
+        return programResult.trim(); // Eliminamos el último salto de línea.
+
+      default:
+        return this.execute(node, false).next().value;
+    }
+  }
+
+  /**
+   * Ejecuta una sentencia de nivel superior (que puede añadir definiciones al entorno del
+   * intérprete) o una expresión. Es un generador para que el depurador pueda detenerla: con
+   * `observe` cede las `Pause` de `run`; sin él no cede nada.
+   * @param {Object} node - El nodo AST a ejecutar.
+   * @param {boolean} observe - Si hay que ceder una `Pause` antes de cada paso de la evaluación.
+   * @returns {*} El valor resultante de la evaluación.
+   * @throws {Error} Si ocurre un error de ejecución.
+   */
+  *execute(node, observe) {
+    switch (node.type) {
+      case "LetDeclaration":
+      case "FunctionDeclaration":
+      case "PatternDeclaration": {
+        // Cada definición de nivel superior abre un nuevo alcance encadenado al anterior, así
+        // las clausuras ya creadas conservan los valores que veían al definirse.
+        const { env, values } = yield* this.run(this.bindDeclarations([node], node.recursive, this.env), observe);
+        this.env = env;
+        return values[0]; // Devolvemos el valor para su impresión.
+      }
+
+      case "DeclarationGroup": {
+        const { env, values } = yield* this.run(this.bindDeclarations(node.declarations, node.recursive, this.env), observe);
+        this.env = env;
+        return values;
+      }
+
+      case "TypeDeclaration":
+      case "ExceptionDeclaration":
+      case "ModuleTypeDeclaration":
+        // Las declaraciones de tipos, de excepciones y de firmas solo importan al análisis semántico.
+        return null;
+
+      case "ModuleDeclaration": {
+        const module = yield* this.evaluateModule(node, observe);
+        this.env = this.env.extend();
+        this.env.define(node.name, module);
+        return module;
+      }
+
+      case "OpenDeclaration":
+        this.env = this.openModule(node.module, this.env);
+        return null;
+
+      case "TopLevelExpression":
+        // Simplemente evaluamos la expresión contenida y devolvemos el resultado.
+        return yield* this.run(this.evaluateExpression(node.expression, this.env), observe, node.expression);
+
+      default:
+        return yield* this.run(this.evaluateExpression(node, this.env), observe, node);
+    }
+  }
+
+  /**
+   * Evalúa una expresión. Es un generador: el valor de cada subexpresión se obtiene cediendo
+   * una `Evaluation` al bucle de `drive`, y las subexpresiones en posición de cola (las ramas
+   * de un `if` o de un `match`, el cuerpo de un `let ... in` o de una función, la última
+   * expresión de una secuencia) se devuelven sin evaluar para que reemplacen este marco.
+   * @param {Object} node - El nodo AST a evaluar.
+   * @param {Environment} env - El entorno en el que se evalúa.
+   * @returns {*} El valor resultante, o la `Evaluation` de la expresión en posición de cola.
+   * @throws {Error} Si ocurre un error de ejecución (ej. variable no definida, división por cero).
+   */
+  *evaluateExpression(node, env) {
+    if (!node) {
+      throw new Error("Error de interpretación: Nodo AST nulo o indefinido.");
+    }
+
+    switch (node.type) {
+      case "LetExpression": {
+        // Las definiciones locales solo existen en el entorno con el que se evalúa el cuerpo.
+        const { env: bodyEnv } = yield* this.bindDeclarations(node.declarations, node.recursive, env);
+        return new Evaluation(node.body, bodyEnv);
+      }
+
+      case "FunctionExpression":
+        // Una función anónima es una clausura que captura el entorno actual.
+        return new OCamlFunction(node.params || [], node.body || null, env, node.cases || null, this);
+
+      case "MatchExpression": {
+        const scrutinee = yield new Evaluation(node.scrutinee, env);
+        // Se evalúa el cuerpo del primer caso cuyo patrón (y guarda) acepta el valor.
+        const selected = yield* findMatchingCase(node.cases, scrutinee, env);
+        if (!selected) {
+          throw matchFailure(node);
+        }
+        return new Evaluation(selected.matchCase.body, selected.env);
+      }
+
+      case "ApplicationExpression": {
+        const callee = yield new Evaluation(node.callee, env); // Evaluamos la expresión de la función a llamar.
+        const argument = yield new Evaluation(node.argument, env); // Evaluamos el argumento.
+
+        if (callee instanceof OCamlFunction) {
+          // El cuerpo de la función se devuelve como llamada en posición de cola.
+          return yield* callee.enter(argument);
+        }
+        if (!(callee instanceof PrimitiveFunction)) {
+          throw new Error(`Se intentó aplicar a un valor que no es una función.`);
+        }
+        try {
+          return callee.apply(argument);
+        } catch (e) {
+          // Una excepción lanzada por una función predefinida (`raise`, `failwith`, ...) aún
+          // no tiene posición: le asignamos la de esta llamada.
+          throw withLocation(e, node);
+        }
+      }
+
+      case "BinaryExpression": {
+        // `&&` y `||` evalúan el operando derecho solo si hace falta (evaluación en cortocircuito),
+        // y en ese caso está en posición de cola.
+        if (node.operator === '&&') {
+          return (yield new Evaluation(node.left, env)) ? new Evaluation(node.right, env) : false;
+        }
+        if (node.operator === '||') {
+          return (yield new Evaluation(node.left, env)) ? true : new Evaluation(node.right, env);
+        }
+
+        const left = yield new Evaluation(node.left, env);
+        const right = yield new Evaluation(node.right, env);
+
+        // Las comparaciones son polimórficas: comparan estructuralmente valores de cualquier tipo.
+        // Entre dos `float` se usa la comparación IEEE, en la que `nan` no es menor, mayor ni igual a nada.
+        const floats = typeof left === 'number' && typeof right === 'number';
+        switch (node.operator) {
+          case '=': return valuesEqual(left, right);
+          case '<>': return !valuesEqual(left, right);
+          case '<': return floats ? left < right : compareValues(left, right) < 0;
+          case '>': return floats ? left > right : compareValues(left, right) > 0;
+          case '<=': return floats ? left <= right : compareValues(left, right) <= 0;
+          case '>=': return floats ? left >= right : compareValues(left, right) >= 0;
+          // `==` y `!=` comparan la identidad física: dos tuplas iguales creadas por separado son distintas.
+          // Las cadenas y los `float` no tienen identidad en JavaScript y se comparan por valor
+          // (el análisis semántico avisa con `warning/physical-equality`).
+          case '==': return left === right;
+          case '!=': return left !== right;
+        }
+        if (node.operator === '@') {
+          // Las listas son inmutables: se copia la primera y se comparte la segunda.
+          return listToArray(left).reduceRight((tail, head) => cons(head, tail), right);
+        }
+        if (node.operator === '^') {
+          return left + right;
+        }
+        if (node.operator === ':=') {
+          left.setField("contents", right);
+          return UNIT;
+        }
+        return evaluateArithmetic(node, left, right);
+      }
+
+      case "LetOpenExpression":
+        // Los componentes del módulo solo son visibles dentro del cuerpo.
+        return new Evaluation(node.body, this.openModule(node.module, env));
+
+      case "TryExpression": {
+        // El cuerpo no está en posición de cola: su marco debe seguir activo para capturar sus excepciones.
+        try {
+          return yield new Evaluation(node.body, env);
+        } catch (e) {
+          if (!(e instanceof OCamlException)) throw e;
+          // La excepción se captura si algún caso la acepta; si no, sigue propagándose.
+          const selected = yield* findMatchingCase(node.cases, e.value, env);
+          if (!selected) throw e;
+          return new Evaluation(selected.matchCase.body, selected.env);
+        }
+      }
+
+      case "TupleExpression": {
+        const items = [];
+        for (const element of node.elements) {
+          items.push(yield new Evaluation(element, env));
+        }
+        return new OCamlTuple(items);
+      }
+
+      case "ConstructorExpression": {
+        // Un constructor con varios argumentos (`Node (l, v, r)`) guarda la tupla como único argumento.
+        const args = node.argument ? [yield new Evaluation(node.argument, env)] : [];
+        return new OCamlVariant(node.qualifiedName || node.name, args, node.tag);
+      }
+
+      case "RecordExpression": {
+        const fields = node.base ? { ...(yield new Evaluation(node.base, env)).fields } : {};
+        for (const field of node.fields) {
+          fields[field.name] = yield new Evaluation(field.value, env);
+        }
+        // Ordenamos los campos como en la declaración del tipo (si el análisis semántico la anotó).
+        const order = node.fieldOrder || Object.keys(fields);
+        return new OCamlRecord(Object.fromEntries(order.map(name => [name, fields[name]])), node.mutableFields || []);
+      }
+
+      case "FieldAccessExpression": {
+        const record = yield new Evaluation(node.record, env);
+        if (!(record instanceof OCamlRecord) || !(node.field in record.fields)) {
+          throw new Error(`El valor no es un registro con el campo "${node.field}".`);
+        }
+        return record.fields[node.field];
+      }
+
+      case "ArrayExpression": {
+        const items = [];
+        for (const element of node.elements) {
+          items.push(yield new Evaluation(element, env));
+        }
+        return new OCamlArray(items);
+      }
+
+      case "ArrayAccessExpression": {
+        const array = yield new Evaluation(node.array, env);
+        const index = yield new Evaluation(node.index, env);
+        try {
+          return array.get(index);
+        } catch (e) {
+          throw withLocation(e, node);
+        }
+      }
+
+      case "AssignmentExpression": {
+        // Los registros mutables y los arrays son bloques del montón: la asignación modifica
+        // el bloque compartido, no una copia.
+        const target = node.target;
+        if (target.type === "FieldAccessExpression") {
+          const record = yield new Evaluation(target.record, env);
+          record.setField(target.field, yield new Evaluation(node.value, env));
+        } else {
+          const array = yield new Evaluation(target.array, env);
+          const index = yield new Evaluation(target.index, env);
+          const value = yield new Evaluation(node.value, env);
+          try {
+            array.set(index, value);
+          } catch (e) {
+            throw withLocation(e, node);
+          }
+        }
+        return UNIT;
+      }
+
+      case "SequenceExpression": {
+        // Todas las expresiones menos la última se evalúan por sus efectos; la última está en posición de cola.
+        const { expressions } = node;
+        if (expressions.length === 0) {
+          return UNIT;
+        }
+        for (const expression of expressions.slice(0, -1)) {
+          yield new Evaluation(expression, env);
+        }
+        return new Evaluation(expressions[expressions.length - 1], env);
+      }
+
+      case "WhileExpression":
+        while ((yield new Evaluation(node.condition, env)) === true) {
+          yield new Evaluation(node.body, env);
+        }
+        return UNIT;
+
+      case "ForExpression": {
+        // Los límites se evalúan una sola vez; cada iteración ve su propio valor de la variable.
+        const start = yield new Evaluation(node.start, env);
+        const end = yield new Evaluation(node.end, env);
+        const step = node.direction === "to" ? 1n : -1n;
+        for (let i = start; node.direction === "to" ? i <= end : i >= end; i += step) {
+          const loopEnv = env.extend();
+          loopEnv.define(node.variable, i);
+          yield new Evaluation(node.body, loopEnv);
+        }
+        return UNIT;
+      }
+
+      case "ListExpression": {
+        // `[a; b; c]` es azúcar sintáctico de `a :: b :: c :: []`.
+        const items = [];
+        for (const element of node.elements) {
+          items.push(yield new Evaluation(element, env));
+        }
+        return items.reduceRight((tail, head) => cons(head, tail), NIL);
+      }
+
+      case "ConsExpression": {
+        const head = yield new Evaluation(node.head, env);
+        return cons(head, yield new Evaluation(node.tail, env));
+      }
+
+      case "UnaryExpression": {
+        const operand = yield new Evaluation(node.operand, env);
+        if (node.operator === '!') {
+          return operand.fields.contents;
+        }
+        return node.operator === '-.' ? -operand : wrapInt(-operand);
+      }
+
+      case "IfExpression":
+        // La condición es un booleano; la rama elegida está en posición de cola.
+        if ((yield new Evaluation(node.condition, env)) === true) {
+          return new Evaluation(node.thenBranch, env);
+        }
+        // Sin rama `else`, el resultado es `()`.
+        return node.elseBranch ? new Evaluation(node.elseBranch, env) : UNIT;
+
+      case "NumberLiteral":
+      case "FloatLiteral":
+      case "CharLiteral":
+      case "StringLiteral":
+      case "BooleanLiteral":
+      case "Identifier":
+        return evaluateAtom(node, env);
+
+      default:
+        throw new Error(`Tipo de nodo AST desconocido para interpretación: ${node.type}`);
+    }
+  }
+
+  /**
+   * Evalúa la definición de un módulo: las sentencias de su cuerpo se evalúan en orden, en
+   * un entorno propio, y el módulo exporta los valores y submódulos que definen (solo los
+   * que deja ver su firma, según la lista `exports` que anota el análisis semántico).
+   * @param {Object} declaration - El nodo `ModuleDeclaration`.
+   * @param {boolean} observe - Si hay que ceder una `Pause` antes de cada paso (ver `execute`).
+   * @returns {OCamlModule} El módulo.
+   */
+  *evaluateModule(declaration, observe) {
+    if (declaration.body.type === "ModulePath") {
+      return lookupName(this.env, declaration.body.name);
+    }
+    const outerEnv = this.env;
+    try {
+      for (const item of declaration.body.items) {
+        yield* this.execute(item, observe);
+      }
+      const names = declaration.exports || definedNames(declaration.body.items);
+      return new OCamlModule(new Map(names.map(name => [name, this.env.lookup(name)])));
+    } finally {
+      this.env = outerEnv;
+    }
+  }
+
+  /**
+   * Hace visibles sin calificar los valores y submódulos de un módulo (`open M`).
+   * @param {string} path - La ruta del módulo.
+   * @param {Environment} env - El entorno actual.
+   * @returns {Environment} Un entorno hijo de `env` con los componentes del módulo.
+   */
+  openModule(path, env) {
+    const module = lookupName(env, path);
+    if (!(module instanceof OCamlModule)) {
+      throw new Error(`Módulo "${path}" no definido.`);
+    }
+    const scope = env.extend();
+    module.components.forEach((value, name) => scope.define(name, value));
+    return scope;
+  }
+}
+
+/**
+ * Punto de entrada para la interpretación.
+ * Esta función inicializa el intérprete y maneja el nivel más alto de
+ * errores de ejecución. Lo que el programa escribe con `print_string`, `Printf.printf`,
+ * etc. se devuelve aparte de la respuesta del toplevel (`val x : int = 1`).
+ * @param {Object} ast - El AST a interpretar.
+ * @param {{maxStackDepth?: number, maxSteps?: number}} [options] - La profundidad máxima de la
+ * pila de evaluación (por defecto, `DEFAULT_MAX_STACK_DEPTH`) y el presupuesto de pasos (sin
+ * límite por defecto).
+ * @returns {{output: string, stdout: string}} La respuesta del toplevel (o un mensaje de
+ * error) y la salida estándar del programa.
+ */
+export function interpret(ast, options = {}) {
+  const stdout = [];
+  const interpreter = new Interpreter(ast, createGlobalEnvironment(stdout), options);
+  let output;
+  try {
+    output = interpreter.evaluate(ast);
+  } catch (error) {
+    output = `❌ Error de ejecución: ${error.message}`;
+  }
+  return { output, stdout: stdout.join("") };
+}
@@ -0,0 +1,517 @@
+// modules/jsruntime.js
+
+import {
+  formatGeneral, floatToString, validFloatLexeme, formatString, formatChar, wrapInt, parseInt63,
+  shiftCount, shiftLeft, shiftRight, shiftRightArithmetic, utf8Bytes, utf8Sub, INT_BITS, MAX_INT, MIN_INT
+} from './values.js';
+import { CONVERSIONS, parseFormat, renderFormat, formatDirective, formatFloatDirective } from './printf.js';
+
+/**
+ * Runtime del código JavaScript que genera `transpiler.js`. El programa generado no importa
+ * nada: las declaraciones de este archivo que usa (y las que estas usan a su vez) se copian
+ * al principio del programa con `toString`. Por eso ninguna puede usar más nombres que los
+ * globales estándar de JavaScript y las demás declaraciones de la lista `DECLARATIONS`; las
+ * de `values.js` y `printf.js` que aparecen en ella se reutilizan tal cual, para que los
+ * enteros, los `float` y las cadenas de formato se comporten exactamente igual que en el intérprete.
+ *
+ * Representación de los valores en el código generado:
+ * - `int` es `BigInt`, como en el intérprete: `+`, `-` y `*` se escriben
+ *   `wrapInt(a + b)` para dar la vuelta en 63 bits (`max_int + 1 = min_int`).
+ *   `float` es `number`; `string` y `bool` son los de JavaScript; un `char` es una cadena de
+ *   un carácter; `()` es `undefined`.
+ * - Las tuplas y los arrays son arrays de JavaScript.
+ * - Un valor construido con un constructor es un objeto con su nombre en `tag` y, si lo
+ *   lleva, su argumento en `arg`: `{ tag: "None" }`, `{ tag: "Some", arg: 3 }`,
+ *   `{ tag: "Node", arg: [l, v, r] }`. Las listas usan los constructores `[]` y `::`
+ *   (`{ tag: "::", arg: [cabeza, cola] }`) y las excepciones son constructores más.
+ * - Los registros son objetos con los campos en el orden de su declaración; una referencia
+ *   es el registro `{ contents: v }`.
+ * - Las funciones son funciones de JavaScript de un argumento: `f x y` es `f(x)(y)`.
+ *
+ * Las funciones predefinidas se llaman como en OCaml, con `_` en lugar del punto de los
+ * módulos (`List.map` es `List_map`); las auxiliares del runtime empiezan por `$`.
+ */
+
+/**
+ * El error de JavaScript con el que viaja una excepción de OCaml hasta el `try` que la captura.
+ */
+class OCamlError extends Error {
+  /**
+   * @param {Object} value - El valor de la excepción (`{ tag: "Not_found" }`).
+   */
+  constructor(value) {
+    super(`Exception: ${$show(value)}`);
+    this.name = "OCamlError";
+    this.value = value;
+  }
+}
+
+/**
+ * Lanza una excepción de OCaml (`raise`).
+ * @param {Object} exception - El valor de la excepción.
+ */
+function raise(exception) {
+  throw new OCamlError(exception);
+}
+
+/**
+ * Devuelve la excepción de OCaml que corresponde a un error capturado por un `catch`. El
+ * desbordamiento de la pila de JavaScript es la excepción `Stack_overflow`; cualquier otro
+ * error de JavaScript (un fallo del propio programa generado) se vuelve a lanzar.
+ * @param {Error} error - El error capturado.
+ * @returns {Object} El valor de la excepción.
+ */
+function $exception(error) {
+  if (error instanceof OCamlError) return error.value;
+  if (error instanceof RangeError) return { tag: "Stack_overflow" };
+  throw error;
+}
+
+/**
+ * Lanza `Match_failure` cuando ningún caso de un `match` acepta el valor. Como en OCaml, la
+ * columna del argumento de la excepción cuenta desde 0.
+ * @param {number} line - La línea del `match` en el programa original.
+ * @param {number} column - La columna, desde 1.
+ */
+function $matchFailure(line, column) {
+  raise({ tag: "Match_failure", arg: ["//toplevel//", BigInt(line), BigInt(column - 1)] });
+}
+
+/**
+ * Una llamada en posición de cola entre dos funciones de un `let rec ... and ...`, pendiente
+ * de hacer: la versión interna de la función la devuelve en lugar de hacerla, para que la
+ * pila de JavaScript no crezca con cada llamada.
+ */
+class TailCall {
+  /**
+   * @param {Function} fn - La versión interna de la función llamada (currificada).
+   * @param {Array<*>} args - Los argumentos.
+   */
+  constructor(fn, args) {
+    this.fn = fn;
+    this.args = args;
+  }
+}
+
+/**
+ * Devuelve una llamada en posición de cola sin hacerla (`return $tailCall($odd, n)`).
+ * @param {Function} fn - La versión interna de la función llamada.
+ * @param {...*} args - Los argumentos.
+ * @returns {TailCall} La llamada pendiente.
+ */
+function $tailCall(fn, ...args) {
+  return new TailCall(fn, args);
+}
+
+/**
+ * Hace, una tras otra, las llamadas pendientes que devuelve la versión interna de una función
+ * hasta obtener un valor (`const even = (n) => $trampoline($even(n))`).
+ * @param {*} result - Lo que devuelve la versión interna.
+ * @returns {*} El valor de la llamada.
+ */
+function $trampoline(result) {
+  while (result instanceof TailCall) {
+    result = result.args.reduce((fn, arg) => fn(arg), result.fn);
+  }
+  return result;
+}
+
+/**
+ * Escribe un valor para el mensaje de una excepción no capturada (`Failure "boom"`).
+ * @param {*} value - El valor.
+ * @returns {string} El texto.
+ */
+function $show(value) {
+  if (typeof value === "string") return formatString(value);
+  if (Array.isArray(value)) return `(${value.map($show).join(", ")})`;
+  if (value !== null && typeof value === "object" && "tag" in value) {
+    return "arg" in value ? `${value.tag} ${$show(value.arg)}` : value.tag;
+  }
+  return String(value);
+}
+
+/**
+ * División entera (`/`): trunca hacia cero, como OCaml (`min_int / -1` da la vuelta).
+ * @param {bigint} a - El dividendo.
+ * @param {bigint} b - El divisor.
+ * @returns {bigint} El cociente.
+ */
+function $div(a, b) {
+  if (b === 0n) raise({ tag: "Division_by_zero" });
+  return wrapInt(a / b);
+}
+
+/**
+ * Resto de la división entera (`mod`), con el signo del dividendo.
+ * @param {bigint} a - El dividendo.
+ * @param {bigint} b - El divisor.
+ * @returns {bigint} El resto.
+ */
+function $mod(a, b) {
+  if (b === 0n) raise({ tag: "Division_by_zero" });
+  return a % b;
+}
+
+/**
+ * Lee un elemento de un array (`a.(i)`), comprobando el índice.
+ * @param {Array<*>} array - El array.
+ * @param {bigint} index - El índice.
+ * @returns {*} El elemento.
+ */
+function $get(array, index) {
+  if (!(index >= 0n && index < array.length)) raise({ tag: "Invalid_argument", arg: "index out of bounds" });
+  return array[Number(index)];
+}
+
+/**
+ * Cambia un elemento de un array (`a.(i) <- v`), comprobando el índice.
+ * @param {Array<*>} array - El array.
+ * @param {bigint} index - El índice.
+ * @param {*} value - El nuevo elemento.
+ */
+function $set(array, index, value) {
+  if (!(index >= 0n && index < array.length)) raise({ tag: "Invalid_argument", arg: "index out of bounds" });
+  array[Number(index)] = value;
+}
+
+/**
+ * Construye la lista de OCaml con los elementos de un array (`[1; 2; 3]`).
+ * @param {Array<*>} items - Los elementos.
+ * @returns {Object} La lista.
+ */
+function $list(items) {
+  return items.reduceRight((tail, head) => $cons(head, tail), { tag: "[]" });
+}
+
+/**
+ * Construye la lista `head :: tail`.
+ * @param {*} head - El primer elemento.
+ * @param {Object} tail - El resto de la lista.
+ * @returns {Object} La lista.
+ */
+function $cons(head, tail) {
+  return { tag: "::", arg: [head, tail] };
+}
+
+/**
+ * Convierte una lista de OCaml en un array de JavaScript.
+ * @param {Object} list - La lista.
+ * @returns {Array<*>} Sus elementos, en orden.
+ */
+function $toArray(list) {
+  const items = [];
+  for (; list.tag === "::"; list = list.arg[1]) {
+    items.push(list.arg[0]);
+  }
+  return items;
+}
+
+/**
+ * Concatena dos listas (`@`).
+ * @param {Object} first - La primera lista.
+ * @param {Object} second - La segunda, que se comparte sin copiarla.
+ * @returns {Object} La concatenación.
+ */
+function $append(first, second) {
+  return $toArray(first).reduceRight((tail, head) => $cons(head, tail), second);
+}
+
+/**
+ * Igualdad estructural (`=`) de dos valores del mismo tipo.
+ * @param {*} a - Primer valor.
+ * @param {*} b - Segundo valor.
+ * @returns {boolean} `true` si tienen la misma estructura y contenido.
+ */
+function $equal(a, b) {
+  if (typeof a === "function" || typeof b === "function") raise({ tag: "Invalid_argument", arg: "compare: functional value" });
+  if (Array.isArray(a)) return a.length === b.length && a.every((item, i) => $equal(item, b[i]));
+  if (a !== null && typeof a === "object") {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => $equal(a[key], b[key]));
+  }
+  return a === b;
+}
+
+/**
+ * Orden estructural (`compare`, `<`, `>=`, ...) de dos valores del mismo tipo: las tuplas,
+ * los arrays y los registros componente a componente (los arrays más cortos primero), y los
+ * constructores constantes antes que los que llevan argumento; entre dos constructores
+ * decide su orden en la declaración del tipo, que el programa generado guarda en `$tags`.
+ * @param {*} a - Primer valor.
+ * @param {*} b - Segundo valor.
+ * @returns {number} Negativo si `a < b`, cero si son iguales y positivo si `a > b`.
+ */
+function $compare(a, b) {
+  if (typeof a === "function" || typeof b === "function") raise({ tag: "Invalid_argument", arg: "compare: functional value" });
+  if (Array.isArray(a)) {
+    if (a.length !== b.length) return a.length - b.length;
+    for (let i = 0; i < a.length; i++) {
+      const order = $compare(a[i], b[i]);
+      if (order !== 0) return order;
+    }
+    return 0;
+  }
+  if (a !== null && typeof a === "object") {
+    if (typeof a.tag !== "string") return $compare(Object.values(a), Object.values(b));
+    if (("arg" in a) !== ("arg" in b)) return "arg" in a ? 1 : -1;
+    if (a.tag !== b.tag) return ($tags[a.tag] ?? 0) - ($tags[b.tag] ?? 0);
+    return "arg" in a ? $compare(a.arg, b.arg) : 0;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Escribe un texto en la salida estándar. En Node.js usa `process.stdout`; en el navegador,
+ * la consola solo escribe líneas completas, así que el final de una línea a medias espera al
+ * siguiente salto de línea o a que termine el código que se está ejecutando.
+ * @param {string} text - El texto.
+ */
+function $write(text) {
+  if (typeof process !== "undefined" && process.stdout) {
+    process.stdout.write(text);
+    return;
+  }
+  const lines = (($write.pending || "") + text).split("\n");
+  $write.pending = lines.pop();
+  lines.forEach(line => console.log(line));
+  if (!$write.scheduled) {
+    $write.scheduled = true;
+    queueMicrotask(() => {
+      if ($write.pending) console.log($write.pending);
+      $write.pending = "";
+      $write.scheduled = false;
+    });
+  }
+}
+
+/**
+ * Implementación común de `Printf.printf` y `Printf.sprintf`: una función currificada que
+ * recibe un argumento por directiva y entrega el texto a `output`.
+ * @param {string} name - El nombre de la función, para el mensaje de error.
+ * @param {string} format - La cadena de formato.
+ * @param {Function} output - Recibe el texto y devuelve el resultado.
+ * @returns {*} La función que espera los argumentos, o el resultado si no hay directivas.
+ */
+function $printf(name, format, output) {
+  const { parts, error } = parseFormat(format);
+  if (error) invalid_arg(`${name}: ${error}`);
+  const arity = parts.filter(part => part.conversion).length;
+  const collect = args => (args.length === arity ? output(renderFormat(parts, args)) : arg => collect([...args, arg]));
+  return collect([]);
+}
+
+// ----------------- Valores predefinidos -----------------
+
+function not(b) { return !b; }
+function ignore(_value) {}
+function fst(pair) { return pair[0]; }
+function snd(pair) { return pair[1]; }
+function compare(a) { return b => BigInt(Math.sign($compare(a, b))); }
+function min(a) { return b => ($compare(a, b) <= 0 ? a : b); }
+function max(a) { return b => ($compare(a, b) >= 0 ? a : b); }
+function failwith(message) { raise({ tag: "Failure", arg: message }); }
+function invalid_arg(message) { raise({ tag: "Invalid_argument", arg: message }); }
+function ref(value) { return { contents: value }; }
+function incr(cell) { cell.contents = wrapInt(cell.contents + 1n); }
+function decr(cell) { cell.contents = wrapInt(cell.contents - 1n); }
+function float_of_int(n) { return Number(n); }
+function float(n) { return Number(n); }
+function int_of_float(x) { return Number.isFinite(x) ? wrapInt(BigInt(Math.trunc(x))) : 0n; }
+function truncate(x) { return int_of_float(x); }
+function string_of_int(n) { return String(n); }
+function string_of_float(x) { return floatToString(x); }
+function string_of_bool(b) { return String(b); }
+function abs(n) { return wrapInt(n < 0n ? -n : n); }
+function abs_float(x) { return Math.abs(x); }
+function succ(n) { return wrapInt(n + 1n); }
+function pred(n) { return wrapInt(n - 1n); }
+function sqrt(x) { return Math.sqrt(x); }
+function print_string(text) { $write(text); }
+function print_endline(text) { $write(`${text}\n`); }
+function print_int(n) { $write(String(n)); }
+function print_float(x) { $write(floatToString(x)); }
+function print_newline() { $write("\n"); }
+function print_char(c) { $write(c); }
+
+function int_of_string(text) {
+  const value = parseInt63(text);
+  if (value === null) failwith("int_of_string");
+  return value;
+}
+
+function float_of_string(text) {
+  const special = { "nan": NaN, "inf": Infinity, "infinity": Infinity, "-inf": -Infinity, "-infinity": -Infinity };
+  if (text.toLowerCase() in special) return special[text.toLowerCase()];
+  if (!/^[+-]?\d[\d_]*(\.[\d_]*)?([eE][+-]?\d[\d_]*)?$/.test(text)) failwith("float_of_string");
+  return Number(text.replace(/_/g, ""));
+}
+
+// ----------------- List -----------------
+
+function List_length(list) { return BigInt($toArray(list).length); }
+function List_hd(list) { if (list.tag === "[]") failwith("hd"); return list.arg[0]; }
+function List_tl(list) { if (list.tag === "[]") failwith("tl"); return list.arg[1]; }
+function List_rev(list) { return $list($toArray(list).reverse()); }
+function List_append(first) { return second => $append(first, second); }
+function List_concat(lists) { return $list($toArray(lists).flatMap(list => $toArray(list))); }
+function List_map(f) { return list => $list($toArray(list).map(x => f(x))); }
+function List_mapi(f) { return list => $list($toArray(list).map((x, i) => f(BigInt(i))(x))); }
+function List_iter(f) { return list => { $toArray(list).forEach(x => f(x)); }; }
+function List_iteri(f) { return list => { $toArray(list).forEach((x, i) => f(BigInt(i))(x)); }; }
+function List_filter(f) { return list => $list($toArray(list).filter(x => f(x))); }
+function List_fold_left(f) { return init => list => $toArray(list).reduce((acc, x) => f(acc)(x), init); }
+function List_fold_right(f) { return list => init => $toArray(list).reduceRight((acc, x) => f(x)(acc), init); }
+function List_mem(x) { return list => $toArray(list).some(y => $compare(x, y) === 0); }
+function List_exists(f) { return list => $toArray(list).some(x => f(x)); }
+function List_for_all(f) { return list => $toArray(list).every(x => f(x)); }
+function List_assoc(key) { return list => List_find(pair => $compare(pair[0], key) === 0)(list)[1]; }
+function List_sort(f) { return list => $list($toArray(list).sort((x, y) => Number(f(x)(y)))); }
+
+function List_nth(list) {
+  return index => {
+    if (index < 0n) invalid_arg("List.nth");
+    const items = $toArray(list);
+    if (index >= items.length) failwith("nth");
+    return items[Number(index)];
+  };
+}
+
+function List_find(f) {
+  return list => {
+    const items = $toArray(list);
+    const index = items.findIndex(x => f(x));
+    if (index === -1) raise({ tag: "Not_found" });
+    return items[index];
+  };
+}
+
+function List_init(length) {
+  return f => {
+    if (length < 0n) invalid_arg("List.init");
+    return $list(Array.from({ length: Number(length) }, (_, i) => f(BigInt(i))));
+  };
+}
+
+// ----------------- String -----------------
+
+function String_length(text) { return BigInt(utf8Bytes(text).length); }
+function String_concat(separator) { return list => $toArray(list).join(separator); }
+function String_uppercase_ascii(text) { return text.replace(/[a-z]+/g, letters => letters.toUpperCase()); }
+function String_lowercase_ascii(text) { return text.replace(/[A-Z]+/g, letters => letters.toLowerCase()); }
+function String_trim(text) { return text.replace(/^[ \t\n\r\f]+|[ \t\n\r\f]+$/g, ""); }
+
+function String_get(text) {
+  return index => {
+    const bytes = utf8Bytes(text);
+    if (!(index >= 0n && index < bytes.length)) invalid_arg("index out of bounds");
+    return String.fromCharCode(bytes[Number(index)]);
+  };
+}
+
+function String_make(length) {
+  return c => {
+    if (length < 0n) invalid_arg("String.create");
+    return c.repeat(Number(length));
+  };
+}
+
+function String_sub(text) {
+  return start => length => {
+    if (start < 0n || length < 0n || start + length > utf8Bytes(text).length) invalid_arg("String.sub / Bytes.sub");
+    return utf8Sub(text, Number(start), Number(length));
+  };
+}
+
+// ----------------- Char -----------------
+
+function Char_code(c) { return BigInt(c.charCodeAt(0)); }
+function Char_escaped(c) { return formatChar(c).slice(1, -1); }
+function Char_uppercase_ascii(c) { return c.replace(/[a-z]/, letter => letter.toUpperCase()); }
+function Char_lowercase_ascii(c) { return c.replace(/[A-Z]/, letter => letter.toLowerCase()); }
+
+function Char_chr(code) {
+  if (code < 0n || code > 255n) invalid_arg("Char.chr");
+  return String.fromCharCode(Number(code));
+}
+
+// ----------------- Option -----------------
+
+function Option_get(option) { if (option.tag !== "Some") invalid_arg("option is None"); return option.arg; }
+function Option_is_some(option) { return option.tag === "Some"; }
+function Option_is_none(option) { return option.tag === "None"; }
+function Option_map(f) { return option => (option.tag === "Some" ? { tag: "Some", arg: f(option.arg) } : option); }
+function Option_bind(option) { return f => (option.tag === "Some" ? f(option.arg) : option); }
+function Option_iter(f) { return option => { if (option.tag === "Some") f(option.arg); }; }
+function Option_to_list(option) { return $list(option.tag === "Some" ? [option.arg] : []); }
+
+// ----------------- Printf -----------------
+
+function Printf_printf(format) { return $printf("Printf.printf", format, $write); }
+function Printf_sprintf(format) { return $printf("Printf.sprintf", format, text => text); }
+
+/**
+ * Los valores predefinidos que no son funciones se escriben directamente como una expresión
+ * de JavaScript.
+ */
+export const RUNTIME_CONSTANTS = {
+  max_int: `${MAX_INT}n`,
+  min_int: `${MIN_INT}n`,
+  infinity: "Infinity",
+  neg_infinity: "-Infinity",
+  nan: "NaN"
+};
+
+/**
+ * Las declaraciones del runtime, en el orden en que se copian al programa generado, con su
+ * código fuente. Las constantes de `values.js` y `printf.js` se escriben como literales.
+ */
+const DECLARATIONS = [
+  OCamlError, raise, $exception, $matchFailure, TailCall, $tailCall, $trampoline, $show, $div, $mod, $get, $set, $list, $cons,
+  $toArray, $append, $equal, $compare, $write, $printf,
+  not, ignore, fst, snd, compare, min, max, failwith, invalid_arg, ref, incr, decr,
+  float_of_int, float, int_of_float, truncate, string_of_int, string_of_float, string_of_bool,
+  abs, abs_float, succ, pred, sqrt, print_string, print_endline, print_int, print_float,
+  print_newline, print_char, int_of_string, float_of_string,
+  List_length, List_hd, List_tl, List_rev, List_append, List_concat, List_map, List_mapi,
+  List_iter, List_iteri, List_filter, List_fold_left, List_fold_right, List_mem, List_exists,
+  List_for_all, List_assoc, List_sort, List_nth, List_find, List_init,
+  String_length, String_concat, String_uppercase_ascii, String_lowercase_ascii, String_trim, String_sub,
+  String_get, String_make, Char_code, Char_chr, Char_escaped, Char_uppercase_ascii, Char_lowercase_ascii,
+  Option_get, Option_is_some, Option_is_none, Option_map, Option_bind, Option_iter, Option_to_list,
+  Printf_printf, Printf_sprintf,
+  formatString, formatChar, formatGeneral, validFloatLexeme, floatToString, wrapInt, parseInt63,
+  shiftCount, shiftLeft, shiftRight, shiftRightArithmetic, utf8Bytes, utf8Sub,
+  parseFormat, renderFormat, formatDirective, formatFloatDirective
+].map(declaration => [declaration.name, String(declaration)]);
+DECLARATIONS.push(
+  ["INT_BITS", `const INT_BITS = ${INT_BITS};`],
+  ["MAX_INT", `const MAX_INT = ${MAX_INT}n;`],
+  ["MIN_INT", `const MIN_INT = ${MIN_INT}n;`],
+  ["CONVERSIONS", `const CONVERSIONS = ${JSON.stringify(CONVERSIONS)};`]
+);
+
+/** Los nombres de todas las declaraciones del runtime, que el programa generado no puede redefinir. */
+export const RUNTIME_NAMES = new Set(DECLARATIONS.map(([name]) => name));
+
+/**
+ * Devuelve el código del runtime que necesita un programa: las declaraciones que usa y,
+ * recursivamente, las que estas usan.
+ * @param {Iterable<string>} used - Los nombres del runtime que aparecen en el programa.
+ * @returns {{source: string, names: Set<string>}} El código de las declaraciones necesarias
+ * (en el orden de `DECLARATIONS`) y sus nombres.
+ */
+export function runtimeFor(used) {
+  const sources = new Map(DECLARATIONS);
+  const names = new Set();
+  const pending = [...used];
+  while (pending.length > 0) {
+    const name = pending.pop();
+    if (names.has(name) || !sources.has(name)) continue;
+    names.add(name);
+    // Los nombres que aparecen en el código (sin contar las cadenas ni los accesos `obj.nombre`).
+    const code = sources.get(name).replace(/"(?:[^"\\]|\\.)*"/g, '""');
+    pending.push(...(code.match(/(?<![\w$.])[A-Za-z_$][\w$]*/g) || []));
+  }
+  const source = DECLARATIONS.filter(([name]) => names.has(name)).map(([, code]) => code).join("\n\n");
+  return { source, names };
+}
@@ -1,74 +1,352 @@
-// modules/lexer.js
-
-/**
- * Realiza el análisis léxico del código fuente OCaml.
- * Divide el código en una secuencia de tokens (unidades léxicas)
- * que son reconocibles por el analizador sintáctico.
- * @param {string} code - El código fuente OCaml a analizar.
- * @returns {Array<Object>} Una lista de tokens, cada uno con tipo, valor, línea y columna.
- */
-export function analyzeLexically(code) {
-  // Lista de palabras clave de OCaml que el lexer debe reconocer.
-  // Se añadieron 'if', 'then', 'else' para dar soporte a las expresiones condicionales.
-  const keywords = ["let", "in", "fun", "match", "with", "if", "then", "else", "rec"];
-
-  const tokens = []; // Este array almacenará los tokens resultantes.
-
-  // Dividimos el código en líneas para poder rastrear con precisión la línea y columna
-  // de cada token, lo cual es útil para reportar errores.
-  const lines = code.split('\n');
-
-  lines.forEach((line, lineIndex) => {
-    let match;
-    // La expresión regular es la parte más crítica del lexer.
-    // Su objetivo es capturar todos los posibles tipos de tokens en una sola pasada.
-    // El orden de los elementos en la regex es importante para que coincida primero
-    // con los tokens más específicos, como las palabras clave.
-    // 
-    // - \b(?:let|in|fun|...|mod)\b: Captura palabras clave y el operador 'mod' como palabras completas.
-    // - |;;: Captura el delimitador de sentencia.
-    // - |"(?:[^"\\]|\\.)*": Captura literales de cadena de texto, incluyendo caracteres escapados como \".
-    // - |\b\d+\b: Captura números enteros.
-    // - |\b[a-zA-Z_]\w*\b: Captura identificadores válidos (empiezan con letra o _, seguido de letras, números o _).
-    // - |[+\-*\/=<>!:]: Captura símbolos y operadores.
-    // La bandera 'g' (global) asegura que se encuentren todas las coincidencias en la línea.
-    const regex = /\b(?:let|in|fun|match|with|if|then|else|rec|mod)\b|;;|"(?:[^"\\]|\\.)*"|\b\d+\b|\b[a-zA-Z_]\w*\b|[+\-*\/=<>!:]/g;
-    
-    // Iteramos sobre la línea buscando todas las coincidencias.
-    while ((match = regex.exec(line)) !== null) {
-      const word = match[0]; // El texto capturado por la expresión regular (el valor del token).
-      const column = match.index + 1; // La columna donde comienza el token, indexada desde 1.
-
-      let type; // Variable para almacenar el tipo de token.
-
-      // Clasificamos el token según su valor.
-      // Las comprobaciones más específicas van primero para evitar ambigüedades.
-      if (keywords.includes(word)) {
-        type = "Keyword"; // Si el texto coincide con una palabra clave definida.
-      } else if (word === ";;") {
-        type = "Delimiter"; // Si es el delimitador de sentencia de OCaml.
-      } else if (word.startsWith('"') && word.endsWith('"')) {
-        type = "String"; // Si el texto empieza y termina con comillas dobles.
-      } else if (word === "mod") {
-        type = "Keyword"; // 'mod' se maneja como una palabra clave/operador.
-      }
-      else if (!isNaN(word) && word.trim() !== '') {
-        type = "Number"; // Si el valor es un número válido.
-      } else if (/^[a-zA-Z_]\w*$/.test(word)) {
-        type = "Identifier"; // Si coincide con el patrón de un identificador.
-      } else {
-        type = "Symbol"; // Si no es ninguno de los anteriores, se asume que es un símbolo u operador.
-      }
-
-      // Añadimos el token al array de resultados.
-      tokens.push({
-        type,
-        value: word,
-        line: lineIndex + 1, // La línea actual, indexada desde 1.
-        column
-      });
-    }
-  });
-
-  return tokens; // Devolvemos la lista completa de tokens generados.
-}
+// modules/lexer.js
+
+import { createDiagnostic, tokenRange } from './diagnostics.js';
+
+/**
+ * Palabras reservadas de OCaml. Cualquier identificador que coincida con una de
+ * ellas se clasifica como `Keyword` en lugar de `Identifier`.
+ * Incluye los operadores alfabéticos (`mod`, `land`, `lor`, ...), que en OCaml
+ * también son palabras reservadas.
+ */
+const keywords = [
+  "and", "as", "assert", "asr", "begin", "class", "constraint", "do", "done",
+  "downto", "else", "end", "exception", "external", "false", "for", "fun",
+  "function", "functor", "if", "in", "include", "inherit", "initializer",
+  "land", "lazy", "let", "lor", "lsl", "lsr", "lxor", "match", "method", "mod",
+  "module", "mutable", "new", "nonrec", "object", "of", "open", "or", "private",
+  "rec", "sig", "struct", "then", "to", "true", "try", "type", "val", "virtual",
+  "when", "while", "with"
+];
+
+/**
+ * Operadores y signos de puntuación reconocidos, ordenados de mayor a menor
+ * longitud. El escáner aplica la regla del "match más largo": en cada posición
+ * prueba primero los símbolos de tres caracteres, luego los de dos y por último
+ * los de uno, de modo que `::` nunca se lee como dos `:` ni `<>` como `<` y `>`.
+ */
+const symbols = [
+  "**.",
+  "::", ":=", ":>", "->", "<-", "<>", "<=", ">=", "==", "!=", "&&", "||", "|>",
+  "@@", "**", "+.", "-.", "*.", "/.", "[|", "|]", "..",
+  "+", "-", "*", "/", "=", "<", ">", "@", "^", "|", "&", "!", ":", ";", ",",
+  ".", "(", ")", "[", "]", "{", "}", "#", "~", "?"
+];
+
+/**
+ * Escáner carácter a carácter para el código fuente OCaml.
+ * A diferencia de un enfoque por líneas con expresiones regulares, recorre el
+ * texto completo una sola vez, lo que permite que los comentarios y las cadenas
+ * ocupen varias líneas y que los errores se reporten con su posición exacta.
+ */
+class Lexer {
+  /**
+   * @param {string} code - El código fuente completo.
+   * @param {{comments?: boolean}} [options] - Con `comments`, los comentarios producen
+   * tokens `Comment` en lugar de descartarse (para el resaltado de sintaxis).
+   */
+  constructor(code, options = {}) {
+    this.code = code;
+    this.position = 0; // Índice del carácter actual dentro de `code`.
+    this.line = 1;     // Línea actual, indexada desde 1.
+    this.column = 1;   // Columna actual, indexada desde 1.
+    this.tokens = [];  // Tokens producidos hasta el momento.
+    this.keepComments = options.comments ?? false;
+  }
+
+  /**
+   * Devuelve el carácter situado `offset` posiciones por delante del actual sin consumirlo.
+   * @param {number} [offset=0] - Desplazamiento respecto a la posición actual.
+   * @returns {string} El carácter, o una cadena vacía si se sale del texto.
+   */
+  peekChar(offset = 0) {
+    return this.code[this.position + offset] || "";
+  }
+
+  /**
+   * Consume un carácter y actualiza la línea y la columna.
+   * @returns {string} El carácter consumido.
+   */
+  advance() {
+    const char = this.code[this.position++];
+    if (char === "\n") {
+      this.line++;
+      this.column = 1;
+    } else {
+      this.column++;
+    }
+    return char;
+  }
+
+  /**
+   * Añade un token a la lista. El token abarca desde la posición `start`
+   * (guardada antes de empezar a escanearlo) hasta la posición actual.
+   * @param {string} type - Tipo del token ("Keyword", "Identifier", "Number", ...).
+   * @param {{position: number, line: number, column: number}} start - Posición inicial del token.
+   * @param {Object} [extra] - Propiedades adicionales (por ejemplo, el código y el mensaje de un token `Error`).
+   */
+  addToken(type, start, extra = {}) {
+    this.tokens.push({
+      type,
+      value: this.code.slice(start.position, this.position),
+      line: start.line,
+      column: start.column,
+      endLine: this.line,
+      endColumn: this.column,
+      ...extra
+    });
+  }
+
+  /**
+   * Recorre todo el código fuente y devuelve la lista de tokens terminada en `EOF`.
+   * @returns {Array<Object>} Los tokens reconocidos.
+   */
+  scanTokens() {
+    while (this.position < this.code.length) {
+      const char = this.peekChar();
+
+      // Los espacios, tabulaciones y saltos de línea solo separan tokens.
+      if (/\s/.test(char)) {
+        this.advance();
+        continue;
+      }
+
+      const start = { position: this.position, line: this.line, column: this.column };
+
+      if (char === "(" && this.peekChar(1) === "*") {
+        this.skipComment(start);
+      } else if (char === '"') {
+        this.scanString(start);
+      } else if (char === "'") {
+        this.scanQuote(start);
+      } else if (/[0-9]/.test(char)) {
+        this.scanNumber(start);
+      } else if (/[a-zA-Z_]/.test(char)) {
+        this.scanIdentifier(start);
+      } else if (char === ";" && this.peekChar(1) === ";") {
+        this.advance();
+        this.advance();
+        this.addToken("Delimiter", start);
+      } else {
+        this.scanSymbol(start);
+      }
+    }
+
+    // El token `EOF` marca el final de la entrada; el parser lo usa para detener su recuperación de errores.
+    const end = { position: this.position, line: this.line, column: this.column };
+    this.addToken("EOF", end);
+    return this.tokens;
+  }
+
+  /**
+   * Salta un comentario `(* ... *)`. Los comentarios de OCaml pueden anidarse y
+   * pueden contener cadenas, cuyo contenido no se interpreta (así `"*)"` dentro de
+   * un comentario no lo cierra). Si el comentario no se cierra se emite un token `Error`
+   * que indica cuántos comentarios quedaron abiertos (`depth`) y si terminó dentro de una
+   * cadena (`inString`), para que el resaltado por líneas pueda continuarlo en la siguiente.
+   * @param {Object} start - Posición donde empieza el comentario.
+   */
+  skipComment(start) {
+    let depth = 0;
+    let inString = false;
+    while (this.position < this.code.length) {
+      if (this.peekChar() === "(" && this.peekChar(1) === "*") {
+        this.advance();
+        this.advance();
+        depth++;
+      } else if (this.peekChar() === "*" && this.peekChar(1) === ")") {
+        this.advance();
+        this.advance();
+        depth--;
+        if (depth === 0) {
+          if (this.keepComments) this.addToken("Comment", start);
+          return;
+        }
+      } else if (this.peekChar() === '"') {
+        if (!this.skipStringBody()) {
+          inString = true;
+          break;
+        }
+      } else {
+        this.advance();
+      }
+    }
+    this.addToken("Error", start, {
+      code: "lex/unterminated-comment",
+      message: "Comentario sin cerrar.",
+      depth,
+      inString
+    });
+  }
+
+  /**
+   * Consume una cadena entre comillas dobles, respetando las secuencias de escape.
+   * @returns {boolean} `true` si la cadena se cerró, `false` si se llegó al final del archivo.
+   */
+  skipStringBody() {
+    this.advance(); // Comilla de apertura.
+    while (this.position < this.code.length) {
+      const char = this.advance();
+      if (char === "\\") {
+        if (this.position < this.code.length) this.advance(); // El carácter escapado se salta sin interpretarlo.
+      } else if (char === '"') {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Escanea un literal de cadena. Las cadenas pueden ocupar varias líneas.
+   * @param {Object} start - Posición de la comilla de apertura.
+   */
+  scanString(start) {
+    if (this.skipStringBody()) {
+      this.addToken("String", start);
+    } else {
+      this.addToken("Error", start, {
+        code: "lex/unterminated-string",
+        message: "Cadena sin cerrar."
+      });
+    }
+  }
+
+  /**
+   * Escanea lo que sigue a una comilla simple: un literal de carácter (`'a'`, `'\n'`,
+   * `'\065'`) o una variable de tipo (`'a`). Un carácter es un byte: los códigos mayores
+   * que 255 (`'\300'`, `'€'`) no forman un literal válido.
+   * @param {Object} start - Posición de la comilla.
+   */
+  scanQuote(start) {
+    const next = this.peekChar(1);
+    const charLiteral = /^'(?:\\(?:[\\'"ntbr ]|[0-9]{3}|x[0-9a-fA-F]{2})|[^\\'\n])'/;
+    const match = charLiteral.exec(this.code.slice(this.position, this.position + 6));
+
+    if (match) {
+      for (let i = 0; i < match[0].length; i++) this.advance();
+      if (decodeEscapes(match[0].slice(1, -1)).charCodeAt(0) <= 255) {
+        this.addToken("Char", start);
+      } else {
+        this.addToken("Error", start, {
+          code: "lex/invalid-char",
+          message: `El carácter ${match[0]} no cabe en un byte (su código es mayor que 255).`
+        });
+      }
+    } else if (/[a-zA-Z_]/.test(next)) {
+      // `'a` sin comilla de cierre es una variable de tipo, usada en anotaciones y declaraciones de tipos.
+      this.advance();
+      while (/[a-zA-Z0-9_]/.test(this.peekChar())) this.advance();
+      this.addToken("TypeVariable", start);
+    } else {
+      this.advance();
+      this.addToken("Error", start, {
+        code: "lex/invalid-char",
+        message: "Literal de carácter mal formado."
+      });
+    }
+  }
+
+  /**
+   * Escanea un literal numérico: enteros decimales, hexadecimales (`0x`), octales (`0o`)
+   * y binarios (`0b`), o flotantes con parte decimal y/o exponente (`3.14`, `2.`, `1e-3`).
+   * Los guiones bajos se admiten como separadores, igual que en OCaml (`1_000_000`).
+   * @param {Object} start - Posición del primer dígito.
+   */
+  scanNumber(start) {
+    const rest = this.code.slice(this.position);
+    const radixInteger = /^0[xX][0-9a-fA-F][0-9a-fA-F_]*|^0[oO][0-7][0-7_]*|^0[bB][01][01_]*/.exec(rest);
+    if (radixInteger) {
+      for (let i = 0; i < radixInteger[0].length; i++) this.advance();
+      this.addToken("Number", start);
+      return;
+    }
+
+    const decimal = /^[0-9][0-9_]*(\.[0-9_]*)?([eE][+-]?[0-9][0-9_]*)?/.exec(rest);
+    for (let i = 0; i < decimal[0].length; i++) this.advance();
+    // Es flotante si tiene punto decimal o exponente.
+    this.addToken(decimal[1] !== undefined || decimal[2] !== undefined ? "Float" : "Number", start);
+  }
+
+  /**
+   * Escanea un identificador o una palabra reservada. Los identificadores de OCaml
+   * pueden contener letras, dígitos, guiones bajos y apóstrofos (`x'`).
+   * @param {Object} start - Posición del primer carácter.
+   */
+  scanIdentifier(start) {
+    while (/[a-zA-Z0-9_']/.test(this.peekChar())) this.advance();
+    const word = this.code.slice(start.position, this.position);
+    this.addToken(keywords.includes(word) ? "Keyword" : "Identifier", start);
+  }
+
+  /**
+   * Escanea un operador o signo de puntuación aplicando la regla del match más largo.
+   * Cualquier carácter que no forme parte de la tabla `symbols` produce un token `Error`.
+   * @param {Object} start - Posición del primer carácter.
+   */
+  scanSymbol(start) {
+    const symbol = symbols.find(candidate => this.code.startsWith(candidate, this.position));
+    if (symbol) {
+      for (let i = 0; i < symbol.length; i++) this.advance();
+      this.addToken("Symbol", start);
+    } else {
+      const char = this.advance();
+      this.addToken("Error", start, {
+        code: "lex/unexpected-character",
+        message: `Carácter inesperado '${char}'.`
+      });
+    }
+  }
+}
+
+/**
+ * Decodifica las secuencias de escape de un literal de cadena o de carácter de OCaml
+ * (`\n`, `\t`, `\\`, `\"`, `\'`, `\065`, `\x41`, `\u{1F600}`, ...). Recibe el contenido
+ * sin comillas. `\u{...}` solo vale en las cadenas y con un punto de código Unicode válido
+ * (no un sustituto); si no, se deja tal cual.
+ * @param {string} text - El texto tal como aparece en el código fuente.
+ * @returns {string} El texto con los escapes resueltos.
+ */
+export function decodeEscapes(text) {
+  return text.replace(/\\(?:([\\'"ntbr ])|([0-9]{3})|x([0-9a-fA-F]{2})|u\{([0-9a-fA-F]{1,6})\}|\n[ \t]*)/g, (escape, simple, decimal, hex, unicode) => {
+    if (simple !== undefined) {
+      return { n: "\n", t: "\t", b: "\b", r: "\r", " ": " " }[simple] ?? simple;
+    }
+    if (decimal !== undefined) return String.fromCharCode(parseInt(decimal, 10));
+    if (hex !== undefined) return String.fromCharCode(parseInt(hex, 16));
+    if (unicode !== undefined) {
+      const codePoint = parseInt(unicode, 16);
+      const valid = codePoint <= 0x10FFFF && !(codePoint >= 0xD800 && codePoint <= 0xDFFF);
+      return valid ? String.fromCodePoint(codePoint) : escape;
+    }
+    return ""; // Una barra invertida al final de línea continúa la cadena ignorando la indentación.
+  });
+}
+
+/**
+ * Realiza el análisis léxico del código fuente OCaml.
+ * Divide el código en una secuencia de tokens (unidades léxicas)
+ * que son reconocibles por el analizador sintáctico. Los comentarios se descartan
+ * (salvo que se pidan con `comments`), los caracteres o literales inválidos producen
+ * tokens de tipo `Error` (con los campos `code` y `message`) y la lista siempre termina
+ * con un token `EOF`.
+ * @param {string} code - El código fuente OCaml a analizar.
+ * @param {{comments?: boolean}} [options] - Con `comments`, cada comentario produce un
+ * token `Comment`.
+ * @returns {Array<Object>} Una lista de tokens, cada uno con tipo, valor, línea y columna
+ * de inicio, y línea y columna de fin (exclusiva).
+ */
+export function analyzeLexically(code, options = {}) {
+  return new Lexer(code, options).scanTokens();
+}
+
+/**
+ * Convierte los tokens `Error` de una lista de tokens en diagnósticos.
+ * @param {Array<Object>} tokens - Los tokens de `analyzeLexically`.
+ * @returns {Array<Object>} Un diagnóstico de error por cada token `Error`.
+ */
+export function lexicalDiagnostics(tokens) {
+  return tokens.filter(token => token.type === "Error").map(token => createDiagnostic({
+    code: token.code,
+    message: token.message,
+    range: tokenRange(token)
+  }));
+}
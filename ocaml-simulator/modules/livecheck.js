@@ -0,0 +1,66 @@
+// modules/livecheck.js
+
+import { analyzeSyntax, walkAst } from './parser.js';
+import { analyzeSemantics } from './semantic.js';
+import { typeToString } from './types.js';
+import { rangeContains } from './diagnostics.js';
+
+/**
+ * Comprobación en vivo del código del editor: mientras el usuario escribe, el código se
+ * analiza (sintaxis y, si es correcta, tipos) para subrayar los errores y avisos en su rango
+ * exacto, marcar sus líneas y mostrar el tipo de un nombre al pasar el ratón por encima.
+ */
+
+/** Milisegundos sin escribir antes de comprobar el código. */
+export const LIVE_CHECK_DELAY = 400;
+
+/**
+ * Analiza el código como lo hacen los botones Sintáctico y Semántico: si hay errores
+ * sintácticos, no se analizan los tipos.
+ * @param {string} code - El código fuente.
+ * @returns {{code: string, ast: Object|null, diagnostics: Array<Object>}} El código analizado,
+ * el AST con los tipos anotados (`null` si hay errores sintácticos) y los diagnósticos.
+ */
+export function checkCode(code) {
+  const { ast, errors } = analyzeSyntax(code);
+  if (errors.length > 0 || !ast) {
+    return { code, ast: null, diagnostics: errors };
+  }
+  return { code, ast, diagnostics: analyzeSemantics(ast) };
+}
+
+/**
+ * Rango del nombre que introduce o usa un nodo con tipo (`valueType`): el identificador
+ * entero (`List.map`), la variable de un patrón o el nombre de una definición.
+ * @param {Object} node - El nodo.
+ * @returns {{name: string, range: Object}|null} El nombre y su rango, o `null` si el nodo no tiene.
+ */
+function nameRange(node) {
+  const name = { Identifier: node.value, VariablePattern: node.name, FunctionDeclaration: node.name, LetDeclaration: node.identifier }[node.type];
+  if (typeof name !== "string" || node.line === undefined) {
+    return null;
+  }
+  const start = { line: node.line, column: node.column };
+  return { name, range: { start, end: { line: node.line, column: node.column + name.length } } };
+}
+
+/**
+ * Busca el nombre que hay en una posición del código y su tipo inferido.
+ * @param {Object} ast - El AST anotado por el análisis semántico.
+ * @param {{line: number, column: number}} position - La posición.
+ * @returns {{name: string, type: string, range: Object}|null} El nombre, su tipo en sintaxis
+ * OCaml y su rango, o `null` si en esa posición no hay ningún nombre con tipo.
+ */
+export function typeAt(ast, position) {
+  let result = null;
+  walkAst(ast, node => {
+    if (!node.valueType) return false;
+    const found = nameRange(node);
+    if (found && rangeContains(found.range, position)) {
+      result = { ...found, type: typeToString(node.valueType) };
+      return true;
+    }
+    return false;
+  });
+  return result;
+}
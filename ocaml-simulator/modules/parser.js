@@ -1,330 +1,1823 @@
-// modules/parser.js
-
-// Importamos el analizador léxico para obtener los tokens antes de empezar el parseo.
-import { analyzeLexically } from './lexer.js';
-
-/**
- * Clase para representar un error de sintaxis de manera más informativa.
- */
-class SyntaxError extends Error {
-  constructor(message, token) {
-    super(message);
-    this.name = "SyntaxError";
-    this.token = token; // Almacenamos el token que causó el error para mejor depuración.
-  }
-}
-
-/**
- * Implementa un analizador sintáctico (parser) descendente recursivo para un subconjunto de OCaml.
- * Su trabajo es tomar una lista plana de tokens y construir un árbol de sintaxis abstracta (AST)
- * que representa la estructura jerárquica del código.
- */
-export class Parser {
-  /**
-   * @param {Array<Object>} tokens - La lista de tokens producida por el analizador léxico.
-   */
-  constructor(tokens) {
-    this.tokens = tokens;
-    this.currentTokenIndex = 0; // Índice del token actual que se está procesando.
-    this.errors = []; // Array para almacenar errores que no son fatales.
-  }
-
-  /**
-   * Obtiene el token actual sin avanzar el índice. Es como "mirar" el siguiente token.
-   * @returns {Object|null} El token actual o null si se llegó al final.
-   */
-  peek() {
-    if (this.currentTokenIndex < this.tokens.length) {
-      return this.tokens[this.currentTokenIndex];
-    }
-    return null;
-  }
-
-  /**
-   * Obtiene el token actual y avanza el índice. Es como "consumir" o "comerse" el token.
-   * @returns {Object|null} El token actual o null si se llegó al final.
-   */
-  consume() {
-    if (this.currentTokenIndex < this.tokens.length) {
-      return this.tokens[this.currentTokenIndex++];
-    }
-    return null;
-  }
-
-  /**
-   * Verifica si el token actual es del tipo y/o valor esperado, lo consume y lo devuelve.
-   * Si no coincide, lanza un error de sintaxis fatal.
-   * @param {string} expectedType - El tipo de token esperado (e.g., "Keyword", "Identifier").
-   * @param {string} [expectedValue] - El valor específico del token esperado (e.g., "let", "=").
-   * @returns {Object} El token consumido.
-   * @throws {SyntaxError} Si el token actual no coincide con lo esperado.
-   */
-  expect(expectedType, expectedValue = null) {
-    const token = this.peek();
-    if (!token) {
-      throw new SyntaxError(`Se esperaba ${expectedType}${expectedValue ? ` '${expectedValue}'` : ''} pero se encontró el final del archivo.`, null);
-    }
-    if (token.type === expectedType && (expectedValue === null || token.value === expectedValue)) {
-      return this.consume();
-    } else {
-      throw new SyntaxError(`Se esperaba ${expectedType}${expectedValue ? ` '${expectedValue}'` : ''} pero se encontró '${token.value}' de tipo '${token.type}' en línea ${token.line}, columna ${token.column}.`, token);
-    }
-  }
-
-  /**
-   * Punto de entrada principal del parser.
-   * Parsea un programa OCaml completo, que es una secuencia de declaraciones ('let')
-   * o expresiones top-level.
-   * @returns {Object} El nodo raíz del AST que representa el programa completo.
-   */
-  parseProgram() {
-    const statements = [];
-    while (this.peek()) {
-      try {
-        // Un programa consiste en una serie de sentencias.
-        if (this.peek().type === "Keyword" && this.peek().value === "let") {
-          statements.push(this.parseDeclaration());
-        } else {
-          // Si no es una declaración `let`, asumimos que es una expresión top-level.
-          const expr = this.parseExpression();
-          this.expect("Delimiter", ";;"); // Las expresiones top-level deben terminar con ';;'.
-          statements.push({
-            type: "TopLevelExpression",
-            expression: expr,
-            line: expr.line,
-            column: expr.column
-          });
-        }
-      } catch (error) {
-        // Captura y reporta el error, luego intenta recuperarse para seguir parseando.
-        this.errors.push(error);
-        // Estrategia de recuperación de errores: Avanzamos hasta encontrar ';;' o el final del archivo.
-        while (this.peek() && !(this.peek().type === "Delimiter" && this.peek().value === ";;") && this.peek().type !== "EOF") {
-          this.consume();
-        }
-        if (this.peek() && this.peek().type === "Delimiter" && this.peek().value === ";;") {
-          this.consume(); // Consumimos el ';;' para continuar con la siguiente sentencia.
-        } else if (this.peek() === null) {
-          break; // Salimos del bucle si llegamos al final del archivo.
-        }
-      }
-    }
-    return { type: "Program", body: statements };
-  }
-
-  /**
-   * Parsea una declaración 'let'. Esto incluye tanto la asignación de variables
-   * como la definición de funciones con parámetros.
-   * @returns {Object} Un nodo AST de tipo `LetDeclaration` o `FunctionDeclaration`.
-   */
-  parseDeclaration() {
-    this.expect("Keyword", "let");
-    const identifierToken = this.expect("Identifier");
-    const identifier = identifierToken.value;
-    const params = [];
-
-    // Verificamos si hay parámetros de función.
-    while (this.peek() && this.peek().type === "Identifier" && this.peek().value !== "=") {
-      params.push(this.consume().value);
-    }
-
-    this.expect("Symbol", "=");
-
-    let expression;
-    if (params.length > 0) {
-      // Si hay parámetros, es una declaración de función.
-      expression = this.parseExpression();
-      this.expect("Delimiter", ";;");
-      return {
-        type: "FunctionDeclaration",
-        name: identifier,
-        params: params,
-        body: expression,
-        line: identifierToken.line,
-        column: identifierToken.column
-      };
-    } else {
-      // Si no hay parámetros, es una declaración 'let' normal.
-      expression = this.parseExpression();
-      this.expect("Delimiter", ";;");
-      return {
-        type: "LetDeclaration",
-        identifier: identifier,
-        expression: expression,
-        line: identifierToken.line,
-        column: identifierToken.column
-      };
-    }
-  }
-
-  /**
-   * Parsea una expresión. Esta es la función principal que maneja la precedencia de operadores
-   * y la recursión.
-   * @returns {Object} Un nodo AST para la expresión.
-   */
-  parseExpression() {
-    // Primero, verificamos si es una expresión `if-then-else`.
-    if (this.peek() && this.peek().type === "Keyword" && this.peek().value === "if") {
-      return this.parseIfExpression();
-    }
-    // Si no es un `if`, intentamos parsear una aplicación de función (currying).
-    return this.parseApplicationExpression();
-  }
-
-  /**
-   * Parsea una expresión `if-then-else`.
-   * @returns {Object} Un nodo AST de tipo `IfExpression`.
-   */
-  parseIfExpression() {
-    const ifToken = this.expect("Keyword", "if");
-    const condition = this.parseExpression(); // La condición puede ser cualquier expresión.
-    this.expect("Keyword", "then");
-    const thenBranch = this.parseExpression();
-    this.expect("Keyword", "else");
-    const elseBranch = this.parseExpression();
-
-    return {
-      type: "IfExpression",
-      condition: condition,
-      thenBranch: thenBranch,
-      elseBranch: elseBranch,
-      line: ifToken.line,
-      column: ifToken.column
-    };
-  }
-
-  /**
-   * Parsea aplicaciones de función. En OCaml, las aplicaciones son de alta precedencia
-   * y se encadenan de izquierda a derecha. Por ejemplo, `f x y` se parsea como `((f x) y)`.
-   * @returns {Object} Un nodo AST de tipo `ApplicationExpression` o el resultado de `parseAdditiveExpression`.
-   */
-  parseApplicationExpression() {
-    let expr = this.parseAdditiveExpression(); // Empezamos con el siguiente nivel de precedencia.
-
-    // En un bucle, seguimos parseando expresiones primarias (los argumentos) y las anidamos
-    // en nodos `ApplicationExpression` mientras haya más tokens.
-    while (this.peek() && (this.peek().type === "Number" || this.peek().type === "Identifier" || (this.peek().type === "Symbol" && this.peek().value === "("))) {
-        const arg = this.parsePrimaryExpression();
-        expr = {
-            type: "ApplicationExpression",
-            callee: expr, // El callee es la expresión que ya hemos parseado.
-            argument: arg,
-            line: expr.line,
-            column: expr.column
-        };
-    }
-    return expr;
-  }
-
-
-  /**
-   * Parsea expresiones aditivas (suma, resta y comparaciones).
-   * Este método implementa la precedencia de operadores: los operadores aditivos
-   * tienen menor precedencia que los multiplicativos.
-   * @returns {Object} Un nodo AST de tipo `BinaryExpression` o el resultado de `parseMultiplicativeExpression`.
-   */
-  parseAdditiveExpression() {
-    // Primero parseamos el siguiente nivel de precedencia (multiplicación).
-    let left = this.parseMultiplicativeExpression();
-
-    // En un bucle, si encontramos un operador aditivo, creamos un nodo de expresión binaria
-    // y continuamos parseando el lado derecho.
-    while (this.peek() && (this.peek().value === "+" || this.peek().value === "-" || this.peek().value === ">" || this.peek().value === "=")) {
-      const operatorToken = this.consume();
-      const right = this.parseMultiplicativeExpression();
-      left = {
-        type: "BinaryExpression",
-        operator: operatorToken.value,
-        left: left,
-        right: right,
-        line: operatorToken.line,
-        column: operatorToken.column
-      };
-    }
-    return left;
-  }
-
-  /**
-   * Parsea expresiones multiplicativas (multiplicación, división, módulo).
-   * Tienen mayor precedencia que las expresiones aditivas.
-   * @returns {Object} Un nodo AST de tipo `BinaryExpression` o el resultado de `parsePrimaryExpression`.
-   */
-  parseMultiplicativeExpression() {
-    // Primero parseamos la expresión de mayor precedencia: la expresión primaria.
-    let left = this.parsePrimaryExpression();
-
-    while (this.peek() && (this.peek().value === "*" || this.peek().value === "/" || this.peek().value === "mod")) {
-      const operatorToken = this.consume();
-      const right = this.parsePrimaryExpression();
-      left = {
-        type: "BinaryExpression",
-        operator: operatorToken.value,
-        left: left,
-        right: right,
-        line: operatorToken.line,
-        column: operatorToken.column
-      };
-    }
-    return left;
-  }
-
-  /**
-   * Parsea las expresiones más básicas (literales numéricos, literales de cadena,
-   * identificadores, y expresiones entre paréntesis).
-   * @returns {Object} Un nodo AST para la expresión más básica.
-   * @throws {SyntaxError} Si el token actual no es lo que se espera.
-   */
-  parsePrimaryExpression() {
-    const token = this.peek();
-    if (!token) {
-      throw new SyntaxError("Se esperaba un número, identificador, cadena o expresión entre paréntesis.", null);
-    }
-
-    if (token.type === "Number") {
-      return { type: "NumberLiteral", value: parseFloat(this.consume().value), line: token.line, column: token.column };
-    } else if (token.type === "String") {
-      // Quitamos las comillas para obtener el valor de la cadena.
-      const stringValue = this.consume().value.slice(1, -1);
-      return { type: "StringLiteral", value: stringValue, line: token.line, column: token.column };
-    } else if (token.type === "Identifier") {
-      return { type: "Identifier", value: this.consume().value, line: token.line, column: token.column };
-    } else if (token.type === "Symbol" && token.value === "(") {
-      this.consume(); // Consumimos el '('.
-      const expression = this.parseExpression(); // Parseamos la expresión que está dentro.
-      this.expect("Symbol", ")"); // Esperamos el ')' de cierre.
-      return expression; // Devolvemos el nodo de la expresión interna.
-    } else {
-      throw new SyntaxError(`Token inesperado: '${token.value}' de tipo '${token.type}' en línea ${token.line}, columna ${token.column}. Se esperaba un número, identificador, cadena o '('.`, token);
-    }
-  }
-}
-
-/**
- * Función auxiliar para analizar la sintaxis desde el código de entrada.
- * Este es el punto de entrada para usar el parser desde el exterior.
- * @param {string} code - El código fuente a analizar.
- * @returns {{ast: Object, errors: Array<string>}} Un objeto con el AST y la lista de errores.
- */
-export function analyzeSyntax(code) {
-  // Primero, obtenemos los tokens del lexer.
-  const tokens = analyzeLexically(code);
-  const parser = new Parser(tokens);
-  let ast = null;
-  let errors = [];
-
-  try {
-    ast = parser.parseProgram();
-    errors = parser.errors;
-  } catch (e) {
-    // Si hay un error fatal que detiene el parser, lo capturamos aquí.
-    errors.push(e.message);
-    ast = null;
-  }
-
-  // Si no se encontró el delimitador final `;;`, podemos añadir un error aquí.
-  if (tokens.length > 0 && !(tokens[tokens.length-1].type === "Delimiter" && tokens[tokens.length-1].value === ";;")) {
-    errors.push(`❌ Se esperaba un delimitador final ';;' para la última sentencia.`);
-  }
-
-  return { ast, errors };
-}
+// modules/parser.js
+
+// Importamos el analizador léxico para obtener los tokens antes de empezar el parseo.
+import { analyzeLexically, decodeEscapes, lexicalDiagnostics } from './lexer.js';
+import { parseInt63, wrapInt, OCamlChar } from './values.js';
+import { createDiagnostic, tokenRange } from './diagnostics.js';
+
+/**
+ * Clase para representar un error de sintaxis de manera más informativa.
+ */
+class SyntaxError extends Error {
+  /**
+   * @param {string} message - La descripción del error.
+   * @param {Object|null} token - El token donde se produjo (`null` al final del archivo).
+   * @param {string} [code] - El código del diagnóstico (ver `DIAGNOSTIC_CODES`).
+   * @param {{related?: Array<Object>, fixes?: Array<Object>}} [details] - Posiciones
+   * relacionadas y correcciones sugeridas.
+   */
+  constructor(message, token, code = "syntax/unexpected-token", details = {}) {
+    super(message);
+    this.name = "SyntaxError";
+    this.token = token; // Almacenamos el token que causó el error para mejor depuración.
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Operadores de comparación. Todos comparten el mismo nivel de precedencia.
+ */
+const COMPARISON_OPERATORS = ["=", "<>", "<", ">", "<=", ">=", "==", "!="];
+
+/**
+ * Crea el error de una sentencia del nivel superior sin el `;;` final, con la corrección que lo
+ * añade tras su último token.
+ * @param {Object} lastToken - El último token de la sentencia.
+ * @returns {SyntaxError} El error.
+ */
+function missingDelimiter(lastToken) {
+  const end = { line: lastToken.endLine, column: lastToken.endColumn };
+  return new SyntaxError("Se esperaba un delimitador final ';;' para la última sentencia.", lastToken, "syntax/missing-delimiter", {
+    fixes: [{ message: "Añadir ';;'.", edits: [{ range: { start: end, end }, text: ";;" }] }]
+  });
+}
+
+/** Tokens que abren un bloque y tokens que lo cierran, para completar el fragmento de un nodo. */
+const OPENERS = new Set(["(", "[", "[|", "{", "begin", "do", "struct", "sig"]);
+const CLOSERS = new Set([")", "]", "|]", "}", "end", "done"]);
+
+/**
+ * Corrección que escribe con mayúscula inicial el nombre de un token.
+ * @param {Object} token - El token con el nombre.
+ * @returns {{message: string, edits: Array<Object>}} La corrección.
+ */
+function capitalizeFix(token) {
+  const name = token.value.charAt(0).toUpperCase() + token.value.slice(1);
+  return { message: `Escribir '${name}'.`, edits: [{ range: tokenRange(token), text: name }] };
+}
+
+/**
+ * Implementa un analizador sintáctico (parser) descendente recursivo para un subconjunto de OCaml.
+ * Su trabajo es tomar una lista plana de tokens y construir un árbol de sintaxis abstracta (AST)
+ * que representa la estructura jerárquica del código.
+ */
+export class Parser {
+  /**
+   * @param {Array<Object>} tokens - La lista de tokens producida por el analizador léxico.
+   */
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.currentTokenIndex = 0; // Índice del token actual que se está procesando.
+    this.errors = []; // Array para almacenar errores que no son fatales.
+    this.structureDepth = 0; // Número de `struct ... end` o `sig ... end` abiertos.
+  }
+
+  /**
+   * Obtiene el token actual sin avanzar el índice. Es como "mirar" el siguiente token.
+   * @returns {Object|null} El token actual o null si se llegó al final.
+   */
+  peek() {
+    if (this.currentTokenIndex < this.tokens.length) {
+      return this.tokens[this.currentTokenIndex];
+    }
+    return null;
+  }
+
+  /**
+   * Obtiene el token actual y avanza el índice. Es como "consumir" o "comerse" el token.
+   * @returns {Object|null} El token actual o null si se llegó al final.
+   */
+  consume() {
+    if (this.currentTokenIndex < this.tokens.length) {
+      return this.tokens[this.currentTokenIndex++];
+    }
+    return null;
+  }
+
+  /**
+   * Indica si ya no quedan tokens por procesar, es decir, si el token actual es `EOF`.
+   * @returns {boolean} `true` si se llegó al final de la entrada.
+   */
+  isAtEnd() {
+    const token = this.peek();
+    return !token || token.type === "EOF";
+  }
+
+  /**
+   * Comprueba, sin consumirlo, si el token actual es del tipo y valor indicados.
+   * @param {string} type - El tipo de token esperado.
+   * @param {string} [value] - El valor específico esperado.
+   * @returns {boolean} `true` si el token actual coincide.
+   */
+  check(type, value = null) {
+    const token = this.peek();
+    return !!token && token.type === type && (value === null || token.value === value);
+  }
+
+  /**
+   * Verifica si el token actual es del tipo y/o valor esperado, lo consume y lo devuelve.
+   * Si no coincide, lanza un error de sintaxis fatal.
+   * @param {string} expectedType - El tipo de token esperado (e.g., "Keyword", "Identifier").
+   * @param {string} [expectedValue] - El valor específico del token esperado (e.g., "let", "=").
+   * @returns {Object} El token consumido.
+   * @throws {SyntaxError} Si el token actual no coincide con lo esperado.
+   */
+  expect(expectedType, expectedValue = null) {
+    const token = this.peek();
+    if (!token || token.type === "EOF") {
+      throw new SyntaxError(`Se esperaba ${expectedType}${expectedValue ? ` '${expectedValue}'` : ''} pero se encontró el final del archivo.`, null, "syntax/unexpected-eof");
+    }
+    if (token.type === expectedType && (expectedValue === null || token.value === expectedValue)) {
+      return this.consume();
+    } else {
+      throw new SyntaxError(`Se esperaba ${expectedType}${expectedValue ? ` '${expectedValue}'` : ''} pero se encontró '${token.value}' de tipo '${token.type}'.`, token);
+    }
+  }
+
+  /**
+   * Punto de entrada principal del parser.
+   * Parsea un programa OCaml completo, que es una secuencia de declaraciones ('let',
+   * 'type', 'exception', 'module' y 'open') o expresiones top-level.
+   * @returns {Object} El nodo raíz del AST que representa el programa completo.
+   */
+  parseProgram() {
+    const statements = [];
+    while (!this.isAtEnd()) {
+      try {
+        // Un programa consiste en una serie de sentencias.
+        statements.push(this.parseStructureItem());
+      } catch (error) {
+        // Captura y reporta el error, luego intenta recuperarse para seguir parseando.
+        this.errors.push(error);
+        this.structureDepth = 0; // El error puede haberse producido dentro de un `struct`.
+        // Estrategia de recuperación de errores: Avanzamos hasta encontrar ';;' o el final del archivo.
+        while (this.peek() && !(this.peek().type === "Delimiter" && this.peek().value === ";;") && this.peek().type !== "EOF") {
+          this.consume();
+        }
+        if (this.peek() && this.peek().type === "Delimiter" && this.peek().value === ";;") {
+          this.consume(); // Consumimos el ';;' para continuar con la siguiente sentencia.
+        } else {
+          break; // Salimos del bucle si llegamos al final del archivo.
+        }
+      }
+    }
+    return { type: "Program", body: statements };
+  }
+
+  /**
+   * Parsea una sentencia del nivel superior o del cuerpo de un `struct ... end`: una
+   * declaración (`let`, `type`, `exception`, `module`, `open`) o una expresión.
+   * @returns {Object} El nodo AST de la sentencia.
+   */
+  parseStructureItem() {
+    const next = this.tokens[this.currentTokenIndex + 1];
+    if (this.check("Keyword", "let") && !(next && next.type === "Keyword" && next.value === "open")) {
+      return this.parseDeclaration();
+    } else if (this.check("Keyword", "type")) {
+      return this.parseTypeDeclaration();
+    } else if (this.check("Keyword", "exception")) {
+      return this.parseExceptionDeclaration();
+    } else if (this.check("Keyword", "module")) {
+      return this.parseModuleDeclaration();
+    } else if (this.check("Keyword", "open")) {
+      const openToken = this.consume();
+      const name = this.parseModulePath();
+      this.endStructureItem();
+      return { type: "OpenDeclaration", module: name, line: openToken.line, column: openToken.column };
+    }
+    // Si no es una declaración, asumimos que es una expresión top-level.
+    const expr = this.parseSequenceExpression();
+    this.endStructureItem(); // Las expresiones top-level deben terminar con ';;'.
+    return {
+      type: "TopLevelExpression",
+      expression: expr,
+      line: expr.line,
+      column: expr.column
+    };
+  }
+
+  /**
+   * Termina una sentencia. En el nivel superior debe acabar con `;;`; dentro de un
+   * `struct ... end` o de un `sig ... end` el `;;` es opcional, como en OCaml, porque
+   * cada declaración empieza con su propia palabra clave.
+   */
+  endStructureItem() {
+    if (this.structureDepth === 0) {
+      if (this.isAtEnd() && this.currentTokenIndex > 0) {
+        throw missingDelimiter(this.tokens[this.currentTokenIndex - 1]);
+      }
+      this.expect("Delimiter", ";;");
+    } else if (this.check("Delimiter", ";;")) {
+      this.consume();
+    }
+  }
+
+  /**
+   * Parsea la definición de un módulo, `module Nombre [: Firma] = struct ... end` (o
+   * `= OtroModulo`), o la de una firma, `module type Nombre = sig ... end`.
+   * @returns {Object} Un nodo AST de tipo `ModuleDeclaration` o `ModuleTypeDeclaration`.
+   */
+  parseModuleDeclaration() {
+    const moduleToken = this.expect("Keyword", "module");
+    if (this.check("Keyword", "type")) {
+      this.consume();
+      const nameToken = this.parseModuleName();
+      this.expect("Symbol", "=");
+      const signature = this.parseModuleType();
+      this.endStructureItem();
+      return { type: "ModuleTypeDeclaration", name: nameToken.value, signature: signature, line: moduleToken.line, column: moduleToken.column };
+    }
+
+    const nameToken = this.parseModuleName();
+    let signature = null;
+    if (this.check("Symbol", ":")) {
+      this.consume();
+      signature = this.parseModuleType();
+    }
+    this.expect("Symbol", "=");
+    let body;
+    if (this.check("Keyword", "struct")) {
+      const structToken = this.consume();
+      const items = [];
+      this.structureDepth++;
+      while (!this.check("Keyword", "end")) {
+        if (this.isAtEnd()) {
+          throw new SyntaxError(`Falta el 'end' que cierra el 'struct' de la línea ${structToken.line}, columna ${structToken.column}.`, this.peek(), "syntax/unclosed-block", {
+            related: [{ message: "Aquí empieza el 'struct'.", range: tokenRange(structToken) }]
+          });
+        }
+        items.push(this.parseStructureItem());
+      }
+      this.structureDepth--;
+      this.consume();
+      body = { type: "Structure", items: items, line: structToken.line, column: structToken.column };
+    } else {
+      const pathToken = this.peek();
+      body = { type: "ModulePath", name: this.parseModulePath(), line: pathToken.line, column: pathToken.column };
+    }
+    this.endStructureItem();
+    return { type: "ModuleDeclaration", name: nameToken.value, signature: signature, body: body, line: moduleToken.line, column: moduleToken.column };
+  }
+
+  /**
+   * Parsea el nombre de un módulo o de una firma, que debe empezar con mayúscula.
+   * @returns {Object} El token del nombre.
+   */
+  parseModuleName() {
+    const nameToken = this.expect("Identifier");
+    if (!this.isConstructorName(nameToken.value)) {
+      throw new SyntaxError(`El nombre de módulo '${nameToken.value}' debe empezar con mayúscula.`, nameToken, "syntax/capitalization", {
+        fixes: [capitalizeFix(nameToken)]
+      });
+    }
+    return nameToken;
+  }
+
+  /**
+   * Parsea la ruta de un módulo: `M` o `M.N` (un módulo dentro de otro).
+   * @returns {string} La ruta completa, con sus puntos.
+   */
+  parseModulePath() {
+    let name = this.parseModuleName().value;
+    while (this.check("Symbol", ".") && this.tokens[this.currentTokenIndex + 1]?.type === "Identifier") {
+      this.consume();
+      name += `.${this.parseModuleName().value}`;
+    }
+    return name;
+  }
+
+  /**
+   * Parsea una firma: `sig ... end` o el nombre de una firma declarada con `module type`.
+   * Dentro de `sig ... end` pueden ir especificaciones de valores (`val f : int -> int`),
+   * de tipos (abstractos, como `type t`, o con su definición) y de excepciones.
+   * @returns {Object} Un nodo `Signature` o `ModuleTypePath`.
+   */
+  parseModuleType() {
+    if (!this.check("Keyword", "sig")) {
+      const pathToken = this.peek();
+      return { type: "ModuleTypePath", name: this.parseModulePath(), line: pathToken.line, column: pathToken.column };
+    }
+    const sigToken = this.consume();
+    const items = [];
+    this.structureDepth++;
+    while (!this.check("Keyword", "end")) {
+      if (this.check("Keyword", "val")) {
+        const valToken = this.consume();
+        const nameToken = this.expect("Identifier");
+        this.expect("Symbol", ":");
+        const typeExpression = this.parseTypeExpression();
+        this.endStructureItem();
+        items.push({ type: "ValueSpecification", name: nameToken.value, typeExpression: typeExpression, line: valToken.line, column: valToken.column });
+      } else if (this.check("Keyword", "type")) {
+        items.push(this.parseTypeDeclaration());
+      } else if (this.check("Keyword", "exception")) {
+        items.push(this.parseExceptionDeclaration());
+      } else {
+        const token = this.peek();
+        if (!token || token.type === "EOF") {
+          throw new SyntaxError(`Falta el 'end' que cierra el 'sig' de la línea ${sigToken.line}, columna ${sigToken.column}.`, token, "syntax/unclosed-block", {
+            related: [{ message: "Aquí empieza el 'sig'.", range: tokenRange(sigToken) }]
+          });
+        }
+        throw new SyntaxError(`Token inesperado: '${token.value}'. Se esperaba 'val', 'type', 'exception' o 'end' dentro de una firma.`, token);
+      }
+    }
+    this.structureDepth--;
+    this.consume();
+    return { type: "Signature", items: items, line: sigToken.line, column: sigToken.column };
+  }
+
+  /**
+   * Parsea una declaración 'let' de nivel superior. Esto incluye tanto la asignación de
+   * variables como la definición de funciones con parámetros, con o sin `rec`, y grupos
+   * de definiciones unidas por `and`. Si tras las definiciones aparece `in`, la sentencia
+   * es en realidad una expresión `let ... in` y se devuelve como `TopLevelExpression`.
+   * @returns {Object} Un nodo AST de tipo `LetDeclaration`, `FunctionDeclaration`,
+   * `PatternDeclaration`, `DeclarationGroup` (varias definiciones con `and`) o `TopLevelExpression`.
+   */
+  parseDeclaration() {
+    const letToken = this.expect("Keyword", "let");
+    const { recursive, declarations } = this.parseLetBindings();
+
+    if (this.check("Keyword", "in")) {
+      const expression = this.parseLetBody(letToken, recursive, declarations);
+      this.endStructureItem();
+      return {
+        type: "TopLevelExpression",
+        expression: expression,
+        line: expression.line,
+        column: expression.column
+      };
+    }
+
+    this.endStructureItem();
+    if (declarations.length === 1) {
+      // La declaración está en la posición de su nombre, pero su fragmento empieza en el `let`.
+      declarations[0].startLine = letToken.line;
+      declarations[0].startColumn = letToken.column;
+      return declarations[0];
+    }
+    return {
+      type: "DeclarationGroup",
+      recursive: recursive,
+      declarations: declarations,
+      line: letToken.line,
+      column: letToken.column
+    };
+  }
+
+  /**
+   * Parsea una declaración de tipos `type ... = ... [and ...];;`. Cada definición puede ser
+   * una variante (`Circle of float | Square of float`), un registro (`{ x : int; y : int }`)
+   * o un alias de otro tipo (`int * int`), y puede tener parámetros (`'a tree`, `('a, 'b) pair`).
+   * @returns {Object} Un nodo AST de tipo `TypeDeclaration`.
+   */
+  parseTypeDeclaration() {
+    const typeToken = this.expect("Keyword", "type");
+    const definitions = [this.parseTypeDefinition()];
+    while (this.check("Keyword", "and")) {
+      this.consume();
+      definitions.push(this.parseTypeDefinition());
+    }
+    this.endStructureItem();
+    return { type: "TypeDeclaration", definitions: definitions, line: typeToken.line, column: typeToken.column };
+  }
+
+  /**
+   * Parsea una declaración de excepción `exception Nombre [of t1 * t2 ...];;`, que añade
+   * un constructor al tipo `exn`.
+   * @returns {Object} Un nodo AST de tipo `ExceptionDeclaration`.
+   */
+  parseExceptionDeclaration() {
+    const exceptionToken = this.expect("Keyword", "exception");
+    const nameToken = this.expect("Identifier");
+    if (!this.isConstructorName(nameToken.value)) {
+      throw new SyntaxError(`El nombre de la excepción '${nameToken.value}' debe empezar con mayúscula.`, nameToken, "syntax/capitalization", {
+        fixes: [capitalizeFix(nameToken)]
+      });
+    }
+    let args = [];
+    if (this.check("Keyword", "of")) {
+      this.consume();
+      args = this.parseTypeProduct();
+    }
+    this.endStructureItem();
+    return { type: "ExceptionDeclaration", name: nameToken.value, args: args, line: exceptionToken.line, column: exceptionToken.column };
+  }
+
+  /**
+   * Parsea una definición de tipo individual: `params nombre = definición`, o solo
+   * `params nombre` para un tipo abstracto.
+   * @returns {Object} La definición (`{ name, params, kind, constructors | fields | alias }`),
+   * donde `kind` es `"variant"`, `"record"`, `"alias"` o `"abstract"`.
+   */
+  parseTypeDefinition() {
+    // Parámetros: ninguno, uno (`'a t`) o varios entre paréntesis (`('a, 'b) t`).
+    const params = [];
+    if (this.check("TypeVariable")) {
+      params.push(this.consume().value);
+    } else if (this.check("Symbol", "(")) {
+      this.consume();
+      params.push(this.expect("TypeVariable").value);
+      while (this.check("Symbol", ",")) {
+        this.consume();
+        params.push(this.expect("TypeVariable").value);
+      }
+      this.expect("Symbol", ")");
+    }
+    const nameToken = this.expect("Identifier");
+    const definition = { name: nameToken.value, params: params, line: nameToken.line, column: nameToken.column };
+    if (!this.check("Symbol", "=")) {
+      // Un tipo abstracto (`type t`), cuya definición no se conoce (por ejemplo, en una firma).
+      return { ...definition, kind: "abstract" };
+    }
+    this.expect("Symbol", "=");
+
+    if (this.check("Symbol", "{")) {
+      return { ...definition, kind: "record", fields: this.parseRecordTypeFields() };
+    }
+    const token = this.peek();
+    if (this.check("Symbol", "|") || (token && token.type === "Identifier" && this.isConstructorName(token.value))) {
+      return { ...definition, kind: "variant", constructors: this.parseVariantConstructors() };
+    }
+    return { ...definition, kind: "alias", alias: this.parseTypeExpression() };
+  }
+
+  /**
+   * Parsea los constructores de una variante: `| A | B of t1 * t2 | ...` (la primera
+   * barra es opcional). Los componentes separados por `*` tras `of` son argumentos
+   * distintos del constructor; `of (t1 * t2)` es un único argumento de tipo tupla.
+   * @returns {Array<Object>} Los constructores (`{ name, args }`).
+   */
+  parseVariantConstructors() {
+    if (this.check("Symbol", "|")) {
+      this.consume();
+    }
+    const constructors = [];
+    while (true) {
+      const nameToken = this.expect("Identifier");
+      if (!this.isConstructorName(nameToken.value)) {
+        throw new SyntaxError(`El constructor '${nameToken.value}' debe empezar con mayúscula.`, nameToken, "syntax/capitalization", {
+          fixes: [capitalizeFix(nameToken)]
+        });
+      }
+      let args = [];
+      if (this.check("Keyword", "of")) {
+        this.consume();
+        args = this.parseTypeProduct();
+      }
+      constructors.push({ name: nameToken.value, args: args, line: nameToken.line, column: nameToken.column });
+      if (!this.check("Symbol", "|")) break;
+      this.consume();
+    }
+    return constructors;
+  }
+
+  /**
+   * Parsea los campos de un tipo registro: `{ [mutable] campo : tipo; ... }` (con `;` final opcional).
+   * @returns {Array<Object>} Los campos (`{ name, mutable, typeExpression }`), en orden de declaración.
+   */
+  parseRecordTypeFields() {
+    this.expect("Symbol", "{");
+    const fields = [];
+    while (!this.check("Symbol", "}")) {
+      const mutable = this.check("Keyword", "mutable");
+      if (mutable) {
+        this.consume();
+      }
+      const nameToken = this.expect("Identifier");
+      this.expect("Symbol", ":");
+      fields.push({ name: nameToken.value, mutable: mutable, typeExpression: this.parseTypeExpression(), line: nameToken.line, column: nameToken.column });
+      if (!this.check("Symbol", ";")) break;
+      this.consume();
+    }
+    this.expect("Symbol", "}");
+    if (fields.length === 0) {
+      throw new SyntaxError("Un tipo registro debe tener al menos un campo.", this.peek(), "syntax/empty-record");
+    }
+    return fields;
+  }
+
+  /**
+   * Parsea una expresión de tipo. La precedencia, de menor a mayor, es: función
+   * (`t1 -> t2`, asociativa a la derecha), tupla (`t1 * t2`) y aplicación de un
+   * constructor de tipos (`int list`, `(int, string) pair`).
+   * @returns {Object} Un nodo de expresión de tipo.
+   */
+  parseTypeExpression() {
+    const elements = this.parseTypeProduct();
+    const left = elements.length === 1
+      ? elements[0]
+      : { type: "TupleTypeExpression", elements: elements, line: elements[0].line, column: elements[0].column };
+    if (!this.check("Symbol", "->")) {
+      return left;
+    }
+    this.consume();
+    return { type: "FunctionTypeExpression", parameter: left, result: this.parseTypeExpression(), line: left.line, column: left.column };
+  }
+
+  /**
+   * Parsea una secuencia `t1 * t2 * ...` de tipos simples.
+   * @returns {Array<Object>} Los tipos de la secuencia (uno solo si no hay `*`).
+   */
+  parseTypeProduct() {
+    const elements = [this.parseTypeApplication()];
+    while (this.check("Symbol", "*")) {
+      this.consume();
+      elements.push(this.parseTypeApplication());
+    }
+    return elements;
+  }
+
+  /**
+   * Parsea la aplicación (posfija) de constructores de tipos: `int list option`,
+   * `('a, 'b) pair`.
+   * @returns {Object} Un nodo de expresión de tipo.
+   */
+  parseTypeApplication() {
+    const start = this.peek();
+    let args;
+    if (this.check("Symbol", "(")) {
+      // `(t)` agrupa; `(t1, t2) nombre` pasa varios argumentos a un constructor de tipos.
+      this.consume();
+      args = [this.parseTypeExpression()];
+      while (this.check("Symbol", ",")) {
+        this.consume();
+        args.push(this.parseTypeExpression());
+      }
+      this.expect("Symbol", ")");
+      if (args.length > 1 && !this.check("Identifier")) {
+        throw new SyntaxError("Se esperaba el nombre de un tipo tras la lista de parámetros.", this.peek());
+      }
+    } else if (this.check("TypeVariable")) {
+      args = [{ type: "TypeVariableExpression", name: this.consume().value, line: start.line, column: start.column }];
+    } else {
+      const nameToken = this.peek();
+      args = [{ type: "TypeConstructorExpression", name: this.parseTypeName(), args: [], line: nameToken.line, column: nameToken.column }];
+    }
+
+    let type = args.length === 1 ? args[0] : null;
+    while (this.check("Identifier") && (!this.isConstructorName(this.peek().value) || this.tokens[this.currentTokenIndex + 1]?.value === ".")) {
+      type = { type: "TypeConstructorExpression", name: this.parseTypeName(), args: type ? [type] : args, line: start.line, column: start.column };
+    }
+    return type;
+  }
+
+  /**
+   * Parsea el nombre de un tipo, que puede estar calificado por módulos (`M.t`).
+   * @returns {string} El nombre completo.
+   * @throws {SyntaxError} Si el nombre no termina en minúscula.
+   */
+  parseTypeName() {
+    const token = this.expect("Identifier");
+    const name = this.parseQualifiedName(token.value);
+    if (this.isConstructorName(name.split(".").pop())) {
+      throw new SyntaxError(`Se esperaba el nombre de un tipo, pero se encontró '${name}'.`, token);
+    }
+    return name;
+  }
+
+  /**
+   * Parsea lo que sigue a la palabra `let`: un `rec` opcional y una o más definiciones
+   * separadas por `and`.
+   * @returns {{recursive: boolean, declarations: Array<Object>}} Si el grupo es recursivo
+   * y la lista de nodos `LetDeclaration`/`FunctionDeclaration`/`PatternDeclaration`.
+   */
+  parseLetBindings() {
+    let recursive = false;
+    if (this.check("Keyword", "rec")) {
+      this.consume();
+      recursive = true;
+    }
+
+    const declarations = [this.parseBinding(recursive)];
+    while (this.check("Keyword", "and")) {
+      this.consume();
+      declarations.push(this.parseBinding(recursive));
+    }
+    return { recursive, declarations };
+  }
+
+  /**
+   * Parsea una definición individual `nombre params... = expresión` o `patrón = expresión`.
+   * Cada parámetro es un patrón simple (`x`, `_`, `(x)`, un literal...).
+   * @param {boolean} recursive - Si la definición pertenece a un `let rec`.
+   * @returns {Object} Un nodo AST de tipo `LetDeclaration`, `FunctionDeclaration` o `PatternDeclaration`.
+   */
+  parseBinding(recursive) {
+    if (!this.startsNamedBinding()) {
+      return this.parsePatternBinding(recursive);
+    }
+    const identifierToken = this.expect("Identifier");
+    const identifier = identifierToken.value;
+    const params = [];
+
+    // Verificamos si hay parámetros de función.
+    while (this.startsPattern(this.peek())) {
+      params.push(this.parsePrimaryPattern());
+    }
+
+    this.expect("Symbol", "=");
+    const expression = this.parseSequenceExpression();
+
+    if (params.length > 0) {
+      // Si hay parámetros, es una declaración de función.
+      return {
+        type: "FunctionDeclaration",
+        name: identifier,
+        params: params,
+        body: expression,
+        recursive: recursive,
+        line: identifierToken.line,
+        column: identifierToken.column
+      };
+    }
+    // Si no hay parámetros, es una declaración 'let' normal.
+    return {
+      type: "LetDeclaration",
+      identifier: identifier,
+      expression: expression,
+      recursive: recursive,
+      line: identifierToken.line,
+      column: identifierToken.column
+    };
+  }
+
+  /**
+   * Indica si la definición que empieza en el token actual define un nombre (`x = ...`,
+   * `f x y = ...`) y no desestructura un patrón (`(a, b) = ...`, `a, b = ...`, `_ = ...`, `() = ...`).
+   * @returns {boolean} `true` si empieza con el nombre que se define.
+   */
+  startsNamedBinding() {
+    const token = this.peek();
+    if (!token || token.type !== "Identifier" || token.value === "_" || this.isConstructorName(token.value)) {
+      return false;
+    }
+    const next = this.tokens[this.currentTokenIndex + 1];
+    return !(next?.type === "Symbol" && (next.value === "," || next.value === "::")) &&
+      !(next?.type === "Keyword" && next.value === "as");
+  }
+
+  /**
+   * Parsea una definición `patrón = expresión`, que liga las variables del patrón a las partes
+   * del valor (`let (a, b) = (1, 2)`, `let () = print_string "x"`).
+   * @param {boolean} recursive - Si la definición pertenece a un `let rec`.
+   * @returns {Object} Un nodo AST de tipo `PatternDeclaration`.
+   * @throws {SyntaxError} Si pertenece a un `let rec`, que solo puede definir nombres.
+   */
+  parsePatternBinding(recursive) {
+    if (recursive) {
+      throw new SyntaxError("En un 'let rec' solo se pueden definir nombres, no patrones.", this.peek());
+    }
+    const pattern = this.parsePattern();
+    this.expect("Symbol", "=");
+    const expression = this.parseSequenceExpression();
+    return {
+      type: "PatternDeclaration",
+      pattern: pattern,
+      expression: expression,
+      recursive: false,
+      line: pattern.line,
+      column: pattern.column
+    };
+  }
+
+  /**
+   * Parsea el `in cuerpo` de una expresión `let` y construye el nodo correspondiente.
+   * @param {Object} letToken - El token `let` que abre la expresión (para la posición).
+   * @param {boolean} recursive - Si las definiciones son recursivas.
+   * @param {Array<Object>} declarations - Las definiciones ya parseadas.
+   * @returns {Object} Un nodo AST de tipo `LetExpression`.
+   */
+  parseLetBody(letToken, recursive, declarations) {
+    this.expect("Keyword", "in");
+    const body = this.parseSequenceExpression(); // El cuerpo se extiende lo más a la derecha posible.
+    return {
+      type: "LetExpression",
+      recursive: recursive,
+      declarations: declarations,
+      body: body,
+      line: letToken.line,
+      column: letToken.column
+    };
+  }
+
+  /**
+   * Parsea una secuencia `e1; e2; ...`: evalúa las expresiones en orden y su valor es el de
+   * la última. Es la construcción de menor precedencia, así que solo aparece donde una
+   * expresión se extiende hasta un delimitador (el cuerpo de un `let ... in`, de una función
+   * o de un caso, entre paréntesis, entre `begin` y `end`, dentro de un bucle...). En las
+   * listas y los registros el `;` separa elementos, y allí se usa `parseExpression`.
+   * Como en OCaml, se admite un `;` final (`begin a; b; end`).
+   * @returns {Object} Un nodo AST de tipo `SequenceExpression` o el resultado de `parseExpression`.
+   */
+  parseSequenceExpression() {
+    const first = this.parseExpression();
+    const expressions = [first];
+    while (this.check("Symbol", ";")) {
+      this.consume();
+      if (!this.startsExpression(this.peek())) break;
+      expressions.push(this.parseExpression());
+    }
+    if (expressions.length === 1) {
+      return first;
+    }
+    return { type: "SequenceExpression", expressions: expressions, line: first.line, column: first.column };
+  }
+
+  /**
+   * Indica si un token puede comenzar una expresión (no solo una expresión primaria).
+   * @param {Object|null} token - El token a examinar.
+   * @returns {boolean} `true` si el token inicia una expresión.
+   */
+  startsExpression(token) {
+    if (!token) return false;
+    return this.startsPrimaryExpression(token) ||
+      (token.type === "Keyword" && ["if", "let", "fun", "function", "match", "try", "while", "for"].includes(token.value)) ||
+      (token.type === "Symbol" && (token.value === "-" || token.value === "-."));
+  }
+
+  /**
+   * Parsea una expresión. Esta es la función principal que maneja la precedencia de operadores
+   * y la recursión.
+   * @returns {Object} Un nodo AST para la expresión.
+   */
+  parseExpression() {
+    // Primero, verificamos si es una expresión `if-then-else`.
+    if (this.check("Keyword", "if")) {
+      return this.parseIfExpression();
+    }
+    // Las expresiones `let ... in` introducen definiciones locales.
+    if (this.check("Keyword", "let")) {
+      const letToken = this.consume();
+      if (this.check("Keyword", "open")) {
+        // `let open M in e` hace visibles los nombres de `M` solo dentro de `e`.
+        this.consume();
+        const name = this.parseModulePath();
+        this.expect("Keyword", "in");
+        return { type: "LetOpenExpression", module: name, body: this.parseSequenceExpression(), line: letToken.line, column: letToken.column };
+      }
+      const { recursive, declarations } = this.parseLetBindings();
+      return this.parseLetBody(letToken, recursive, declarations);
+    }
+    // Las funciones anónimas (`fun` y `function`) también se extienden lo más a la derecha posible.
+    if (this.check("Keyword", "fun")) {
+      return this.parseFunExpression();
+    }
+    if (this.check("Keyword", "function")) {
+      return this.parseFunctionExpression();
+    }
+    if (this.check("Keyword", "match")) {
+      return this.parseMatchExpression();
+    }
+    if (this.check("Keyword", "try")) {
+      return this.parseTryExpression();
+    }
+    if (this.check("Keyword", "while")) {
+      return this.parseWhileExpression();
+    }
+    if (this.check("Keyword", "for")) {
+      return this.parseForExpression();
+    }
+    // En otro caso, empezamos por el nivel de menor precedencia: las asignaciones.
+    return this.parseAssignmentExpression();
+  }
+
+  /**
+   * Parsea una asignación: `r := v` (cambia el contenido de una referencia), `r.campo <- v`
+   * (un campo mutable de un registro) o `a.(i) <- v` (un elemento de un array). Tienen menor
+   * precedencia que las tuplas (`r := 1, 2` asigna la tupla) y son asociativas por la derecha.
+   * @returns {Object} Un nodo AST de tipo `BinaryExpression` (`:=`), `AssignmentExpression`
+   * o el resultado de `parseTupleExpression`.
+   * @throws {SyntaxError} Si el lado izquierdo de `<-` no es un campo ni un elemento de array.
+   */
+  parseAssignmentExpression() {
+    const target = this.parseTupleExpression();
+    if (this.check("Symbol", ":=")) {
+      const operatorToken = this.consume();
+      const value = this.parseExpression();
+      return { type: "BinaryExpression", operator: ":=", left: target, right: value, line: operatorToken.line, column: operatorToken.column };
+    }
+    if (this.check("Symbol", "<-")) {
+      const operatorToken = this.consume();
+      if (target.type !== "FieldAccessExpression" && target.type !== "ArrayAccessExpression") {
+        throw new SyntaxError("Solo se puede asignar con '<-' a un campo de un registro (r.x <- v) o a un elemento de un array (a.(i) <- v).", operatorToken, "syntax/invalid-assignment");
+      }
+      const value = this.parseExpression();
+      return { type: "AssignmentExpression", target: target, value: value, line: operatorToken.line, column: operatorToken.column };
+    }
+    return target;
+  }
+
+  /**
+   * Parsea un bucle `while condición do cuerpo done`.
+   * @returns {Object} Un nodo AST de tipo `WhileExpression`.
+   */
+  parseWhileExpression() {
+    const whileToken = this.expect("Keyword", "while");
+    const condition = this.parseSequenceExpression();
+    this.expect("Keyword", "do");
+    const body = this.parseLoopBody();
+    return { type: "WhileExpression", condition: condition, body: body, line: whileToken.line, column: whileToken.column };
+  }
+
+  /**
+   * Parsea un bucle `for i = inicio to fin do cuerpo done` (o `downto`, para contar hacia atrás).
+   * @returns {Object} Un nodo AST de tipo `ForExpression`.
+   */
+  parseForExpression() {
+    const forToken = this.expect("Keyword", "for");
+    const variableToken = this.expect("Identifier");
+    this.expect("Symbol", "=");
+    const start = this.parseSequenceExpression();
+    if (!this.check("Keyword", "to") && !this.check("Keyword", "downto")) {
+      const token = this.peek();
+      throw new SyntaxError(`Se esperaba 'to' o 'downto' en el bucle 'for' de la línea ${forToken.line}, columna ${forToken.column}${token && token.type !== "EOF" ? `, pero se encontró '${token.value}'` : ''}.`, token);
+    }
+    const direction = this.consume().value;
+    const end = this.parseSequenceExpression();
+    this.expect("Keyword", "do");
+    const body = this.parseLoopBody();
+    return {
+      type: "ForExpression",
+      variable: variableToken.value,
+      start: start,
+      end: end,
+      direction: direction,
+      body: body,
+      line: forToken.line,
+      column: forToken.column
+    };
+  }
+
+  /**
+   * Parsea el cuerpo de un bucle hasta su `done`. Un cuerpo vacío (`do done`) equivale a `()`.
+   * @returns {Object} El nodo AST del cuerpo.
+   */
+  parseLoopBody() {
+    const doneToken = this.peek();
+    if (this.check("Keyword", "done")) {
+      this.consume();
+      return { type: "ConstructorExpression", name: "()", argument: null, line: doneToken.line, column: doneToken.column };
+    }
+    const body = this.parseSequenceExpression();
+    this.expect("Keyword", "done");
+    return body;
+  }
+
+  /**
+   * Parsea una tupla `e1, e2, ...`. La coma tiene menor precedencia que todos los operadores
+   * binarios (`1 + 2, 3` es `(3, 3)`), y los paréntesis no forman parte de la sintaxis de
+   * las tuplas: solo agrupan.
+   * @returns {Object} Un nodo AST de tipo `TupleExpression` o el resultado de `parseOrExpression`.
+   */
+  parseTupleExpression() {
+    const first = this.parseOrExpression();
+    if (!this.check("Symbol", ",")) {
+      return first;
+    }
+    const elements = [first];
+    while (this.check("Symbol", ",")) {
+      this.consume();
+      elements.push(this.parseOrExpression());
+    }
+    return { type: "TupleExpression", elements: elements, line: first.line, column: first.column };
+  }
+
+  /**
+   * Parsea una función anónima `fun p1 p2 ... -> cuerpo`.
+   * @returns {Object} Un nodo AST de tipo `FunctionExpression` con `params` y `body`.
+   */
+  parseFunExpression() {
+    const funToken = this.expect("Keyword", "fun");
+    const params = [];
+    do {
+      params.push(this.parsePrimaryPattern());
+    } while (this.startsPattern(this.peek()));
+    this.expect("Symbol", "->");
+    const body = this.parseSequenceExpression();
+
+    return {
+      type: "FunctionExpression",
+      params: params,
+      body: body,
+      line: funToken.line,
+      column: funToken.column
+    };
+  }
+
+  /**
+   * Parsea una función por casos `function | p1 -> e1 | p2 -> e2 ...`, que recibe un
+   * único argumento y lo compara con cada patrón en orden.
+   * @returns {Object} Un nodo AST de tipo `FunctionExpression` con `cases`.
+   */
+  parseFunctionExpression() {
+    const functionToken = this.expect("Keyword", "function");
+    return {
+      type: "FunctionExpression",
+      cases: this.parseCases(),
+      line: functionToken.line,
+      column: functionToken.column
+    };
+  }
+
+  /**
+   * Parsea una expresión `match e with | p1 -> e1 | p2 when guarda -> e2 ...`.
+   * @returns {Object} Un nodo AST de tipo `MatchExpression`.
+   */
+  parseMatchExpression() {
+    const matchToken = this.expect("Keyword", "match");
+    const scrutinee = this.parseSequenceExpression();
+    this.expect("Keyword", "with");
+    return {
+      type: "MatchExpression",
+      scrutinee: scrutinee,
+      cases: this.parseCases(),
+      line: matchToken.line,
+      column: matchToken.column
+    };
+  }
+
+  /**
+   * Parsea `try expr with | patrón -> expresión ...`: si la evaluación de `expr` lanza una
+   * excepción que coincide con algún caso, el resultado es el de ese caso.
+   * @returns {Object} Un nodo AST de tipo `TryExpression`.
+   */
+  parseTryExpression() {
+    const tryToken = this.expect("Keyword", "try");
+    const body = this.parseSequenceExpression();
+    this.expect("Keyword", "with");
+    return {
+      type: "TryExpression",
+      body: body,
+      cases: this.parseCases(),
+      line: tryToken.line,
+      column: tryToken.column
+    };
+  }
+
+  /**
+   * Parsea una lista de casos `| patrón [when guarda] -> expresión`. La barra del primer
+   * caso es opcional.
+   * @returns {Array<Object>} Los casos, cada uno con `pattern`, `guard` (o `null`) y `body`.
+   */
+  parseCases() {
+    const cases = [];
+    if (this.check("Symbol", "|")) {
+      this.consume();
+    }
+    while (true) {
+      const pattern = this.parsePattern();
+      let guard = null;
+      if (this.check("Keyword", "when")) {
+        this.consume();
+        guard = this.parseExpression();
+      }
+      this.expect("Symbol", "->");
+      const body = this.parseSequenceExpression();
+      cases.push({ pattern: pattern, guard: guard, body: body, line: pattern.line, column: pattern.column });
+      if (!this.check("Symbol", "|")) break;
+      this.consume();
+    }
+    return cases;
+  }
+
+  /**
+   * Parsea un patrón completo. La precedencia, de menor a mayor, es: alias (`p as x`),
+   * alternativa (`p1 | p2`), tupla (`p1, p2`), cons (`h :: t`, asociativo a la derecha),
+   * aplicación de constructor (`Some p`) y patrones simples.
+   * @returns {Object} Un nodo AST de patrón.
+   */
+  parsePattern() {
+    let pattern = this.parseOrPattern();
+    while (this.check("Keyword", "as")) {
+      this.consume();
+      const nameToken = this.expect("Identifier");
+      pattern = { type: "AliasPattern", pattern: pattern, name: nameToken.value, line: pattern.line, column: pattern.column };
+    }
+    return pattern;
+  }
+
+  /**
+   * Parsea patrones alternativos `p1 | p2 | ...`.
+   * @returns {Object} Un nodo `OrPattern` o el resultado de `parseTuplePattern`.
+   */
+  parseOrPattern() {
+    let left = this.parseTuplePattern();
+    while (this.check("Symbol", "|")) {
+      this.consume();
+      const right = this.parseTuplePattern();
+      left = { type: "OrPattern", left: left, right: right, line: left.line, column: left.column };
+    }
+    return left;
+  }
+
+  /**
+   * Parsea un patrón de tupla `p1, p2, ...` (los paréntesis son opcionales, como en OCaml).
+   * @returns {Object} Un nodo `TuplePattern` o el resultado de `parseConsPattern`.
+   */
+  parseTuplePattern() {
+    const first = this.parseConsPattern();
+    if (!this.check("Symbol", ",")) {
+      return first;
+    }
+    const elements = [first];
+    while (this.check("Symbol", ",")) {
+      this.consume();
+      elements.push(this.parseConsPattern());
+    }
+    return { type: "TuplePattern", elements: elements, line: first.line, column: first.column };
+  }
+
+  /**
+   * Parsea un patrón de lista `cabeza :: cola`, asociativo a la derecha (`a :: b :: t`).
+   * @returns {Object} Un nodo `ConsPattern` o el resultado de `parseConstructorPattern`.
+   */
+  parseConsPattern() {
+    const head = this.parseConstructorPattern();
+    if (!this.check("Symbol", "::")) {
+      return head;
+    }
+    this.consume();
+    const tail = this.parseConsPattern();
+    return { type: "ConsPattern", head: head, tail: tail, line: head.line, column: head.column };
+  }
+
+  /**
+   * Parsea la aplicación de un constructor a su argumento (`Some x`, `Node (l, v, r)`).
+   * Los constructores se distinguen de las variables porque empiezan con mayúscula.
+   * @returns {Object} Un nodo `ConstructorPattern` o el resultado de `parsePrimaryPattern`.
+   */
+  parseConstructorPattern() {
+    const token = this.peek();
+    if (token && token.type === "Identifier" && this.isConstructorName(token.value)) {
+      const name = this.parseConstructorName();
+      const argument = this.startsPattern(this.peek()) ? this.parsePrimaryPattern() : null;
+      return { type: "ConstructorPattern", name: name, argument: argument, line: token.line, column: token.column };
+    }
+    return this.parsePrimaryPattern();
+  }
+
+  /**
+   * Parsea el nombre de un constructor en un patrón, que puede estar calificado por módulos (`M.Leaf`).
+   * @returns {string} El nombre completo.
+   * @throws {SyntaxError} Si el nombre calificado termina en minúscula (`M.x` no es un patrón).
+   */
+  parseConstructorName() {
+    const token = this.peek();
+    const name = this.parseQualifiedName();
+    if (!this.isConstructorName(name.split(".").pop())) {
+      throw new SyntaxError(`Se esperaba un constructor, pero se encontró '${name}'.`, token);
+    }
+    return name;
+  }
+
+  /**
+   * Parsea la etiqueta de un campo de registro, que puede estar calificada por el módulo que
+   * define el tipo (`M.x`, en `r.M.x` o `{ M.x = 1 }`).
+   * @returns {{name: string, module: string|null, token: Object}} El campo, su módulo (o `null`)
+   * y el token donde empieza.
+   */
+  parseFieldLabel() {
+    const token = this.expect("Identifier");
+    if (!this.isConstructorName(token.value)) {
+      return { name: token.value, module: null, token };
+    }
+    const path = this.parseQualifiedName(token.value).split(".");
+    const name = path.pop();
+    if (path.length === 0 || this.isConstructorName(name)) {
+      throw new SyntaxError(`Se esperaba el nombre de un campo, pero se encontró '${token.value}'.`, token);
+    }
+    return { name, module: path.join("."), token };
+  }
+
+  /**
+   * Indica si un identificador es el nombre de un constructor (empieza con mayúscula).
+   * @param {string} name - El identificador.
+   * @returns {boolean} `true` si es un constructor.
+   */
+  isConstructorName(name) {
+    return /^[A-Z]/.test(name);
+  }
+
+  /**
+   * Indica si un token puede comenzar un patrón simple.
+   * @param {Object|null} token - El token a examinar.
+   * @returns {boolean} `true` si el token inicia un patrón.
+   */
+  startsPattern(token) {
+    if (!token) return false;
+    return ["Number", "Float", "String", "Char", "Identifier"].includes(token.type) ||
+      (token.type === "Keyword" && (token.value === "true" || token.value === "false")) ||
+      (token.type === "Symbol" && (token.value === "(" || token.value === "[" || token.value === "{"));
+  }
+
+  /**
+   * Parsea un patrón simple: una variable (`x`), el comodín (`_`), un literal (con signo), un
+   * constructor constante (`None`), `()`, una lista (`[]`, `[a; b]`), un registro
+   * (`{ x; y = 0 }`) o un patrón entre paréntesis.
+   * @returns {Object} Un nodo de patrón.
+   * @throws {SyntaxError} Si el token actual no puede iniciar un patrón.
+   */
+  parsePrimaryPattern() {
+    const token = this.peek();
+    if (!token || token.type === "EOF") {
+      throw new SyntaxError("Se esperaba un patrón pero se encontró el final del archivo.", null, "syntax/unexpected-eof");
+    }
+
+    if (token.type === "Identifier") {
+      if (this.isConstructorName(token.value)) {
+        // Un constructor en posición simple (por ejemplo, como parámetro) no lleva argumento.
+        return { type: "ConstructorPattern", name: this.parseConstructorName(), argument: null, line: token.line, column: token.column };
+      }
+      this.consume();
+      if (token.value === "_") {
+        return { type: "WildcardPattern", line: token.line, column: token.column };
+      }
+      return { type: "VariablePattern", name: token.value, line: token.line, column: token.column };
+    } else if (token.type === "Symbol" && (token.value === "-" || token.value === "-.") &&
+      (token.value === "-" ? ["Number", "Float"] : ["Float"]).includes(this.tokens[this.currentTokenIndex + 1]?.type)) {
+      // Literal numérico negativo: `-1`, `-2.5`.
+      const literal = this.parseUnaryExpression();
+      return { type: "LiteralPattern", literal: literal, line: token.line, column: token.column };
+    } else if (["Number", "Float", "String", "Char"].includes(token.type) ||
+      (token.type === "Keyword" && (token.value === "true" || token.value === "false"))) {
+      // Un patrón literal guarda el nodo de la expresión literal con la que se compara.
+      const literal = this.parsePrimaryExpression();
+      return { type: "LiteralPattern", literal: literal, line: token.line, column: token.column };
+    } else if (token.type === "Symbol" && token.value === "(") {
+      this.consume();
+      if (this.check("Symbol", ")")) {
+        // `()` es el único valor del tipo `unit`, tratado como un constructor constante.
+        this.consume();
+        return { type: "ConstructorPattern", name: "()", argument: null, line: token.line, column: token.column };
+      }
+      const pattern = this.parsePattern();
+      this.expect("Symbol", ")");
+      return pattern;
+    } else if (token.type === "Symbol" && token.value === "[") {
+      // Lista literal en un patrón: `[]` o `[p1; p2; ...]`.
+      this.consume();
+      const elements = [];
+      while (!this.check("Symbol", "]")) {
+        elements.push(this.parsePattern());
+        if (!this.check("Symbol", ";")) break;
+        this.consume();
+      }
+      this.expect("Symbol", "]");
+      return { type: "ListPattern", elements: elements, line: token.line, column: token.column };
+    } else if (token.type === "Symbol" && token.value === "{") {
+      // Patrón de registro: `{ x = p; y }` (`y` equivale a `y = y`), con un `; _` final opcional.
+      this.consume();
+      const fields = [];
+      while (!this.check("Symbol", "}")) {
+        if (fields.length > 0 && this.check("Identifier", "_")) {
+          this.consume();
+          break;
+        }
+        const { name, module, token: nameToken } = this.parseFieldLabel();
+        let pattern = { type: "VariablePattern", name: name, line: nameToken.line, column: nameToken.column };
+        if (this.check("Symbol", "=")) {
+          this.consume();
+          pattern = this.parsePattern();
+        }
+        fields.push({ name: name, module: module, pattern: pattern, line: nameToken.line, column: nameToken.column });
+        if (!this.check("Symbol", ";")) break;
+        this.consume();
+      }
+      this.expect("Symbol", "}");
+      return { type: "RecordPattern", fields: fields, line: token.line, column: token.column };
+    }
+    throw new SyntaxError(`Token inesperado: '${token.value}' de tipo '${token.type}'. Se esperaba un patrón.`, token);
+  }
+
+  /**
+   * Parsea una expresión `if-then-else`. La rama `else` es opcional: sin ella, la rama
+   * `then` debe ser de tipo `unit` (`if c then print_string "sí"`).
+   * @returns {Object} Un nodo AST de tipo `IfExpression` (con `elseBranch` nulo si no hay `else`).
+   */
+  parseIfExpression() {
+    const ifToken = this.expect("Keyword", "if");
+    const condition = this.parseSequenceExpression(); // La condición puede ser cualquier expresión.
+    this.expect("Keyword", "then");
+    const thenBranch = this.parseExpression();
+    let elseBranch = null;
+    if (this.check("Keyword", "else")) {
+      this.consume();
+      elseBranch = this.parseExpression();
+    }
+
+    return {
+      type: "IfExpression",
+      condition: condition,
+      thenBranch: thenBranch,
+      elseBranch: elseBranch,
+      line: ifToken.line,
+      column: ifToken.column
+    };
+  }
+
+  /**
+   * Parsea disyunciones (`a || b`), el operador binario de menor precedencia.
+   * Es asociativo por la derecha: `a || b || c` se parsea como `a || (b || c)`.
+   * @returns {Object} Un nodo AST de tipo `BinaryExpression` o el resultado de `parseAndExpression`.
+   */
+  parseOrExpression() {
+    const left = this.parseAndExpression();
+    if (!this.check("Symbol", "||")) {
+      return left;
+    }
+    const operatorToken = this.consume();
+    const right = this.parseOrExpression();
+    return {
+      type: "BinaryExpression",
+      operator: operatorToken.value,
+      left: left,
+      right: right,
+      line: operatorToken.line,
+      column: operatorToken.column
+    };
+  }
+
+  /**
+   * Parsea conjunciones (`a && b`). Tienen mayor precedencia que `||` y también son
+   * asociativas por la derecha.
+   * @returns {Object} Un nodo AST de tipo `BinaryExpression` o el resultado de `parseComparisonExpression`.
+   */
+  parseAndExpression() {
+    const left = this.parseComparisonExpression();
+    if (!this.check("Symbol", "&&")) {
+      return left;
+    }
+    const operatorToken = this.consume();
+    const right = this.parseAndExpression();
+    return {
+      type: "BinaryExpression",
+      operator: operatorToken.value,
+      left: left,
+      right: right,
+      line: operatorToken.line,
+      column: operatorToken.column
+    };
+  }
+
+  /**
+   * Parsea comparaciones (`=`, `<>`, `<`, `>`, `<=`, `>=`, `==`, `!=`). Tienen menor
+   * precedencia que los operadores aritméticos (`a + 1 < b` compara `a + 1` con `b`) y
+   * son asociativas por la izquierda.
+   * @returns {Object} Un nodo AST de tipo `BinaryExpression` o el resultado de `parseConcatExpression`.
+   */
+  parseComparisonExpression() {
+    let left = this.parseConcatExpression();
+
+    while (this.peek() && this.peek().type === "Symbol" && COMPARISON_OPERATORS.includes(this.peek().value)) {
+      const operatorToken = this.consume();
+      const right = this.parseConcatExpression();
+      left = {
+        type: "BinaryExpression",
+        operator: operatorToken.value,
+        left: left,
+        right: right,
+        line: operatorToken.line,
+        column: operatorToken.column
+      };
+    }
+    return left;
+  }
+
+  /**
+   * Parsea concatenaciones de listas (`l1 @ l2`) y de cadenas (`s1 ^ s2`). Son asociativas
+   * por la derecha y tienen menor precedencia que `::`: `x :: l1 @ l2` es `(x :: l1) @ l2`.
+   * @returns {Object} Un nodo AST de tipo `BinaryExpression` o el resultado de `parseConsExpression`.
+   */
+  parseConcatExpression() {
+    const left = this.parseConsExpression();
+    if (!this.check("Symbol", "@") && !this.check("Symbol", "^")) {
+      return left;
+    }
+    const operatorToken = this.consume();
+    const right = this.parseConcatExpression();
+    return {
+      type: "BinaryExpression",
+      operator: operatorToken.value,
+      left: left,
+      right: right,
+      line: operatorToken.line,
+      column: operatorToken.column
+    };
+  }
+
+  /**
+   * Parsea la construcción de listas `cabeza :: cola`, asociativa por la derecha:
+   * `1 :: 2 :: []` es `1 :: (2 :: [])`. Tiene menor precedencia que los operadores aditivos.
+   * @returns {Object} Un nodo AST de tipo `ConsExpression` o el resultado de `parseAdditiveExpression`.
+   */
+  parseConsExpression() {
+    const head = this.parseAdditiveExpression();
+    if (!this.check("Symbol", "::")) {
+      return head;
+    }
+    const operatorToken = this.consume();
+    const tail = this.parseConsExpression();
+    return { type: "ConsExpression", head: head, tail: tail, line: operatorToken.line, column: operatorToken.column };
+  }
+
+  /**
+   * Parsea expresiones aditivas (suma y resta, enteras y de coma flotante).
+   * Este método implementa la precedencia de operadores: los operadores aditivos
+   * tienen menor precedencia que los multiplicativos.
+   * @returns {Object} Un nodo AST de tipo `BinaryExpression` o el resultado de `parseMultiplicativeExpression`.
+   */
+  parseAdditiveExpression() {
+    // Primero parseamos el siguiente nivel de precedencia (multiplicación).
+    let left = this.parseMultiplicativeExpression();
+
+    // En un bucle, si encontramos un operador aditivo, creamos un nodo de expresión binaria
+    // y continuamos parseando el lado derecho.
+    while (this.peek() && this.peek().type === "Symbol" && ["+", "-", "+.", "-."].includes(this.peek().value)) {
+      const operatorToken = this.consume();
+      const right = this.parseMultiplicativeExpression();
+      left = {
+        type: "BinaryExpression",
+        operator: operatorToken.value,
+        left: left,
+        right: right,
+        line: operatorToken.line,
+        column: operatorToken.column
+      };
+    }
+    return left;
+  }
+
+  /**
+   * Parsea expresiones multiplicativas (multiplicación, división, módulo, sus versiones
+   * de coma flotante `*.` y `/.`, y las operaciones de bits `land`, `lor` y `lxor`). Tienen
+   * mayor precedencia que las expresiones aditivas.
+   * @returns {Object} Un nodo AST de tipo `BinaryExpression` o el resultado de `parsePowerExpression`.
+   */
+  parseMultiplicativeExpression() {
+    // Primero parseamos el siguiente nivel de precedencia: la potencia.
+    let left = this.parsePowerExpression();
+
+    while (this.peek() && (["*", "/", "*.", "/."].includes(this.peek().value) && this.peek().type === "Symbol" ||
+      ["mod", "land", "lor", "lxor"].some(keyword => this.check("Keyword", keyword)))) {
+      const operatorToken = this.consume();
+      const right = this.parsePowerExpression();
+      left = {
+        type: "BinaryExpression",
+        operator: operatorToken.value,
+        left: left,
+        right: right,
+        line: operatorToken.line,
+        column: operatorToken.column
+      };
+    }
+    return left;
+  }
+
+  /**
+   * Parsea potencias de coma flotante (`a ** b`) y desplazamientos de bits (`lsl`, `lsr`,
+   * `asr`). Tienen mayor precedencia que los operadores multiplicativos y son asociativos por
+   * la derecha: `2. ** 3. ** 2.` es `2. ** (3. ** 2.)`.
+   * @returns {Object} Un nodo AST de tipo `BinaryExpression` o el resultado de `parseUnaryExpression`.
+   */
+  parsePowerExpression() {
+    const left = this.parseUnaryExpression();
+    if (!this.check("Symbol", "**") && !["lsl", "lsr", "asr"].some(keyword => this.check("Keyword", keyword))) {
+      return left;
+    }
+    const operatorToken = this.consume();
+    const right = this.parsePowerExpression();
+    return {
+      type: "BinaryExpression",
+      operator: operatorToken.value,
+      left: left,
+      right: right,
+      line: operatorToken.line,
+      column: operatorToken.column
+    };
+  }
+
+  /**
+   * Parsea el menos unario (`-x`, `-. x`). Liga menos que la aplicación (`-f x` es `-(f x)`)
+   * y más que los operadores binarios. Como en OCaml, un `-` seguido directamente de un
+   * literal numérico forma un literal negativo (`-1`, `-2.5`).
+   * @returns {Object} Un nodo AST de tipo `UnaryExpression`, un literal negativo o el resultado de `parseApplicationExpression`.
+   */
+  parseUnaryExpression() {
+    if (!this.check("Symbol", "-") && !this.check("Symbol", "-.")) {
+      return this.parseApplicationExpression();
+    }
+    const operatorToken = this.consume();
+    const operand = this.parseUnaryExpression();
+    if (operand.type === "NumberLiteral" && operatorToken.value === "-") {
+      // `-min_int` no cabe en un `int`, así que también aquí se da la vuelta.
+      return { type: "NumberLiteral", value: wrapInt(-operand.value), line: operatorToken.line, column: operatorToken.column };
+    }
+    if (operand.type === "FloatLiteral") {
+      return { type: "FloatLiteral", value: -operand.value, line: operatorToken.line, column: operatorToken.column };
+    }
+    return {
+      type: "UnaryExpression",
+      operator: operatorToken.value,
+      operand: operand,
+      line: operatorToken.line,
+      column: operatorToken.column
+    };
+  }
+
+  /**
+   * Parsea aplicaciones de función. En OCaml, las aplicaciones son de alta precedencia
+   * (más que cualquier operador binario) y se encadenan de izquierda a derecha.
+   * Por ejemplo, `f x y` se parsea como `((f x) y)` y `n * f x` como `n * (f x)`.
+   * @returns {Object} Un nodo AST de tipo `ApplicationExpression` o el resultado de `parsePrimaryExpression`.
+   */
+  parseApplicationExpression() {
+    const start = this.peek();
+    let expr = this.parsePrimaryExpression(); // Empezamos con el siguiente nivel de precedencia.
+
+    // Un constructor (`Some`, `Circle`) toma como argumento la expresión primaria que le sigue.
+    if (expr.type === "ConstructorExpression" && start.type === "Identifier" && this.startsPrimaryExpression(this.peek())) {
+      expr = { ...expr, argument: this.parsePrimaryExpression() };
+    }
+
+    // En un bucle, seguimos parseando expresiones primarias (los argumentos) y las anidamos
+    // en nodos `ApplicationExpression` mientras haya más tokens que puedan iniciar un argumento.
+    while (this.startsPrimaryExpression(this.peek())) {
+        const arg = this.parsePrimaryExpression();
+        expr = {
+            type: "ApplicationExpression",
+            callee: expr, // El callee es la expresión que ya hemos parseado.
+            argument: arg,
+            line: expr.line,
+            column: expr.column
+        };
+    }
+    return expr;
+  }
+
+  /**
+   * Indica si un token puede comenzar una expresión primaria, es decir, si puede
+   * ser el argumento de una aplicación.
+   * @param {Object|null} token - El token a examinar.
+   * @returns {boolean} `true` si el token inicia un literal, un identificador, una lista, un
+   * array, un registro, un paréntesis, un bloque `begin ... end` o una desreferencia `!r`.
+   */
+  startsPrimaryExpression(token) {
+    if (!token) return false;
+    return ["Number", "Float", "String", "Char", "Identifier"].includes(token.type) ||
+      (token.type === "Keyword" && (token.value === "true" || token.value === "false" || token.value === "begin")) ||
+      (token.type === "Symbol" && ["(", "[", "[|", "{", "!"].includes(token.value));
+  }
+
+  /**
+   * Parsea una expresión primaria seguida de accesos a campos de registro (`r.x`, `a.b.c`) y a
+   * elementos de arrays (`a.(i)`), que ligan más que la aplicación: `f r.x` es `f (r.x)`.
+   * @returns {Object} Un nodo `FieldAccessExpression`, `ArrayAccessExpression` o el resultado de `parseAtomicExpression`.
+   */
+  parsePrimaryExpression() {
+    let expr = this.parseAtomicExpression();
+    while (this.check("Symbol", ".")) {
+      this.consume();
+      if (this.check("Symbol", "(")) {
+        this.consume();
+        const index = this.parseSequenceExpression();
+        this.expect("Symbol", ")");
+        expr = { type: "ArrayAccessExpression", array: expr, index: index, line: expr.line, column: expr.column };
+        continue;
+      }
+      const { name, module, token: fieldToken } = this.parseFieldLabel();
+      expr = { type: "FieldAccessExpression", record: expr, field: name, module: module, line: fieldToken.line, column: fieldToken.column };
+    }
+    return expr;
+  }
+
+  /**
+   * Parsea un nombre calificado por módulos (`List.map`, `Printf.printf`): un nombre que
+   * empieza por mayúscula seguido de `.nombre` mientras el nombre anterior sea de módulo.
+   * @param {string} [name] - El primer nombre, si ya se consumió (por defecto, el del token actual).
+   * @returns {string} El nombre completo, con sus puntos.
+   */
+  parseQualifiedName(name = this.consume().value) {
+    while (this.isConstructorName(name.split(".").pop()) && this.check("Symbol", ".") &&
+           this.tokens[this.currentTokenIndex + 1]?.type === "Identifier") {
+      this.consume();
+      name += `.${this.consume().value}`;
+    }
+    return name;
+  }
+
+  /**
+   * Parsea las expresiones más básicas (literales numéricos, booleanos y de cadena,
+   * identificadores, constructores, listas y arrays literales, registros, desreferencias
+   * `!r` y expresiones entre paréntesis o entre `begin` y `end`).
+   * @returns {Object} Un nodo AST para la expresión más básica.
+   * @throws {SyntaxError} Si el token actual no es lo que se espera.
+   */
+  parseAtomicExpression() {
+    const token = this.peek();
+    if (!token || token.type === "EOF") {
+      throw new SyntaxError("Se esperaba un número, booleano, identificador, cadena o expresión entre paréntesis.", null, "syntax/unexpected-eof");
+    }
+
+    if (token.type === "Number") {
+      // Los enteros se representan con `BigInt` y deben caber en los 63 bits de un `int`.
+      const value = parseInt63(this.consume().value);
+      if (value === null) {
+        throw new SyntaxError(`El literal entero '${token.value}' excede el rango de los enteros representables del tipo int.`, token, "syntax/integer-overflow");
+      }
+      return { type: "NumberLiteral", value: value, line: token.line, column: token.column };
+    } else if (token.type === "Float") {
+      // Los separadores `_` (como en `1_000.5`) no forman parte del valor numérico.
+      return { type: "FloatLiteral", value: Number(this.consume().value.replace(/_/g, "")), line: token.line, column: token.column };
+    } else if (token.type === "String") {
+      // Quitamos las comillas y resolvemos las secuencias de escape para obtener el valor de la cadena.
+      const stringValue = decodeEscapes(this.consume().value.slice(1, -1));
+      return { type: "StringLiteral", value: stringValue, line: token.line, column: token.column };
+    } else if (token.type === "Char") {
+      // Como con los enteros, el valor del literal es ya el de tiempo de ejecución (`'A'` y `'\065'` son el mismo).
+      const code = decodeEscapes(this.consume().value.slice(1, -1)).charCodeAt(0);
+      return { type: "CharLiteral", value: OCamlChar.of(code), line: token.line, column: token.column };
+    } else if (token.type === "Keyword" && (token.value === "true" || token.value === "false")) {
+      return { type: "BooleanLiteral", value: this.consume().value === "true", line: token.line, column: token.column };
+    } else if (token.type === "Identifier" && this.isConstructorName(token.value)) {
+      const name = this.parseQualifiedName();
+      if (!this.isConstructorName(name.split(".").pop())) {
+        // Un valor de un módulo: `List.map`.
+        return { type: "Identifier", value: name, line: token.line, column: token.column };
+      }
+      if (this.check("Symbol", ".") && this.tokens[this.currentTokenIndex + 1]?.value === "(") {
+        // Apertura local `M.(e)`, equivalente a `let open M in e`.
+        this.consume();
+        this.consume();
+        const body = this.parseSequenceExpression();
+        this.expect("Symbol", ")");
+        return { type: "LetOpenExpression", module: name, body: body, line: token.line, column: token.column };
+      }
+      // El argumento del constructor, si lo tiene, se añade en `parseApplicationExpression`.
+      return { type: "ConstructorExpression", name: name, argument: null, line: token.line, column: token.column };
+    } else if (token.type === "Identifier") {
+      return { type: "Identifier", value: this.consume().value, line: token.line, column: token.column };
+    } else if (token.type === "Symbol" && token.value === "!") {
+      // La desreferencia `!r` liga más que cualquier otra operación, incluso que `.`: `!r.x` es `(!r).x`.
+      this.consume();
+      const operand = this.parseAtomicExpression();
+      return { type: "UnaryExpression", operator: "!", operand: operand, line: token.line, column: token.column };
+    } else if (token.type === "Symbol" && token.value === "{") {
+      return this.parseRecordExpression();
+    } else if (token.type === "Symbol" && token.value === "(") {
+      this.consume(); // Consumimos el '('.
+      if (this.check("Symbol", ")")) {
+        // `()` es el único valor del tipo `unit`, tratado como un constructor constante.
+        this.consume();
+        return { type: "ConstructorExpression", name: "()", argument: null, line: token.line, column: token.column };
+      }
+      // Dentro de los paréntesis puede ir cualquier expresión, incluida una función anónima: `(fun x -> x + 1) 41`.
+      const expression = this.parseSequenceExpression(); // Parseamos la expresión que está dentro.
+      this.expect("Symbol", ")"); // Esperamos el ')' de cierre.
+      return expression; // Devolvemos el nodo de la expresión interna.
+    } else if (token.type === "Keyword" && token.value === "begin") {
+      // `begin ... end` agrupa como los paréntesis; `begin end` es `()`.
+      this.consume();
+      if (this.check("Keyword", "end")) {
+        this.consume();
+        return { type: "ConstructorExpression", name: "()", argument: null, line: token.line, column: token.column };
+      }
+      const expression = this.parseSequenceExpression();
+      this.expect("Keyword", "end");
+      return expression;
+    } else if (token.type === "Symbol" && token.value === "[|") {
+      // Array literal: `[||]` o `[| e1; e2; ... |]`, con un `;` final opcional.
+      this.consume();
+      const elements = [];
+      while (!this.check("Symbol", "|]")) {
+        elements.push(this.parseExpression());
+        if (!this.check("Symbol", ";")) break;
+        this.consume();
+      }
+      this.expect("Symbol", "|]");
+      return { type: "ArrayExpression", elements: elements, line: token.line, column: token.column };
+    } else if (token.type === "Symbol" && token.value === "[") {
+      // Lista literal: `[]` o `[e1; e2; ...]`, con un `;` final opcional.
+      this.consume();
+      const elements = [];
+      while (!this.check("Symbol", "]")) {
+        elements.push(this.parseExpression());
+        if (!this.check("Symbol", ";")) break;
+        this.consume();
+      }
+      this.expect("Symbol", "]");
+      return { type: "ListExpression", elements: elements, line: token.line, column: token.column };
+    } else {
+      throw new SyntaxError(`Token inesperado: '${token.value}' de tipo '${token.type}'. Se esperaba un número, booleano, identificador, cadena, lista, array, registro o '('.`, token);
+    }
+  }
+
+  /**
+   * Parsea un registro `{ campo = expr; ... }` o una copia con campos modificados
+   * `{ r with campo = expr; ... }`. Un campo sin `= expr` toma el valor de la variable
+   * del mismo nombre (`{ x; y }` equivale a `{ x = x; y = y }`).
+   * @returns {Object} Un nodo AST de tipo `RecordExpression`.
+   */
+  parseRecordExpression() {
+    const openToken = this.expect("Symbol", "{");
+    let base = null;
+    const next = this.tokens[this.currentTokenIndex + 1];
+    if (this.check("Identifier") && next && next.type === "Keyword" && next.value === "with") {
+      base = this.parsePrimaryExpression();
+      this.expect("Keyword", "with");
+    }
+
+    const fields = [];
+    while (!this.check("Symbol", "}")) {
+      const { name, module, token: nameToken } = this.parseFieldLabel();
+      let value = { type: "Identifier", value: name, line: nameToken.line, column: nameToken.column };
+      if (this.check("Symbol", "=")) {
+        this.consume();
+        value = this.parseExpression();
+      }
+      fields.push({ name: name, module: module, value: value, line: nameToken.line, column: nameToken.column });
+      if (!this.check("Symbol", ";")) break;
+      this.consume();
+    }
+    this.expect("Symbol", "}");
+    if (fields.length === 0) {
+      throw new SyntaxError("Un registro debe tener al menos un campo.", openToken, "syntax/empty-record");
+    }
+    return { type: "RecordExpression", base: base, fields: fields, line: openToken.line, column: openToken.column };
+  }
+}
+
+/**
+ * Indica si un valor forma parte del AST: un nodo (un objeto plano) o un array. Los tipos que
+ * anota el análisis semántico son instancias de clases y no cuentan.
+ * @param {*} value - El valor.
+ * @returns {boolean} `true` si es un objeto plano o un array.
+ */
+function isAstValue(value) {
+  return value !== null && typeof value === "object" &&
+    (Array.isArray(value) || Object.getPrototypeOf(value) === Object.prototype);
+}
+
+/**
+ * Llama a una función con cada hijo de un nodo del AST (o de un array de nodos): los valores
+ * de sus campos que son nodos o arrays, con el nombre del campo (o la posición en el array).
+ * Los recorridos del AST de los demás módulos se construyen sobre esta función, así un tipo
+ * de nodo nuevo no hay que añadirlo en cada uno.
+ * @param {Object|Array} node - El nodo.
+ * @param {function((Object|Array), string): void} visit - Se llama con cada hijo y su campo.
+ */
+export function forEachChild(node, visit) {
+  Object.entries(node).forEach(([key, value]) => {
+    if (isAstValue(value)) visit(value, key);
+  });
+}
+
+/**
+ * Recorre en profundidad los nodos de un sub-árbol del AST (el propio nodo incluido, y también
+ * los que no tienen `type`, como los casos de un `match`), una sola vez cada uno aunque esté
+ * compartido. Si `visit` devuelve `true`, el recorrido termina.
+ * @param {Object|Array} root - La raíz del sub-árbol, o un array de sub-árboles.
+ * @param {function(Object): (boolean|void)} visit - Se llama con cada nodo.
+ */
+export function walkAst(root, visit) {
+  const seen = new Set();
+  const pending = isAstValue(root) ? [root] : [];
+  while (pending.length > 0) {
+    const node = pending.pop();
+    if (seen.has(node)) continue;
+    seen.add(node);
+    if (!Array.isArray(node) && visit(node) === true) return;
+    forEachChild(node, child => pending.push(child));
+  }
+}
+
+/**
+ * Anota en cada nodo del AST el fragmento del código que ocupa (`startLine`, `startColumn`,
+ * `endLine`, `endColumn`, con el fin exclusivo): desde su token más a la izquierda (el de un
+ * operador binario no es el primero) hasta el final del último, ampliado hasta cerrar los
+ * paréntesis y bloques que abre y hasta abrir los que cierra. Los diagnósticos usan estos rangos (`rangeOf`).
+ * @param {Object} ast - El AST.
+ * @param {Array<Object>} tokens - Los tokens con los que se construyó.
+ */
+function annotateRanges(ast, tokens) {
+  const tokenAt = new Map(tokens.map((token, index) => [`${token.line}:${token.column}`, index]));
+  const spans = new Map(); // Nodo → índices de su primer y su último token (los nodos pueden estar compartidos).
+  const visit = (node) => {
+    if (spans.has(node)) return spans.get(node);
+    spans.set(node, null);
+    const own = node.line === undefined ? undefined : tokenAt.get(`${node.line}:${node.column}`);
+    // Un nodo puede traer anotado dónde empieza, si es antes de su posición (el `let` de una declaración).
+    const start = node.startLine === undefined ? undefined : tokenAt.get(`${node.startLine}:${node.startColumn}`);
+    let first = Math.min(own ?? Infinity, start ?? Infinity);
+    let last = own ?? -Infinity;
+    forEachChild(node, child => {
+      const span = visit(child);
+      if (span) {
+        first = Math.min(first, span.first);
+        last = Math.max(last, span.last);
+      }
+    });
+    if (first === Infinity) return null;
+    if (!Array.isArray(node) && node.line !== undefined) {
+      // Un nombre calificado (`List.map`) está en la posición de su primer componente.
+      while (tokens[last + 2] && tokens[last + 1].value === "." && tokens[last + 2].type === "Identifier"
+        && tokens[last + 1].line === tokens[last].endLine && tokens[last + 1].column === tokens[last].endColumn) {
+        last += 2;
+      }
+      let open = 0;
+      for (let index = first; index <= last || (open > 0 && index < tokens.length); index++) {
+        const { type, value } = tokens[index];
+        if (type === "String" || type === "Char") continue;
+        if (OPENERS.has(value)) open++;
+        if (CLOSERS.has(value)) open--;
+        if (index > last) last = index;
+      }
+      // Si cierra paréntesis abiertos antes de su primer token (`(fun x -> x) 1`), se amplía hacia atrás.
+      for (let index = first - 1; open < 0 && index >= 0; index--) {
+        const { type, value } = tokens[index];
+        if (type === "String" || type === "Char") continue;
+        if (OPENERS.has(value)) open++;
+        if (CLOSERS.has(value)) open--;
+        first = index;
+      }
+      node.startLine = tokens[first].line;
+      node.startColumn = tokens[first].column;
+      node.endLine = tokens[last].endLine;
+      node.endColumn = tokens[last].endColumn;
+    }
+    const span = { first, last };
+    spans.set(node, span);
+    return span;
+  };
+  visit(ast);
+}
+
+/**
+ * Convierte en diagnóstico un error que detuvo el parser.
+ * @param {Error} error - El error (`SyntaxError` o un fallo inesperado del parser).
+ * @param {Object} fallback - El token donde situarlo si no tiene uno (el último).
+ * @returns {Object} El diagnóstico.
+ */
+function syntaxDiagnostic(error, fallback) {
+  if (!(error instanceof SyntaxError)) {
+    return createDiagnostic({ code: "syntax/internal", message: error.message, range: tokenRange(fallback) });
+  }
+  return createDiagnostic({
+    code: error.code,
+    message: error.message,
+    range: tokenRange(error.token || fallback),
+    related: error.details.related,
+    fixes: error.details.fixes
+  });
+}
+
+/**
+ * Función auxiliar para analizar la sintaxis desde el código de entrada.
+ * Este es el punto de entrada para usar el parser desde el exterior.
+ * @param {string} code - El código fuente a analizar.
+ * @returns {{ast: Object, errors: Array<Object>}} Un objeto con el AST (con los rangos de los
+ * nodos anotados) y los diagnósticos léxicos y sintácticos (ver `diagnostics.js`).
+ */
+export function analyzeSyntax(code) {
+  // Primero, obtenemos los tokens del lexer.
+  const tokens = analyzeLexically(code);
+  let ast = null;
+
+  // Los tokens `Error` se reportan como errores léxicos y se descartan, de modo que el
+  // parser trabaje solo con tokens válidos y pueda seguir detectando otros errores.
+  const errors = lexicalDiagnostics(tokens);
+  const validTokens = tokens.filter(token => token.type !== "Error");
+  const parser = new Parser(validTokens);
+  // Los errores al final del archivo se sitúan en el último token (o en el `EOF` si no hay ninguno).
+  const lastToken = validTokens.filter(token => token.type !== "EOF").pop();
+  const fallback = lastToken || validTokens[validTokens.length - 1];
+
+  // El hueco que deja un token `Error` ya reportado hace fallar al parser en el token
+  // siguiente (o al final del archivo, tras una cadena o un comentario sin cerrar): ese
+  // error es el mismo y no se vuelve a reportar.
+  const shadowed = new Set(tokens.filter((token, i) => token.type !== "Error" && i > 0 && tokens[i - 1].type === "Error"));
+  const eofShadowed = [...shadowed].some(token => token.type === "EOF");
+  const reported = error => !(error instanceof SyntaxError) ||
+    (error.token && error.token.type !== "EOF" ? !shadowed.has(error.token) : !eofShadowed);
+
+  try {
+    ast = parser.parseProgram();
+    errors.push(...parser.errors.filter(reported).map(error => syntaxDiagnostic(error, fallback)));
+    annotateRanges(ast, validTokens);
+  } catch (e) {
+    // Si hay un error fatal que detiene el parser, lo capturamos aquí.
+    if (reported(e)) errors.push(syntaxDiagnostic(e, fallback));
+    ast = null;
+  }
+
+  // Si el código no termina en `;;` y ningún error lo explica ya (el parser reporta la falta
+  // del `;;` final y las sentencias que el final del archivo dejó incompletas), se añade aquí.
+  const explained = eofShadowed || errors.some(error => ["syntax/missing-delimiter", "syntax/unexpected-eof"].includes(error.code));
+  if (lastToken && !(lastToken.type === "Delimiter" && lastToken.value === ";;") && !explained) {
+    errors.push(syntaxDiagnostic(missingDelimiter(lastToken), lastToken));
+  }
+
+  return { ast, errors };
+}
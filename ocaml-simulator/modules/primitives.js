@@ -0,0 +1,388 @@
+// modules/primitives.js
+
+import {
+  TypeVariable, GENERIC_LEVEL, boolType, intType, floatType, charType, stringType, unitType, exnType,
+  functionType, tupleType, listType, optionType, refType, formatType
+} from './types.js';
+import {
+  MAX_INT, MIN_INT, wrapInt, parseInt63, floatToString, formatChar, OCamlChar, OCamlVariant, OCamlRecord, OCamlException,
+  PrimitiveFunction, UNIT, NIL, builtinException, listToArray, arrayToList, compareValues, utf8Bytes, utf8Sub
+} from './values.js';
+import { parseFormat, renderFormat } from './printf.js';
+
+/**
+ * Valores predefinidos del lenguaje (funciones como `not` o `float_of_int`, constantes
+ * como `max_int` y la biblioteca estándar: `List`, `String`, `Char`, `Option` y `Printf`). Cada
+ * entrada declara su tipo, que usa el análisis semántico, y su implementación en
+ * JavaScript, que usa el intérprete:
+ * - `type`: función que construye el tipo (así cada análisis obtiene variables nuevas);
+ * - `arity`: número de argumentos (0 para las constantes);
+ * - `implementation`: recibe todos los argumentos y devuelve el resultado (o, con aridad 0, es el valor).
+ *   Tras los argumentos recibe la salida estándar del programa (un array de trozos de texto),
+ *   donde escriben las funciones como `print_string`.
+ *
+ * Los valores de un módulo de la biblioteca se registran con su nombre calificado (`List.map`).
+ */
+export const primitives = [
+  { name: "not", type: () => functionType(boolType, boolType), arity: 1, implementation: value => !value },
+  { name: "ignore", type: poly(a => functionType(a, unitType)), arity: 1, implementation: () => UNIT },
+  { name: "fst", type: poly((a, b) => functionType(tupleType([a, b]), a)), arity: 1, implementation: pair => pair.items[0] },
+  { name: "snd", type: poly((a, b) => functionType(tupleType([a, b]), b)), arity: 1, implementation: pair => pair.items[1] },
+
+  // Comparación polimórfica: `compare` devuelve -1, 0 o 1.
+  { name: "compare", type: poly(a => arrow(a, a, intType)), arity: 2, implementation: (a, b) => BigInt(Math.sign(compareValues(a, b))) },
+  { name: "min", type: poly(a => arrow(a, a, a)), arity: 2, implementation: (a, b) => (compareValues(a, b) <= 0 ? a : b) },
+  { name: "max", type: poly(a => arrow(a, a, a)), arity: 2, implementation: (a, b) => (compareValues(a, b) >= 0 ? a : b) },
+
+  // Excepciones: `raise` y sus atajos. Su resultado tiene cualquier tipo (`'a`), porque nunca devuelven.
+  { name: "raise", type: () => functionType(exnType, anyType()), arity: 1, implementation: value => { throw new OCamlException(value); } },
+  { name: "failwith", type: () => functionType(stringType, anyType()), arity: 1, implementation: message => { throw builtinException("Failure", [message]); } },
+  { name: "invalid_arg", type: () => functionType(stringType, anyType()), arity: 1, implementation: message => { throw builtinException("Invalid_argument", [message]); } },
+
+  // Referencias: `ref v` crea un registro `{ mutable contents = v }` en el montón.
+  { name: "ref", type: () => { const a = anyType(); return functionType(a, refType(a)); }, arity: 1, implementation: value => new OCamlRecord({ contents: value }, ["contents"]) },
+  { name: "incr", type: () => functionType(refType(intType), unitType), arity: 1, implementation: cell => { cell.setField("contents", wrapInt(cell.fields.contents + 1n)); return UNIT; } },
+  { name: "decr", type: () => functionType(refType(intType), unitType), arity: 1, implementation: cell => { cell.setField("contents", wrapInt(cell.fields.contents - 1n)); return UNIT; } },
+
+  // Constantes numéricas.
+  { name: "max_int", type: () => intType, arity: 0, implementation: MAX_INT },
+  { name: "min_int", type: () => intType, arity: 0, implementation: MIN_INT },
+  { name: "infinity", type: () => floatType, arity: 0, implementation: Infinity },
+  { name: "neg_infinity", type: () => floatType, arity: 0, implementation: -Infinity },
+  { name: "nan", type: () => floatType, arity: 0, implementation: NaN },
+
+  // Conversiones entre `int`, `float` y `string`.
+  { name: "float_of_int", type: () => functionType(intType, floatType), arity: 1, implementation: Number },
+  { name: "float", type: () => functionType(intType, floatType), arity: 1, implementation: Number },
+  { name: "int_of_float", type: () => functionType(floatType, intType), arity: 1, implementation: truncateFloat },
+  { name: "truncate", type: () => functionType(floatType, intType), arity: 1, implementation: truncateFloat },
+  { name: "string_of_int", type: () => functionType(intType, stringType), arity: 1, implementation: value => value.toString() },
+  { name: "string_of_float", type: () => functionType(floatType, stringType), arity: 1, implementation: floatToString },
+  { name: "int_of_string", type: () => functionType(stringType, intType), arity: 1, implementation: intOfString },
+  { name: "float_of_string", type: () => functionType(stringType, floatType), arity: 1, implementation: floatOfString },
+
+  { name: "string_of_bool", type: () => functionType(boolType, stringType), arity: 1, implementation: value => String(value) },
+
+  // Aritmética.
+  { name: "abs", type: () => functionType(intType, intType), arity: 1, implementation: value => wrapInt(value < 0n ? -value : value) },
+  { name: "abs_float", type: () => functionType(floatType, floatType), arity: 1, implementation: Math.abs },
+  { name: "succ", type: () => functionType(intType, intType), arity: 1, implementation: value => wrapInt(value + 1n) },
+  { name: "pred", type: () => functionType(intType, intType), arity: 1, implementation: value => wrapInt(value - 1n) },
+  { name: "sqrt", type: () => functionType(floatType, floatType), arity: 1, implementation: Math.sqrt },
+
+  // Salida estándar.
+  { name: "print_string", type: () => functionType(stringType, unitType), arity: 1, implementation: (text, stdout) => write(stdout, text) },
+  { name: "print_endline", type: () => functionType(stringType, unitType), arity: 1, implementation: (text, stdout) => write(stdout, `${text}\n`) },
+  { name: "print_int", type: () => functionType(intType, unitType), arity: 1, implementation: (value, stdout) => write(stdout, value.toString()) },
+  { name: "print_float", type: () => functionType(floatType, unitType), arity: 1, implementation: (value, stdout) => write(stdout, floatToString(value)) },
+  { name: "print_newline", type: () => functionType(unitType, unitType), arity: 1, implementation: (_, stdout) => write(stdout, "\n") },
+  { name: "print_char", type: () => functionType(charType, unitType), arity: 1, implementation: (char, stdout) => write(stdout, String(char)) },
+
+  // Módulo `List`.
+  { name: "List.length", type: poly(a => functionType(listType(a), intType)), arity: 1, implementation: list => BigInt(listToArray(list).length) },
+  { name: "List.hd", type: poly(a => functionType(listType(a), a)), arity: 1, implementation: list => nonEmpty(list, "hd").args[0] },
+  { name: "List.tl", type: poly(a => functionType(listType(a), listType(a))), arity: 1, implementation: list => nonEmpty(list, "tl").args[1] },
+  { name: "List.nth", type: poly(a => arrow(listType(a), intType, a)), arity: 2, implementation: listNth },
+  { name: "List.rev", type: poly(a => functionType(listType(a), listType(a))), arity: 1, implementation: list => arrayToList(listToArray(list).reverse()) },
+  { name: "List.append", type: poly(a => arrow(listType(a), listType(a), listType(a))), arity: 2, implementation: (l1, l2) => listToArray(l1).reduceRight((tail, head) => new OCamlVariant("::", [head, tail]), l2) },
+  { name: "List.concat", type: poly(a => functionType(listType(listType(a)), listType(a))), arity: 1, implementation: lists => arrayToList(listToArray(lists).flatMap(listToArray)) },
+  { name: "List.map", type: poly((a, b) => arrow(functionType(a, b), listType(a), listType(b))), arity: 2, implementation: (f, list) => arrayToList(listToArray(list).map(x => call(f, x))) },
+  { name: "List.mapi", type: poly((a, b) => arrow(arrow(intType, a, b), listType(a), listType(b))), arity: 2, implementation: (f, list) => arrayToList(listToArray(list).map((x, i) => call(f, BigInt(i), x))) },
+  { name: "List.iter", type: poly(a => arrow(functionType(a, unitType), listType(a), unitType)), arity: 2, implementation: (f, list) => { listToArray(list).forEach(x => call(f, x)); return UNIT; } },
+  { name: "List.iteri", type: poly(a => arrow(arrow(intType, a, unitType), listType(a), unitType)), arity: 2, implementation: (f, list) => { listToArray(list).forEach((x, i) => call(f, BigInt(i), x)); return UNIT; } },
+  { name: "List.filter", type: poly(a => arrow(functionType(a, boolType), listType(a), listType(a))), arity: 2, implementation: (f, list) => arrayToList(listToArray(list).filter(x => call(f, x))) },
+  { name: "List.fold_left", type: poly((a, b) => arrow(arrow(a, b, a), a, listType(b), a)), arity: 3, implementation: (f, init, list) => listToArray(list).reduce((acc, x) => call(f, acc, x), init) },
+  { name: "List.fold_right", type: poly((a, b) => arrow(arrow(a, b, b), listType(a), b, b)), arity: 3, implementation: (f, list, init) => listToArray(list).reduceRight((acc, x) => call(f, x, acc), init) },
+  { name: "List.mem", type: poly(a => arrow(a, listType(a), boolType)), arity: 2, implementation: (x, list) => listToArray(list).some(y => compareValues(x, y) === 0) },
+  { name: "List.exists", type: poly(a => arrow(functionType(a, boolType), listType(a), boolType)), arity: 2, implementation: (f, list) => listToArray(list).some(x => call(f, x)) },
+  { name: "List.for_all", type: poly(a => arrow(functionType(a, boolType), listType(a), boolType)), arity: 2, implementation: (f, list) => listToArray(list).every(x => call(f, x)) },
+  { name: "List.find", type: poly(a => arrow(functionType(a, boolType), listType(a), a)), arity: 2, implementation: listFind },
+  { name: "List.assoc", type: poly((a, b) => arrow(a, listType(tupleType([a, b])), b)), arity: 2, implementation: (key, list) => listFind(new PrimitiveFunction("List.assoc", 1, pair => compareValues(pair.items[0], key) === 0), list).items[1] },
+  { name: "List.init", type: poly(a => arrow(intType, functionType(intType, a), listType(a))), arity: 2, implementation: listInit },
+  { name: "List.sort", type: poly(a => arrow(arrow(a, a, intType), listType(a), listType(a))), arity: 2, implementation: (f, list) => arrayToList(listToArray(list).sort((x, y) => Number(call(f, x, y)))) },
+
+  // Módulo `String`.
+  { name: "String.length", type: () => functionType(stringType, intType), arity: 1, implementation: text => BigInt(utf8Bytes(text).length) },
+  { name: "String.sub", type: () => arrow(stringType, intType, intType, stringType), arity: 3, implementation: stringSub },
+  { name: "String.concat", type: () => arrow(stringType, listType(stringType), stringType), arity: 2, implementation: (separator, list) => listToArray(list).join(separator) },
+  { name: "String.uppercase_ascii", type: () => functionType(stringType, stringType), arity: 1, implementation: text => text.replace(/[a-z]+/g, letters => letters.toUpperCase()) },
+  { name: "String.lowercase_ascii", type: () => functionType(stringType, stringType), arity: 1, implementation: text => text.replace(/[A-Z]+/g, letters => letters.toLowerCase()) },
+  { name: "String.trim", type: () => functionType(stringType, stringType), arity: 1, implementation: text => text.replace(/^[ \t\n\r\f]+|[ \t\n\r\f]+$/g, "") },
+  { name: "String.get", type: () => arrow(stringType, intType, charType), arity: 2, implementation: stringGet },
+  { name: "String.make", type: () => arrow(intType, charType, stringType), arity: 2, implementation: stringMake },
+
+  // Módulo `Char`.
+  { name: "Char.code", type: () => functionType(charType, intType), arity: 1, implementation: char => BigInt(char.code) },
+  { name: "Char.chr", type: () => functionType(intType, charType), arity: 1, implementation: charChr },
+  { name: "Char.escaped", type: () => functionType(charType, stringType), arity: 1, implementation: char => formatChar(char).slice(1, -1) },
+  { name: "Char.uppercase_ascii", type: () => functionType(charType, charType), arity: 1, implementation: char => (char.code >= 97 && char.code <= 122 ? OCamlChar.of(char.code - 32) : char) },
+  { name: "Char.lowercase_ascii", type: () => functionType(charType, charType), arity: 1, implementation: char => (char.code >= 65 && char.code <= 90 ? OCamlChar.of(char.code + 32) : char) },
+
+  // Módulo `Option`.
+  { name: "Option.get", type: poly(a => functionType(optionType(a), a)), arity: 1, implementation: optionGet },
+  { name: "Option.is_some", type: poly(a => functionType(optionType(a), boolType)), arity: 1, implementation: option => option.name === "Some" },
+  { name: "Option.is_none", type: poly(a => functionType(optionType(a), boolType)), arity: 1, implementation: option => option.name === "None" },
+  { name: "Option.map", type: poly((a, b) => arrow(functionType(a, b), optionType(a), optionType(b))), arity: 2, implementation: (f, option) => (option.name === "Some" ? new OCamlVariant("Some", [call(f, option.args[0])]) : option) },
+  { name: "Option.bind", type: poly((a, b) => arrow(optionType(a), functionType(a, optionType(b)), optionType(b))), arity: 2, implementation: (option, f) => (option.name === "Some" ? call(f, option.args[0]) : option) },
+  { name: "Option.iter", type: poly(a => arrow(functionType(a, unitType), optionType(a), unitType)), arity: 2, implementation: (f, option) => { if (option.name === "Some") call(f, option.args[0]); return UNIT; } },
+  { name: "Option.to_list", type: poly(a => functionType(optionType(a), listType(a))), arity: 1, implementation: option => arrayToList(option.args) },
+
+  // Módulo `Printf`. El tipo del resto de argumentos depende de la cadena de formato, que
+  // el análisis semántico lee cuando es un literal (`Printf.printf "%d\n" : int -> unit`).
+  { name: "Printf.printf", type: poly(a => functionType(formatType(a, unitType), a)), arity: 1, implementation: (format, stdout) => printf("Printf.printf", format, text => write(stdout, text)) },
+  { name: "Printf.sprintf", type: poly(a => functionType(formatType(a, stringType), a)), arity: 1, implementation: format => printf("Printf.sprintf", format, text => text) }
+];
+
+/**
+ * Crea una variable de tipo genérica, para los tipos polimórficos (`raise : exn -> 'a`).
+ * @returns {TypeVariable} La variable.
+ */
+function anyType() {
+  return new TypeVariable(GENERIC_LEVEL);
+}
+
+/**
+ * Crea el valor en tiempo de ejecución de una entrada de `primitives`: las constantes son su
+ * propia implementación y las funciones, una `PrimitiveFunction` que pasa `stdout` tras sus argumentos.
+ * @param {Object} primitive - La entrada (`{ name, arity, implementation }`).
+ * @param {Array<string>} stdout - Donde se acumula el texto que escribe el programa.
+ * @returns {*} El valor.
+ */
+export function primitiveValue({ name, arity, implementation }, stdout) {
+  return arity === 0 ? implementation : new PrimitiveFunction(name, arity, (...args) => implementation(...args, stdout));
+}
+
+/**
+ * Crea el constructor del tipo de una función polimórfica: `build` recibe variables de
+ * tipo genéricas nuevas (tantas como parámetros declare) cada vez que se construye el tipo.
+ * @param {Function} build - Construye el tipo a partir de las variables (`(a, b) => ...`).
+ * @returns {Function} La función que construye el tipo.
+ */
+function poly(build) {
+  return () => build(...Array.from({ length: build.length }, anyType));
+}
+
+/**
+ * Construye el tipo de una función currificada: `arrow(a, b, c)` es `a -> b -> c`.
+ * @param {...Object} types - Los tipos de los parámetros y, al final, el del resultado.
+ * @returns {Object} El tipo función.
+ */
+function arrow(...types) {
+  return types.reduceRight((result, param) => functionType(param, result));
+}
+
+/**
+ * Aplica una función de OCaml (una clausura o una función predefinida) a varios argumentos.
+ * @param {Object} fn - La función.
+ * @param {...*} args - Los argumentos.
+ * @returns {*} El resultado.
+ */
+function call(fn, ...args) {
+  return args.reduce((result, arg) => result.apply(arg), fn);
+}
+
+/**
+ * Escribe un texto en la salida estándar del programa.
+ * @param {Array<string>} stdout - La salida estándar.
+ * @param {string} text - El texto.
+ * @returns {OCamlVariant} `()`.
+ */
+function write(stdout, text) {
+  stdout.push(text);
+  return UNIT;
+}
+
+/**
+ * Comprueba que una lista no está vacía, como `List.hd` y `List.tl`.
+ * @param {OCamlVariant} list - La lista.
+ * @param {string} name - El nombre de la función, para el mensaje de `Failure`.
+ * @returns {OCamlVariant} La misma lista.
+ * @throws {OCamlException} `Failure name` si la lista está vacía.
+ */
+function nonEmpty(list, name) {
+  if (list.name === NIL.name) {
+    throw builtinException("Failure", [name]);
+  }
+  return list;
+}
+
+/**
+ * Implementación de `List.nth`.
+ * @param {OCamlVariant} list - La lista.
+ * @param {bigint} index - La posición (desde 0).
+ * @returns {*} El elemento.
+ * @throws {OCamlException} `Invalid_argument` si la posición es negativa, `Failure "nth"` si la lista es corta.
+ */
+function listNth(list, index) {
+  if (index < 0n) {
+    throw builtinException("Invalid_argument", ["List.nth"]);
+  }
+  const items = listToArray(list);
+  if (index >= BigInt(items.length)) {
+    throw builtinException("Failure", ["nth"]);
+  }
+  return items[Number(index)];
+}
+
+/**
+ * Implementación de `List.find`.
+ * @param {Object} predicate - La condición.
+ * @param {OCamlVariant} list - La lista.
+ * @returns {*} El primer elemento que cumple la condición.
+ * @throws {OCamlException} `Not_found` si ninguno la cumple.
+ */
+function listFind(predicate, list) {
+  const found = listToArray(list).find(x => call(predicate, x));
+  if (found === undefined) {
+    throw builtinException("Not_found");
+  }
+  return found;
+}
+
+/**
+ * Implementación de `List.init`.
+ * @param {bigint} length - La longitud de la lista.
+ * @param {Object} f - La función que calcula cada elemento a partir de su posición.
+ * @returns {OCamlVariant} La lista `[f 0; f 1; ...]`.
+ * @throws {OCamlException} `Invalid_argument "List.init"` si la longitud es negativa.
+ */
+function listInit(length, f) {
+  if (length < 0n) {
+    throw builtinException("Invalid_argument", ["List.init"]);
+  }
+  return arrayToList(Array.from({ length: Number(length) }, (_, i) => call(f, BigInt(i))));
+}
+
+/**
+ * Implementación de `String.sub`. Las posiciones cuentan bytes, como en OCaml (ver `utf8Bytes`).
+ * @param {string} text - La cadena.
+ * @param {bigint} start - La posición inicial.
+ * @param {bigint} length - El número de bytes.
+ * @returns {string} La subcadena.
+ * @throws {OCamlException} `Invalid_argument` si el rango no está dentro de la cadena.
+ */
+function stringSub(text, start, length) {
+  if (start < 0n || length < 0n || start + length > BigInt(utf8Bytes(text).length)) {
+    throw builtinException("Invalid_argument", ["String.sub / Bytes.sub"]);
+  }
+  return utf8Sub(text, Number(start), Number(length));
+}
+
+/**
+ * Implementación de `String.get`. La posición cuenta bytes, como en OCaml (ver `utf8Bytes`).
+ * @param {string} text - La cadena.
+ * @param {bigint} index - La posición.
+ * @returns {OCamlChar} El byte en esa posición.
+ * @throws {OCamlException} `Invalid_argument "index out of bounds"` si la posición no es válida.
+ */
+function stringGet(text, index) {
+  const bytes = utf8Bytes(text);
+  if (index < 0n || index >= BigInt(bytes.length)) {
+    throw builtinException("Invalid_argument", ["index out of bounds"]);
+  }
+  return OCamlChar.of(bytes[Number(index)]);
+}
+
+/**
+ * Implementación de `String.make`.
+ * @param {bigint} length - La longitud.
+ * @param {OCamlChar} char - El carácter que se repite.
+ * @returns {string} La cadena.
+ * @throws {OCamlException} `Invalid_argument "String.create"` si la longitud es negativa.
+ */
+function stringMake(length, char) {
+  if (length < 0n) {
+    throw builtinException("Invalid_argument", ["String.create"]);
+  }
+  return String(char).repeat(Number(length));
+}
+
+/**
+ * Implementación de `Char.chr`.
+ * @param {bigint} code - El código.
+ * @returns {OCamlChar} El carácter.
+ * @throws {OCamlException} `Invalid_argument "Char.chr"` si el código no está entre 0 y 255.
+ */
+function charChr(code) {
+  if (code < 0n || code > 255n) {
+    throw builtinException("Invalid_argument", ["Char.chr"]);
+  }
+  return OCamlChar.of(Number(code));
+}
+
+/**
+ * Implementación de `Option.get`.
+ * @param {OCamlVariant} option - La opción.
+ * @returns {*} El valor de `Some`.
+ * @throws {OCamlException} `Invalid_argument "option is None"` si la opción es `None`.
+ */
+function optionGet(option) {
+  if (option.name !== "Some") {
+    throw builtinException("Invalid_argument", ["option is None"]);
+  }
+  return option.args[0];
+}
+
+/**
+ * Implementación común de `Printf.printf` y `Printf.sprintf`: devuelve una función que
+ * recibe un argumento por cada directiva de la cadena de formato y entrega el texto final
+ * a `output`. Si la cadena no tiene directivas, el texto se entrega inmediatamente.
+ * @param {string} name - El nombre de la función.
+ * @param {string} format - La cadena de formato (ya validada por el análisis semántico).
+ * @param {Function} output - Recibe el texto formateado y devuelve el resultado de la función.
+ * @returns {PrimitiveFunction|*} La función que espera los argumentos, o el resultado.
+ */
+function printf(name, format, output) {
+  const { parts, error } = parseFormat(format);
+  if (error) {
+    throw builtinException("Invalid_argument", [`${name}: ${error}`]);
+  }
+  const arity = parts.filter(part => part.conversion).length;
+  if (arity === 0) {
+    return output(renderFormat(parts, []));
+  }
+  return new PrimitiveFunction(name, arity, (...args) => output(renderFormat(parts, args)));
+}
+
+/**
+ * Convierte un `float` en `int` descartando la parte decimal (hacia cero), como
+ * `int_of_float`. Si el número no es finito, el resultado de OCaml no está especificado;
+ * aquí devolvemos 0.
+ * @param {number} value - El número a convertir.
+ * @returns {bigint} El entero.
+ */
+function truncateFloat(value) {
+  return Number.isFinite(value) ? wrapInt(BigInt(Math.trunc(value))) : 0n;
+}
+
+/**
+ * Implementación de `int_of_string`.
+ * @param {string} text - El texto a convertir.
+ * @returns {bigint} El entero.
+ * @throws {OCamlException} `Failure "int_of_string"` si el texto no es un entero válido.
+ */
+function intOfString(text) {
+  const value = parseInt63(text);
+  if (value === null) {
+    throw builtinException("Failure", ["int_of_string"]);
+  }
+  return value;
+}
+
+/**
+ * Implementación de `float_of_string`. Acepta la sintaxis de los literales `float` de
+ * OCaml (con `_` como separador) y los textos `nan`, `inf` e `infinity`.
+ * @param {string} text - El texto a convertir.
+ * @returns {number} El número.
+ * @throws {OCamlException} `Failure "float_of_string"` si el texto no es un número válido.
+ */
+function floatOfString(text) {
+  const special = { "nan": NaN, "inf": Infinity, "infinity": Infinity, "-inf": -Infinity, "-infinity": -Infinity };
+  if (text.toLowerCase() in special) {
+    return special[text.toLowerCase()];
+  }
+  if (!/^[+-]?\d[\d_]*(\.[\d_]*)?([eE][+-]?\d[\d_]*)?$/.test(text)) {
+    throw builtinException("Failure", ["float_of_string"]);
+  }
+  return Number(text.replace(/_/g, ""));
+}
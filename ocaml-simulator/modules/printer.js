@@ -0,0 +1,327 @@
+// modules/printer.js
+
+import { formatString, formatFloat, formatChar } from './values.js';
+
+/**
+ * Impresión de expresiones y patrones del AST como código OCaml. Cada construcción tiene un
+ * nivel de precedencia (el de la función del parser que la reconoce) y solo se rodea de
+ * paréntesis cuando aparece en una posición que exige un nivel mayor, de modo que el texto
+ * impreso vuelve a analizarse como el mismo árbol.
+ */
+
+/** Niveles de precedencia de las expresiones, de menor a mayor. */
+export const PRECEDENCE = {
+  SEQUENCE: 0,   // e1; e2
+  OPEN: 1,       // let, fun, function, match, try, if: se extienden lo más a la derecha posible
+  ASSIGN: 2,     // :=, <-
+  TUPLE: 3,      // e1, e2
+  OR: 4,         // ||
+  AND: 5,        // &&
+  COMPARISON: 6, // =, <>, <, ...
+  CONCAT: 7,     // @, ^
+  CONS: 8,       // ::
+  ADDITIVE: 9,   // +, -, +., -.
+  MULTIPLICATIVE: 10, // *, /, mod, land, ...
+  POWER: 11,     // **, lsl, lsr, asr
+  UNARY: 12,     // -e, -.e
+  APPLICATION: 13, // f x, Some x
+  ATOM: 14       // literales, nombres, paréntesis, e.x, !e
+};
+
+/** Nivel y asociatividad de cada operador binario. */
+const BINARY_OPERATORS = new Map([
+  ["||", { level: PRECEDENCE.OR, right: true }],
+  ["&&", { level: PRECEDENCE.AND, right: true }],
+  ...["=", "<>", "<", ">", "<=", ">=", "==", "!="].map(operator => [operator, { level: PRECEDENCE.COMPARISON, right: false }]),
+  ["@", { level: PRECEDENCE.CONCAT, right: true }],
+  ["^", { level: PRECEDENCE.CONCAT, right: true }],
+  ...["+", "-", "+.", "-."].map(operator => [operator, { level: PRECEDENCE.ADDITIVE, right: false }]),
+  ...["*", "/", "*.", "/.", "mod", "land", "lor", "lxor"].map(operator => [operator, { level: PRECEDENCE.MULTIPLICATIVE, right: false }]),
+  ...["**", "lsl", "lsr", "asr"].map(operator => [operator, { level: PRECEDENCE.POWER, right: true }])
+]);
+
+/**
+ * Imprime el texto de un literal.
+ * @param {Object} node - Un nodo `NumberLiteral`, `FloatLiteral`, `CharLiteral`, `StringLiteral` o `BooleanLiteral`.
+ * @returns {string} El literal como se escribe en OCaml.
+ */
+function printLiteral(node) {
+  switch (node.type) {
+    case "NumberLiteral":
+      return String(node.value);
+    case "FloatLiteral":
+      return formatFloat(node.value);
+    case "CharLiteral":
+      return formatChar(node.value);
+    case "StringLiteral":
+      return formatString(node.value);
+    default:
+      return String(node.value);
+  }
+}
+
+/**
+ * Indica si una expresión, impresa, termina en una lista de casos (`match`, `try` o
+ * `function`) que absorbería los casos que vengan detrás de ella.
+ * @param {Object} node - La expresión.
+ * @returns {boolean} `true` si su extremo derecho es una lista de casos.
+ */
+function endsWithCases(node) {
+  switch (node.type) {
+    case "MatchExpression":
+    case "TryExpression":
+      return true;
+    case "FunctionExpression":
+      return Boolean(node.cases) || endsWithCases(node.body);
+    case "LetExpression":
+    case "LetOpenExpression":
+      return endsWithCases(node.body);
+    case "IfExpression":
+      return endsWithCases(node.elseBranch || node.thenBranch);
+    case "SequenceExpression":
+      return endsWithCases(node.expressions[node.expressions.length - 1]);
+    case "BinaryExpression":
+      return endsWithCases(node.right);
+    case "AssignmentExpression":
+      return endsWithCases(node.value);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Imprime expresiones con un traductor opcional para nodos que no son del AST: recibe cada
+ * nodo antes de imprimirlo y puede devolver otro nodo en su lugar o directamente su texto
+ * junto con su nivel de precedencia (`{ text, precedence }`).
+ */
+class Printer {
+  /**
+   * @param {function(Object): (Object|null)} [custom] - El traductor de nodos propios.
+   */
+  constructor(custom = () => null) {
+    this.custom = custom;
+  }
+
+  /**
+   * Imprime una expresión en una posición que admite el nivel de precedencia `context`.
+   * @param {Object} node - La expresión.
+   * @param {number} context - El nivel mínimo que admite la posición sin paréntesis.
+   * @returns {string} El código de la expresión.
+   */
+  print(node, context) {
+    const custom = this.custom(node);
+    if (custom && custom.type) {
+      return this.print(custom, context);
+    }
+    const { text, precedence } = custom || this.format(node);
+    return precedence < context ? `(${text})` : text;
+  }
+
+  /**
+   * Imprime una lista de casos `p1 -> e1 | p2 -> e2`. Un caso que no es el último lleva su
+   * cuerpo entre paréntesis si este terminaría a su vez en una lista de casos.
+   * @param {Array<Object>} cases - Los casos, con `pattern`, `guard` y `body`.
+   * @returns {string} El código de los casos.
+   */
+  printCases(cases) {
+    return cases.map((matchCase, index) => {
+      const guard = matchCase.guard ? ` when ${this.print(matchCase.guard, PRECEDENCE.ASSIGN)}` : "";
+      const last = index === cases.length - 1;
+      const body = !last && endsWithCases(matchCase.body)
+        ? `(${this.print(matchCase.body, PRECEDENCE.SEQUENCE)})`
+        : this.print(matchCase.body, PRECEDENCE.SEQUENCE);
+      return `${printPattern(matchCase.pattern)}${guard} -> ${body}`;
+    }).join(" | ");
+  }
+
+  /**
+   * Imprime una definición de un `let`: `x = e`, `f p1 p2 = e` o `patrón = e`.
+   * @param {Object} declaration - Un nodo `LetDeclaration`, `FunctionDeclaration` o `PatternDeclaration`.
+   * @returns {string} El código de la definición.
+   */
+  printDeclaration(declaration) {
+    if (declaration.type === "FunctionDeclaration") {
+      const params = declaration.params.map(param => printPattern(param, PATTERN_PRECEDENCE.ATOM)).join(" ");
+      return `${declaration.name} ${params} = ${this.print(declaration.body, PRECEDENCE.SEQUENCE)}`;
+    }
+    if (declaration.type === "PatternDeclaration") {
+      return `${printPattern(declaration.pattern)} = ${this.print(declaration.expression, PRECEDENCE.SEQUENCE)}`;
+    }
+    return `${declaration.identifier} = ${this.print(declaration.expression, PRECEDENCE.SEQUENCE)}`;
+  }
+
+  /**
+   * Imprime una expresión sin paréntesis exteriores.
+   * @param {Object} node - La expresión.
+   * @returns {{text: string, precedence: number}} Su código y su nivel de precedencia.
+   */
+  format(node) {
+    const { ATOM, APPLICATION, UNARY, CONS, TUPLE, ASSIGN, OPEN, SEQUENCE } = PRECEDENCE;
+    switch (node.type) {
+      case "NumberLiteral":
+      case "FloatLiteral":
+        return { text: printLiteral(node), precedence: node.value < 0 || Object.is(node.value, -0) ? UNARY : ATOM };
+      case "CharLiteral":
+      case "StringLiteral":
+      case "BooleanLiteral":
+        return { text: printLiteral(node), precedence: ATOM };
+      case "Identifier":
+        return { text: node.value, precedence: ATOM };
+      case "ConstructorExpression":
+        if (!node.argument) {
+          return { text: node.name, precedence: ATOM };
+        }
+        return { text: `${node.name} ${this.print(node.argument, ATOM)}`, precedence: APPLICATION };
+      case "ApplicationExpression":
+        return { text: `${this.print(node.callee, APPLICATION)} ${this.print(node.argument, ATOM)}`, precedence: APPLICATION };
+      case "UnaryExpression": {
+        if (node.operator === "!") {
+          return { text: `!${this.print(node.operand, ATOM)}`, precedence: ATOM };
+        }
+        const operand = this.print(node.operand, UNARY);
+        // `- -x` necesita el espacio: `--` no es un operador.
+        return { text: `${node.operator}${operand.startsWith("-") ? " " : ""}${operand}`, precedence: UNARY };
+      }
+      case "BinaryExpression": {
+        if (node.operator === ":=") {
+          return { text: `${this.print(node.left, TUPLE)} := ${this.print(node.right, OPEN)}`, precedence: ASSIGN };
+        }
+        const { level, right } = BINARY_OPERATORS.get(node.operator);
+        const left = this.print(node.left, right ? level + 1 : level);
+        return { text: `${left} ${node.operator} ${this.print(node.right, right ? level : level + 1)}`, precedence: level };
+      }
+      case "ConsExpression":
+        return { text: `${this.print(node.head, CONS + 1)} :: ${this.print(node.tail, CONS)}`, precedence: CONS };
+      case "TupleExpression":
+        return { text: node.elements.map(element => this.print(element, TUPLE + 1)).join(", "), precedence: TUPLE };
+      case "ListExpression":
+        return { text: `[${node.elements.map(element => this.print(element, TUPLE + 1)).join("; ")}]`, precedence: ATOM };
+      case "ArrayExpression":
+        return { text: `[|${node.elements.map(element => this.print(element, TUPLE + 1)).join("; ")}|]`, precedence: ATOM };
+      case "RecordExpression": {
+        const base = node.base ? `${this.print(node.base, ATOM)} with ` : "";
+        const fields = node.fields.map(field => `${field.module ? `${field.module}.` : ""}${field.name} = ${this.print(field.value, TUPLE + 1)}`);
+        return { text: `{${base}${fields.join("; ")}}`, precedence: ATOM };
+      }
+      case "FieldAccessExpression":
+        return { text: `${this.print(node.record, ATOM)}.${node.module ? `${node.module}.` : ""}${node.field}`, precedence: ATOM };
+      case "ArrayAccessExpression":
+        return { text: `${this.print(node.array, ATOM)}.(${this.print(node.index, SEQUENCE)})`, precedence: ATOM };
+      case "AssignmentExpression":
+        return { text: `${this.print(node.target, ATOM)} <- ${this.print(node.value, OPEN)}`, precedence: ASSIGN };
+      case "SequenceExpression": {
+        const last = node.expressions.length - 1;
+        const text = node.expressions.map((expression, index) => this.print(expression, index === last ? OPEN : ASSIGN)).join("; ");
+        return { text, precedence: SEQUENCE };
+      }
+      case "IfExpression": {
+        const condition = this.print(node.condition, SEQUENCE);
+        if (!node.elseBranch) {
+          return { text: `if ${condition} then ${this.print(node.thenBranch, OPEN)}`, precedence: OPEN };
+        }
+        return { text: `if ${condition} then ${this.print(node.thenBranch, ASSIGN)} else ${this.print(node.elseBranch, OPEN)}`, precedence: OPEN };
+      }
+      case "LetExpression": {
+        const declarations = node.declarations.map(declaration => this.printDeclaration(declaration)).join(" and ");
+        return { text: `let ${node.recursive ? "rec " : ""}${declarations} in ${this.print(node.body, SEQUENCE)}`, precedence: OPEN };
+      }
+      case "LetOpenExpression":
+        return { text: `let open ${node.module} in ${this.print(node.body, SEQUENCE)}`, precedence: OPEN };
+      case "FunctionExpression":
+        if (node.cases) {
+          return { text: `function ${this.printCases(node.cases)}`, precedence: OPEN };
+        }
+        return {
+          text: `fun ${node.params.map(param => printPattern(param, PATTERN_PRECEDENCE.ATOM)).join(" ")} -> ${this.print(node.body, SEQUENCE)}`,
+          precedence: OPEN
+        };
+      case "MatchExpression":
+        return { text: `match ${this.print(node.scrutinee, SEQUENCE)} with ${this.printCases(node.cases)}`, precedence: OPEN };
+      case "TryExpression":
+        return { text: `try ${this.print(node.body, SEQUENCE)} with ${this.printCases(node.cases)}`, precedence: OPEN };
+      case "WhileExpression":
+        return { text: `while ${this.print(node.condition, SEQUENCE)} do ${this.print(node.body, SEQUENCE)} done`, precedence: ATOM };
+      case "ForExpression":
+        return {
+          text: `for ${node.variable} = ${this.print(node.start, SEQUENCE)} ${node.direction} ${this.print(node.end, SEQUENCE)} do ${this.print(node.body, SEQUENCE)} done`,
+          precedence: ATOM
+        };
+      default:
+        throw new Error(`❌ No se puede imprimir el nodo de tipo ${node.type}.`);
+    }
+  }
+}
+
+/** Niveles de precedencia de los patrones, de menor a mayor. */
+const PATTERN_PRECEDENCE = {
+  ALIAS: 0,       // p as x
+  OR: 1,          // p1 | p2
+  TUPLE: 2,       // p1, p2
+  CONS: 3,        // p1 :: p2
+  CONSTRUCTOR: 4, // Some p
+  ATOM: 5
+};
+
+/**
+ * Imprime un patrón sin paréntesis exteriores.
+ * @param {Object} pattern - El patrón.
+ * @returns {{text: string, precedence: number}} Su código y su nivel de precedencia.
+ */
+function formatPattern(pattern) {
+  const { ALIAS, OR, TUPLE, CONS, CONSTRUCTOR, ATOM } = PATTERN_PRECEDENCE;
+  switch (pattern.type) {
+    case "WildcardPattern":
+      return { text: "_", precedence: ATOM };
+    case "VariablePattern":
+      return { text: pattern.name, precedence: ATOM };
+    case "LiteralPattern":
+      return { text: printLiteral(pattern.literal), precedence: ATOM };
+    case "AliasPattern":
+      return { text: `${printPattern(pattern.pattern, ALIAS)} as ${pattern.name}`, precedence: ALIAS };
+    case "OrPattern":
+      return { text: `${printPattern(pattern.left, OR)} | ${printPattern(pattern.right, TUPLE)}`, precedence: OR };
+    case "TuplePattern":
+      return { text: pattern.elements.map(element => printPattern(element, CONS)).join(", "), precedence: TUPLE };
+    case "ConsPattern":
+      return { text: `${printPattern(pattern.head, CONSTRUCTOR)} :: ${printPattern(pattern.tail, CONS)}`, precedence: CONS };
+    case "ListPattern":
+      return { text: `[${pattern.elements.map(element => printPattern(element)).join("; ")}]`, precedence: ATOM };
+    case "ConstructorPattern":
+      if (!pattern.argument) {
+        return { text: pattern.name, precedence: ATOM };
+      }
+      return { text: `${pattern.name} ${printPattern(pattern.argument, ATOM)}`, precedence: CONSTRUCTOR };
+    case "RecordPattern": {
+      const fields = pattern.fields.map(field => {
+        const label = `${field.module ? `${field.module}.` : ""}${field.name}`;
+        const punned = field.pattern.type === "VariablePattern" && field.pattern.name === field.name;
+        return punned ? label : `${label} = ${printPattern(field.pattern)}`;
+      });
+      return { text: `{${fields.join("; ")}}`, precedence: ATOM };
+    }
+    default:
+      throw new Error(`❌ No se puede imprimir el patrón de tipo ${pattern.type}.`);
+  }
+}
+
+/**
+ * Imprime un patrón como código OCaml.
+ * @param {Object} pattern - El patrón.
+ * @param {number} [context] - El nivel mínimo que admite su posición sin paréntesis.
+ * @returns {string} El código del patrón.
+ */
+export function printPattern(pattern, context = PATTERN_PRECEDENCE.ALIAS) {
+  const { text, precedence } = formatPattern(pattern);
+  return precedence < context ? `(${text})` : text;
+}
+
+/**
+ * Imprime una expresión como código OCaml, con los paréntesis imprescindibles.
+ * @param {Object} node - La expresión.
+ * @param {function(Object): (Object|null)} [custom] - Traductor para nodos que no son del
+ * AST: devuelve otro nodo que imprimir en su lugar, `{ text, precedence }` o `null`.
+ * @returns {string} El código de la expresión.
+ */
+export function printExpression(node, custom) {
+  return new Printer(custom).print(node, PRECEDENCE.SEQUENCE);
+}
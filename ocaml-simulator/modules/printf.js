@@ -0,0 +1,157 @@
+// modules/printf.js
+
+import { formatGeneral, floatToString, formatString } from './values.js';
+
+/**
+ * Conversiones admitidas en las cadenas de formato de `Printf`, agrupadas por el tipo del
+ * argumento que consumen.
+ */
+export const CONVERSIONS = {
+  int: ["d", "i", "u", "x", "X", "o"],
+  float: ["f", "F", "e", "E", "g", "G"],
+  string: ["s", "S"],
+  char: ["c"],
+  bool: ["b", "B"]
+};
+
+/**
+ * Divide una cadena de formato (`"x = %d, y = %.2f\n"`) en trozos de texto literal y
+ * directivas. Cada directiva tiene la forma `%[flags][anchura][.precisión]conversión`,
+ * con los flags `-`, `0`, `+` y espacio. `%%` escribe un `%` y `%!` (vaciar el búfer) no
+ * escribe nada.
+ * @param {string} format - La cadena de formato.
+ * @returns {{parts: Array<Object>, error: string|null}} Los trozos (`{ text }` o
+ * `{ flags, width, precision, conversion, argumentType }`) y, si la cadena no es válida,
+ * la descripción del problema.
+ */
+export function parseFormat(format) {
+  const parts = [];
+  const pattern = /%([-0+ ]*)(\d*)(?:\.(\d*))?(.?)/g;
+  let last = 0;
+  let match;
+  while ((match = pattern.exec(format)) !== null) {
+    if (match.index > last) {
+      parts.push({ text: format.slice(last, match.index) });
+    }
+    last = pattern.lastIndex;
+    const [directive, flags, width, precision, conversion] = match;
+    if (conversion === "%" || conversion === "!") {
+      if (directive.length > 2) {
+        return { parts, error: `la directiva '${directive}' no admite flags, anchura ni precisión` };
+      }
+      parts.push({ text: conversion === "%" ? "%" : "" });
+      continue;
+    }
+    if (conversion === "") {
+      return { parts, error: "la cadena termina con un '%' incompleto" };
+    }
+    const argumentType = Object.keys(CONVERSIONS).find(type => CONVERSIONS[type].includes(conversion));
+    if (!argumentType) {
+      return { parts, error: `la conversión '%${conversion}' no es válida` };
+    }
+    parts.push({
+      flags,
+      width: width === "" ? 0 : Number(width),
+      precision: precision === undefined ? null : Number(precision || 0),
+      conversion,
+      argumentType
+    });
+  }
+  if (last < format.length) {
+    parts.push({ text: format.slice(last) });
+  }
+  return { parts, error: null };
+}
+
+/**
+ * Escribe una cadena de formato sustituyendo cada directiva por el argumento correspondiente.
+ * @param {Array<Object>} parts - Los trozos devueltos por `parseFormat`.
+ * @param {Array<*>} args - Un argumento por directiva, en orden.
+ * @returns {string} El texto resultante.
+ */
+export function renderFormat(parts, args) {
+  let next = 0;
+  return parts.map(part => (part.conversion ? formatDirective(part, args[next++]) : part.text)).join("");
+}
+
+/**
+ * Escribe un argumento según una directiva de formato. Los enteros son `BigInt`, tanto en
+ * el intérprete como en el código JavaScript generado (que copia esta función).
+ * @param {Object} directive - La directiva (`{ flags, width, precision, conversion }`).
+ * @param {*} value - El argumento.
+ * @returns {string} El argumento formateado y alineado a la anchura indicada.
+ */
+export function formatDirective(directive, value) {
+  const { flags, width, precision, conversion } = directive;
+  let text;
+  switch (conversion) {
+    case "d": case "i":
+      text = value.toString();
+      break;
+    case "u":
+      text = BigInt.asUintN(63, BigInt(value)).toString();
+      break;
+    case "x": case "X": case "o":
+      // Los enteros negativos se escriben en complemento a dos, con los 63 bits de un `int`.
+      text = BigInt.asUintN(63, BigInt(value)).toString(conversion === "o" ? 8 : 16);
+      if (conversion === "X") text = text.toUpperCase();
+      break;
+    case "f": case "e": case "E": case "g": case "G":
+      text = formatFloatDirective(value, conversion, precision === null ? 6 : precision);
+      break;
+    case "F":
+      text = floatToString(value);
+      break;
+    case "s":
+      text = value;
+      break;
+    case "S":
+      text = formatString(value);
+      break;
+    case "c":
+      text = String(value);
+      break;
+    default: // "b", "B"
+      text = value ? "true" : "false";
+  }
+
+  const numeric = !["s", "S", "c", "b", "B"].includes(conversion);
+  if (numeric && !text.startsWith("-") && (flags.includes("+") || flags.includes(" "))) {
+    text = (flags.includes("+") ? "+" : " ") + text;
+  }
+  if (text.length >= width) {
+    return text;
+  }
+  if (flags.includes("-")) {
+    return text.padEnd(width);
+  }
+  if (flags.includes("0") && numeric && /\d/.test(text[text.length - 1])) {
+    // Los ceros van entre el signo y las cifras: `%05d` de -42 es `-0042`.
+    const sign = /^[-+ ]/.test(text) ? text[0] : "";
+    return sign + text.slice(sign.length).padStart(width - sign.length, "0");
+  }
+  return text.padStart(width);
+}
+
+/**
+ * Escribe un `float` con las conversiones `%f`, `%e` y `%g` de C.
+ * @param {number} value - El número.
+ * @param {string} conversion - La conversión (`f`, `e`, `E`, `g` o `G`).
+ * @param {number} precision - Decimales (`%f`, `%e`) o cifras significativas (`%g`).
+ * @returns {string} El número formateado.
+ */
+export function formatFloatDirective(value, conversion, precision) {
+  if (Number.isNaN(value)) return "nan";
+  if (!Number.isFinite(value)) return value > 0 ? "inf" : "-inf";
+  if (Object.is(value, -0)) return `-${formatFloatDirective(0, conversion, precision)}`;
+  let text;
+  if (conversion === "f") {
+    text = value.toFixed(precision);
+  } else if (conversion === "e" || conversion === "E") {
+    // C escribe al menos dos cifras en el exponente: `1.5e+00`.
+    text = value.toExponential(precision).replace(/e([+-])(\d)$/, "e$10$2");
+  } else {
+    text = formatGeneral(value, Math.max(precision, 1));
+  }
+  return conversion === conversion.toUpperCase() ? text.toUpperCase() : text;
+}
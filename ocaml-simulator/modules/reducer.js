@@ -0,0 +1,849 @@
+// modules/reducer.js
+
+import { Environment } from './environment.js';
+import { OCamlException, FunctionValue, OCamlVariant, UNIT } from './values.js';
+import { describeStatement, describeError, formatValue, patternNames, bindingNames } from './toplevel.js';
+import { Interpreter, OCamlFunction, createGlobalEnvironment, matchPattern, matchFailure, lookupName } from './interpreter.js';
+import { printExpression, PRECEDENCE } from './printer.js';
+
+/**
+ * Traza de reducciones: reescribe cada expresión de nivel superior paso a paso con el modelo
+ * de sustitución (`fact 3 → if 3 = 0 then 1 else 3 * fact (3 - 1) → ...`) y muestra cada
+ * término intermedio como código OCaml (`printer.js`).
+ *
+ * Los términos son nodos del AST más tres clases de nodos propios:
+ * - `Value`: un valor ya calculado (`{ type: "Value", value }`), que se imprime como el REPL.
+ * - `Raise`: una excepción en curso (`{ type: "Raise", exception }`).
+ * - `Thunk`: en la evaluación por necesidad, un argumento aún sin evaluar que comparten todos
+ *   los lugares donde aparece el parámetro (`{ type: "Thunk", term }`); al forzarlo se
+ *   reemplaza su término, de modo que se evalúa una sola vez.
+ * Los identificadores libres de un término se resuelven al entorno donde se escribieron
+ * (la propiedad `scope`), así las funciones de nivel superior se muestran por su nombre y se
+ * despliegan al aplicarse.
+ *
+ * Las reducciones de los operadores y de las funciones predefinidas (los pasos δ) no se
+ * reimplementan: el término, con sus valores, se traduce al AST y lo evalúa el intérprete.
+ */
+
+/** Pasos que se muestran de una expresión antes de abandonar la traza. */
+export const DEFAULT_MAX_STEPS = 200;
+
+/** Estrategias de evaluación: por valor (la de OCaml) y por necesidad (perezosa). */
+export const STRATEGIES = ["value", "need"];
+
+/** Subexpresiones de cada tipo de nodo, salvo los que introducen nombres. */
+const CHILDREN = {
+  ApplicationExpression: ["callee", "argument"],
+  BinaryExpression: ["left", "right"],
+  UnaryExpression: ["operand"],
+  IfExpression: ["condition", "thenBranch", "elseBranch"],
+  SequenceExpression: ["expressions"],
+  TupleExpression: ["elements"],
+  ListExpression: ["elements"],
+  ArrayExpression: ["elements"],
+  ConsExpression: ["head", "tail"],
+  ConstructorExpression: ["argument"],
+  FieldAccessExpression: ["record"],
+  ArrayAccessExpression: ["array", "index"],
+  AssignmentExpression: ["target", "value"],
+  WhileExpression: ["condition", "body"],
+  LetOpenExpression: ["body"]
+};
+
+/**
+ * Copia un término reemplazando los nodos que elige `visit`. Lleva la cuenta de los nombres
+ * ligados dentro del término (parámetros, variables de patrones, definiciones de `let`), que
+ * ocultan a los de fuera.
+ * @param {Object} node - El término.
+ * @param {Set<string>} bound - Los nombres ligados en la posición del nodo.
+ * @param {function(Object, Set<string>): (Object|undefined)} visit - Devuelve el reemplazo de
+ * un nodo, o `undefined` para copiarlo y seguir por sus subexpresiones.
+ * @returns {Object} El término nuevo.
+ */
+function transform(node, bound, visit) {
+  const replaced = visit(node, bound);
+  if (replaced !== undefined) {
+    return replaced;
+  }
+  const within = (names) => new Set([...bound, ...names]);
+  const cases = (list) => list.map(matchCase => {
+    const inner = within(patternNames(matchCase.pattern));
+    return { ...matchCase, guard: matchCase.guard && transform(matchCase.guard, inner, visit), body: transform(matchCase.body, inner, visit) };
+  });
+  switch (node.type) {
+    case "FunctionExpression":
+      if (node.cases) {
+        return { ...node, cases: cases(node.cases) };
+      }
+      return { ...node, body: transform(node.body, within(node.params.flatMap(patternNames)), visit) };
+    case "LetExpression": {
+      const inner = within(node.declarations.flatMap(bindingNames));
+      const outer = node.recursive ? inner : bound;
+      const declarations = node.declarations.map(declaration => declaration.type === "FunctionDeclaration"
+        ? { ...declaration, body: transform(declaration.body, new Set([...outer, ...declaration.params.flatMap(patternNames)]), visit) }
+        : { ...declaration, expression: transform(declaration.expression, outer, visit) });
+      return { ...node, declarations, body: transform(node.body, inner, visit) };
+    }
+    case "MatchExpression":
+      return { ...node, scrutinee: transform(node.scrutinee, bound, visit), cases: cases(node.cases) };
+    case "TryExpression":
+      return { ...node, body: transform(node.body, bound, visit), cases: cases(node.cases) };
+    case "ForExpression":
+      return {
+        ...node,
+        start: transform(node.start, bound, visit),
+        end: transform(node.end, bound, visit),
+        body: transform(node.body, within([node.variable]), visit)
+      };
+    case "RecordExpression":
+      return {
+        ...node,
+        base: node.base && transform(node.base, bound, visit),
+        fields: node.fields.map(field => ({ ...field, value: transform(field.value, bound, visit) }))
+      };
+    default: {
+      const keys = CHILDREN[node.type];
+      if (!keys) {
+        return node;
+      }
+      const copy = { ...node };
+      keys.forEach(key => {
+        const child = node[key];
+        copy[key] = Array.isArray(child) ? child.map(item => transform(item, bound, visit)) : child && transform(child, bound, visit);
+      });
+      return copy;
+    }
+  }
+}
+
+/**
+ * Sustituye variables libres de un término por otros términos. Los términos sustituidos no
+ * tienen variables libres sin resolver, así que no pueden quedar capturados.
+ * @param {Object} term - El término.
+ * @param {Map<string, Object>} bindings - El término que reemplaza a cada nombre.
+ * @returns {Object} El término con las sustituciones.
+ */
+function substitute(term, bindings) {
+  return transform(term, new Set(), (node, bound) => {
+    if (node.type === "Identifier" && !node.scope && !bound.has(node.value) && bindings.has(node.value)) {
+      return bindings.get(node.value);
+    }
+    return undefined;
+  });
+}
+
+/**
+ * Separa una aplicación `f a b c` en la función y sus argumentos.
+ * @param {Object} term - El término.
+ * @returns {{head: Object, args: Array<Object>}} La función y los argumentos, en orden.
+ */
+function spine(term) {
+  const args = [];
+  while (term.type === "ApplicationExpression") {
+    args.unshift(term.argument);
+    term = term.callee;
+  }
+  return { head: term, args };
+}
+
+/**
+ * Vuelve a aplicar una función a unos argumentos.
+ * @param {Object} head - La función.
+ * @param {Array<Object>} args - Los argumentos.
+ * @param {Object} node - La aplicación original, para la posición.
+ * @returns {Object} La aplicación.
+ */
+function rebuild(head, args, node) {
+  return args.reduce((callee, argument) => ({ type: "ApplicationExpression", callee, argument, line: node.line, column: node.column }), head);
+}
+
+/**
+ * Lee una subexpresión de un término por su ruta de claves (`["fields", 0, "value"]`).
+ * @param {Object} node - El término.
+ * @param {Array<string|number>} path - La ruta.
+ * @returns {Object} La subexpresión.
+ */
+function getPath(node, path) {
+  return path.reduce((current, key) => current[key], node);
+}
+
+/**
+ * Copia un término reemplazando la subexpresión de una ruta.
+ * @param {Object} node - El término.
+ * @param {Array<string|number>} path - La ruta.
+ * @param {Object} value - La nueva subexpresión.
+ * @returns {Object} El término nuevo.
+ */
+function setPath(node, [key, ...rest], value) {
+  const copy = Array.isArray(node) ? node.slice() : { ...node };
+  copy[key] = rest.length === 0 ? value : setPath(node[key], rest, value);
+  return copy;
+}
+
+/**
+ * Subexpresiones que se evalúan, en orden, antes de reducir un nodo estricto (el mismo orden
+ * que sigue el intérprete).
+ * @param {Object} term - El nodo.
+ * @returns {Array<Array<string|number>>} Las rutas de las subexpresiones.
+ */
+function strictPaths(term) {
+  switch (term.type) {
+    case "BinaryExpression":
+      return [["left"], ["right"]];
+    case "UnaryExpression":
+      return [["operand"]];
+    case "TupleExpression":
+    case "ListExpression":
+    case "ArrayExpression":
+      return term.elements.map((_, i) => ["elements", i]);
+    case "ConsExpression":
+      return [["head"], ["tail"]];
+    case "ConstructorExpression":
+      return term.argument ? [["argument"]] : [];
+    case "RecordExpression":
+      return [...(term.base ? [["base"]] : []), ...term.fields.map((_, i) => ["fields", i, "value"])];
+    case "FieldAccessExpression":
+      return [["record"]];
+    case "ArrayAccessExpression":
+      return [["array"], ["index"]];
+    case "AssignmentExpression":
+      return [...strictPaths(term.target).map(path => ["target", ...path]), ["value"]];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Indica si una sentencia de nivel superior se traza: las expresiones, las definiciones con
+ * patrón y las de un valor que no es una función. El resto (funciones, tipos, módulos) se
+ * ejecuta sin traza.
+ * @param {Object} statement - La sentencia.
+ * @returns {boolean} `true` si se muestran sus reducciones.
+ */
+function isTraced(statement) {
+  return statement.type === "TopLevelExpression" || statement.type === "PatternDeclaration" ||
+    (statement.type === "LetDeclaration" && !statement.recursive && statement.expression.type !== "FunctionExpression");
+}
+
+/**
+ * Reductor de un programa con una estrategia. Las sentencias que no se trazan, y los pasos
+ * δ, los ejecuta un único intérprete, que conserva las definiciones de nivel superior.
+ */
+class Reducer {
+  /**
+   * @param {Object} ast - El programa, ya analizado semánticamente.
+   * @param {string} strategy - `"value"` o `"need"`.
+   * @param {number} maxSteps - Pasos que se muestran de cada expresión.
+   */
+  constructor(ast, strategy, maxSteps) {
+    this.stdout = [];
+    this.interpreter = new Interpreter(ast, createGlobalEnvironment(this.stdout));
+    this.lazy = strategy === "need";
+    this.maxSteps = maxSteps;
+    this.placeholders = 0; // Para dar nombres únicos (`$0`, `$1`, ...) a los valores al traducir un término.
+    this.silent = false;   // Si el último paso no cambia el texto del término (reservar un registro, `raise`).
+    this.custom = (node) => this.printNode(node);
+  }
+
+  /**
+   * Ejecuta una sentencia de nivel superior, con su traza si es una expresión.
+   * @param {Object} statement - La sentencia.
+   * @returns {{steps: Array<string>|null, truncated: boolean, output: string}} Los términos de
+   * la traza (el primero es la expresión de partida), si se interrumpió al llegar al límite de
+   * pasos y la respuesta del toplevel.
+   */
+  statement(statement) {
+    if (!isTraced(statement)) {
+      try {
+        return { steps: null, truncated: false, output: describeStatement(statement, this.interpreter.evaluate(statement)) };
+      } catch (error) {
+        return { steps: null, truncated: false, output: describeError(error, statement) };
+      }
+    }
+    const steps = [];
+    try {
+      let term = this.close(statement.expression, this.interpreter.env);
+      steps.push(this.print(term));
+      while (!this.isValue(term) && term.type !== "Raise") {
+        if (steps.length > this.maxSteps) {
+          const names = statement.type === "TopLevelExpression" ? [] : bindingNames(statement).map(name => `\`${name}\``);
+          const unbound = names.length === 0 ? "" : ` No se ${names.length === 1 ? "definió" : "definieron"} ${names.join(", ")}.`;
+          return { steps, truncated: true, output: `⚠️ Se alcanzó el límite de ${this.maxSteps} pasos sin llegar a un valor.${unbound}\n` };
+        }
+        this.silent = false;
+        term = this.step(term);
+        if (!this.silent) {
+          steps.push(this.print(term));
+        }
+      }
+      if (term.type === "Raise") {
+        throw term.exception;
+      }
+      let value = this.evaluate(term);
+      if (statement.type === "LetDeclaration") {
+        this.interpreter.env = this.interpreter.env.extend();
+        this.interpreter.env.define(statement.identifier, value);
+      } else if (statement.type === "PatternDeclaration") {
+        const env = this.interpreter.env.extend();
+        if (!matchPattern(statement.pattern, value, env)) {
+          throw matchFailure(statement);
+        }
+        this.interpreter.env = env;
+        if (statement.pattern.type !== "WildcardPattern") {
+          value = bindingNames(statement).map(name => env.lookup(name));
+        }
+      }
+      return { steps, truncated: false, output: describeStatement(statement, value) };
+    } catch (error) {
+      return { steps, truncated: false, output: describeError(error, statement) };
+    }
+  }
+
+  /**
+   * Imprime un término como código OCaml.
+   * @param {Object} term - El término.
+   * @returns {string} El código.
+   */
+  print(term) {
+    return printExpression(term, this.custom);
+  }
+
+  /**
+   * Traduce para la impresora los nodos propios de los términos.
+   * @param {Object} node - El nodo.
+   * @returns {Object|null} El nodo que se imprime en su lugar, su texto, o `null`.
+   */
+  printNode(node) {
+    switch (node.type) {
+      case "Value": {
+        const { value } = node;
+        const negative = (typeof value === "bigint" || typeof value === "number") && value < 0;
+        const applied = value instanceof OCamlVariant && value.args.length > 0 && value.name !== "::";
+        return { text: formatValue(value), precedence: negative ? PRECEDENCE.UNARY : applied ? PRECEDENCE.APPLICATION : PRECEDENCE.ATOM };
+      }
+      case "Thunk":
+        return node.term;
+      case "Raise":
+        return { text: `raise ${formatValue(node.exception.value, true)}`, precedence: PRECEDENCE.APPLICATION };
+      case "Identifier":
+        // Un valor traducido para el intérprete conserva el nombre con el que se escribió.
+        return node.display ? { text: node.display, precedence: PRECEDENCE.ATOM } : null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Resuelve los identificadores libres de un término al entorno donde se escribió. Los
+   * `let open` se resuelven también aquí: su cuerpo ve los nombres del módulo.
+   * @param {Object} term - El término.
+   * @param {Environment} env - El entorno.
+   * @param {Set<string>} [bound] - Nombres ligados fuera del término (los parámetros de una
+   * función que se va a aplicar), que no se resuelven.
+   * @returns {Object} El término con sus identificadores resueltos.
+   */
+  close(term, env, bound = new Set()) {
+    return transform(term, bound, (node, names) => {
+      if (node.type === "Identifier" && !node.scope && !names.has(node.value)) {
+        if (node.value.startsWith("$") && !node.display) {
+          return this.quote(lookupName(env, node.value));
+        }
+        return { ...node, scope: env };
+      }
+      if (node.type === "LetOpenExpression") {
+        const opened = this.interpreter.openModule(node.module, env);
+        const visible = new Set([...names].filter(name => !opened.values.has(name)));
+        return { ...node, body: this.close(node.body, opened, visible) };
+      }
+      return undefined;
+    });
+  }
+
+  /**
+   * Convierte un valor en término. Una clausura vuelve a ser una función anónima cuyos
+   * identificadores libres se resuelven a su entorno.
+   * @param {*} value - El valor.
+   * @returns {Object} El término.
+   */
+  quote(value) {
+    if (value instanceof OCamlFunction) {
+      const lambda = value.cases
+        ? { type: "FunctionExpression", cases: value.cases, line: value.cases[0].line, column: value.cases[0].column }
+        : { type: "FunctionExpression", params: value.params, body: value.body, line: value.params[0].line, column: value.params[0].column };
+      return this.close(lambda, value.closureEnv);
+    }
+    return { type: "Value", value };
+  }
+
+  /**
+   * Traduce un término a un nodo del AST que puede evaluar el intérprete: los valores y los
+   * identificadores resueltos pasan a ser variables (`$0`, `$1`, ...) de `env`. Los
+   * argumentos pendientes de la evaluación por necesidad se fuerzan.
+   * @param {Object} term - El término.
+   * @param {Environment} env - El entorno donde se definen esas variables.
+   * @returns {Object} El nodo.
+   */
+  lower(term, env) {
+    return transform(term, new Set(), node => {
+      switch (node.type) {
+        case "Thunk":
+          this.force(node);
+          return this.lower(node.term, env);
+        case "Value":
+          return this.placeholder(node.value, env, undefined, node);
+        case "Identifier": {
+          return node.scope ? this.placeholder(this.resolve(node), env, node.display ?? node.value, node) : undefined;
+        }
+        case "LetOpenExpression":
+          // Los nombres del módulo ya están resueltos.
+          return this.lower(node.body, env);
+        default:
+          return undefined;
+      }
+    });
+  }
+
+  /**
+   * Busca el valor de un identificador resuelto.
+   * @param {Object} node - El identificador.
+   * @returns {*} Su valor.
+   * @throws {Error} Si el nombre no está definido.
+   */
+  resolve(node) {
+    const value = node.scope && lookupName(node.scope, node.value);
+    if (value === undefined) {
+      throw new Error(`Variable "${node.display ?? node.value}" no definida.`);
+    }
+    return value;
+  }
+
+  /**
+   * Define un valor en el entorno de una traducción con un nombre nuevo.
+   * @param {*} value - El valor.
+   * @param {Environment} env - El entorno de la traducción.
+   * @param {string|undefined} display - El nombre con el que se escribió, si lo tiene.
+   * @param {Object} node - El nodo al que reemplaza, para la posición.
+   * @returns {Object} El identificador que lo nombra.
+   */
+  placeholder(value, env, display, node) {
+    const name = `$${this.placeholders++}`;
+    env.define(name, value);
+    return { type: "Identifier", value: name, display, line: node.line, column: node.column };
+  }
+
+  /**
+   * Evalúa un término con el intérprete, sin traza.
+   * @param {Object} term - El término.
+   * @returns {*} Su valor.
+   * @throws {OCamlException} Si la evaluación lanza una excepción.
+   */
+  evaluate(term) {
+    const env = new Environment();
+    const node = this.lower(term, env);
+    return this.interpreter.drive(this.interpreter.evaluateExpression(node, env));
+  }
+
+  /**
+   * Evalúa sin traza un argumento pendiente de la evaluación por necesidad.
+   * @param {Object} thunk - El nodo `Thunk`.
+   */
+  force(thunk) {
+    if (!this.isValue(thunk.term)) {
+      thunk.term = this.quote(this.evaluate(thunk.term));
+    }
+  }
+
+  /**
+   * Un paso δ: evalúa con el intérprete un nodo cuyas subexpresiones ya son valores.
+   * @param {Object} term - El nodo.
+   * @returns {Object} El valor, o la excepción que lanza.
+   */
+  delta(term) {
+    try {
+      return this.quote(this.evaluate(term));
+    } catch (error) {
+      if (error instanceof OCamlException) {
+        return { type: "Raise", exception: error };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Pospone un argumento en la evaluación por necesidad.
+   * @param {Object} term - El argumento.
+   * @returns {Object} Un `Thunk` compartido, o el propio término si no hace falta.
+   */
+  delay(term) {
+    if (!this.lazy || term.type === "Thunk" || this.isValue(term)) {
+      return term;
+    }
+    return { type: "Thunk", term, line: term.line, column: term.column };
+  }
+
+  /**
+   * Devuelve la función que representa un término que es un valor funcional.
+   * @param {Object} term - El término.
+   * @returns {Object|FunctionValue|null} El nodo `FunctionExpression`, el valor, o `null` si
+   * no es una función.
+   */
+  functionOf(term) {
+    while (term.type === "Thunk") {
+      term = term.term;
+    }
+    if (term.type === "FunctionExpression") {
+      return term;
+    }
+    const value = term.type === "Value" ? term.value : term.type === "Identifier" && term.scope ? lookupName(term.scope, term.value) : undefined;
+    return value instanceof FunctionValue ? value : null;
+  }
+
+  /**
+   * Cuántos argumentos necesita una función para desplegarse.
+   * @param {Object|FunctionValue} fn - La función.
+   * @returns {number} El número de argumentos.
+   */
+  arity(fn) {
+    if (fn.type === "FunctionExpression" || fn instanceof OCamlFunction) {
+      return fn.cases ? 1 : fn.params.length;
+    }
+    return fn.arity !== undefined ? fn.arity - fn.args.length : 1;
+  }
+
+  /**
+   * Indica si el argumento `i` de una función debe ser un valor antes de la llamada. Por
+   * valor, siempre; por necesidad, solo si la función lo descompone con un patrón o es
+   * predefinida.
+   * @param {Object|FunctionValue} fn - La función.
+   * @param {number} i - La posición del argumento.
+   * @returns {boolean} `true` si el argumento se evalúa antes de la llamada.
+   */
+  needsValue(fn, i) {
+    if (!this.lazy) {
+      return true;
+    }
+    if (fn.type !== "FunctionExpression" && !(fn instanceof OCamlFunction)) {
+      return true;
+    }
+    return !fn.cases && !["VariablePattern", "WildcardPattern"].includes(fn.params[i].type);
+  }
+
+  /**
+   * Indica si un término es un valor: no admite más reducciones.
+   * @param {Object} term - El término.
+   * @returns {boolean} `true` si es un valor.
+   */
+  isValue(term) {
+    switch (term.type) {
+      case "NumberLiteral":
+      case "FloatLiteral":
+      case "CharLiteral":
+      case "StringLiteral":
+      case "BooleanLiteral":
+      case "Value":
+      case "FunctionExpression":
+        return true;
+      case "Thunk":
+        return this.isValue(term.term);
+      case "Identifier":
+        return Boolean(term.scope) && lookupName(term.scope, term.value) instanceof FunctionValue;
+      case "TupleExpression":
+      case "ListExpression":
+        return term.elements.every(element => this.isValue(element));
+      case "ConsExpression":
+        return this.isValue(term.head) && this.isValue(term.tail);
+      case "ConstructorExpression":
+        return !term.argument || this.isValue(term.argument);
+      case "ApplicationExpression": {
+        // Una aplicación parcial es un valor.
+        const { head, args } = spine(term);
+        const fn = this.isValue(head) && this.functionOf(head);
+        return Boolean(fn) && this.arity(fn) > args.length && (this.lazy || args.every(arg => this.isValue(arg)));
+      }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Reduce la primera subexpresión de un nodo que aún no es un valor o, si todas lo son, el
+   * propio nodo. Una excepción se propaga hasta el `try` más cercano en el mismo paso.
+   * @param {Object} term - El nodo.
+   * @param {Array<Array<string|number>>} paths - Sus subexpresiones estrictas, en orden.
+   * @param {function(): Object} reduce - Reduce el nodo cuando todas son valores.
+   * @returns {Object} El término tras el paso.
+   */
+  stepStrict(term, paths, reduce) {
+    for (const path of paths) {
+      const child = getPath(term, path);
+      if (!this.isValue(child)) {
+        const next = this.step(child);
+        return next.type === "Raise" ? next : setPath(term, path, next);
+      }
+    }
+    return reduce();
+  }
+
+  /**
+   * Da un paso de reducción.
+   * @param {Object} term - Un término que no es un valor.
+   * @returns {Object} El término tras el paso.
+   * @throws {Error} Si la reducción encuentra un error de ejecución.
+   */
+  step(term) {
+    switch (term.type) {
+      case "Thunk": {
+        // El argumento compartido se reduce en su sitio: el paso se ve en todas sus apariciones.
+        const next = this.step(term.term);
+        term.term = next;
+        return next.type === "Raise" ? next : term;
+      }
+      case "Identifier":
+        return this.quote(this.resolve(term));
+      case "ApplicationExpression":
+        return this.stepApplication(term);
+      case "BinaryExpression":
+        if (term.operator === "&&" || term.operator === "||") {
+          return this.stepStrict(term, [["left"]], () => {
+            const left = this.evaluate(term.left);
+            return left === (term.operator === "&&") ? term.right : this.quote(left);
+          });
+        }
+        return this.stepStrict(term, strictPaths(term), () => this.delta(term));
+      case "RecordExpression":
+      case "ArrayExpression":
+        // Crear un registro o un array reserva memoria nueva, aunque el texto no cambie.
+        return this.stepStrict(term, strictPaths(term), () => {
+          this.silent = true;
+          return this.delta(term);
+        });
+      case "UnaryExpression":
+      case "TupleExpression":
+      case "ListExpression":
+      case "ConsExpression":
+      case "ConstructorExpression":
+      case "FieldAccessExpression":
+      case "ArrayAccessExpression":
+      case "AssignmentExpression":
+        return this.stepStrict(term, strictPaths(term), () => this.delta(term));
+      case "IfExpression":
+        return this.stepStrict(term, [["condition"]], () => {
+          if (this.evaluate(term.condition)) {
+            return term.thenBranch;
+          }
+          return term.elseBranch || this.quote(UNIT);
+        });
+      case "SequenceExpression":
+        return this.stepStrict(term, [["expressions", 0]], () => {
+          const rest = term.expressions.slice(1);
+          return rest.length === 1 ? rest[0] : { ...term, expressions: rest };
+        });
+      case "LetExpression":
+        return this.stepLet(term);
+      case "LetOpenExpression":
+        return term.body;
+      case "MatchExpression":
+        return this.stepStrict(term, [["scrutinee"]], () => {
+          const selected = this.select(term, this.evaluate(term.scrutinee), term.scrutinee);
+          return selected || { type: "Raise", exception: matchFailure(term) };
+        });
+      case "TryExpression": {
+        if (term.body.type === "Raise") {
+          return this.select(term, term.body.exception.value, null) || term.body;
+        }
+        if (this.isValue(term.body)) {
+          return term.body;
+        }
+        return { ...term, body: this.step(term.body) };
+      }
+      case "WhileExpression":
+        return {
+          type: "IfExpression",
+          condition: term.condition,
+          thenBranch: { type: "SequenceExpression", expressions: [term.body, term], line: term.line, column: term.column },
+          elseBranch: this.quote(UNIT),
+          line: term.line,
+          column: term.column
+        };
+      case "ForExpression":
+        return this.stepStrict(term, [["start"], ["end"]], () => {
+          const start = this.evaluate(term.start);
+          const up = term.direction === "to";
+          if (up ? start > this.evaluate(term.end) : start < this.evaluate(term.end)) {
+            return this.quote(UNIT);
+          }
+          const body = substitute(term.body, new Map([[term.variable, this.quote(start)]]));
+          const next = { ...term, start: this.quote(up ? start + 1n : start - 1n) };
+          return { type: "SequenceExpression", expressions: [body, next], line: term.line, column: term.column };
+        });
+      default:
+        throw new Error(`No se puede reducir el nodo de tipo ${term.type}.`);
+    }
+  }
+
+  /**
+   * Reduce una aplicación: primero la función, después los argumentos que necesita (todos
+   * por valor) y por último la llamada, que despliega el cuerpo de la función con los
+   * argumentos sustituidos por sus parámetros.
+   * @param {Object} term - La aplicación.
+   * @returns {Object} El término tras el paso.
+   */
+  stepApplication(term) {
+    const { head, args } = spine(term);
+    if (!this.isValue(head)) {
+      const next = this.step(head);
+      return next.type === "Raise" ? next : rebuild(next, args, term);
+    }
+    const fn = this.functionOf(head);
+    if (!fn) {
+      throw new Error("Se intentó aplicar un valor que no es una función.");
+    }
+    // Una función predefinida recibe de una vez todos los argumentos presentes: algunas,
+    // como `Printf.sprintf "%d"`, devuelven otra función predefinida que no tiene texto propio.
+    const primitive = fn.type !== "FunctionExpression" && !(fn instanceof OCamlFunction);
+    const count = primitive ? args.length : Math.min(this.arity(fn), args.length);
+    for (let i = 0; i < count; i++) {
+      if (this.needsValue(fn, i) && !this.isValue(args[i])) {
+        const next = this.step(args[i]);
+        return next.type === "Raise" ? next : rebuild(head, args.with(i, next), term);
+      }
+    }
+    let result;
+    try {
+      result = this.call(fn, rebuild(head, args.slice(0, count), term), args.slice(0, count));
+    } catch (error) {
+      if (error instanceof OCamlException) {
+        return { type: "Raise", exception: error };
+      }
+      throw error;
+    }
+    return result.type === "Raise" ? result : rebuild(result, args.slice(count), term);
+  }
+
+  /**
+   * Despliega una llamada con todos sus argumentos.
+   * @param {Object|FunctionValue} fn - La función.
+   * @param {Object} application - La aplicación completa.
+   * @param {Array<Object>} args - Los argumentos.
+   * @returns {Object} El cuerpo de la función con los argumentos sustituidos, o el resultado
+   * de una función predefinida.
+   * @throws {OCamlException} `Match_failure` si un argumento no coincide con su parámetro.
+   */
+  call(fn, application, args) {
+    if (fn.type !== "FunctionExpression" && !(fn instanceof OCamlFunction)) {
+      // `raise e` lanza la excepción sin cambiar el texto del término.
+      this.silent = fn.name === "raise";
+      return this.delta(application);
+    }
+    const lambda = fn.type === "FunctionExpression" ? fn : this.quote(fn);
+    if (lambda.cases) {
+      // `(function p -> e | ...) a` es `match a with p -> e | ...`.
+      return { type: "MatchExpression", scrutinee: args[0], cases: lambda.cases, line: application.line, column: application.column };
+    }
+    const bindings = new Map();
+    lambda.params.forEach((param, i) => {
+      if (param.type === "VariablePattern") {
+        bindings.set(param.name, this.delay(args[i]));
+      } else if (param.type !== "WildcardPattern") {
+        const env = new Environment();
+        if (!matchPattern(param, this.evaluate(args[i]), env)) {
+          throw matchFailure(param);
+        }
+        env.values.forEach((value, name) => bindings.set(name, this.quote(value)));
+      }
+    });
+    return substitute(lambda.body, bindings);
+  }
+
+  /**
+   * Reduce un `let ... in`. Las definiciones de valores se sustituyen en el cuerpo (por
+   * necesidad, sin evaluarlas); las de funciones, y los grupos recursivos, las crea el
+   * intérprete y el cuerpo las ve por su nombre. Las definiciones con patrón se evalúan
+   * siempre (el patrón examina el valor) y se sustituyen sus variables.
+   * @param {Object} term - El nodo `LetExpression`.
+   * @returns {Object} El término tras el paso.
+   */
+  stepLet(term) {
+    const functional = term.recursive || term.declarations.some(declaration => declaration.type === "FunctionDeclaration");
+    const paths = term.declarations.flatMap((declaration, i) => declaration.type === "PatternDeclaration" ||
+      (declaration.type === "LetDeclaration" && (!this.lazy || functional)) ? [["declarations", i, "expression"]] : []);
+    return this.stepStrict(term, paths, () => {
+      if (!functional) {
+        const bindings = new Map();
+        for (const declaration of term.declarations) {
+          if (declaration.type !== "PatternDeclaration") {
+            bindings.set(declaration.identifier, this.delay(declaration.expression));
+            continue;
+          }
+          const env = new Environment();
+          if (!matchPattern(declaration.pattern, this.evaluate(declaration.expression), env)) {
+            return { type: "Raise", exception: matchFailure(declaration) };
+          }
+          env.values.forEach((bound, name) => bindings.set(name, this.quote(bound)));
+        }
+        return substitute(term.body, bindings);
+      }
+      const env = new Environment();
+      const unit = { type: "ConstructorExpression", name: "()", argument: null, line: term.line, column: term.column };
+      const { declarations } = this.lower({ ...term, body: unit }, env);
+      const { env: bodyEnv } = this.interpreter.drive(this.interpreter.bindDeclarations(declarations, term.recursive, env));
+      const names = new Set(term.declarations.flatMap(bindingNames));
+      return transform(term.body, new Set(), (node, bound) => node.type === "Identifier" && !node.scope && names.has(node.value) && !bound.has(node.value)
+        ? { ...node, scope: bodyEnv }
+        : undefined);
+    });
+  }
+
+  /**
+   * Elige el primer caso de un `match` o de un `try` que coincide con un valor. Un caso con
+   * guarda se convierte en `if guarda then cuerpo else <los casos siguientes>`.
+   * @param {Object} term - El nodo `MatchExpression` o `TryExpression`.
+   * @param {*} value - El valor del término analizado o de la excepción.
+   * @param {Object|null} scrutinee - El término analizado, que reemplaza a un patrón variable.
+   * @returns {Object|null} El término del caso elegido, o `null` si ninguno coincide.
+   */
+  select(term, value, scrutinee) {
+    for (const [i, matchCase] of term.cases.entries()) {
+      const env = new Environment();
+      if (!matchPattern(matchCase.pattern, value, env)) {
+        continue;
+      }
+      const bindings = new Map();
+      if (scrutinee && matchCase.pattern.type === "VariablePattern") {
+        bindings.set(matchCase.pattern.name, scrutinee);
+      } else {
+        env.values.forEach((bound, name) => bindings.set(name, this.quote(bound)));
+      }
+      const body = substitute(matchCase.body, bindings);
+      if (!matchCase.guard) {
+        return body;
+      }
+      const rest = term.cases.slice(i + 1);
+      const otherwise = rest.length > 0 ? { ...term, cases: rest }
+        : term.type === "TryExpression" ? term.body : { type: "Raise", exception: matchFailure(term) };
+      return {
+        type: "IfExpression",
+        condition: substitute(matchCase.guard, bindings),
+        thenBranch: body,
+        elseBranch: otherwise,
+        line: matchCase.line ?? term.line,
+        column: matchCase.column ?? term.column
+      };
+    }
+    return null;
+  }
+}
+
+/**
+ * Ejecuta un programa mostrando la traza de reducciones de cada expresión de nivel superior.
+ * @param {Object} ast - El programa, ya analizado semánticamente.
+ * @param {{strategy?: string, maxSteps?: number}} [options] - La estrategia (`"value"`, por
+ * valor, o `"need"`, por necesidad) y los pasos que se muestran de cada expresión.
+ * @returns {{statements: Array<{steps: Array<string>|null, truncated: boolean, output: string}>, stdout: string}}
+ * Una entrada por sentencia (ver `Reducer.statement`) y la salida estándar del programa.
+ */
+export function traceProgram(ast, { strategy = "value", maxSteps = DEFAULT_MAX_STEPS } = {}) {
+  const reducer = new Reducer(ast, strategy, maxSteps);
+  const statements = ast.body.map(statement => reducer.statement(statement));
+  return { statements, stdout: reducer.stdout.join("") };
+}
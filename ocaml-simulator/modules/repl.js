@@ -0,0 +1,410 @@
+// modules/repl.js
+
+import { analyzeSyntax } from './parser.js';
+import { createSemanticContext } from './semantic.js';
+import { Interpreter, ExecutionLimitError, createGlobalEnvironment } from './interpreter.js';
+import { describeStatement, describeError } from './toplevel.js';
+import { DEFAULT_TIMEOUT, DEFAULT_MAX_STEPS, PROGRESS_PERIOD, TIMEOUT_GRACE, timeLimitMessage } from './sandbox.js';
+import { SEVERITY, hasErrors, formatDiagnostic } from './diagnostics.js';
+
+/**
+ * Toplevel interactivo, como `ocaml` o `utop`. Cada frase (terminada en `;;`) se analiza y se
+ * ejecuta a continuación de las anteriores: el contexto de tipos (`createSemanticContext`) y
+ * el entorno del intérprete se conservan entre frases, así `let x = 5;;` y después `x + 1;;`
+ * responde `- : int = 6`. Una frase con errores de tipos, o cuya ejecución falla, no añade
+ * ninguna definición.
+ *
+ * Además de frases entiende las directivas `#use` (carga el código del editor), `#show nombre`
+ * (muestra lo que se sabe de un nombre), `#type expresión` (el tipo sin evaluarla) y `#reset`
+ * (vuelve al entorno inicial).
+ *
+ * Cada frase tiene el mismo tiempo máximo y presupuesto de pasos que una ejecución en el
+ * worker: un bucle infinito se interrumpe sin perder el entorno. La página no usa `Toplevel`
+ * directamente sino `ToplevelWorker`, que lo ejecuta en un Web Worker (`worker.js`) para que
+ * una frase larga no bloquee la página. Los dos lados se comunican con mensajes:
+ *
+ * - Hilo principal → worker: `{ type: "toplevel", input, source, timeout, maxSteps }`, con
+ *   el texto que escribe el usuario y el código que carga `#use`.
+ * - Worker → hilo principal: `{ type: "progress", steps }` mientras se ejecuta y
+ *   `{ type: "entries", entries }` con las entradas de la transcripción al terminar.
+ *
+ * Si el worker no responde o se pulsa Detener, se termina y se empieza otro: el entorno se pierde.
+ */
+
+/** Directivas que entiende el toplevel. */
+const DIRECTIVES = ["use", "show", "type", "reset"];
+
+/**
+ * Convierte diagnósticos en entradas de la transcripción.
+ * @param {Array<Object>} diagnostics - Los diagnósticos.
+ * @returns {Array<{kind: string, text: string}>} Una entrada `error` o `warning` por diagnóstico.
+ */
+function diagnosticEntries(diagnostics) {
+  return diagnostics.map(diagnostic => ({
+    kind: diagnostic.severity === SEVERITY.ERROR ? "error" : "warning",
+    text: formatDiagnostic(diagnostic)
+  }));
+}
+
+/**
+ * Devuelve los tipos, excepciones, módulos y firmas que declara una sentencia de nivel
+ * superior (los valores se consultan en el contexto de tipos), para `#show`.
+ * @param {Object} statement - La sentencia.
+ * @returns {Array<string>} Las claves (`"type t"`, `"module M"`, ...).
+ */
+function declaredKeys(statement) {
+  switch (statement.type) {
+    case "TypeDeclaration":
+      return statement.definitions.map(definition => `type ${definition.name}`);
+    case "ExceptionDeclaration":
+      return [`exception ${statement.name}`];
+    case "ModuleDeclaration":
+      return [`module ${statement.name}`];
+    case "ModuleTypeDeclaration":
+      return [`module type ${statement.name}`];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Sesión del toplevel. Cada envío devuelve las entradas que hay que añadir a la transcripción:
+ * la salida estándar del programa (`stdout`), las respuestas (`response`), los avisos
+ * (`warning`), los errores (`error`) y los mensajes de las directivas (`info`).
+ */
+export class Toplevel {
+  /**
+   * @param {{source?: function(): string, onProgress?: function(number): void}} [options] -
+   * Una función que devuelve el código que carga `#use` (el del editor) y otra a la que se
+   * avisa cada `PROGRESS_INTERVAL` pasos con los pasos dados en la frase en curso.
+   */
+  constructor(options = {}) {
+    this.source = options.source ?? (() => "");
+    this.onProgress = options.onProgress ?? (() => {});
+    this.reset();
+  }
+
+  /**
+   * Vuelve al entorno inicial: descarta todas las definiciones.
+   */
+  reset() {
+    this.types = createSemanticContext();
+    this.stdout = []; // Lo que escribe la frase en curso; se vacía tras cada frase.
+    this.interpreter = new Interpreter({ type: "Program", body: [] }, createGlobalEnvironment(this.stdout), {
+      onProgress: steps => this.checkTime(steps)
+    });
+    this.declarations = new Map(); // Última sentencia que declaró cada tipo, módulo, ... (`#show`).
+    this.deadline = Infinity;
+    this.timeout = DEFAULT_TIMEOUT;
+  }
+
+  /**
+   * Interrumpe la frase en curso si supera el tiempo máximo y, si no, avisa del progreso.
+   * @param {number} steps - Los pasos dados.
+   * @throws {ExecutionLimitError} Si se superó el tiempo.
+   */
+  checkTime(steps) {
+    if (Date.now() > this.deadline) {
+      throw new ExecutionLimitError(timeLimitMessage(this.timeout), steps);
+    }
+    this.onProgress(steps);
+  }
+
+  /**
+   * Procesa lo que escribe el usuario: una o más frases, o una directiva.
+   * @param {string} input - El texto.
+   * @param {{timeout?: number, maxSteps?: number}} [limits] - El tiempo máximo de cada frase,
+   * en milisegundos, y su presupuesto de pasos de evaluación.
+   * @returns {Array<{kind: string, text: string}>} Las entradas de la transcripción.
+   */
+  submit(input, { timeout = DEFAULT_TIMEOUT, maxSteps = DEFAULT_MAX_STEPS } = {}) {
+    this.timeout = timeout;
+    this.interpreter.maxSteps = maxSteps;
+    const text = input.trim();
+    return text.startsWith("#") ? this.directive(text) : this.evaluatePhrases(text);
+  }
+
+  /**
+   * Ejecuta una directiva (`#use`, `#show x`, `#type e`, `#reset`), con o sin `;;` final.
+   * @param {string} text - La directiva.
+   * @returns {Array<{kind: string, text: string}>} Las entradas de la transcripción.
+   */
+  directive(text) {
+    const [, name, argument] = text.replace(/;;$/, "").match(/^#(\w*)\s*([\s\S]*)$/);
+    switch (name) {
+      case "use":
+        return this.evaluatePhrases(this.source());
+      case "show":
+        return this.show(argument.trim());
+      case "type":
+        return this.typeOf(argument.trim());
+      case "reset":
+        this.reset();
+        return [{ kind: "info", text: "🔄 Se reinició el entorno del toplevel." }];
+      default:
+        return [{
+          kind: "error",
+          text: `❌ Directiva desconocida "#${name}". Las directivas disponibles son ${DIRECTIVES.map(d => `#${d}`).join(", ")}.`
+        }];
+    }
+  }
+
+  /**
+   * `#show nombre`: el tipo del valor con ese nombre y los tipos, excepciones, módulos y
+   * firmas declarados con él.
+   * @param {string} name - El nombre (los valores pueden ir calificados: `List.map`).
+   * @returns {Array<{kind: string, text: string}>} Las entradas de la transcripción.
+   */
+  show(name) {
+    if (!name) {
+      return [{ kind: "error", text: "❌ La directiva #show necesita un nombre." }];
+    }
+    const lines = [];
+    const type = this.types.typeOf(name);
+    if (type) {
+      lines.push(`val ${name} : ${type}`);
+    }
+    ["type", "exception", "module", "module type"].forEach(kind => {
+      const statement = this.declarations.get(`${kind} ${name}`);
+      if (statement) {
+        lines.push(describeStatement(statement, null).trimEnd());
+      }
+    });
+    if (lines.length === 0) {
+      return [{ kind: "error", text: `❌ "${name}" no está definido.` }];
+    }
+    return [{ kind: "response", text: lines.join("\n") }];
+  }
+
+  /**
+   * `#type expresión`: el tipo de una expresión, sin evaluarla.
+   * @param {string} source - La expresión.
+   * @returns {Array<{kind: string, text: string}>} Las entradas de la transcripción.
+   */
+  typeOf(source) {
+    if (!source) {
+      return [{ kind: "error", text: "❌ La directiva #type necesita una expresión." }];
+    }
+    const { ast, errors } = analyzeSyntax(`${source};;`);
+    if (errors.length > 0 || !ast) {
+      return diagnosticEntries(errors);
+    }
+    const [statement] = ast.body;
+    if (ast.body.length !== 1 || statement.type !== "TopLevelExpression") {
+      return [{ kind: "error", text: "❌ La directiva #type necesita una expresión, no una definición." }];
+    }
+    const diagnostics = this.types.analyze(ast);
+    if (hasErrors(diagnostics)) {
+      return diagnosticEntries(diagnostics);
+    }
+    return [{ kind: "response", text: `- : ${statement.inferredType}` }];
+  }
+
+  /**
+   * Analiza y ejecuta una o más frases, una tras otra. Se detiene en la primera que falla.
+   * @param {string} code - El código.
+   * @returns {Array<{kind: string, text: string}>} Las entradas de la transcripción.
+   */
+  evaluatePhrases(code) {
+    const { ast, errors } = analyzeSyntax(code);
+    if (errors.length > 0 || !ast) {
+      return diagnosticEntries(errors);
+    }
+    const entries = [];
+    for (const statement of ast.body) {
+      if (!this.evaluatePhrase(statement, entries)) break;
+    }
+    return entries;
+  }
+
+  /**
+   * Analiza y ejecuta una frase. Si falla, sus definiciones se descartan.
+   * @param {Object} statement - La sentencia de nivel superior.
+   * @param {Array<{kind: string, text: string}>} entries - Donde se añaden las entradas de la transcripción.
+   * @returns {boolean} `true` si la frase se ejecutó sin errores.
+   */
+  evaluatePhrase(statement, entries) {
+    const state = this.types.save();
+    const diagnostics = this.types.analyze({ type: "Program", body: [statement] });
+    entries.push(...diagnosticEntries(diagnostics));
+    if (hasErrors(diagnostics)) {
+      return false;
+    }
+
+    this.interpreter.steps = 0;
+    this.deadline = Date.now() + this.timeout;
+    let response = null;
+    let failure = null;
+    try {
+      response = describeStatement(statement, this.interpreter.evaluate(statement));
+    } catch (error) {
+      failure = error instanceof ExecutionLimitError
+        ? `${error.message} Pasos ejecutados: ${error.steps.toLocaleString()}.`
+        : describeError(error, statement);
+    }
+    if (this.stdout.length > 0) {
+      entries.push({ kind: "stdout", text: this.stdout.join("") });
+      this.stdout.length = 0;
+    }
+    if (failure) {
+      this.types.restore(state);
+      entries.push({ kind: "error", text: failure.trimEnd() });
+      return false;
+    }
+    declaredKeys(statement).forEach(key => this.declarations.set(key, statement));
+    if (response) {
+      entries.push({ kind: "response", text: response.trimEnd() });
+    }
+    return true;
+  }
+}
+
+/**
+ * Atiende los mensajes `toplevel` en el worker: crea la sesión con el primero y envía sus
+ * avisos de progreso (como mucho uno cada `PROGRESS_PERIOD` milisegundos) y sus respuestas.
+ * @param {function(Object): void} post - Envía un mensaje al hilo principal.
+ * @returns {function(Object): void} La función que procesa cada mensaje `toplevel`.
+ */
+export function serveToplevel(post) {
+  let toplevel = null;
+  let source = "";
+  let lastPost = 0;
+  const onProgress = (steps) => {
+    const now = Date.now();
+    if (now - lastPost >= PROGRESS_PERIOD) {
+      lastPost = now;
+      post({ type: "progress", steps });
+    }
+  };
+  return ({ input, timeout, maxSteps, source: code }) => {
+    toplevel ??= new Toplevel({ source: () => source, onProgress });
+    source = code;
+    post({ type: "entries", entries: toplevel.submit(input, { timeout, maxSteps }) });
+  };
+}
+
+/**
+ * Una sesión del toplevel que se ejecuta en un worker propio, desde el hilo principal. Los
+ * envíos se atienden de uno en uno, en orden. Si el worker deja de dar señales de vida
+ * durante más del tiempo máximo (por ejemplo, dentro de una función predefinida muy larga) o
+ * se pulsa Detener, se termina y se empieza otro con el entorno inicial.
+ */
+export class ToplevelWorker {
+  /**
+   * @param {{source?: function(): string}} [options] - Una función que devuelve el código que
+   * carga `#use` (el del editor).
+   */
+  constructor(options = {}) {
+    this.source = options.source ?? (() => "");
+    this.queue = Promise.resolve();
+    this.request = null; // El envío en curso: `{ resolve, timeout, timer }`.
+    this.start();
+  }
+
+  /**
+   * Indica si hay un envío en curso.
+   * @returns {boolean} `true` si el worker está ejecutando frases.
+   */
+  get busy() {
+    return this.request !== null;
+  }
+
+  /**
+   * Empieza un worker nuevo, con el entorno inicial.
+   */
+  start() {
+    this.worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+    this.worker.onmessage = ({ data }) => this.receive(data);
+    this.worker.onerror = (event) => this.abort(`❌ Error del worker: ${event.message}`);
+  }
+
+  /**
+   * Envía al toplevel una o más frases, o una directiva, cuando termine el envío anterior.
+   * @param {string} input - El texto.
+   * @param {{timeout?: number, maxSteps?: number}} [limits] - El tiempo máximo de cada frase,
+   * en milisegundos, y su presupuesto de pasos de evaluación.
+   * @returns {Promise<Array<{kind: string, text: string}>>} Las entradas de la transcripción.
+   */
+  submit(input, limits = {}) {
+    const entries = this.queue.then(() => this.send(input, limits));
+    this.queue = entries;
+    return entries;
+  }
+
+  /**
+   * Envía una entrada al worker.
+   * @param {string} input - El texto.
+   * @param {{timeout?: number, maxSteps?: number}} limits - Los límites de cada frase.
+   * @returns {Promise<Array<{kind: string, text: string}>>} Las entradas de la transcripción.
+   */
+  send(input, { timeout = DEFAULT_TIMEOUT, maxSteps = DEFAULT_MAX_STEPS }) {
+    return new Promise(resolve => {
+      this.request = { resolve, timeout, timer: null };
+      this.watch();
+      this.worker.postMessage({ type: "toplevel", input, source: this.source(), timeout, maxSteps });
+    });
+  }
+
+  /**
+   * (Re)inicia la cuenta tras la que se termina el worker si no da señales de vida.
+   */
+  watch() {
+    const { request } = this;
+    clearTimeout(request.timer);
+    request.timer = setTimeout(() => this.abort(timeLimitMessage(request.timeout)), request.timeout + TIMEOUT_GRACE);
+  }
+
+  /**
+   * Procesa un mensaje del worker.
+   * @param {Object} message - El mensaje `progress` o `entries`.
+   */
+  receive(message) {
+    if (!this.request) return;
+    if (message.type === "progress") {
+      this.watch();
+      return;
+    }
+    this.settle(message.entries);
+  }
+
+  /**
+   * Termina el envío en curso con unas entradas.
+   * @param {Array<{kind: string, text: string}>} entries - Las entradas de la transcripción.
+   */
+  settle(entries) {
+    const { resolve, timer } = this.request;
+    clearTimeout(timer);
+    this.request = null;
+    resolve(entries);
+  }
+
+  /**
+   * Detiene el envío en curso a petición del usuario.
+   */
+  stop() {
+    this.abort("⏹️ Ejecución detenida por el usuario.");
+  }
+
+  /**
+   * Termina el worker que no responde y empieza otro; el envío en curso termina con el motivo.
+   * @param {string} message - El motivo.
+   */
+  abort(message) {
+    if (!this.request) return;
+    this.worker.terminate();
+    this.start();
+    this.settle([
+      { kind: "error", text: message },
+      { kind: "info", text: "🔄 Se reinició el entorno del toplevel: hubo que terminar el worker que lo ejecutaba." }
+    ]);
+  }
+
+  /**
+   * Vuelve al entorno inicial: termina el worker (y el envío en curso, sin entradas) y empieza otro.
+   */
+  reset() {
+    this.worker.terminate();
+    this.start();
+    if (this.request) this.settle([]);
+  }
+}
@@ -0,0 +1,209 @@
+// modules/sandbox.js
+
+import { analyzeSyntax } from './parser.js';
+import { analyzeSemantics } from './semantic.js';
+import { Interpreter, ExecutionLimitError, createGlobalEnvironment } from './interpreter.js';
+import { compileProgram } from './compiler.js';
+import { VirtualMachine } from './vm.js';
+import { describeStatement, errorDiagnostic } from './toplevel.js';
+import { hasErrors, formatDiagnostic } from './diagnostics.js';
+
+/**
+ * Ejecución aislada de programas: el análisis y la ejecución se hacen en un Web Worker
+ * (`worker.js`), de modo que un programa que no termina no bloquea la página. El programa se
+ * ejecuta con el intérprete o, compilado, en la máquina virtual de bytecode. (El toplevel
+ * interactivo usa el mismo worker con otros mensajes; ver `repl.js`.) Los dos lados se
+ * comunican con mensajes:
+ *
+ * - Hilo principal → worker: `{ type: "run", code, timeout, maxSteps, engine }`, donde
+ *   `engine` es `"interpreter"` (por defecto) o `"bytecode"`.
+ * - Worker → hilo principal: `{ type: "progress", stdout, output, steps }` durante la
+ *   ejecución y un único `{ type: "done", status, stdout, output, steps, message, errors }` al
+ *   final. `stdout` y `output` (las respuestas del toplevel) son el texto nuevo desde el
+ *   mensaje anterior. `status` es `"ok"`, `"syntax-error"` o `"semantic-error"` (con los
+ *   diagnósticos en `errors`) o `"aborted"` (con el motivo en `message`). Con `"ok"` y
+ *   `"aborted"`, `errors` tiene los diagnósticos de las sentencias que fallaron al
+ *   ejecutarse (una excepción no capturada), que también aparecen en `output`. Los
+ *   diagnósticos son objetos planos (ver `diagnostics.js`), que se copian tal cual.
+ *
+ * El worker interrumpe él mismo la ejecución al agotar el presupuesto de pasos o el tiempo,
+ * e informa de la salida parcial. Si no responde (por ejemplo, dentro de una función
+ * predefinida muy larga) o se pulsa Detener, el hilo principal lo termina y se queda con lo
+ * que recibió en el último aviso de progreso.
+ */
+
+/** Tiempo máximo de ejecución por defecto, en milisegundos. */
+export const DEFAULT_TIMEOUT = 10000;
+
+/** Presupuesto de pasos por defecto: pasos de evaluación del intérprete o instrucciones de la máquina virtual. */
+export const DEFAULT_MAX_STEPS = 50000000;
+
+/** Cada cuántos milisegundos, como mínimo, envía el worker un aviso de progreso. */
+export const PROGRESS_PERIOD = 100;
+
+/** Margen que se da al worker, tras el tiempo máximo, antes de terminarlo desde fuera. */
+export const TIMEOUT_GRACE = 1000;
+
+/**
+ * Genera el mensaje de una ejecución que supera el tiempo máximo.
+ * @param {number} timeout - El tiempo máximo, en milisegundos.
+ * @returns {string} El mensaje, con el tiempo en segundos.
+ */
+export function timeLimitMessage(timeout) {
+  return `⏱️ Se superó el tiempo máximo de ejecución (${timeout / 1000} s).`;
+}
+
+/**
+ * Prepara la ejecución de un programa ya analizado con uno de los dos motores.
+ * @param {Object} ast - El AST del programa.
+ * @param {string} engine - `"interpreter"` o `"bytecode"`.
+ * @param {Array<string>} stdout - Donde se acumula el texto que escribe el programa.
+ * @param {{maxSteps: number, onProgress: function(number): void}} options - El presupuesto de
+ * pasos y el aviso de progreso.
+ * @returns {{units: Array<{statement: Object}>, evaluate: function(Object): *, steps: function(): number}}
+ * Las unidades que se ejecutan en orden (las sentencias o las frases compiladas, cada una con
+ * su sentencia), la función que ejecuta una y devuelve su resultado para `describeStatement`,
+ * y la que devuelve los pasos dados.
+ */
+function createEngine(ast, engine, stdout, options) {
+  if (engine === "bytecode") {
+    const program = compileProgram(ast);
+    const machine = new VirtualMachine(program, stdout, options);
+    return { units: program.phrases, evaluate: phrase => machine.evaluate(phrase), steps: () => machine.steps };
+  }
+  const interpreter = new Interpreter(ast, createGlobalEnvironment(stdout), options);
+  return { units: ast.body.map(statement => ({ statement })), evaluate: ({ statement }) => interpreter.evaluate(statement), steps: () => interpreter.steps };
+}
+
+/**
+ * Analiza y ejecuta un programa enviando los mensajes del protocolo. Es lo que hace el
+ * worker con cada mensaje `run`.
+ * @param {string} code - El código fuente.
+ * @param {{timeout?: number, maxSteps?: number, engine?: string}} limits - El tiempo máximo
+ * en milisegundos, el presupuesto de pasos y el motor (`"interpreter"` o `"bytecode"`).
+ * @param {function(Object): void} post - Envía un mensaje al hilo principal.
+ */
+export function executeProgram(code, { timeout = DEFAULT_TIMEOUT, maxSteps = DEFAULT_MAX_STEPS, engine = "interpreter" }, post) {
+  const { ast, errors } = analyzeSyntax(code);
+  if (errors.length > 0 || !ast) {
+    post({ type: "done", status: "syntax-error", stdout: "", output: "", steps: 0, message: null, errors });
+    return;
+  }
+  const semanticErrors = analyzeSemantics(ast);
+  if (hasErrors(semanticErrors)) {
+    post({ type: "done", status: "semantic-error", stdout: "", output: "", steps: 0, message: null, errors: semanticErrors });
+    return;
+  }
+
+  const stdout = [];
+  let output = "";
+  const runtimeErrors = [];
+  let sentStdout = 0; // Fragmentos de `stdout` ya enviados.
+  let sentOutput = 0; // Caracteres de `output` ya enviados.
+  const start = Date.now();
+  let lastPost = start;
+  const pending = () => {
+    const message = { stdout: stdout.slice(sentStdout).join(""), output: output.slice(sentOutput) };
+    sentStdout = stdout.length;
+    sentOutput = output.length;
+    return message;
+  };
+  const onProgress = (steps) => {
+    const now = Date.now();
+    if (now - start > timeout) {
+      throw new ExecutionLimitError(timeLimitMessage(timeout), steps);
+    }
+    if (now - lastPost >= PROGRESS_PERIOD) {
+      lastPost = now;
+      post({ type: "progress", ...pending(), steps });
+    }
+  };
+
+  const { units, evaluate, steps } = createEngine(ast, engine, stdout, { maxSteps, onProgress });
+  for (const unit of units) {
+    const { statement } = unit;
+    try {
+      output += describeStatement(statement, evaluate(unit));
+    } catch (error) {
+      if (error instanceof ExecutionLimitError) {
+        post({ type: "done", status: "aborted", ...pending(), steps: error.steps, message: error.message, errors: runtimeErrors });
+        return;
+      }
+      const diagnostic = errorDiagnostic(error, statement);
+      runtimeErrors.push(diagnostic);
+      output += `${formatDiagnostic(diagnostic)}\n`;
+    }
+  }
+  post({ type: "done", status: "ok", ...pending(), steps: steps(), message: null, errors: runtimeErrors });
+}
+
+/**
+ * Una ejecución de un programa en un worker propio, desde el hilo principal. Acumula los
+ * mensajes del worker y resuelve `done` con el resultado final, también si se detiene.
+ */
+export class Execution {
+  /**
+   * @param {string} code - El código fuente.
+   * @param {{timeout?: number, maxSteps?: number, engine?: string, onProgress?: function(Execution): void}} [options] -
+   * El tiempo máximo en milisegundos, el presupuesto de pasos, el motor (`"interpreter"`, por
+   * defecto, o `"bytecode"`) y una función a la que se avisa con cada aviso de progreso (con
+   * la propia ejecución, que tiene la salida y los pasos acumulados).
+   */
+  constructor(code, { timeout = DEFAULT_TIMEOUT, maxSteps = DEFAULT_MAX_STEPS, engine = "interpreter", onProgress = () => {} } = {}) {
+    this.stdout = "";
+    this.output = "";
+    this.steps = 0;
+    this.finished = false;
+    this.onProgress = onProgress;
+    /** @type {Promise<{status: string, stdout: string, output: string, steps: number, message: string|null, errors: Array<Object>}>} */
+    this.done = new Promise(resolve => { this.resolve = resolve; });
+    this.worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+    this.worker.onmessage = ({ data }) => this.receive(data);
+    this.worker.onerror = (event) => this.finish({ status: "aborted", message: `❌ Error del worker: ${event.message}`, errors: [] });
+    // Si el worker no se interrumpe a sí mismo a tiempo, se termina desde aquí.
+    this.timer = setTimeout(() => this.abort(timeLimitMessage(timeout)), timeout + TIMEOUT_GRACE);
+    this.worker.postMessage({ type: "run", code, timeout, maxSteps, engine });
+  }
+
+  /**
+   * Procesa un mensaje del worker.
+   * @param {Object} message - El mensaje `progress` o `done`.
+   */
+  receive(message) {
+    this.stdout += message.stdout;
+    this.output += message.output;
+    this.steps = message.steps;
+    if (message.type === "progress") {
+      this.onProgress(this);
+      return;
+    }
+    this.finish({ status: message.status, message: message.message, errors: message.errors });
+  }
+
+  /**
+   * Detiene la ejecución a petición del usuario.
+   */
+  stop() {
+    this.abort("⏹️ Ejecución detenida por el usuario.");
+  }
+
+  /**
+   * Termina el worker y da la ejecución por interrumpida.
+   * @param {string} message - El motivo.
+   */
+  abort(message) {
+    this.finish({ status: "aborted", message, errors: [] });
+  }
+
+  /**
+   * Termina el worker y resuelve `done` con lo acumulado. Solo cuenta la primera vez.
+   * @param {{status: string, message: string|null, errors: Array<Object>}} result - El final de la ejecución.
+   */
+  finish(result) {
+    if (this.finished) return;
+    this.finished = true;
+    clearTimeout(this.timer);
+    this.worker.terminate();
+    this.resolve({ ...result, stdout: this.stdout, output: this.output, steps: this.steps });
+  }
+}
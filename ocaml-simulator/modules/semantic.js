@@ -1,206 +1,1624 @@
-// modules/semantic.js
-
-/**
- * Realiza el análisis semántico del AST.
- * Verifica la coherencia de tipos y el uso de variables.
- * @param {Object} ast - El Árbol de Sintaxis Abstracta generado por el parser.
- * @returns {Array<string>} Una lista de errores semánticos encontrados.
- */
-export function analyzeSemantics(ast) {
-  // Array para almacenar los errores semánticos que se encuentren.
-  const errors = [];
-  // El "entorno" (`env`) es nuestra tabla de símbolos. Almacena los tipos de variables y
-  // las firmas de las funciones para verificar su uso correcto en el código.
-  const env = new Map();
-
-  /**
-   * Función auxiliar recursiva para recorrer el AST y realizar verificaciones.
-   * Actúa como un "visitador" que se desplaza por los nodos del árbol.
-   * @param {Object} node - El nodo actual del AST a visitar.
-   */
-  function traverse(node) {
-    if (!node) return; // Si el nodo es nulo, no hacemos nada y terminamos la recursión.
-
-    // Usamos un `switch` para manejar la lógica de verificación específica para cada tipo de nodo.
-    switch (node.type) {
-      case "Program":
-        // Para el nodo raíz "Program", simplemente recorremos todos los nodos de su cuerpo.
-        node.body.forEach(traverse);
-        break;
-      case "LetDeclaration":
-        // Verificamos si la variable ya fue declarada en el mismo alcance (scope).
-        if (env.has(node.identifier)) {
-          errors.push(`❌ Línea ${node.line}, columna ${node.column}: Variable "${node.identifier}" ya ha sido declarada.`);
-        }
-
-        // Inferimos el tipo de la expresión asignada a la variable.
-        const exprType = getType(node.expression);
-        // Almacenamos el identificador y su tipo en nuestra tabla de símbolos (`env`).
-        env.set(node.identifier, exprType);
-        // Continuamos el recorrido en la expresión para analizarla también.
-        traverse(node.expression);
-        break;
-      case "FunctionDeclaration":
-        // Verificamos si la función ya fue declarada.
-        if (env.has(node.name)) {
-          errors.push(`❌ Línea ${node.line}, columna ${node.column}: Función "${node.name}" ya ha sido declarada.`);
-        }
-        // Almacenamos la firma de la función en el entorno. `arity` se usa para validar el número de argumentos.
-        env.set(node.name, { type: 'function', arity: node.params.length, params: node.params });
-
-        // Creamos un nuevo entorno para el cuerpo de la función. Esto simula un nuevo scope.
-        const functionEnv = new Map(env); // Copia el entorno actual.
-        // Agregamos los parámetros de la función al nuevo entorno local.
-        node.params.forEach(param => {
-          if (functionEnv.has(param)) {
-            errors.push(`❌ Línea ${node.line}, columna ${node.column}: Parámetro "${param}" ya existe en este scope de función.`);
-          }
-          // Por simplicidad, asumimos que todos los parámetros son de tipo 'int' por ahora.
-          functionEnv.set(param, 'int');
-        });
-
-        // Guardamos el entorno global temporalmente y lo reemplazamos por el de la función.
-        const originalEnv = new Map(env); // Usamos `new Map()` para una copia profunda.
-        env.clear(); // Limpiamos el entorno actual
-        functionEnv.forEach((value, key) => env.set(key, value)); // Copiamos el nuevo entorno.
-
-        // Analizamos el cuerpo de la función dentro de su propio entorno.
-        traverse(node.body);
-
-        // Al salir de la función, restauramos el entorno original (el global).
-        env.clear();
-        originalEnv.forEach((value, key) => env.set(key, value));
-        break;
-      case "ApplicationExpression":
-        // Recorremos el callee (la función) y el argumento.
-        traverse(node.callee);
-        traverse(node.argument);
-
-        // Obtenemos el tipo del callee y verificamos si es una función.
-        const calleeType = getType(node.callee);
-        if (calleeType.type !== 'function') {
-          errors.push(`❌ Línea ${node.line}, columna ${node.column}: Se intentó aplicar a un valor que no es una función.`);
-        } else {
-          // Simplificado: por ahora solo verificamos si el callee es una función.
-          // En OCaml, las aplicaciones pueden ser parciales (currying), lo cual requeriría
-          // un sistema de tipos más complejo.
-        }
-        break;
-      case "BinaryExpression":
-        // Obtenemos los tipos de los operandos izquierdo y derecho.
-        const leftType = getType(node.left);
-        const rightType = getType(node.right);
-
-        // Verificamos que los operandos sean de tipo 'int' para operaciones binarias.
-        if (['+', '-', '*', '/', 'mod', '>', '='].includes(node.operator)) {
-          if (leftType !== 'int' || rightType !== 'int') {
-            errors.push(`❌ Línea ${node.line}, columna ${node.column}: Operación '${node.operator}' requiere operandos de tipo 'int', pero se encontraron '${leftType}' y '${rightType}'.`);
-          }
-        }
-        // Continuamos el recorrido en ambos operandos.
-        traverse(node.left);
-        traverse(node.right);
-        break;
-      case "IfExpression":
-        // Recorremos la condición y ambas ramas (`then` y `else`).
-        traverse(node.condition);
-        traverse(node.thenBranch);
-        traverse(node.elseBranch);
-
-        const conditionType = getType(node.condition);
-        // OCaml espera un booleano para la condición de un `if`. Aquí, representamos los booleanos
-        // con 'int' (0 para falso, cualquier otro valor para verdadero).
-        if (node.condition.type === "BinaryExpression" && ['>', '='].includes(node.condition.operator)) {
-          // Si la condición es una comparación, se asume que es "booleana".
-        } else if (conditionType !== 'int') {
-          errors.push(`❌ Línea ${node.condition.line}, columna ${node.condition.column}: La condición de un 'if' debe ser una expresión booleana (o int en este simulador), pero se encontró '${conditionType}'.`);
-        }
-
-        const thenType = getType(node.thenBranch);
-        const elseType = getType(node.elseBranch);
-
-        // Verificamos que las ramas `then` y `else` tengan el mismo tipo para que el `if` sea válido.
-        if (thenType !== elseType) {
-          errors.push(`⚠️ Línea ${node.line}, columna ${node.column}: Las ramas 'then' (${thenType}) y 'else' (${elseType}) de un 'if' deben tener tipos compatibles.`);
-        }
-        break;
-      case "NumberLiteral":
-        // No hay verificaciones, su tipo es 'int'.
-        break;
-      case "StringLiteral":
-        // No hay verificaciones, su tipo es 'string'.
-        break;
-      case "Identifier":
-        // Verificamos si el identificador (`node.value`) ha sido declarado en el entorno actual.
-        if (!env.has(node.value)) {
-          errors.push(`❌ Línea ${node.line}, columna ${node.column}: Variable "${node.value}" usada sin declarar.`);
-        }
-        break;
-      case "TopLevelExpression":
-        // Recorremos la expresión principal del programa.
-        traverse(node.expression);
-        break;
-    }
-  }
-
-  /**
-   * Función auxiliar para obtener el tipo de un nodo de expresión.
-   * Utiliza el entorno (`env`) para resolver los tipos de los identificadores.
-   * @param {Object} node - El nodo de expresión.
-   * @returns {string|Object} El tipo del nodo ('int', 'string', o un objeto para funciones).
-   */
-  function getType(node) {
-    if (!node) return 'unknown';
-    switch (node.type) {
-      case "NumberLiteral":
-        return 'int';
-      case "StringLiteral":
-        return 'string';
-      case "Identifier":
-        // Buscamos el identificador en el entorno para obtener su tipo.
-        const idInfo = env.get(node.value);
-        return idInfo ? (idInfo.type === 'function' ? idInfo : idInfo) : 'unknown';
-      case "BinaryExpression":
-        // Las comparaciones (`>` y `=`) resultan en un tipo booleano, que aquí representamos con 'int'.
-        if (['>', '='].includes(node.operator)) {
-          return 'int';
-        }
-        // Para otras operaciones, el tipo del resultado depende de los operandos.
-        const leftType = getType(node.left);
-        const rightType = getType(node.right);
-        if (leftType === 'int' && rightType === 'int') {
-          return 'int';
-        }
-        return 'unknown';
-      case "IfExpression":
-        // El tipo de una expresión `if` es el tipo común de sus ramas `then` y `else`.
-        const thenType = getType(node.thenBranch);
-        const elseType = getType(node.elseBranch);
-        if (thenType === elseType) {
-          return thenType;
-        }
-        return 'unknown';
-      case "FunctionDeclaration":
-        // Si el nodo es una declaración de función, obtenemos su firma del entorno.
-        return env.get(node.name) || 'unknown';
-      case "ApplicationExpression":
-        // Para una aplicación de función, asumimos que el tipo resultante es 'int' por ahora.
-        const calleeFuncInfo = getType(node.callee);
-        if (calleeFuncInfo && calleeFuncInfo.type === 'function') {
-          return 'int';
-        }
-        return 'unknown';
-      default:
-        // Si el tipo de nodo no es reconocido, devolvemos 'unknown'.
-        return 'unknown';
-    }
-  }
-
-  // Comienza el recorrido del AST desde el nodo raíz.
-  traverse(ast);
-
-  // Filtramos el mensaje de éxito si ya hay otros errores.
-  const filteredErrors = errors.filter(err => !err.includes("✅ Análisis semántico correcto"));
-  // Si no hay errores, devolvemos el mensaje de éxito.
-  return filteredErrors.length ? filteredErrors : ["✅ Análisis semántico correcto. ¡Variables y tipos OK!"];
-}
+// modules/semantic.js
+
+import { Environment } from './environment.js';
+import { analyzeMatch } from './exhaustiveness.js';
+import { bindingNames } from './toplevel.js';
+import { primitives } from './primitives.js';
+import { parseFormat } from './printf.js';
+import { SEVERITY, createDiagnostic, rangeOf, hasErrors } from './diagnostics.js';
+import {
+  TypeVariable, TypeConstructor, UnificationError, GENERIC_LEVEL,
+  intType, floatType, charType, stringType, boolType, unitType, exnType, functionType, tupleType, listType, optionType,
+  refType, arrayType, formatType, prune, unify, generalize, limitLevels, instantiate, typeToString
+} from './types.js';
+
+/** Operadores aritméticos de coma flotante. */
+const FLOAT_OPERATORS = ['+.', '-.', '*.', '/.', '**'];
+
+/**
+ * Distancia de edición (Levenshtein) entre dos nombres.
+ * @param {string} a - Un nombre.
+ * @param {string} b - Otro nombre.
+ * @returns {number} El número mínimo de inserciones, borrados y sustituciones.
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Busca, entre los nombres visibles en un entorno, el más parecido a uno que no está
+ * definido (para sugerirlo cuando es probablemente una errata).
+ * @param {string} name - El nombre no definido.
+ * @param {Environment} env - El entorno.
+ * @returns {string|null} El nombre más parecido, o `null` si ninguno se parece lo bastante.
+ */
+function similarName(name, env) {
+  const limit = Math.max(1, Math.floor(name.length / 3));
+  let best = null;
+  let bestDistance = limit + 1;
+  for (let scope = env; scope; scope = scope.parent) {
+    for (const candidate of scope.values.keys()) {
+      const distance = editDistance(name, candidate);
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Constructores de tipos variantes predefinidos. Cada entrada indica el tipo al que
+ * pertenece el constructor, los tipos de sus argumentos y el tipo resultante, usando
+ * variables genéricas que se instancian en cada uso (`Some 1 : int option`,
+ * `Some "a" : string option`).
+ * @returns {Map<string, Object>} Tabla de constructores por nombre.
+ */
+function builtinConstructors() {
+  const a = new TypeVariable(GENERIC_LEVEL);
+  const b = new TypeVariable(GENERIC_LEVEL);
+  return new Map([
+    ["None", { typeName: "option", args: [], result: optionType(a) }],
+    ["Some", { typeName: "option", args: [a], result: optionType(a) }],
+    ["[]", { typeName: "list", args: [], result: listType(b) }],
+    ["::", { typeName: "list", args: [b, listType(b)], result: listType(b) }],
+    ["()", { typeName: "unit", args: [], result: unitType }],
+    // Excepciones predefinidas (constructores del tipo `exn`).
+    ["Not_found", { typeName: "exn", args: [], result: exnType }],
+    ["Exit", { typeName: "exn", args: [], result: exnType }],
+    ["Division_by_zero", { typeName: "exn", args: [], result: exnType }],
+    ["Stack_overflow", { typeName: "exn", args: [], result: exnType }],
+    ["Failure", { typeName: "exn", args: [stringType], result: exnType }],
+    ["Invalid_argument", { typeName: "exn", args: [stringType], result: exnType }],
+    ["Match_failure", { typeName: "exn", args: [tupleType([stringType, intType, intType])], result: exnType }]
+  ]);
+}
+
+/**
+ * Constructores de tipos predefinidos y su número de parámetros.
+ * @returns {Map<string, Object>} Tabla de tipos por nombre (`{ arity }`).
+ */
+function builtinTypes() {
+  return new Map([
+    ["int", { arity: 0 }], ["float", { arity: 0 }], ["char", { arity: 0 }], ["string", { arity: 0 }], ["bool", { arity: 0 }],
+    ["unit", { arity: 0 }], ["exn", { arity: 0 }], ["list", { arity: 1 }], ["option", { arity: 1 }],
+    ["ref", { arity: 1 }], ["array", { arity: 1 }]
+  ]);
+}
+
+/**
+ * Campos de los tipos registro predefinidos: el de las referencias, que en OCaml es
+ * `type 'a ref = { mutable contents : 'a }` (así `r.contents` equivale a `!r`).
+ * @returns {Map<string, Object>} Tabla de campos por nombre.
+ */
+function builtinRecordFields() {
+  const a = new TypeVariable(GENERIC_LEVEL);
+  return new Map([
+    ["contents", { typeName: "ref", fieldNames: ["contents"], mutableFields: ["contents"], type: a, record: refType(a) }]
+  ]);
+}
+
+/**
+ * Tipos de los valores predefinidos, disponibles en el entorno global. Los valores de los
+ * módulos de la biblioteca (`List.map`) se registran en `builtinModules`.
+ * @returns {Environment} El entorno con los valores predefinidos.
+ */
+function builtinValues() {
+  const env = new Environment();
+  primitives.filter(primitive => !primitive.name.includes(".")).forEach(primitive => env.define(primitive.name, primitive.type()));
+  return env;
+}
+
+/**
+ * Crea la descripción vacía de un módulo: las tablas de los componentes que exporta.
+ * @returns {Object} El módulo (`{ values, types, constructors, fields, modules }`).
+ */
+function emptyModule() {
+  return { values: new Map(), types: new Map(), constructors: new Map(), fields: new Map(), modules: new Map() };
+}
+
+/**
+ * Módulos predefinidos de la biblioteca estándar (`List`, `String`, `Option`, `Printf`),
+ * con los tipos de sus valores.
+ * @returns {Map<string, Object>} Tabla de módulos por nombre.
+ */
+function builtinModules() {
+  const modules = new Map();
+  primitives.filter(primitive => primitive.name.includes(".")).forEach(primitive => {
+    const [moduleName, name] = primitive.name.split(".");
+    if (!modules.has(moduleName)) {
+      modules.set(moduleName, emptyModule());
+    }
+    modules.get(moduleName).values.set(name, primitive.type());
+  });
+  return modules;
+}
+
+/**
+ * Reúne los nombres de las variables de tipo que aparecen en una expresión de tipo (en una
+ * especificación `val`, donde están cuantificadas implícitamente).
+ * @param {Object} node - El nodo de expresión de tipo.
+ * @param {Set<string>} [names] - Donde se acumulan los nombres.
+ * @returns {Set<string>} Los nombres, en orden de aparición.
+ */
+function typeVariablesOf(node, names = new Set()) {
+  switch (node.type) {
+    case "TypeVariableExpression":
+      names.add(node.name);
+      break;
+    case "FunctionTypeExpression":
+      typeVariablesOf(node.parameter, names);
+      typeVariablesOf(node.result, names);
+      break;
+    case "TupleTypeExpression":
+      node.elements.forEach(element => typeVariablesOf(element, names));
+      break;
+    default:
+      node.args.forEach(arg => typeVariablesOf(arg, names));
+  }
+  return names;
+}
+
+/**
+ * Realiza el análisis semántico del AST mediante inferencia de tipos Hindley–Milner
+ * (algoritmo W con unificación). Cada expresión recibe el tipo más general posible,
+ * las definiciones con `let` son polimórficas (`let id x = x` tiene tipo `'a -> 'a` y
+ * puede usarse con enteros y con cadenas) y cualquier conflicto entre el tipo encontrado
+ * y el esperado se reporta con su posición.
+ *
+ * Además del resultado, el análisis anota el AST: cada declaración y cada expresión de
+ * nivel superior recibe una propiedad `inferredType` con su tipo en sintaxis OCaml, que
+ * el intérprete usa para imprimir las líneas `val nombre : tipo = valor` (una definición con
+ * patrón, como `let (a, b) = ...`, recibe además `inferredTypes`, con el de cada variable); cada constructor
+ * recibe su nombre calificado (`qualifiedName`, como `M.Leaf`), y cada módulo restringido por
+ * una firma, la lista de nombres que exporta (`exports`). Cada uso de un nombre, cada variable
+ * de un patrón (`x`) y cada definición recibe además su tipo (`valueType`, sin imprimir, porque la
+ * unificación lo sigue completando) para que el editor lo muestre al pasar el ratón.
+ *
+ * Los módulos se analizan con las mismas tablas de tipos, constructores y campos que el
+ * nivel superior: al entrar en un `struct` se copian, las definiciones del cuerpo se añaden
+ * a la copia y a las tablas del módulo (sus componentes), y al salir se restauran. Los tipos
+ * y constructores definidos en un módulo llevan su nombre calificado (`M.t`), así no se
+ * confunden con los de otros módulos.
+ *
+ * El contexto conserva las definiciones de nivel superior entre un análisis y el siguiente,
+ * como el toplevel de OCaml: cada frase se analiza con los valores, tipos y módulos de las
+ * anteriores. Si una frase tiene errores, sus definiciones se descartan.
+ * @returns {{analyze: function(Object): Array<string>, save: function(): Object,
+ * restore: function(Object): void, typeOf: function(string): (string|null)}} El contexto.
+ */
+export function createSemanticContext() {
+  // Array para almacenar los errores semánticos que se encuentren en el análisis en curso.
+  const errors = [];
+  // Entorno de valores del nivel superior, con las definiciones de los análisis anteriores.
+  let globalEnv = builtinValues();
+  // Tabla de constructores conocidos: los predefinidos y los de las variantes declaradas con `type`.
+  let constructors = builtinConstructors();
+  // Tipos conocidos (nombre → número de parámetros y, si es un alias, su definición).
+  let typeDefinitions = builtinTypes();
+  // Campos de los tipos registro declarados. Si dos registros tienen un campo con el mismo
+  // nombre, el último declarado oculta al anterior, como en OCaml.
+  let recordFields = builtinRecordFields();
+  // Módulos conocidos (nombre → componentes) y firmas declaradas con `module type`.
+  let modules = builtinModules();
+  let moduleTypes = new Map();
+  // Módulo cuyo cuerpo se está analizando (`null` en el nivel superior) y su ruta (`"M."`).
+  let currentModule = null;
+  let modulePath = "";
+  // Todos los constructores declarados, por nombre calificado, para el análisis de exhaustividad.
+  const allConstructors = new Map();
+  // Nombres de las variables de tipo débiles (`'_weak1`) mostradas hasta el momento.
+  const weakNames = new Map();
+  // Nivel de anidamiento de `let` actual, usado para decidir qué variables de tipo generalizar.
+  let currentLevel = 0;
+  // Nombres que se están definiendo en un `let` sin `rec`: no son visibles en su propia definición.
+  const pendingNames = new Set();
+  // Nombres de un `let rec` que el lado derecho de una definición no funcional no puede usar.
+  let restrictedNames = new Set();
+
+  /**
+   * Crea una variable de tipo fresca en el nivel actual.
+   * @returns {TypeVariable} La nueva variable.
+   */
+  function freshType() {
+    return new TypeVariable(currentLevel);
+  }
+
+  /**
+   * Reporta un error en el rango de un nodo.
+   * @param {Object} node - El nodo con `line` y `column`.
+   * @param {string} message - La descripción del error.
+   * @param {string} code - El código del diagnóstico (ver `DIAGNOSTIC_CODES`).
+   * @param {{related?: Array<Object>, fixes?: Array<Object>}} [details] - Posiciones
+   * relacionadas y correcciones sugeridas.
+   */
+  function report(node, message, code, details = {}) {
+    const error = createDiagnostic({ code, message, range: rangeOf(node), ...details });
+    // Una firma se comprueba cada vez que se usa; sus errores se reportan una sola vez.
+    const key = JSON.stringify([code, error.range, message]);
+    if (!errors.some(other => JSON.stringify([other.code, other.range, other.message]) === key)) {
+      errors.push(error);
+    }
+  }
+
+  /**
+   * Reporta un aviso (no impide la ejecución) en el rango de un nodo.
+   * @param {Object} node - El nodo con `line` y `column`.
+   * @param {string} message - La descripción del aviso.
+   * @param {string} code - El código del diagnóstico (ver `DIAGNOSTIC_CODES`).
+   * @param {{related?: Array<Object>, fixes?: Array<Object>}} [details] - Posiciones
+   * relacionadas y correcciones sugeridas.
+   */
+  function warn(node, message, code, details = {}) {
+    errors.push(createDiagnostic({ severity: SEVERITY.WARNING, code, message, range: rangeOf(node), ...details }));
+  }
+
+  /**
+   * Avisa de `==` o `!=` entre cadenas o `float`. En OCaml son valores en memoria propia y dos
+   * creados por separado son físicamente distintos (`"a" == "a"` es `false`); el simulador los
+   * guarda como valores de JavaScript sin identidad y los compara por valor, así que el resultado
+   * puede ser otro. Se sugiere cambiar el operador por `=` o `<>`.
+   * @param {Object} node - La comparación (su posición es la del operador).
+   * @param {Object} type - El tipo de los operandos.
+   */
+  function checkPhysicalEquality(node, type) {
+    type = prune(type);
+    if (!(type instanceof TypeConstructor && ["string", "float"].includes(type.name))) return;
+    const structural = node.operator === "==" ? "=" : "<>";
+    const start = { line: node.line, column: node.column };
+    const end = { line: node.line, column: node.column + node.operator.length };
+    warn(node, `'${node.operator}' compara la identidad física; en OCaml dos valores de tipo ${typeToString(type)} creados por separado son distintos aunque sean iguales, pero el simulador los compara por valor. Usa '${structural}' para comparar su contenido.`, "warning/physical-equality", {
+      fixes: [{ message: `Cambiar '${node.operator}' por '${structural}'.`, edits: [{ range: { start, end }, text: structural }] }]
+    });
+  }
+
+  /**
+   * Exige que el tipo encontrado para un nodo sea compatible con el esperado. Si la
+   * unificación falla, reporta ambos tipos en la posición del nodo.
+   * @param {Object} node - El nodo cuya expresión o patrón tiene el tipo `found`.
+   * @param {Object} found - El tipo inferido para el nodo.
+   * @param {Object} expected - El tipo que el contexto exige.
+   * @param {string} [what] - Qué es el nodo ("Esta expresión", "Este patrón").
+   * @returns {boolean} `true` si los tipos se unificaron.
+   */
+  function expectType(node, found, expected, what = "Esta expresión") {
+    // Imprimimos los tipos antes de unificar, porque una unificación fallida puede haberlos
+    // modificado parcialmente.
+    const names = new Map();
+    const foundText = typeToString(found, names);
+    const expectedText = typeToString(expected, names);
+    try {
+      unify(found, expected);
+      return true;
+    } catch (error) {
+      if (!(error instanceof UnificationError)) throw error;
+      const detail = error.message.includes("infinito") ? ` (${error.message})` : "";
+      report(node, `${what} tiene tipo ${foundText} pero se esperaba ${what === "Este patrón" ? "un patrón" : "una expresión"} de tipo ${expectedText}${detail}.`, "type/mismatch");
+      return false;
+    }
+  }
+
+  /**
+   * Deduce el tipo de una cadena de formato de `Printf` a partir de sus directivas:
+   * `"%d: %s\n"` tiene tipo `(int -> string -> 'r, 'r) format`.
+   * @param {Object} node - El nodo `StringLiteral` con la cadena de formato.
+   * @returns {Object} El tipo formato (o una variable nueva si la cadena no es válida).
+   */
+  function formatLiteralType(node) {
+    const { parts, error } = parseFormat(node.value);
+    if (error) {
+      report(node, `Formato inválido en la cadena de Printf: ${error}.`, "type/invalid-format");
+      return freshType();
+    }
+    const argumentTypes = { int: intType, float: floatType, string: stringType, char: charType, bool: boolType };
+    const result = freshType();
+    const args = parts
+      .filter(part => part.conversion)
+      .reduceRight((rest, part) => functionType(argumentTypes[part.argumentType], rest), result);
+    return formatType(args, result);
+  }
+
+  /**
+   * Devuelve los nombres de todos los campos del registro al que pertenece un campo, en
+   * orden de declaración, para el análisis de exhaustividad.
+   * @param {{name: string, module: string|null}} field - El campo (con su módulo, si se calificó).
+   * @returns {Array<string>|null} Los campos o `null` si no se conoce.
+   */
+  function fieldsOf(field) {
+    const info = findField(field.name, field.module);
+    return info ? info.fieldNames : null;
+  }
+
+  /**
+   * Devuelve la firma de un constructor definido por el usuario (todos los constructores de
+   * su tipo con sus aridades), para el análisis de exhaustividad. El tipo `exn` es abierto
+   * (siempre se pueden declarar más excepciones), así que sus constructores no tienen firma.
+   * @param {string} name - El nombre calificado del constructor.
+   * @returns {Array<{name: string, arity: number}>|null} La firma o `null` si no se conoce.
+   */
+  function signatureOf(name) {
+    const info = allConstructors.get(name);
+    if (!info || info.typeName === "exn") return null;
+    return [...allConstructors.entries()]
+      .filter(([, other]) => other.typeName === info.typeName)
+      .map(([otherName, other]) => ({ name: otherName, arity: other.args.length }));
+  }
+
+  /**
+   * Registra un componente (un tipo, un constructor, un campo o un módulo) en la tabla
+   * del alcance actual y, si se está analizando el cuerpo de un módulo, entre los
+   * componentes que el módulo exporta.
+   * @param {string} kind - "types", "constructors", "fields" o "modules".
+   * @param {string} name - El nombre sin calificar.
+   * @param {Object} entry - La información del componente.
+   */
+  function declare(kind, name, entry) {
+    ({ types: typeDefinitions, constructors, fields: recordFields, modules })[kind].set(name, entry);
+    if (currentModule) {
+      currentModule[kind].set(name, entry);
+    }
+    if (kind === "constructors") {
+      allConstructors.set(entry.qualifiedName, entry);
+    }
+  }
+
+  /**
+   * Copia las tablas de tipos, constructores, campos, módulos y firmas antes de entrar en
+   * un alcance (el cuerpo de un módulo, un `let open`) cuyas definiciones no deben verse fuera.
+   * @returns {Object} Las tablas anteriores, para `exitScope`.
+   */
+  function enterScope() {
+    const saved = { typeDefinitions, constructors, recordFields, modules, moduleTypes };
+    typeDefinitions = new Map(typeDefinitions);
+    constructors = new Map(constructors);
+    recordFields = new Map(recordFields);
+    modules = new Map(modules);
+    moduleTypes = new Map(moduleTypes);
+    return saved;
+  }
+
+  /**
+   * Restaura las tablas guardadas por `enterScope`.
+   * @param {Object} saved - Las tablas anteriores.
+   */
+  function exitScope(saved) {
+    ({ typeDefinitions, constructors, recordFields, modules, moduleTypes } = saved);
+  }
+
+  /**
+   * Busca un módulo por su ruta (`M` o `M.N`).
+   * @param {string} path - La ruta del módulo.
+   * @returns {Object|undefined} El módulo.
+   */
+  function findModule(path) {
+    const [first, ...rest] = path.split(".");
+    let module = modules.get(first);
+    for (const name of rest) {
+      module = module && module.modules.get(name);
+    }
+    return module;
+  }
+
+  /**
+   * Busca un módulo por su ruta y reporta un error si no existe.
+   * @param {Object} node - El nodo que usa el módulo (para la posición del error).
+   * @param {string} path - La ruta del módulo.
+   * @returns {Object|null} El módulo o `null`.
+   */
+  function requireModule(node, path) {
+    const module = findModule(path);
+    if (!module) {
+      report(node, `El módulo "${path}" no está definido.`, "type/unbound-module");
+      return null;
+    }
+    return module;
+  }
+
+  /**
+   * Busca un nombre que puede estar calificado por módulos (`x` o `M.x`): un nombre simple
+   * se busca en la tabla del alcance actual y uno calificado, entre los componentes del módulo.
+   * @param {Object} node - El nodo que usa el nombre (para la posición del error).
+   * @param {string} name - El nombre.
+   * @param {string} kind - "values", "types" o "constructors".
+   * @param {Map|Environment} table - La tabla del alcance actual.
+   * @returns {*} Lo encontrado; `undefined` si no existe, o `null` si el módulo no existe (error ya reportado).
+   */
+  function lookupQualified(node, name, kind, table) {
+    const dot = name.lastIndexOf(".");
+    if (dot === -1) {
+      return table instanceof Environment ? table.lookup(name) : table.get(name);
+    }
+    const module = requireModule(node, name.slice(0, dot));
+    return module ? module[kind].get(name.slice(dot + 1)) : null;
+  }
+
+  /**
+   * Busca un campo de registro, sin reportar errores.
+   * @param {string} name - El nombre del campo.
+   * @param {string|null} module - El módulo que lo define, si se calificó (`r.M.x`).
+   * @returns {Object|undefined} La información del campo.
+   */
+  function findField(name, module) {
+    if (!module) return recordFields.get(name);
+    const found = findModule(module);
+    return found && found.fields.get(name);
+  }
+
+  /**
+   * Convierte una expresión de tipo del AST (`int list`, `'a -> 'b`) en un tipo. Las
+   * variables de tipo deben ser parámetros de la definición (`params`) y los nombres deben
+   * ser tipos conocidos con el número correcto de argumentos. Los alias se expanden.
+   * @param {Object} node - El nodo de expresión de tipo.
+   * @param {Map<string, TypeVariable>} params - Los parámetros de la definición en curso.
+   * @returns {Object} El tipo.
+   */
+  function resolveTypeExpression(node, params) {
+    switch (node.type) {
+      case "TypeVariableExpression":
+        if (!params.has(node.name)) {
+          report(node, `La variable de tipo ${node.name} no está ligada: debe ser un parámetro del tipo que se define.`, "type/unbound-type-variable");
+          return new TypeVariable(GENERIC_LEVEL);
+        }
+        return params.get(node.name);
+      case "FunctionTypeExpression":
+        return functionType(resolveTypeExpression(node.parameter, params), resolveTypeExpression(node.result, params));
+      case "TupleTypeExpression":
+        return tupleType(node.elements.map(element => resolveTypeExpression(element, params)));
+      case "TypeConstructorExpression": {
+        const args = node.args.map(arg => resolveTypeExpression(arg, params));
+        const definition = lookupQualified(node, node.name, "types", typeDefinitions);
+        if (definition === null) {
+          return new TypeVariable(GENERIC_LEVEL);
+        }
+        if (!definition) {
+          report(node, `El tipo "${node.name}" no está definido.`, "type/unbound-type");
+          return new TypeVariable(GENERIC_LEVEL);
+        }
+        if (definition.arity !== args.length) {
+          report(node, `El tipo "${node.name}" espera ${definition.arity} argumento(s), pero se aplicó a ${args.length}.`, "type/type-arity");
+          return new TypeVariable(GENERIC_LEVEL);
+        }
+        if (definition.alias) {
+          // Un alias se sustituye por su definición, con los argumentos en lugar de sus parámetros.
+          const substitution = new Map(definition.params.map((param, i) => [param, args[i]]));
+          return instantiate(definition.alias, GENERIC_LEVEL, substitution);
+        }
+        // Los tipos definidos en un módulo se identifican por su nombre calificado.
+        return new TypeConstructor(definition.name || node.name, args);
+      }
+      default:
+        return new TypeVariable(GENERIC_LEVEL);
+    }
+  }
+
+  /**
+   * Registra las definiciones de una declaración `type`. Los nombres de todo el grupo se
+   * registran antes de analizar las definiciones, para permitir tipos recursivos
+   * (`'a tree`) y mutuamente recursivos (unidos con `and`).
+   * @param {Object} declaration - El nodo `TypeDeclaration`.
+   */
+  function declareTypes(declaration) {
+    const groupParams = declaration.definitions.map(definition => {
+      const params = new Map();
+      definition.params.forEach(name => {
+        if (params.has(name)) {
+          report(definition, `El parámetro ${name} aparece más de una vez en la definición de "${definition.name}".`, "type/duplicate-definition");
+        }
+        params.set(name, new TypeVariable(GENERIC_LEVEL));
+      });
+      declare("types", definition.name, { arity: definition.params.length, name: modulePath + definition.name, kind: definition.kind });
+      return params;
+    });
+
+    declaration.definitions.forEach((definition, i) => {
+      const params = groupParams[i];
+      const typeName = modulePath + definition.name;
+      const selfType = new TypeConstructor(typeName, [...params.values()]);
+
+      if (definition.kind === "alias") {
+        const alias = resolveTypeExpression(definition.alias, params);
+        declare("types", definition.name, { arity: params.size, name: typeName, kind: "alias", params: [...params.values()], alias });
+      } else if (definition.kind === "variant") {
+        const seen = new Map(); // Nombre → primer constructor con ese nombre.
+        // Los constructores constantes y los que llevan argumentos se numeran por separado.
+        const tags = { constant: 0, block: 0 };
+        definition.constructors.forEach(constructor => {
+          if (seen.has(constructor.name)) {
+            report(constructor, `El constructor "${constructor.name}" aparece más de una vez en el tipo "${definition.name}".`, "type/duplicate-definition", {
+              related: [{ message: "Primera definición del constructor.", range: rangeOf(seen.get(constructor.name)) }]
+            });
+          } else {
+            seen.set(constructor.name, constructor);
+          }
+          declare("constructors", constructor.name, {
+            typeName,
+            qualifiedName: modulePath + constructor.name,
+            args: constructor.args.map(arg => resolveTypeExpression(arg, params)),
+            result: selfType,
+            tag: constructor.args.length === 0 ? tags.constant++ : tags.block++
+          });
+        });
+      } else if (definition.kind === "record") {
+        const fieldNames = definition.fields.map(field => field.name);
+        const mutableFields = definition.fields.filter(field => field.mutable).map(field => field.name);
+        const seen = new Map(); // Nombre → primer campo con ese nombre.
+        definition.fields.forEach(field => {
+          if (seen.has(field.name)) {
+            report(field, `El campo "${field.name}" aparece más de una vez en el tipo "${definition.name}".`, "type/duplicate-definition", {
+              related: [{ message: "Primera definición del campo.", range: rangeOf(seen.get(field.name)) }]
+            });
+          } else {
+            seen.set(field.name, field);
+          }
+          declare("fields", field.name, {
+            typeName,
+            fieldNames,
+            mutableFields,
+            type: resolveTypeExpression(field.typeExpression, params),
+            record: selfType
+          });
+        });
+      }
+    });
+  }
+
+  /**
+   * Busca un campo de registro e instancia su tipo y el del registro al que pertenece.
+   * @param {Object} node - El nodo que usa el campo (para la posición del error).
+   * @param {string} name - El nombre del campo.
+   * @param {string|null} module - El módulo que lo define, si se calificó (`r.M.x`).
+   * @param {Map} [substitution] - Sustitución compartida con otros campos del mismo registro.
+   * @returns {{info: Object, fieldType: Object, recordType: Object}|null} El campo instanciado,
+   * o `null` (tras reportar el error) si no existe.
+   */
+  function lookupField(node, name, module, substitution = new Map()) {
+    if (module && !requireModule(node, module)) {
+      return null;
+    }
+    const info = findField(name, module);
+    if (!info) {
+      report(node, `El campo "${module ? `${module}.` : ""}${name}" no está definido en ningún tipo registro.`, "type/unbound-field");
+      return null;
+    }
+    return {
+      info,
+      fieldType: instantiate(info.type, currentLevel, substitution),
+      recordType: instantiate(info.record, currentLevel, substitution)
+    };
+  }
+
+  /**
+   * Comprueba los campos de un registro (en una expresión o un patrón): todos deben
+   * pertenecer al mismo tipo registro (el del primer campo) y ninguno puede repetirse.
+   * @param {Array<Object>} fields - Los campos (`{ name, line, column }`).
+   * @param {Function} inferField - Infiere el valor o patrón de un campo y lo compara con su tipo.
+   * @returns {{recordType: Object, info: Object}|null} El tipo del registro y la información
+   * del primer campo, o `null` si el primer campo no existe.
+   */
+  function inferRecordFields(fields, inferField) {
+    const substitution = new Map();
+    const first = lookupField(fields[0], fields[0].name, fields[0].module, substitution);
+    if (!first) {
+      fields.forEach(field => inferField(field, freshType()));
+      return null;
+    }
+    const seen = new Set();
+    fields.forEach(field => {
+      if (seen.has(field.name)) {
+        report(field, `El campo "${field.name}" aparece más de una vez en este registro.`, "type/duplicate-field");
+      }
+      seen.add(field.name);
+      if (!first.info.fieldNames.includes(field.name)) {
+        report(field, `El campo "${field.name}" no pertenece al tipo registro "${first.info.typeName}".`, "type/wrong-field");
+        inferField(field, freshType());
+        return;
+      }
+      // Instanciamos con la misma sustitución para que todos los campos compartan los parámetros
+      // del tipo. Los campos sin calificar se buscan en el módulo del primero (`{ M.x = 1; y = 2 }`).
+      const info = findField(field.name, field.module || fields[0].module);
+      inferField(field, instantiate(info.type, currentLevel, substitution));
+    });
+    return { recordType: first.recordType, info: first.info };
+  }
+
+  /**
+   * Infiere los tipos de un grupo de definiciones (`let` o `let rec`, con posibles `and`)
+   * y devuelve un entorno hijo de `env` que las contiene con sus tipos generalizados.
+   * En un grupo recursivo, cada nombre se registra primero con una variable de tipo
+   * (monomórfica) para que los cuerpos puedan usarlo; en uno no recursivo, los cuerpos se
+   * analizan en el entorno exterior.
+   * Una definición con patrón (`let (a, b) = ...`) define cada variable del patrón con el tipo
+   * de su parte del valor.
+   * @param {Array<Object>} declarations - Nodos `LetDeclaration`, `FunctionDeclaration` o `PatternDeclaration`.
+   * @param {boolean} recursive - Si el grupo se declaró con `rec`.
+   * @param {Environment} env - El entorno exterior.
+   * @returns {{env: Environment, types: Array<Object>, bindings: Array<Array<Array<*>>>}} El nuevo
+   * entorno, el tipo de cada definición y, por cada una, los pares `[nombre, tipo]` que define.
+   */
+  function inferBindings(declarations, recursive, env) {
+    const names = declarations.flatMap(bindingNames);
+    let types;
+    let bindings;
+
+    currentLevel++;
+    if (recursive) {
+      // Un `let rec` solo define nombres (el parser rechaza los patrones): uno por definición.
+      const recursiveEnv = env.extend();
+      types = declarations.map(() => freshType());
+      names.forEach((name, i) => recursiveEnv.define(name, types[i]));
+      declarations.forEach((declaration, i) => {
+        expectType(declaration, inferDeclaration(declaration, recursiveEnv, new Set(names)), types[i]);
+      });
+      bindings = names.map((name, i) => [[name, types[i]]]);
+    } else {
+      names.forEach(name => pendingNames.add(name));
+      bindings = [];
+      types = declarations.map(declaration => {
+        const type = inferDeclaration(declaration, env, new Set());
+        bindings.push(declaration.type === "PatternDeclaration"
+          ? inferPatternBinding(declaration, type)
+          : [[bindingNames(declaration)[0], type]]);
+        return type;
+      });
+      names.forEach(name => pendingNames.delete(name));
+    }
+    currentLevel--;
+
+    // Al cerrar el `let`, las variables de tipo creadas dentro pasan a ser genéricas, salvo
+    // en las definiciones que no son valores (restricción de valores).
+    const newEnv = env.extend();
+    types.forEach((type, i) => {
+      const isValue = declarations[i].type === "FunctionDeclaration" || isNonExpansive(declarations[i].expression);
+      generalizeIfValue(type, isValue);
+      bindings[i].forEach(([name, bindingType]) => {
+        generalizeIfValue(bindingType, isValue);
+        newEnv.define(name, bindingType);
+      });
+      declarations[i].valueType = type;
+    });
+    return { env: newEnv, types, bindings };
+  }
+
+  /**
+   * Infiere el patrón de una definición `let patrón = expresión`: su tipo debe ser el de la
+   * expresión. Como en OCaml, si el patrón no es exhaustivo solo se avisa.
+   * @param {Object} declaration - El nodo `PatternDeclaration`.
+   * @param {Object} type - El tipo de la expresión.
+   * @returns {Array<Array<*>>} Los pares `[nombre, tipo]` de las variables del patrón, en orden.
+   */
+  function inferPatternBinding(declaration, type) {
+    const scope = new Environment();
+    expectType(declaration.pattern, inferPattern(declaration.pattern, scope, new Set()), type, "Este patrón");
+    const { missing } = analyzeMatch([{ pattern: declaration.pattern, guard: null }], signatureOf, fieldsOf);
+    if (missing) {
+      warn(declaration.pattern, `Este patrón no es exhaustivo. Ejemplo de valor no cubierto: ${missing}`, "warning/non-exhaustive-pattern");
+    }
+    return bindingNames(declaration).map(name => [name, scope.lookup(name)]);
+  }
+
+  /**
+   * Generaliza el tipo de una definición si su expresión es un valor. Si no lo es (por
+   * ejemplo, `ref []`), sus variables quedan como variables débiles: no son polimórficas y
+   * el primer uso las fija. Sin esta restricción, `let r = ref []` tendría tipo
+   * `'a list ref` y permitiría guardar enteros y leer cadenas de la misma referencia.
+   * @param {Object} type - El tipo de la definición.
+   * @param {boolean} isValue - Si la expresión es un valor (no expansiva).
+   */
+  function generalizeIfValue(type, isValue) {
+    if (isValue) {
+      generalize(type, currentLevel);
+    } else {
+      limitLevels(type, currentLevel);
+    }
+  }
+
+  /**
+   * Indica si una expresión es no expansiva: su evaluación no puede crear celdas mutables
+   * nuevas, así que es seguro generalizar su tipo. Lo son las constantes, las variables, las
+   * funciones y las estructuras inmutables formadas por expresiones no expansivas; las
+   * aplicaciones (como `ref []`) no lo son.
+   * @param {Object} node - El nodo de expresión.
+   * @returns {boolean} `true` si la expresión es no expansiva.
+   */
+  function isNonExpansive(node) {
+    switch (node.type) {
+      case "NumberLiteral":
+      case "FloatLiteral":
+      case "CharLiteral":
+      case "StringLiteral":
+      case "BooleanLiteral":
+      case "Identifier":
+      case "FunctionExpression":
+        return true;
+      case "ConstructorExpression":
+        return !node.argument || isNonExpansive(node.argument);
+      case "TupleExpression":
+      case "ListExpression":
+        return node.elements.every(isNonExpansive);
+      case "ArrayExpression":
+        return node.elements.length === 0;
+      case "ConsExpression":
+        return isNonExpansive(node.head) && isNonExpansive(node.tail);
+      case "RecordExpression":
+        // Un registro con campos mutables es una celda nueva en cada evaluación.
+        return !node.base && node.fields.every(field => {
+          const info = findField(field.name, field.module || node.fields[0].module);
+          return !(info && info.mutableFields.includes(field.name)) && isNonExpansive(field.value);
+        });
+      case "FieldAccessExpression":
+        return isNonExpansive(node.record);
+      case "LetExpression":
+        return node.declarations.every(declaration => declaration.type === "FunctionDeclaration" || isNonExpansive(declaration.expression)) &&
+          isNonExpansive(node.body);
+      case "IfExpression":
+        return isNonExpansive(node.thenBranch) && (!node.elseBranch || isNonExpansive(node.elseBranch));
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Exige que una expresión cuyo valor se descarta (en una secuencia o en el cuerpo de un
+   * bucle) sea de tipo `unit`. Como en OCaml, si no lo es solo se avisa.
+   * @param {Object} node - La expresión.
+   * @param {Object} type - Su tipo.
+   */
+  function expectUnit(node, type) {
+    type = prune(type);
+    if (type instanceof TypeConstructor && type.name !== "unit") {
+      const hint = type.name === "->" ? " (¿falta algún argumento en la aplicación?)" : "";
+      const { start, end } = rangeOf(node);
+      warn(node, `Esta expresión tiene tipo ${typeToString(type)} y su valor se descarta: debería tener tipo unit${hint}.`, "warning/non-unit-statement", {
+        fixes: [{
+          message: "Descartar el valor con 'ignore'.",
+          edits: [{ range: { start, end: start }, text: "ignore (" }, { range: { start: end, end }, text: ")" }]
+        }]
+      });
+    }
+  }
+
+  /**
+   * Infiere el tipo del lado derecho de una definición individual.
+   * @param {Object} declaration - Un nodo `LetDeclaration`, `FunctionDeclaration` o `PatternDeclaration`.
+   * @param {Environment} env - El entorno donde se analiza.
+   * @param {Set<string>} recursiveNames - Nombres del `let rec` al que pertenece (vacío si no es recursiva).
+   * @returns {Object} El tipo de la definición.
+   */
+  function inferDeclaration(declaration, env, recursiveNames) {
+    if (declaration.type === "FunctionDeclaration") {
+      return inferFunction(declaration.params, declaration.body, env);
+    }
+    // Solo las funciones pueden referirse a sí mismas en un `let rec`.
+    const outerRestricted = restrictedNames;
+    restrictedNames = declaration.expression.type === "FunctionExpression" ? new Set() : recursiveNames;
+    const type = infer(declaration.expression, env);
+    restrictedNames = outerRestricted;
+    return type;
+  }
+
+  /**
+   * Infiere el tipo de una función con parámetros: `t1 -> t2 -> ... -> resultado`.
+   * @param {Array<Object>} params - Los patrones de los parámetros.
+   * @param {Object} body - El cuerpo de la función.
+   * @param {Environment} env - El entorno donde se define la función.
+   * @returns {Object} El tipo de la función.
+   */
+  function inferFunction(params, body, env) {
+    const scope = env.extend();
+    const seen = new Set();
+    const paramTypes = params.map(param => {
+      const type = inferPattern(param, scope, seen);
+      // Un parámetro con un patrón refutable (como `0` o `Some x`) puede fallar en tiempo de ejecución.
+      const { missing } = analyzeMatch([{ pattern: param, guard: null }], signatureOf, fieldsOf);
+      if (missing) {
+        warn(param, `Este patrón de parámetro no es exhaustivo. Ejemplo de valor no cubierto: ${missing}`, "warning/non-exhaustive-pattern");
+      }
+      return type;
+    });
+
+    // Dentro de una función, los nombres de un `let rec` exterior ya pueden usarse libremente.
+    const outerRestricted = restrictedNames;
+    restrictedNames = new Set();
+    const bodyType = infer(body, scope);
+    restrictedNames = outerRestricted;
+
+    return paramTypes.reduceRight((result, param) => functionType(param, result), bodyType);
+  }
+
+  /**
+   * Analiza una lista de casos (de un `match` o de una función `function`): cada patrón debe
+   * tener el tipo del valor analizado, cada guarda debe ser una condición y todos los cuerpos
+   * deben tener el mismo tipo. Después avisa de los casos redundantes y de los valores no cubiertos.
+   * @param {Array<Object>} cases - Los casos (`{ pattern, guard, body }`).
+   * @param {Object} scrutineeType - El tipo del valor que se compara con los patrones.
+   * @param {Object} resultType - El tipo que deben tener los cuerpos.
+   * @param {Environment} env - El entorno exterior a los casos.
+   * @param {Object} node - El nodo `match`/`function`, para la posición del aviso.
+   * @param {boolean} [checkExhaustive] - Si hay que avisar de valores no cubiertos (no en un
+   * `try`, donde las excepciones no capturadas simplemente se propagan).
+   */
+  function inferCases(cases, scrutineeType, resultType, env, node, checkExhaustive = true) {
+    cases.forEach(matchCase => {
+      const scope = env.extend();
+      expectType(matchCase.pattern, inferPattern(matchCase.pattern, scope, new Set()), scrutineeType, "Este patrón");
+      if (matchCase.guard) {
+        expectType(matchCase.guard, infer(matchCase.guard, scope), boolType);
+      }
+      expectType(matchCase.body, infer(matchCase.body, scope), resultType);
+    });
+
+    const { missing, redundant } = analyzeMatch(cases, signatureOf, fieldsOf);
+    redundant.forEach(matchCase => {
+      warn(matchCase, "Este caso no se usa nunca: los casos anteriores ya cubren todos sus valores.", "warning/unused-case");
+    });
+    if (missing && checkExhaustive) {
+      warn(node, `Este 'match' no es exhaustivo. Ejemplo de valor no cubierto: ${missing}`, "warning/non-exhaustive-match");
+    }
+  }
+
+  /**
+   * Infiere el tipo de un patrón y define en `scope` las variables que introduce, cada una
+   * con un tipo monomórfico (las variables de un patrón no son polimórficas).
+   * @param {Object} pattern - El nodo de patrón.
+   * @param {Environment} scope - El alcance donde se definen las variables.
+   * @param {Set<string>} seen - Variables ya introducidas en el mismo patrón (para detectar repeticiones).
+   * @returns {Object} El tipo del patrón.
+   */
+  function inferPattern(pattern, scope, seen) {
+    switch (pattern.type) {
+      case "WildcardPattern":
+        return freshType();
+      case "VariablePattern":
+        pattern.valueType = freshType();
+        return bindPatternVariable(pattern, pattern.name, pattern.valueType, scope, seen);
+      case "LiteralPattern":
+        return infer(pattern.literal, scope);
+      case "AliasPattern":
+        return bindPatternVariable(pattern, pattern.name, inferPattern(pattern.pattern, scope, seen), scope, seen);
+      case "TuplePattern":
+        return tupleType(pattern.elements.map(element => inferPattern(element, scope, seen)));
+      case "ListPattern": {
+        const elementType = freshType();
+        pattern.elements.forEach(element => {
+          expectType(element, inferPattern(element, scope, seen), elementType, "Este patrón");
+        });
+        return listType(elementType);
+      }
+      case "ConsPattern": {
+        const headType = inferPattern(pattern.head, scope, seen);
+        const tailType = inferPattern(pattern.tail, scope, seen);
+        expectType(pattern.tail, tailType, listType(headType), "Este patrón");
+        return listType(headType);
+      }
+      case "ConstructorPattern":
+        return inferConstructor(pattern, pattern.argument, argument => inferPattern(argument, scope, seen), "Este patrón");
+      case "OrPattern":
+        return inferOrPattern(pattern, scope, seen);
+      case "RecordPattern": {
+        const record = inferRecordFields(pattern.fields, (field, fieldType) => {
+          expectType(field.pattern, inferPattern(field.pattern, scope, seen), fieldType, "Este patrón");
+        });
+        return record ? record.recordType : freshType();
+      }
+      default:
+        return freshType();
+    }
+  }
+
+  /**
+   * Define una variable de patrón, reportando si ya aparecía en el mismo patrón.
+   * @param {Object} node - El nodo que introduce la variable (para la posición).
+   * @param {string} name - El nombre de la variable.
+   * @param {Object} type - Su tipo.
+   * @param {Environment} scope - El alcance donde se define.
+   * @param {Set<string>} seen - Variables ya introducidas en el patrón.
+   * @returns {Object} El tipo de la variable.
+   */
+  function bindPatternVariable(node, name, type, scope, seen) {
+    if (seen.has(name)) {
+      report(node, `La variable "${name}" aparece más de una vez en el mismo patrón.`, "type/duplicate-variable");
+    }
+    seen.add(name);
+    scope.define(name, type);
+    return type;
+  }
+
+  /**
+   * Infiere el tipo de un patrón alternativo `p1 | p2`: ambos lados deben tener el mismo
+   * tipo e introducir exactamente las mismas variables, con los mismos tipos.
+   * @param {Object} pattern - El nodo `OrPattern`.
+   * @param {Environment} scope - El alcance donde se definen las variables.
+   * @param {Set<string>} seen - Variables ya introducidas en el patrón.
+   * @returns {Object} El tipo del patrón.
+   */
+  function inferOrPattern(pattern, scope, seen) {
+    const leftScope = new Environment();
+    const rightScope = new Environment();
+    const leftSeen = new Set();
+    const rightSeen = new Set();
+    const type = inferPattern(pattern.left, leftScope, leftSeen);
+    expectType(pattern.right, inferPattern(pattern.right, rightScope, rightSeen), type, "Este patrón");
+
+    [...leftSeen].filter(name => !rightSeen.has(name))
+      .concat([...rightSeen].filter(name => !leftSeen.has(name)))
+      .forEach(name => report(pattern, `La variable "${name}" debe aparecer en ambos lados del patrón '|'.`, "type/or-pattern-variables"));
+
+    leftSeen.forEach(name => {
+      if (rightSeen.has(name)) {
+        expectType(pattern.right, rightScope.lookup(name), leftScope.lookup(name), "Este patrón");
+      }
+      bindPatternVariable(pattern, name, leftScope.lookup(name), scope, seen);
+    });
+    return type;
+  }
+
+  /**
+   * Infiere el tipo de la aplicación de un constructor (en una expresión o en un patrón),
+   * comprobando que recibe el número de argumentos que declara.
+   * @param {Object} node - El nodo del constructor (con `name`).
+   * @param {Object|null} argument - El argumento (expresión o patrón), o `null`.
+   * @param {Function} inferArgument - Función que infiere el tipo del argumento.
+   * @param {string} what - "Esta expresión" o "Este patrón", para los mensajes.
+   * @returns {Object} El tipo del valor construido.
+   */
+  function inferConstructor(node, argument, inferArgument, what) {
+    const info = lookupQualified(node, node.name, "constructors", constructors);
+    if (!info) {
+      if (info === undefined) {
+        report(node, `Constructor "${node.name}" no definido.`, "type/unbound-constructor");
+      }
+      if (argument) inferArgument(argument);
+      return freshType();
+    }
+
+    // El intérprete usa la posición del constructor en su tipo para ordenar los valores, y su
+    // nombre calificado para distinguirlo de los constructores homónimos de otros módulos.
+    node.tag = info.tag || 0;
+    node.qualifiedName = info.qualifiedName || node.name;
+
+    // Instanciamos juntos los argumentos y el resultado para que compartan las variables.
+    const substitution = new Map();
+    const argTypes = info.args.map(arg => instantiate(arg, currentLevel, substitution));
+    const resultType = instantiate(info.result, currentLevel, substitution);
+
+    if (!argument) {
+      if (argTypes.length > 0) {
+        report(node, `El constructor "${node.name}" espera ${argTypes.length} argumento(s), pero se aplicó a 0.`, "type/constructor-arity");
+      }
+      return resultType;
+    }
+    if (argTypes.length === 0) {
+      report(node, `El constructor "${node.name}" no espera argumentos, pero se aplicó a 1.`, "type/constructor-arity");
+      inferArgument(argument);
+      return resultType;
+    }
+
+    if (argTypes.length > 1) {
+      // Un constructor con varios argumentos se aplica a una tupla escrita en el propio código
+      // (`Node (l, v, r)`); en un patrón también se admite `Node _`.
+      const tuple = ["TuplePattern", "TupleExpression"].includes(argument.type);
+      if (tuple ? argument.elements.length !== argTypes.length : argument.type !== "WildcardPattern") {
+        report(node, `El constructor "${node.name}" espera ${argTypes.length} argumento(s), pero se aplicó a ${tuple ? argument.elements.length : 1}.`, "type/constructor-arity");
+        inferArgument(argument);
+        return resultType;
+      }
+    }
+    const expected = argTypes.length === 1 ? argTypes[0] : tupleType(argTypes);
+    expectType(argument, inferArgument(argument), expected, what);
+    return resultType;
+  }
+
+  /**
+   * Infiere el tipo de una expresión.
+   * @param {Object} node - El nodo de expresión.
+   * @param {Environment} env - El entorno de tipos actual.
+   * @returns {Object} El tipo de la expresión.
+   */
+  function infer(node, env) {
+    switch (node.type) {
+      case "NumberLiteral":
+        return intType;
+      case "FloatLiteral":
+        return floatType;
+      case "CharLiteral":
+        return charType;
+      case "StringLiteral":
+        return stringType;
+      case "BooleanLiteral":
+        return boolType;
+      case "Identifier": {
+        // Un `let rec` que no define una función no puede usar los nombres que está definiendo.
+        if (restrictedNames.has(node.value)) {
+          report(node, `Este tipo de expresión no está permitido como lado derecho de un 'let rec' (usa "${node.value}" antes de que esté definido).`, "type/invalid-let-rec");
+          return freshType();
+        }
+        const type = lookupQualified(node, node.value, "values", env);
+        if (type === null) {
+          return freshType();
+        }
+        if (!type) {
+          // Si el nombre es el de una función que se está definiendo sin `rec`, sugerimos añadirlo.
+          const hint = pendingNames.has(node.value) ? ` ¿Falta 'rec' en la definición de "${node.value}"?` : "";
+          // Si no, y el nombre se parece a uno definido, sugerimos cambiarlo (probablemente es una errata).
+          const similar = hint || node.value.includes(".") ? null : similarName(node.value, env);
+          report(node, `Variable "${node.value}" usada sin declarar.${hint}`, "type/unbound-value", {
+            fixes: similar ? [{ message: `Cambiar por "${similar}".`, edits: [{ range: rangeOf(node), text: similar }] }] : []
+          });
+          return freshType();
+        }
+        // Cada uso de un nombre polimórfico obtiene una instancia nueva de su tipo.
+        node.valueType = instantiate(type, currentLevel);
+        return node.valueType;
+      }
+      case "LetOpenExpression": {
+        // Los componentes del módulo solo son visibles dentro del cuerpo.
+        const saved = enterScope();
+        const type = infer(node.body, openModule(node, node.module, env));
+        exitScope(saved);
+        return type;
+      }
+      case "LetExpression": {
+        // Las definiciones de un `let ... in` solo son visibles dentro de su cuerpo.
+        const { env: bodyEnv } = inferBindings(node.declarations, node.recursive, env);
+        return infer(node.body, bodyEnv);
+      }
+      case "FunctionExpression": {
+        if (!node.cases) {
+          return inferFunction(node.params, node.body, env);
+        }
+        // Una función `function` recibe un argumento y lo compara con cada caso.
+        const argType = freshType();
+        const resultType = freshType();
+        inferCases(node.cases, argType, resultType, env, node);
+        return functionType(argType, resultType);
+      }
+      case "TryExpression": {
+        // El cuerpo y los manejadores deben tener el mismo tipo; los patrones son excepciones.
+        const resultType = infer(node.body, env);
+        inferCases(node.cases, exnType, resultType, env, node, false);
+        return resultType;
+      }
+      case "MatchExpression": {
+        const scrutineeType = infer(node.scrutinee, env);
+        const resultType = freshType();
+        inferCases(node.cases, scrutineeType, resultType, env, node);
+        return resultType;
+      }
+      case "ApplicationExpression": {
+        const calleeType = prune(infer(node.callee, env));
+        // Un literal de cadena pasado donde se espera un formato (`Printf.printf "%d\n"`)
+        // se lee como cadena de formato.
+        const expectsFormat = calleeType instanceof TypeConstructor && calleeType.name === "->" &&
+          prune(calleeType.args[0]).name === "format" && node.argument.type === "StringLiteral";
+        const argType = expectsFormat ? formatLiteralType(node.argument) : infer(node.argument, env);
+        const resultType = freshType();
+        if (calleeType instanceof TypeConstructor && calleeType.name !== "->") {
+          report(node.callee, `Esta expresión tiene tipo ${typeToString(calleeType)}; no es una función y no se puede aplicar.`, "type/not-a-function");
+          return resultType;
+        }
+        if (calleeType instanceof TypeConstructor) {
+          // El argumento debe tener el tipo del parámetro de la función.
+          expectType(node.argument, argType, calleeType.args[0]);
+          return calleeType.args[1];
+        }
+        // Si aún no se conoce el tipo de la función, lo deducimos de su uso.
+        expectType(node.callee, calleeType, functionType(argType, resultType));
+        return resultType;
+      }
+      case "BinaryExpression": {
+        const leftType = infer(node.left, env);
+        const rightType = infer(node.right, env);
+        if (['=', '<>', '<', '>', '<=', '>=', '==', '!='].includes(node.operator)) {
+          // Las comparaciones aceptan dos valores de un mismo tipo cualquiera: `'a -> 'a -> bool`.
+          expectType(node.right, rightType, leftType);
+          // El traductor a JavaScript compara directamente los tipos básicos.
+          node.operandType = leftType;
+          if (['==', '!='].includes(node.operator)) checkPhysicalEquality(node, leftType);
+          return boolType;
+        }
+        if (['&&', '||'].includes(node.operator)) {
+          expectType(node.left, leftType, boolType);
+          expectType(node.right, rightType, boolType);
+          return boolType;
+        }
+        if (node.operator === '@') {
+          // `@` concatena dos listas del mismo tipo: `'a list -> 'a list -> 'a list`.
+          const resultType = listType(freshType());
+          expectType(node.left, leftType, resultType);
+          expectType(node.right, rightType, resultType);
+          return resultType;
+        }
+        if (node.operator === '^') {
+          expectType(node.left, leftType, stringType);
+          expectType(node.right, rightType, stringType);
+          return stringType;
+        }
+        if (node.operator === ':=') {
+          // `r := v` guarda en la referencia un valor de su tipo: `'a ref -> 'a -> unit`.
+          expectType(node.left, leftType, refType(rightType));
+          return unitType;
+        }
+        // OCaml no convierte entre `int` y `float`: los operadores aritméticos enteros
+        // (`+`, `-`, `*`, `/`, `mod` y los de bits, `land`, `lsl`, ...) y los de coma flotante
+        // (`+.`, `-.`, `*.`, `/.`, `**`) son distintos.
+        const operandType = FLOAT_OPERATORS.includes(node.operator) ? floatType : intType;
+        expectType(node.left, leftType, operandType);
+        expectType(node.right, rightType, operandType);
+        return operandType;
+      }
+      case "TupleExpression":
+        return tupleType(node.elements.map(element => infer(element, env)));
+      case "ConstructorExpression":
+        return inferConstructor(node, node.argument, argument => infer(argument, env), "Esta expresión");
+      case "RecordExpression": {
+        const record = inferRecordFields(node.fields, (field, fieldType) => {
+          expectType(field.value, infer(field.value, env), fieldType);
+        });
+        if (!record) {
+          if (node.base) infer(node.base, env);
+          return freshType();
+        }
+        // El intérprete crea los registros con los campos en el orden de su declaración y
+        // necesita saber cuáles son mutables.
+        node.fieldOrder = record.info.fieldNames;
+        node.mutableFields = record.info.mutableFields;
+        if (node.base) {
+          // `{ r with ... }` copia `r`, que debe ser del mismo tipo registro.
+          expectType(node.base, infer(node.base, env), record.recordType);
+        } else {
+          const missing = record.info.fieldNames.filter(name => !node.fields.some(field => field.name === name));
+          if (missing.length > 0) {
+            report(node, `Faltan campos en este registro del tipo "${record.info.typeName}": ${missing.join(", ")}.`, "type/missing-fields");
+          }
+        }
+        return record.recordType;
+      }
+      case "FieldAccessExpression": {
+        const recordType = infer(node.record, env);
+        const field = lookupField(node, node.field, node.module);
+        if (!field) return freshType();
+        expectType(node.record, recordType, field.recordType);
+        return field.fieldType;
+      }
+      case "ArrayExpression": {
+        const elementType = freshType();
+        node.elements.forEach(element => expectType(element, infer(element, env), elementType));
+        return arrayType(elementType);
+      }
+      case "ArrayAccessExpression": {
+        const elementType = freshType();
+        expectType(node.array, infer(node.array, env), arrayType(elementType));
+        expectType(node.index, infer(node.index, env), intType);
+        return elementType;
+      }
+      case "AssignmentExpression": {
+        // `r.campo <- v` exige un campo mutable; `a.(i) <- v`, un elemento del tipo del array.
+        const targetType = infer(node.target, env);
+        if (node.target.type === "FieldAccessExpression") {
+          const info = findField(node.target.field, node.target.module);
+          if (info && !info.mutableFields.includes(node.target.field)) {
+            report(node.target, `El campo "${node.target.field}" del tipo "${info.typeName}" no es mutable.`, "type/immutable-field");
+          }
+        }
+        expectType(node.value, infer(node.value, env), targetType);
+        return unitType;
+      }
+      case "SequenceExpression": {
+        // Las expresiones anteriores a la última solo se evalúan por sus efectos.
+        node.expressions.slice(0, -1).forEach(expression => expectUnit(expression, infer(expression, env)));
+        return infer(node.expressions[node.expressions.length - 1], env);
+      }
+      case "WhileExpression":
+        expectType(node.condition, infer(node.condition, env), boolType);
+        expectUnit(node.body, infer(node.body, env));
+        return unitType;
+      case "ForExpression": {
+        expectType(node.start, infer(node.start, env), intType);
+        expectType(node.end, infer(node.end, env), intType);
+        // La variable del bucle es un entero visible solo en el cuerpo.
+        const scope = env.extend();
+        scope.define(node.variable, intType);
+        expectUnit(node.body, infer(node.body, scope));
+        return unitType;
+      }
+      case "ListExpression": {
+        // Todos los elementos de una lista tienen el mismo tipo.
+        const elementType = freshType();
+        node.elements.forEach(element => expectType(element, infer(element, env), elementType));
+        return listType(elementType);
+      }
+      case "ConsExpression": {
+        const headType = infer(node.head, env);
+        expectType(node.tail, infer(node.tail, env), listType(headType));
+        return listType(headType);
+      }
+      case "UnaryExpression": {
+        if (node.operator === '!') {
+          // `!r` lee el contenido de una referencia: `'a ref -> 'a`.
+          const contentType = freshType();
+          expectType(node.operand, infer(node.operand, env), refType(contentType));
+          return contentType;
+        }
+        // `-` niega un entero y `-.` un `float`.
+        const operandType = node.operator === '-.' ? floatType : intType;
+        expectType(node.operand, infer(node.operand, env), operandType);
+        return operandType;
+      }
+      case "IfExpression": {
+        // La condición debe ser un booleano.
+        expectType(node.condition, infer(node.condition, env), boolType);
+        const thenType = infer(node.thenBranch, env);
+        if (!node.elseBranch) {
+          // Sin `else`, el `if` vale `()` cuando la condición es falsa, así que la rama `then` debe ser `unit`.
+          expectType(node.thenBranch, thenType, unitType);
+          return unitType;
+        }
+        // Ambas ramas deben tener el mismo tipo, que es el tipo del `if`.
+        expectType(node.elseBranch, infer(node.elseBranch, env), thenType);
+        return thenType;
+      }
+      default:
+        report(node, `Tipo de nodo no soportado por el análisis semántico: ${node.type}.`, "type/unsupported");
+        return freshType();
+    }
+  }
+
+  /**
+   * Analiza una secuencia de sentencias (las del programa o las del cuerpo de un módulo).
+   * Cada definición amplía el entorno y cada sentencia queda anotada con su tipo para que el
+   * intérprete lo muestre. Dentro de un módulo, las definiciones se exportan a `currentModule`.
+   * @param {Array<Object>} items - Las sentencias.
+   * @param {Environment} env - El entorno inicial.
+   * @returns {Environment} El entorno con todas las definiciones.
+   */
+  function inferStructure(items, env) {
+    for (const statement of items) {
+      switch (statement.type) {
+        case "LetDeclaration":
+        case "FunctionDeclaration":
+        case "PatternDeclaration":
+        case "DeclarationGroup": {
+          const declarations = statement.type === "DeclarationGroup" ? statement.declarations : [statement];
+          const { env: newEnv, types, bindings } = inferBindings(declarations, statement.recursive, env);
+          env = newEnv;
+          declarations.forEach((declaration, i) => {
+            declaration.inferredType = typeToString(types[i], new Map(), weakNames, modulePath);
+            if (declaration.type === "PatternDeclaration") {
+              declaration.inferredTypes = bindings[i].map(([, type]) => typeToString(type, new Map(), weakNames, modulePath));
+            }
+            if (currentModule) {
+              bindings[i].forEach(([name, type]) => currentModule.values.set(name, type));
+            }
+          });
+          break;
+        }
+        case "TypeDeclaration":
+          declareTypes(statement);
+          break;
+        case "ExceptionDeclaration":
+          // Una excepción es un constructor más del tipo `exn`; sus argumentos no pueden ser polimórficos.
+          declare("constructors", statement.name, {
+            typeName: "exn",
+            qualifiedName: modulePath + statement.name,
+            args: statement.args.map(arg => resolveTypeExpression(arg, new Map())),
+            result: exnType
+          });
+          break;
+        case "ModuleDeclaration":
+          declare("modules", statement.name, inferModule(statement, env));
+          break;
+        case "ModuleTypeDeclaration":
+          checkSignature(statement.name, statement.signature);
+          moduleTypes.set(statement.name, statement.signature);
+          break;
+        case "OpenDeclaration":
+          env = openModule(statement, statement.module, env);
+          break;
+        case "TopLevelExpression": {
+          currentLevel++;
+          const type = infer(statement.expression, env);
+          currentLevel--;
+          generalizeIfValue(type, isNonExpansive(statement.expression));
+          statement.inferredType = typeToString(type, new Map(), weakNames);
+          break;
+        }
+      }
+    }
+    return env;
+  }
+
+  /**
+   * Hace visibles sin calificar los componentes de un módulo (`open M`): sus valores en un
+   * entorno hijo de `env` y sus tipos, constructores, campos y submódulos en las tablas del
+   * alcance actual (que no se exportan: `open` no añade componentes al módulo que lo usa).
+   * @param {Object} node - El nodo que abre el módulo (para la posición del error).
+   * @param {string} path - La ruta del módulo.
+   * @param {Environment} env - El entorno actual.
+   * @returns {Environment} El entorno con los valores del módulo.
+   */
+  function openModule(node, path, env) {
+    const module = requireModule(node, path);
+    if (!module) return env;
+    const scope = env.extend();
+    module.values.forEach((type, name) => scope.define(name, type));
+    module.types.forEach((entry, name) => typeDefinitions.set(name, entry));
+    module.constructors.forEach((entry, name) => constructors.set(name, entry));
+    module.fields.forEach((entry, name) => recordFields.set(name, entry));
+    module.modules.forEach((entry, name) => modules.set(name, entry));
+    return scope;
+  }
+
+  /**
+   * Analiza la definición de un módulo y devuelve sus componentes. Si el módulo se
+   * restringe con una firma, devuelve solo lo que la firma exporta.
+   * @param {Object} declaration - El nodo `ModuleDeclaration`.
+   * @param {Environment} env - El entorno donde se define el módulo.
+   * @returns {Object} Los componentes del módulo.
+   */
+  function inferModule(declaration, env) {
+    let module;
+    if (declaration.body.type === "ModulePath") {
+      module = requireModule(declaration.body, declaration.body.name) || emptyModule();
+    } else {
+      const saved = enterScope();
+      const outer = { currentModule, modulePath };
+      currentModule = emptyModule();
+      modulePath = `${modulePath}${declaration.name}.`;
+      inferStructure(declaration.body.items, env);
+      module = currentModule;
+      ({ currentModule, modulePath } = outer);
+      exitScope(saved);
+    }
+    if (!declaration.signature) {
+      return module;
+    }
+    const signature = declaration.signature.type === "ModuleTypePath"
+      ? moduleTypes.get(declaration.signature.name)
+      : declaration.signature;
+    if (!signature) {
+      report(declaration.signature, `La firma "${declaration.signature.name}" no está definida.`, "type/unbound-signature");
+      return module;
+    }
+    const restricted = matchSignature(declaration, module, signature);
+    // El intérprete solo debe exportar los valores y submódulos que la firma deja ver.
+    declaration.exports = [...restricted.values.keys(), ...restricted.modules.keys()];
+    return restricted;
+  }
+
+  /**
+   * Comprueba que las expresiones de tipo de una firma declarada con `module type` son
+   * válidas. Los tipos que la firma declara se registran en un alcance temporal, fuera de
+   * cualquier módulo (no son componentes del módulo que la declara).
+   * @param {string} name - El nombre de la firma.
+   * @param {Object} signature - El nodo `Signature` o `ModuleTypePath`.
+   */
+  function checkSignature(name, signature) {
+    if (signature.type === "ModuleTypePath") {
+      if (!moduleTypes.has(signature.name)) {
+        report(signature, `La firma "${signature.name}" no está definida.`, "type/unbound-signature");
+      }
+      return;
+    }
+    const saved = enterScope();
+    const outer = { currentModule, modulePath };
+    currentModule = null;
+    modulePath = `${modulePath}${name}.`;
+    signature.items.forEach(item => {
+      if (item.type === "TypeDeclaration") {
+        declareTypes(item);
+      } else if (item.type === "ExceptionDeclaration") {
+        item.args.forEach(arg => resolveTypeExpression(arg, new Map()));
+      } else {
+        resolveValueSpecification(item, () => new TypeVariable(GENERIC_LEVEL));
+      }
+    });
+    ({ currentModule, modulePath } = outer);
+    exitScope(saved);
+  }
+
+  /**
+   * Convierte el tipo de una especificación `val nombre : tipo` en un tipo. Sus variables de
+   * tipo están cuantificadas implícitamente; `makeVariable` decide cómo se representan.
+   * @param {Object} specification - El nodo `ValueSpecification`.
+   * @param {Function} makeVariable - Crea el tipo de una variable a partir de su nombre.
+   * @returns {Object} El tipo.
+   */
+  function resolveValueSpecification(specification, makeVariable) {
+    const params = new Map([...typeVariablesOf(specification.typeExpression)].map(name => [name, makeVariable(name)]));
+    return resolveTypeExpression(specification.typeExpression, params);
+  }
+
+  /**
+   * Comprueba que un módulo cumple una firma y devuelve la vista del módulo que la firma
+   * deja ver: solo los componentes que declara, con los tipos abstractos (`type t`) ocultos.
+   *
+   * Cada `val` de la firma se resuelve dos veces. Con los tipos del módulo (donde `t` es su
+   * definición real) se comprueba que el valor del módulo es al menos tan general como el de
+   * la firma; sus variables de tipo se representan como tipos rígidos (`'a` no puede
+   * unificarse con `int`). Con los tipos de la firma (donde `t` es abstracto) se obtiene el
+   * tipo que ven los usuarios del módulo.
+   * @param {Object} declaration - El nodo `ModuleDeclaration`.
+   * @param {Object} module - Los componentes del módulo.
+   * @param {Object} signature - El nodo `Signature`.
+   * @returns {Object} Los componentes visibles del módulo.
+   */
+  function matchSignature(declaration, module, signature) {
+    const result = emptyModule();
+    const mismatch = detail => report(declaration, `El módulo "${declaration.name}" no cumple su firma: ${detail}.`, "type/signature-mismatch", {
+      related: [{ message: "La firma.", range: rangeOf(signature) }]
+    });
+    const inside = new Map(); // Tipos de la firma según el módulo.
+    const outside = new Map(); // Tipos de la firma según sus usuarios.
+
+    signature.items.filter(item => item.type === "TypeDeclaration").forEach(item => {
+      item.definitions.forEach(definition => {
+        const entry = module.types.get(definition.name);
+        if (!entry) {
+          mismatch(`falta el tipo "${definition.name}"`);
+          return;
+        }
+        if (entry.arity !== definition.params.length) {
+          mismatch(`el tipo "${definition.name}" tiene ${entry.arity} parámetro(s), pero la firma declara ${definition.params.length}`);
+          return;
+        }
+        inside.set(definition.name, entry);
+        if (definition.kind === "abstract") {
+          // Fuera del módulo, un tipo abstracto no es igual a ningún otro: ni siquiera a su definición.
+          outside.set(definition.name, { arity: entry.arity, name: entry.name, kind: "abstract" });
+          return;
+        }
+        if (!sameTypeDefinition(definition, entry, module)) {
+          mismatch(`el tipo "${definition.name}" no tiene la misma definición en el módulo y en la firma`);
+          return;
+        }
+        outside.set(definition.name, entry);
+        module.constructors.forEach((info, name) => {
+          if (info.typeName === entry.name) result.constructors.set(name, info);
+        });
+        module.fields.forEach((info, name) => {
+          if (info.typeName === entry.name) result.fields.set(name, info);
+        });
+      });
+    });
+    result.types = new Map(outside);
+
+    const saved = enterScope();
+    signature.items.forEach(item => {
+      if (item.type === "ExceptionDeclaration") {
+        const info = module.constructors.get(item.name);
+        if (!info || info.typeName !== "exn") {
+          mismatch(`falta la excepción "${item.name}"`);
+        } else if (info.args.length !== item.args.length) {
+          mismatch(`la excepción "${item.name}" tiene ${info.args.length} argumento(s), pero la firma declara ${item.args.length}`);
+        } else {
+          result.constructors.set(item.name, info);
+        }
+      } else if (item.type === "ValueSpecification") {
+        const implementation = module.values.get(item.name);
+        inside.forEach((entry, name) => typeDefinitions.set(name, entry));
+        const rigid = resolveValueSpecification(item, name => new TypeConstructor(name));
+        if (!implementation) {
+          mismatch(`falta el valor "${item.name}" de tipo ${typeToString(rigid)}`);
+          return;
+        }
+        const actual = instantiate(implementation, currentLevel + 1);
+        try {
+          unify(actual, rigid);
+        } catch (error) {
+          if (!(error instanceof UnificationError)) throw error;
+          mismatch(`el valor "${item.name}" tiene tipo ${typeToString(implementation)}, pero la firma declara ${typeToString(rigid)}`);
+          return;
+        }
+        outside.forEach((entry, name) => typeDefinitions.set(name, entry));
+        result.values.set(item.name, resolveValueSpecification(item, () => new TypeVariable(GENERIC_LEVEL)));
+      }
+    });
+    exitScope(saved);
+    return result;
+  }
+
+  /**
+   * Compara la definición de un tipo en una firma (variante, registro o alias) con la del
+   * módulo: mismos constructores con el mismo número de argumentos, mismos campos en el mismo
+   * orden o alias del mismo tipo.
+   * @param {Object} definition - La definición de la firma.
+   * @param {Object} entry - El tipo del módulo.
+   * @param {Object} module - Los componentes del módulo.
+   * @returns {boolean} `true` si coinciden.
+   */
+  function sameTypeDefinition(definition, entry, module) {
+    if (definition.kind !== entry.kind) return false;
+    if (definition.kind === "variant") {
+      const implemented = [...module.constructors.entries()].filter(([, info]) => info.typeName === entry.name);
+      return implemented.length === definition.constructors.length &&
+        definition.constructors.every((constructor, i) =>
+          implemented[i][0] === constructor.name && implemented[i][1].args.length === constructor.args.length);
+    }
+    if (definition.kind === "record") {
+      const info = [...module.fields.values()].find(field => field.typeName === entry.name);
+      return Boolean(info) && info.fieldNames.join() === definition.fields.map(field => field.name).join();
+    }
+    const saved = enterScope();
+    module.types.forEach((other, name) => typeDefinitions.set(name, other));
+    const params = new Map(definition.params.map((name, i) => [name, entry.params[i]]));
+    const alias = resolveTypeExpression(definition.alias, params);
+    exitScope(saved);
+    try {
+      const substitution = new Map();
+      unify(instantiate(alias, currentLevel, substitution), instantiate(entry.alias, currentLevel, substitution));
+      return true;
+    } catch (error) {
+      if (!(error instanceof UnificationError)) throw error;
+      return false;
+    }
+  }
+
+  /**
+   * Guarda el estado del nivel superior (las tablas y el entorno de valores) para poder
+   * volver a él con `restore`.
+   * @returns {Object} El estado guardado.
+   */
+  function save() {
+    return { ...enterScope(), env: globalEnv };
+  }
+
+  /**
+   * Vuelve al estado guardado por `save`, descartando las definiciones posteriores.
+   * @param {Object} state - El estado guardado.
+   */
+  function restore(state) {
+    exitScope(state);
+    globalEnv = state.env;
+  }
+
+  return {
+    /**
+     * Analiza un programa (o una frase) a continuación de los ya analizados.
+     * @param {Object} ast - El Árbol de Sintaxis Abstracta generado por el parser.
+     * @returns {Array<Object>} Los diagnósticos (errores y avisos) semánticos; vacía si no hay
+     * ninguno.
+     */
+    analyze(ast) {
+      errors.length = 0;
+      const state = save();
+      const env = inferStructure(ast.body, globalEnv);
+      if (hasErrors(errors)) {
+        restore(state);
+      } else {
+        globalEnv = env;
+      }
+      return [...errors];
+    },
+    save,
+    restore,
+    /**
+     * Devuelve el tipo actual de un valor del nivel superior (`x`) o de un módulo (`List.map`).
+     * @param {string} path - El nombre del valor, calificado o no.
+     * @returns {string|null} El tipo en sintaxis OCaml, o `null` si el valor no existe.
+     */
+    typeOf(path) {
+      const dot = path.lastIndexOf(".");
+      const type = dot < 0 ? globalEnv.lookup(path) : findModule(path.slice(0, dot))?.values.get(path.slice(dot + 1));
+      return type ? typeToString(type, new Map(), weakNames) : null;
+    }
+  };
+}
+
+/**
+ * Realiza el análisis semántico de un programa completo, sin definiciones previas.
+ * @param {Object} ast - El Árbol de Sintaxis Abstracta generado por el parser.
+ * @returns {Array<Object>} Los diagnósticos (errores y avisos) semánticos; vacía si no hay
+ * ninguno (ver `diagnostics.js`).
+ */
+export function analyzeSemantics(ast) {
+  return createSemanticContext().analyze(ast);
+}
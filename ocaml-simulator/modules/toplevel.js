@@ -0,0 +1,401 @@
+// modules/toplevel.js
+
+import { OCamlChar, OCamlTuple, OCamlVariant, OCamlRecord, OCamlArray, OCamlException, FunctionValue, listToArray, formatFloat, formatString, formatChar } from './values.js';
+import { createDiagnostic, formatDiagnostic, rangeOf } from './diagnostics.js';
+
+/**
+ * Respuestas del toplevel: el texto que el REPL de OCaml muestra tras cada sentencia
+ * (`val x : int = 1`, `- : string = "a"`, `type t = A | B`, la firma de un módulo, ...).
+ * Lo comparten todos los motores de ejecución (el intérprete y la máquina virtual de
+ * bytecode), de modo que un mismo programa produce la misma respuesta en cualquiera de ellos.
+ */
+
+/**
+ * Describe un valor para mostrarlo al estilo del REPL de OCaml.
+ * @param {*} value - El valor a describir.
+ * @returns {{type: string, text: string}} Un nombre aproximado de su tipo y su representación textual.
+ */
+function describeValue(value) {
+  if (value instanceof FunctionValue) {
+    return { type: 'fun', text: '<fun>' };
+  }
+  if (value instanceof OCamlChar) {
+    return { type: 'char', text: formatValue(value) };
+  }
+  return {
+    type: { bigint: 'int', number: 'float', string: 'string', boolean: 'bool' }[typeof value] || 'unknown',
+    text: formatValue(value)
+  };
+}
+
+/**
+ * Convierte un valor en texto con la sintaxis de OCaml: cadenas entre comillas `"a"`, caracteres `'a'`,
+ * tuplas `(1, 2)`, listas `[1; 2]`, arrays `[|1; 2|]`, registros `{x = 1; y = 2}` y
+ * constructores `Some 3`.
+ * @param {*} value - El valor a formatear.
+ * @param {boolean} [nested] - Si el valor aparece como argumento de un constructor.
+ * @returns {string} La representación del valor.
+ */
+export function formatValue(value, nested = false) {
+  if (value instanceof FunctionValue) {
+    return '<fun>';
+  }
+  if (value instanceof OCamlTuple) {
+    return `(${value.items.map(item => formatValue(item)).join(', ')})`;
+  }
+  if (value instanceof OCamlRecord) {
+    return `{${Object.entries(value.fields).map(([name, field]) => `${name} = ${formatValue(field)}`).join('; ')}}`;
+  }
+  if (value instanceof OCamlArray) {
+    return `[|${value.items.map(item => formatValue(item)).join('; ')}|]`;
+  }
+  if (value instanceof OCamlVariant) {
+    if (value.name === "::" || value.name === "[]") {
+      return `[${listToArray(value).map(item => formatValue(item)).join('; ')}]`;
+    }
+    if (value.args.length === 0) {
+      return value.name;
+    }
+    const argument = value.args.length === 1 ? formatValue(value.args[0], true) : `(${value.args.map(arg => formatValue(arg)).join(', ')})`;
+    return nested ? `(${value.name} ${argument})` : `${value.name} ${argument}`;
+  }
+  if (typeof value === 'string') {
+    return formatString(value);
+  }
+  if (value instanceof OCamlChar) {
+    return formatChar(value);
+  }
+  if (typeof value === 'number') {
+    // Los `float` se muestran siempre con punto decimal (`3.`), como en OCaml.
+    const text = formatFloat(value);
+    return nested && value < 0 ? `(${text})` : text;
+  }
+  if (typeof value === 'bigint') {
+    return nested && value < 0n ? `(${value})` : `${value}`;
+  }
+  return `${value}`;
+}
+
+/**
+ * Escribe una expresión de tipo del AST con la sintaxis de OCaml.
+ * @param {Object} node - El nodo de expresión de tipo.
+ * @param {number} [precedence] - 0 = cualquier posición, 1 = a la izquierda de `->`,
+ * 2 = componente de tupla, 3 = argumento de un constructor de tipos.
+ * @returns {string} El tipo en sintaxis OCaml.
+ */
+function formatTypeExpression(node, precedence = 0) {
+  const wrap = (text, own) => (precedence > own ? `(${text})` : text);
+  switch (node.type) {
+    case "TypeVariableExpression":
+      return node.name;
+    case "FunctionTypeExpression":
+      return wrap(`${formatTypeExpression(node.parameter, 1)} -> ${formatTypeExpression(node.result)}`, 0);
+    case "TupleTypeExpression":
+      return wrap(node.elements.map(element => formatTypeExpression(element, 3)).join(' * '), 1);
+    default:
+      if (node.args.length === 0) return node.name;
+      if (node.args.length === 1) return `${formatTypeExpression(node.args[0], 3)} ${node.name}`;
+      return `(${node.args.map(arg => formatTypeExpression(arg)).join(', ')}) ${node.name}`;
+  }
+}
+
+/**
+ * Genera el texto que el REPL de OCaml muestra tras una declaración `type`, por ejemplo
+ * `type 'a tree = Leaf | Node of 'a tree * 'a * 'a tree`.
+ * @param {Object} declaration - El nodo `TypeDeclaration`.
+ * @returns {string} Las definiciones, una por línea (las siguientes a la primera con `and`).
+ */
+function describeTypeDeclaration(declaration) {
+  return declaration.definitions.map((definition, i) => {
+    const params = definition.params.length === 0 ? ''
+      : definition.params.length === 1 ? `${definition.params[0]} ` : `(${definition.params.join(', ')}) `;
+    if (definition.kind === "abstract") {
+      return `${i === 0 ? 'type' : 'and'} ${params}${definition.name}`;
+    }
+    let body;
+    if (definition.kind === "variant") {
+      body = definition.constructors.map(constructor => constructor.args.length === 0
+        ? constructor.name
+        : `${constructor.name} of ${constructor.args.map(arg => formatTypeExpression(arg, 2)).join(' * ')}`).join(' | ');
+    } else if (definition.kind === "record") {
+      body = `{ ${definition.fields.map(field => `${field.mutable ? 'mutable ' : ''}${field.name} : ${formatTypeExpression(field.typeExpression)};`).join(' ')} }`;
+    } else {
+      body = formatTypeExpression(definition.alias);
+    }
+    return `${i === 0 ? 'type' : 'and'} ${params}${definition.name} = ${body}`;
+  }).join('\n');
+}
+
+/**
+ * Genera el texto que el REPL de OCaml muestra tras una declaración `exception`, por
+ * ejemplo `exception Parse_error of string * int`.
+ * @param {Object} declaration - El nodo `ExceptionDeclaration`.
+ * @returns {string} La declaración.
+ */
+function describeExceptionDeclaration(declaration) {
+  if (declaration.args.length === 0) {
+    return `exception ${declaration.name}`;
+  }
+  return `exception ${declaration.name} of ${declaration.args.map(arg => formatTypeExpression(arg, 2)).join(' * ')}`;
+}
+
+/**
+ * Devuelve los nombres de las variables que introduce un patrón, de izquierda a derecha.
+ * @param {Object} pattern - El patrón.
+ * @returns {Array<string>} Los nombres (los de `p1 | p2` son los de `p1`).
+ */
+export function patternNames(pattern) {
+  switch (pattern.type) {
+    case "VariablePattern":
+      return [pattern.name];
+    case "AliasPattern":
+      return [...patternNames(pattern.pattern), pattern.name];
+    case "OrPattern":
+      return patternNames(pattern.left);
+    case "TuplePattern":
+    case "ListPattern":
+      return pattern.elements.flatMap(patternNames);
+    case "ConsPattern":
+      return [...patternNames(pattern.head), ...patternNames(pattern.tail)];
+    case "ConstructorPattern":
+      return pattern.argument ? patternNames(pattern.argument) : [];
+    case "RecordPattern":
+      return pattern.fields.flatMap(field => patternNames(field.pattern));
+    default:
+      return [];
+  }
+}
+
+/**
+ * Devuelve los nombres que define una definición de un `let`: el suyo o, si desestructura
+ * un patrón, los de las variables del patrón.
+ * @param {Object} declaration - Un nodo `LetDeclaration`, `FunctionDeclaration` o `PatternDeclaration`.
+ * @returns {Array<string>} Los nombres, en orden.
+ */
+export function bindingNames(declaration) {
+  switch (declaration.type) {
+    case "FunctionDeclaration": return [declaration.name];
+    case "PatternDeclaration": return patternNames(declaration.pattern);
+    default: return [declaration.identifier];
+  }
+}
+
+/**
+ * Devuelve los nombres de los valores y submódulos que define una secuencia de sentencias
+ * (el cuerpo de un `struct`), en orden y sin repetir.
+ * @param {Array<Object>} items - Las sentencias.
+ * @returns {Array<string>} Los nombres.
+ */
+export function definedNames(items) {
+  const names = items.flatMap(item => {
+    switch (item.type) {
+      case "LetDeclaration":
+      case "FunctionDeclaration":
+      case "PatternDeclaration": return bindingNames(item);
+      case "DeclarationGroup": return item.declarations.flatMap(bindingNames);
+      case "ModuleDeclaration": return [item.name];
+      default: return [];
+    }
+  });
+  return [...new Set(names)];
+}
+
+/**
+ * Escribe un bloque `sig ... end` con una línea por componente, con la sangría del REPL de OCaml.
+ * @param {Array<string>} lines - Los componentes (cada uno puede ocupar varias líneas).
+ * @param {string} indent - La sangría de la declaración que contiene la firma.
+ * @returns {string} El bloque, empezando por un salto de línea.
+ */
+function formatSignature(lines, indent) {
+  if (lines.length === 0) {
+    return ' sig end';
+  }
+  const body = lines.join('\n').split('\n').map(line => `${indent}    ${line}`).join('\n');
+  return `\n${indent}  sig\n${body}\n${indent}  end`;
+}
+
+/**
+ * Describe los componentes de una firma `sig ... end`: las especificaciones de valores
+ * (`val f : int -> int`), de tipos y de excepciones.
+ * @param {Array<Object>} items - Las especificaciones.
+ * @returns {Array<string>} Una línea por especificación.
+ */
+function describeSpecifications(items) {
+  return items.map(item => {
+    if (item.type === "ValueSpecification") return `val ${item.name} : ${formatTypeExpression(item.typeExpression)}`;
+    if (item.type === "TypeDeclaration") return describeTypeDeclaration(item);
+    return describeExceptionDeclaration(item);
+  });
+}
+
+/**
+ * Genera el texto que el REPL de OCaml muestra tras la definición de un módulo: su firma,
+ * con un componente por línea (o el nombre de la firma que lo restringe).
+ * @param {Object} declaration - El nodo `ModuleDeclaration`.
+ * @param {string} [indent] - La sangría, para los módulos anidados.
+ * @returns {string} La descripción del módulo.
+ */
+function describeModuleDeclaration(declaration, indent = '') {
+  const { name, signature, body } = declaration;
+  if (signature && signature.type === "ModuleTypePath") {
+    return `${indent}module ${name} : ${signature.name}`;
+  }
+  if (signature) {
+    return `${indent}module ${name} :${formatSignature(describeSpecifications(signature.items), indent)}`;
+  }
+  if (body.type === "ModulePath") {
+    return `${indent}module ${name} = ${body.name}`;
+  }
+  const lines = body.items.flatMap(item => {
+    switch (item.type) {
+      case "LetDeclaration":
+      case "FunctionDeclaration":
+      case "PatternDeclaration":
+        return describeSpecificationsOf(item);
+      case "DeclarationGroup":
+        return item.declarations.flatMap(describeSpecificationsOf);
+      case "TypeDeclaration":
+        return [describeTypeDeclaration(item)];
+      case "ExceptionDeclaration":
+        return [describeExceptionDeclaration(item)];
+      case "ModuleDeclaration":
+        return [describeModuleDeclaration(item)];
+      case "ModuleTypeDeclaration":
+        return [describeModuleTypeDeclaration(item)];
+      default:
+        // `open` y las expresiones no añaden componentes al módulo.
+        return [];
+    }
+  });
+  return `${indent}module ${name} :${formatSignature(lines, indent)}`;
+}
+
+/**
+ * Genera el texto que el REPL de OCaml muestra tras una declaración `module type`.
+ * @param {Object} declaration - El nodo `ModuleTypeDeclaration`.
+ * @returns {string} La declaración.
+ */
+function describeModuleTypeDeclaration(declaration) {
+  const { name, signature } = declaration;
+  if (signature.type === "ModuleTypePath") {
+    return `module type ${name} = ${signature.name}`;
+  }
+  return `module type ${name} =${formatSignature(describeSpecifications(signature.items), '')}`;
+}
+
+/**
+ * Devuelve los tipos que el análisis semántico anotó en una definición (`inferredType`, o
+ * `inferredTypes` en una definición con patrón), uno por cada nombre que define.
+ * @param {Object} declaration - La definición.
+ * @returns {Array<string|undefined>} Los tipos.
+ */
+function inferredTypesOf(declaration) {
+  return declaration.type === "PatternDeclaration" ? declaration.inferredTypes || [] : [declaration.inferredType];
+}
+
+/**
+ * Genera las líneas `val nombre : tipo` de la firma de un módulo para una definición: una por
+ * cada nombre que define.
+ * @param {Object} declaration - Un nodo `LetDeclaration`, `FunctionDeclaration` o `PatternDeclaration`.
+ * @returns {Array<string>} Las líneas.
+ */
+function describeSpecificationsOf(declaration) {
+  const types = inferredTypesOf(declaration);
+  return bindingNames(declaration).map((name, i) => `val ${name} : ${types[i] || '?'}`);
+}
+
+/**
+ * Genera la línea `val nombre : tipo = valor` que el REPL de OCaml muestra tras una definición.
+ * Una definición con patrón genera una línea por variable (ninguna si no tiene, como `let () = ...`).
+ * @param {Object} declaration - Un nodo `LetDeclaration`, `FunctionDeclaration` o `PatternDeclaration`.
+ * @param {*} value - El valor definido (en una definición con patrón, un array con el de cada variable).
+ * @returns {string} La línea formateada, terminada en salto de línea.
+ */
+function describeDeclaration(declaration, value) {
+  // El análisis semántico anota el tipo inferido; si no está disponible, lo deducimos del valor.
+  const names = bindingNames(declaration);
+  const values = declaration.type === "PatternDeclaration" ? value : [value];
+  const types = inferredTypesOf(declaration);
+  return names.map((name, i) => {
+    const { type, text } = describeValue(values[i]);
+    return `val ${name} : ${types[i] || type} = ${text}\n`;
+  }).join('');
+}
+
+/**
+ * Genera la línea `- : tipo = valor` que el REPL de OCaml muestra tras una expresión.
+ * @param {Object} statement - La sentencia, con el tipo inferido de la expresión (`inferredType`).
+ * @param {*} value - El valor calculado.
+ * @returns {string} La línea formateada, terminada en salto de línea.
+ */
+function describeExpression(statement, value) {
+  const { type, text } = describeValue(value);
+  return `- : ${statement.inferredType || type} = ${text}\n`;
+}
+
+/**
+ * Genera la respuesta del toplevel tras ejecutar una sentencia de nivel superior.
+ * @param {Object} statement - La sentencia.
+ * @param {*} result - Su resultado: el valor definido o calculado (en un grupo `let ... and ...`,
+ * un array con un valor por definición; en una definición con patrón, un array con el valor de
+ * cada variable, salvo en `let _ = e`, que se muestra como la expresión `e`).
+ * @returns {string} La respuesta, terminada en salto de línea (vacía si la sentencia no produce ninguna).
+ */
+export function describeStatement(statement, result) {
+  switch (statement.type) {
+    case "DeclarationGroup":
+      return statement.declarations.map((declaration, i) => describeDeclaration(declaration, result[i])).join('');
+    case "PatternDeclaration":
+      if (statement.pattern.type === "WildcardPattern") {
+        // Como en OCaml, `let _ = e` responde lo mismo que la expresión `e`.
+        return describeExpression(statement, result);
+      }
+      return describeDeclaration(statement, result);
+    case "LetDeclaration":
+    case "FunctionDeclaration":
+      return describeDeclaration(statement, result);
+    case "TypeDeclaration":
+      return `${describeTypeDeclaration(statement)}\n`;
+    case "ExceptionDeclaration":
+      return `${describeExceptionDeclaration(statement)}\n`;
+    case "ModuleDeclaration":
+      return `${describeModuleDeclaration(statement)}\n`;
+    case "ModuleTypeDeclaration":
+      return `${describeModuleTypeDeclaration(statement)}\n`;
+    case "OpenDeclaration":
+      // `open` no produce ninguna respuesta en el REPL.
+      return '';
+    case "TopLevelExpression":
+      return describeExpression(statement, result);
+    default:
+      return `${result}\n`;
+  }
+}
+
+/**
+ * Genera el diagnóstico de un error que interrumpe una sentencia de nivel superior.
+ * @param {Error} error - El error.
+ * @param {Object} statement - La sentencia que se estaba ejecutando.
+ * @returns {Object} El diagnóstico (ver `diagnostics.js`).
+ */
+export function errorDiagnostic(error, statement) {
+  if (error instanceof OCamlException) {
+    // Una excepción no capturada se informa como en OCaml, con la posición del `raise`.
+    return createDiagnostic({
+      code: "runtime/uncaught-exception",
+      message: `Exception: ${formatValue(error.value)}.`,
+      range: rangeOf(error.location || statement)
+    });
+  }
+  return createDiagnostic({ code: "runtime/error", message: error.message, range: rangeOf(statement) });
+}
+
+/**
+ * Genera el mensaje de un error que interrumpe una sentencia de nivel superior.
+ * @param {Error} error - El error.
+ * @param {Object} statement - La sentencia que se estaba ejecutando.
+ * @returns {string} El mensaje, terminado en salto de línea.
+ */
+export function describeError(error, statement) {
+  return `${formatDiagnostic(errorDiagnostic(error, statement))}\n`;
+}
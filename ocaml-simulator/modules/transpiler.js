@@ -0,0 +1,1911 @@
+// modules/transpiler.js
+
+import { Environment } from './environment.js';
+import { forEachChild } from './parser.js';
+import { primitives } from './primitives.js';
+import { definedNames, bindingNames, patternNames } from './toplevel.js';
+import { prune, TypeConstructor } from './types.js';
+import { RUNTIME_CONSTANTS, RUNTIME_NAMES, runtimeFor } from './jsruntime.js';
+
+/**
+ * Traductor del AST a un módulo de JavaScript legible e independiente, con su mapa de fuentes.
+ * La representación de los valores es la que describe `jsruntime.js`; el código generado
+ * copia al principio las funciones del runtime que usa.
+ *
+ * - Las funciones son funciones flecha currificadas: `let f x y = e` es `const f = (x) => (y) => e`.
+ *   Una función `let rec` cuyas llamadas recursivas en posición de cola tienen todos los
+ *   argumentos se traduce a un bucle `while (true)` que reasigna los parámetros. Si las
+ *   funciones de un `let rec ... and ...` se llaman entre sí en posición de cola, cada una
+ *   tiene una versión interna que devuelve esas llamadas sin hacerlas (`$tailCall`), y la
+ *   función visible las hace en un trampolín (`$trampoline`), sin que crezca la pila.
+ * - Los `match` (y los `try`, los `function` y los parámetros con patrones refutables) se
+ *   compilan a un árbol de decisión: cada posición del valor se comprueba una sola vez, y la
+ *   última alternativa de un tipo cuyos constructores están todos cubiertos es un `else`.
+ * - Las expresiones de OCaml que en JavaScript son sentencias (`match`, `let ... in`, la
+ *   secuencia, los bucles) se escriben como sentencias cuando el valor se devuelve, se
+ *   descarta o se asigna a una variable; en medio de una expresión, como una función que se
+ *   llama en el acto.
+ * - Cada sentencia de nivel superior va precedida de su primera línea de OCaml como
+ *   comentario, y las definiciones de nivel superior se exportan con su nombre de OCaml.
+ */
+
+/** Niveles de precedencia de JavaScript: una subexpresión con menos se escribe entre paréntesis. */
+const PRECEDENCE = {
+  assignment: 2, // También las funciones flecha.
+  conditional: 3,
+  or: 4,
+  and: 5,
+  bitwiseOr: 6,
+  bitwiseXor: 7,
+  bitwiseAnd: 8,
+  equality: 9,
+  relational: 10,
+  additive: 12,
+  multiplicative: 13,
+  exponent: 14,
+  unary: 15,
+  call: 17,
+  primary: 18
+};
+
+/** Operadores de OCaml que se traducen a un operador de JavaScript, con su precedencia. */
+const DIRECT_OPERATORS = {
+  '+': ['+', "additive"], '-': ['-', "additive"], '*': ['*', "multiplicative"],
+  '+.': ['+', "additive"], '-.': ['-', "additive"], '*.': ['*', "multiplicative"], '/.': ['/', "multiplicative"],
+  '**': ['**', "exponent"], '^': ['+', "additive"], '&&': ['&&', "and"], '||': ['||', "or"],
+  'land': ['&', "bitwiseAnd"], 'lor': ['|', "bitwiseOr"], 'lxor': ['^', "bitwiseXor"],
+  '==': ['===', "equality"], '!=': ['!==', "equality"]
+};
+
+/**
+ * Operadores de `int` que pueden salirse de los 63 bits: el resultado se reduce con
+ * `wrapInt(...)`, como hace el intérprete. En una cadena de ellos (`a + b * c`) basta con
+ * reducir el resultado final, porque los `BigInt` intermedios son exactos.
+ */
+const INT_OPERATORS = new Set(["+", "-", "*"]);
+
+/** Operadores de OCaml que se traducen a una función del runtime. */
+const RUNTIME_OPERATORS = {
+  '/': "$div", 'mod': "$mod", '@': "$append",
+  'lsl': "shiftLeft", 'lsr': "shiftRight", 'asr': "shiftRightArithmetic"
+};
+
+/** Comparaciones de OCaml y el operador de JavaScript que las implementa para los tipos básicos. */
+const COMPARISONS = { '=': '===', '<>': '!==', '<': '<', '>': '>', '<=': '<=', '>=': '>=' };
+
+/** Tipos cuyos valores se comparan directamente con los operadores de JavaScript. */
+const BASIC_TYPES = new Set(["int", "float", "char", "string", "bool"]);
+
+/** Constructores predefinidos, agrupados por tipo (para saber cuándo un `match` los cubre todos). */
+const BUILTIN_VARIANTS = [["[]", "::"], ["None", "Some"]];
+
+/** Palabras reservadas de JavaScript, que no pueden nombrar variables. */
+const JS_RESERVED = new Set([
+  "arguments", "await", "break", "case", "catch", "class", "const", "continue", "debugger",
+  "default", "delete", "do", "else", "enum", "eval", "export", "extends", "false", "finally",
+  "for", "function", "if", "implements", "import", "in", "instanceof", "interface", "let",
+  "new", "null", "package", "private", "protected", "public", "return", "static", "super",
+  "switch", "this", "throw", "true", "try", "typeof", "var", "void", "while", "with", "yield"
+]);
+
+/** Globales de JavaScript que el código generado (o su runtime) usa y no deben ocultarse. */
+const JS_GLOBALS = new Set([
+  "undefined", "NaN", "Infinity", "Number", "String", "Math", "Array", "Object", "Error",
+  "RangeError", "JSON", "BigInt", "Symbol", "console", "process", "globalThis", "queueMicrotask"
+]);
+
+/** Expresión que indica que el valor es `()`: no hace falta devolverlo ni evaluarlo. */
+const UNIT_RESULT = { precedence: PRECEDENCE.primary, code: "undefined", unit: true };
+
+/**
+ * Un trozo del código generado. Si procede de un nodo del AST, su inicio se anota en el mapa
+ * de fuentes con la posición de ese nodo.
+ */
+class Fragment {
+  /**
+   * @param {Object|null} node - El nodo AST del que procede, o `null`.
+   * @param {Array<*>} parts - Las partes: cadenas, otros trozos o arrays de ellos.
+   */
+  constructor(node, parts) {
+    this.node = node;
+    this.parts = parts;
+  }
+}
+
+/**
+ * Crea un trozo de código.
+ * @param {Object|null} node - El nodo AST del que procede.
+ * @param {...*} parts - Sus partes.
+ * @returns {Fragment} El trozo.
+ */
+function fragment(node, ...parts) {
+  return new Fragment(node, parts);
+}
+
+/**
+ * Crea el resultado de traducir una expresión: su código y su precedencia en JavaScript.
+ * @param {string} level - El nivel de precedencia (una clave de `PRECEDENCE`).
+ * @param {Object|null} node - El nodo AST.
+ * @param {...*} parts - Las partes del código.
+ * @returns {{precedence: number, code: Fragment}} La expresión.
+ */
+function expression(level, node, ...parts) {
+  return { precedence: PRECEDENCE[level], code: fragment(node, ...parts) };
+}
+
+/**
+ * Devuelve el código de una expresión como operando de otra, entre paréntesis si su
+ * precedencia es menor que la que exige esa posición.
+ * @param {{precedence: number, code: *}} result - La expresión.
+ * @param {string} level - La precedencia mínima de la posición.
+ * @returns {*} El código.
+ */
+function operand(result, level) {
+  return result.precedence < PRECEDENCE[level] ? ["(", result.code, ")"] : result.code;
+}
+
+/**
+ * Indica si un código empieza por una llave.
+ * @param {*} code - El código (una cadena, un trozo o un array de partes).
+ * @returns {boolean} `true` si su primer carácter es `{`.
+ */
+function startsWithBrace(code) {
+  if (typeof code === "string") return code.startsWith("{");
+  const parts = Array.isArray(code) ? code : code.parts;
+  const first = parts.find(part => typeof part !== "string" || part !== "");
+  return first !== undefined && startsWithBrace(first);
+}
+
+/**
+ * Devuelve el código de una expresión en una posición donde una llave inicial se leería como
+ * un bloque (una sentencia, el cuerpo de una función flecha).
+ * @param {{code: *}} result - La expresión.
+ * @returns {*} El código, entre paréntesis si empieza por un objeto literal.
+ */
+function statementOperand(result) {
+  return startsWithBrace(result.code) ? ["(", result.code, ")"] : result.code;
+}
+
+/**
+ * Intercala saltos de línea entre las líneas de un bloque.
+ * @param {Array<*>} lines - Las líneas (cada una, código sin el salto final).
+ * @returns {Array<*>} Las partes del bloque.
+ */
+function joinLines(lines) {
+  return lines.flatMap((line, index) => (index === 0 ? [line] : ["\n", line]));
+}
+
+/**
+ * Contexto del bloque de JavaScript donde se escribe el código: su sangría y los nombres ya
+ * declarados en él (JavaScript no permite declarar dos veces el mismo nombre en un bloque).
+ * @param {string} indent - La sangría de sus líneas.
+ * @param {Set<string>} [declared] - Los nombres declarados, si se comparten con otro contexto.
+ * @returns {{indent: string, declared: Set<string>}} El contexto.
+ */
+function blockContext(indent, declared = new Set()) {
+  return { indent, declared };
+}
+
+/**
+ * El contexto de un bloque anidado dentro de otro.
+ * @param {{indent: string}} ctx - El contexto exterior.
+ * @returns {{indent: string, declared: Set<string>}} El contexto del bloque interior.
+ */
+function nested(ctx) {
+  return blockContext(ctx.indent + "  ");
+}
+
+/** Destinos del valor de un bloque: se devuelve con `return` o se descarta. */
+const RETURN = { kind: "return", loop: null, group: null };
+const DISCARD = { kind: "discard" };
+
+/**
+ * Convierte un nombre de OCaml en un identificador válido de JavaScript: el apóstrofo, que
+ * JavaScript no admite, pasa a ser `$`.
+ * @param {string} name - El nombre.
+ * @returns {string} El identificador.
+ */
+function jsIdentifier(name) {
+  return name.replace(/'/g, "$");
+}
+
+/**
+ * La clave con la que un componente (un campo de un registro, un valor de un módulo) se
+ * escribe en un objeto literal.
+ * @param {string} name - El nombre del componente.
+ * @returns {string} La clave, entre comillas si no es un identificador.
+ */
+function propertyKey(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+/**
+ * El acceso a un componente de un objeto.
+ * @param {*} object - El código del objeto (con la precedencia de una llamada).
+ * @param {string} name - El nombre del componente.
+ * @returns {Array<*>} El código del acceso.
+ */
+function propertyAccess(object, name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? [object, ".", name] : [object, "[", JSON.stringify(name), "]"];
+}
+
+/**
+ * Escribe un `float` como literal de JavaScript, con `.0` si es entero para que se lea como
+ * en OCaml.
+ * @param {number} value - El valor.
+ * @returns {string} El literal.
+ */
+function floatLiteral(value) {
+  if (Number.isNaN(value)) return "NaN";
+  if (!Number.isFinite(value)) return value > 0 ? "Infinity" : "-Infinity";
+  if (Object.is(value, -0)) return "-0.0";
+  const text = String(value);
+  return Number.isInteger(value) && !/e/.test(text) ? `${text}.0` : text;
+}
+
+/**
+ * El nombre que introduce una declaración (`let x = ...` o `let f x = ...`).
+ * @param {Object} declaration - La declaración.
+ * @returns {string} El nombre.
+ */
+function bindingName(declaration) {
+  return declaration.type === "FunctionDeclaration" ? declaration.name : declaration.identifier;
+}
+
+/**
+ * Devuelve los componentes de la función que define una declaración, o `null` si no define
+ * una función.
+ * @param {Object} declaration - La declaración.
+ * @returns {{params: Array<Object>|null, cases: Array<Object>|null, body: Object|null, node: Object}|null} La función.
+ */
+function functionParts(declaration) {
+  const node = declaration.type === "FunctionDeclaration" ? declaration : declaration.expression;
+  if (node.type !== "FunctionDeclaration" && node.type !== "FunctionExpression") return null;
+  return { params: node.params || null, cases: node.cases || null, body: node.body || null, node };
+}
+
+/**
+ * Indica si una expresión se escribe mejor como sentencias de JavaScript que como una
+ * expresión.
+ * @param {Object} node - La expresión.
+ * @returns {boolean} `true` si es un `match`, un `try`, un `let ... in`, una secuencia, un
+ * bucle o un `if` que contiene alguno de ellos (o encadena otro `if`).
+ */
+function isStatementLike(node) {
+  switch (node.type) {
+    case "MatchExpression":
+    case "TryExpression":
+    case "LetExpression":
+    case "SequenceExpression":
+    case "WhileExpression":
+    case "ForExpression":
+      return true;
+    case "LetOpenExpression":
+      return isStatementLike(node.body);
+    case "IfExpression":
+      return isStatementLike(node.thenBranch) || Boolean(node.elseBranch && isStatementLike(node.elseBranch));
+    default:
+      return false;
+  }
+}
+
+/**
+ * Los nodos hijos de un nodo del AST (expresiones, patrones, casos...).
+ * @param {Object} node - El nodo.
+ * @returns {Array<Object>} Los hijos.
+ */
+function childNodes(node) {
+  const children = [];
+  const collect = value => forEachChild(value, child => {
+    if (typeof child.type === "string") children.push(child);
+    else collect(child); // Un array, un caso `{pattern, guard, body}` o un campo.
+  });
+  collect(node);
+  return children;
+}
+
+/**
+ * Indica si una expresión contiene una función, que podría capturar los parámetros de un
+ * bucle (en JavaScript, la variable reasignada, no su valor en esa vuelta).
+ * @param {Object} node - La expresión.
+ * @returns {boolean} `true` si contiene una función.
+ */
+function containsFunction(node) {
+  if (node.type === "FunctionExpression" || node.type === "FunctionDeclaration") return true;
+  return childNodes(node).some(containsFunction);
+}
+
+/**
+ * Descompone una aplicación `f a b c` en la función y sus argumentos.
+ * @param {Object} node - Un nodo `ApplicationExpression`.
+ * @returns {{callee: Object, args: Array<Object>}} La función y los argumentos, en orden.
+ */
+function applicationSpine(node) {
+  const args = [];
+  let callee = node;
+  while (callee.type === "ApplicationExpression") {
+    args.unshift(callee.argument);
+    callee = callee.callee;
+  }
+  return { callee, args };
+}
+
+/**
+ * Indica si una expresión contiene, en posición de cola, una llamada a `name` con `arity`
+ * argumentos.
+ * @param {Object} node - La expresión.
+ * @param {string} name - El nombre de la función.
+ * @param {number} arity - El número de parámetros.
+ * @returns {boolean} `true` si la contiene.
+ */
+function hasTailCall(node, name, arity) {
+  switch (node.type) {
+    case "ApplicationExpression": {
+      const { callee, args } = applicationSpine(node);
+      return callee.type === "Identifier" && callee.value === name && args.length === arity;
+    }
+    case "IfExpression":
+      return hasTailCall(node.thenBranch, name, arity) || Boolean(node.elseBranch && hasTailCall(node.elseBranch, name, arity));
+    case "MatchExpression":
+    case "TryExpression":
+      return node.cases.some(matchCase => hasTailCall(matchCase.body, name, arity));
+    case "LetExpression":
+      return !node.declarations.some(declaration => bindingNames(declaration).includes(name)) && hasTailCall(node.body, name, arity);
+    case "LetOpenExpression":
+      return hasTailCall(node.body, name, arity);
+    case "SequenceExpression":
+      return node.expressions.length > 0 && hasTailCall(node.expressions[node.expressions.length - 1], name, arity);
+    default:
+      return false;
+  }
+}
+
+/**
+ * El número de argumentos que una función recibe de una vez en su definición.
+ * @param {{params: Array<Object>|null}} parts - La función (ver `functionParts`).
+ * @returns {number} El número de parámetros (1 para `function`).
+ */
+function arityOf(parts) {
+  return parts.params ? parts.params.length : 1;
+}
+
+/**
+ * Indica si una función llama a `name` con `arity` argumentos en posición de cola.
+ * @param {{params: Array<Object>|null, cases: Array<Object>|null, body: Object|null}} parts - La función.
+ * @param {string} name - El nombre de la función llamada.
+ * @param {number} arity - El número de parámetros de la función llamada.
+ * @returns {boolean} `true` si la llama.
+ */
+function callsInTailPosition(parts, name, arity) {
+  return parts.cases
+    ? parts.cases.some(matchCase => hasTailCall(matchCase.body, name, arity))
+    : hasTailCall(parts.body, name, arity);
+}
+
+/**
+ * Indica si un patrón se puede escribir como parámetro de JavaScript (con desestructuración)
+ * porque acepta cualquier valor.
+ * @param {Object} pattern - El patrón.
+ * @returns {boolean} `true` si es una variable, `_`, `()` o una tupla o un registro de ellos.
+ */
+function isDestructurable(pattern) {
+  switch (pattern.type) {
+    case "VariablePattern":
+    case "WildcardPattern":
+      return true;
+    case "ConstructorPattern":
+      return pattern.name === "()";
+    case "TuplePattern":
+      return pattern.elements.every(isDestructurable);
+    case "RecordPattern":
+      return pattern.fields.every(field => isDestructurable(field.pattern));
+    default:
+      return false;
+  }
+}
+
+/**
+ * Reemplaza un elemento de un array por varios.
+ * @param {Array<*>} items - El array.
+ * @param {number} index - La posición del elemento.
+ * @param {Array<*>} replacement - Los elementos que ocupan su lugar.
+ * @returns {Array<*>} El nuevo array.
+ */
+function splice(items, index, replacement) {
+  return [...items.slice(0, index), ...replacement, ...items.slice(index + 1)];
+}
+
+/**
+ * La clave que identifica la comprobación que hace un patrón sobre un valor: el mismo
+ * constructor o el mismo literal.
+ * @param {Object} pattern - Un patrón de constructor, de lista no vacía o literal.
+ * @returns {string} La clave.
+ */
+function headKey(pattern) {
+  if (pattern.type === "ConsPattern") return "c:::";
+  if (pattern.type === "ConstructorPattern") return `c:${pattern.qualifiedName || pattern.name}`;
+  return `l:${pattern.literal.type}:${String(pattern.literal.value)}`;
+}
+
+/**
+ * El patrón del argumento de un patrón de constructor, o `null` si no lleva argumento.
+ * @param {Object} pattern - El patrón.
+ * @returns {Object|null} El patrón del argumento (la tupla `[cabeza, cola]` para `::`).
+ */
+function argumentPattern(pattern) {
+  if (pattern.type === "ConsPattern") {
+    return { type: "TuplePattern", elements: [pattern.head, pattern.tail], line: pattern.line, column: pattern.column };
+  }
+  return pattern.type === "ConstructorPattern" ? pattern.argument : null;
+}
+
+/**
+ * Traduce un programa analizado a JavaScript.
+ */
+class JsGenerator {
+  /**
+   * @param {string|null} source - El código OCaml original, para los comentarios.
+   */
+  constructor(source) {
+    this.sourceLines = source === null ? null : source.split("\n");
+    this.commentedLine = 0; // La última línea escrita como comentario.
+    this.used = new Set(); // Nombres del runtime que usa el programa.
+    this.reserved = new Set([...RUNTIME_NAMES, "$tags", ...JS_RESERVED, ...JS_GLOBALS]);
+    // Para cada constructor (calificado), los de su tipo; y su posición entre los constantes o no constantes.
+    this.variants = new Map();
+    this.tags = new Map();
+    BUILTIN_VARIANTS.forEach(group => group.forEach(name => {
+      this.variants.set(name, group);
+      this.tags.set(name, 0);
+    }));
+    this.scope = this.createGlobalScope();
+  }
+
+  /**
+   * Crea el ámbito global con los valores predefinidos. Los de un módulo de la biblioteca
+   * forman un módulo sin objeto en JavaScript, cuyos componentes son funciones del runtime.
+   * @returns {Environment} El ámbito global.
+   */
+  createGlobalScope() {
+    const scope = new Environment();
+    for (const { name } of primitives) {
+      const entry = name in RUNTIME_CONSTANTS
+        ? { kind: "constant", js: RUNTIME_CONSTANTS[name] }
+        : { kind: "runtime", js: name.replace(".", "_") };
+      const [moduleName, component] = name.split(".");
+      if (component === undefined) {
+        scope.define(name, entry);
+        continue;
+      }
+      if (!scope.lookup(moduleName)) {
+        scope.define(moduleName, { kind: "module", js: null, components: new Map() });
+      }
+      scope.lookup(moduleName).components.set(component, entry);
+    }
+    return scope;
+  }
+
+  /**
+   * Traduce el programa completo.
+   * @param {Object} ast - El AST (un nodo `Program`) ya analizado.
+   * @returns {{body: Array<*>, exports: Array<string>}} Las líneas del programa y las
+   * cláusulas de su `export`.
+   */
+  program(ast) {
+    const ctx = blockContext("");
+    const lines = [];
+    const defined = this.structure(ast.body, this.scope, ctx, lines, "");
+    const exports = [];
+    for (const [name, entry] of defined) {
+      if (entry.js === null) continue;
+      exports.push(entry.js === name ? name : `${entry.js} as ${propertyKey(name)}`);
+    }
+    return { body: joinLines(lines), exports };
+  }
+
+  /**
+   * Traduce las sentencias de un programa o de un módulo.
+   * @param {Array<Object>} items - Las sentencias.
+   * @param {Environment} scope - El ámbito inicial.
+   * @param {Object} ctx - El bloque de JavaScript.
+   * @param {Array<*>} lines - Las líneas de salida.
+   * @param {string} modulePath - La ruta del módulo (`"M."`), para calificar los constructores.
+   * @returns {Map<string, Object>} Las entradas de los valores y módulos que definen las
+   * sentencias (no los que hace visibles un `open`), por nombre.
+   */
+  structure(items, scope, ctx, lines, modulePath) {
+    const defined = new Map();
+    let separate = false;
+    for (const item of items) {
+      const itemLines = [];
+      // Un módulo escrito en una sola línea no repite el comentario en cada componente.
+      if (this.sourceLines && item.line && item.line !== this.commentedLine) {
+        itemLines.push(`${ctx.indent}// ${this.sourceLines[item.line - 1].trim()}`);
+        this.commentedLine = item.line;
+      }
+      scope = this.statement(item, scope, ctx, itemLines, modulePath);
+      definedNames([item]).forEach(name => defined.set(name, scope.lookup(name)));
+      if (itemLines.length > 0) {
+        // Una línea en blanco separa las sentencias que generan algo.
+        if (separate) lines.push("");
+        lines.push(...itemLines);
+        separate = true;
+      }
+    }
+    return defined;
+  }
+
+  /**
+   * Traduce una sentencia de nivel superior (o de un módulo).
+   * @param {Object} item - La sentencia.
+   * @param {Environment} scope - El ámbito actual.
+   * @param {Object} ctx - El bloque de JavaScript.
+   * @param {Array<*>} lines - Las líneas de salida.
+   * @param {string} modulePath - La ruta del módulo que la contiene.
+   * @returns {Environment} El ámbito tras la sentencia.
+   */
+  statement(item, scope, ctx, lines, modulePath) {
+    switch (item.type) {
+      case "LetDeclaration":
+      case "FunctionDeclaration":
+      case "PatternDeclaration":
+      case "DeclarationGroup": {
+        const declarations = item.type === "DeclarationGroup" ? item.declarations : [item];
+        return this.bindings(declarations, item.recursive, scope, ctx, lines);
+      }
+      case "TopLevelExpression":
+        this.scopedBlock(item.expression, scope, ctx, DISCARD, lines);
+        return scope;
+      case "ModuleDeclaration":
+        return this.moduleDeclaration(item, scope, ctx, lines, modulePath);
+      case "OpenDeclaration":
+        return this.openModule(item.module, scope);
+      case "TypeDeclaration":
+        item.definitions.filter(definition => definition.kind === "variant").forEach(definition => {
+          const group = definition.constructors.map(constructor => modulePath + constructor.name);
+          const counters = { constant: 0, block: 0 };
+          definition.constructors.forEach((constructor, index) => {
+            this.variants.set(group[index], group);
+            this.tags.set(group[index], constructor.args.length > 0 ? counters.block++ : counters.constant++);
+          });
+        });
+        return scope;
+      default:
+        // Las declaraciones de excepciones y de firmas no generan código.
+        return scope;
+    }
+  }
+
+  /**
+   * Traduce un módulo. Una estructura es un objeto creado por una función que se llama en
+   * el acto, con los componentes que exporta su firma; un alias de un módulo del programa es
+   * una constante, y uno de la biblioteca no genera código.
+   * @param {Object} declaration - El nodo `ModuleDeclaration`.
+   * @param {Environment} scope - El ámbito actual.
+   * @param {Object} ctx - El bloque de JavaScript.
+   * @param {Array<*>} lines - Las líneas de salida.
+   * @param {string} modulePath - La ruta del módulo que lo contiene.
+   * @returns {Environment} El ámbito con el módulo.
+   */
+  moduleDeclaration(declaration, scope, ctx, lines, modulePath) {
+    const newScope = scope.extend();
+    if (declaration.body.type === "ModulePath") {
+      const target = this.resolveModule(declaration.body.name, scope);
+      if (target.js === null) {
+        newScope.define(declaration.name, target);
+        return newScope;
+      }
+      const js = this.fresh(declaration.name, scope, ctx);
+      lines.push([ctx.indent, fragment(declaration, "const ", js, " = ", target.js, ";")]);
+      newScope.define(declaration.name, this.rebaseModule(target, js));
+      return newScope;
+    }
+
+    const js = this.fresh(declaration.name, scope, ctx);
+    const bodyCtx = nested(ctx);
+    lines.push([ctx.indent, fragment(declaration, "const ", js, " = (() => {")]);
+    const defined = this.structure(declaration.body.items, scope.extend(), bodyCtx, lines, `${modulePath}${declaration.name}.`);
+    const components = new Map();
+    const fields = [];
+    for (const name of declaration.exports || [...defined.keys()]) {
+      const entry = defined.get(name);
+      const key = propertyKey(name);
+      if (entry.js === null) {
+        components.set(name, entry);
+        continue;
+      }
+      fields.push(key === entry.js ? key : `${key}: ${entry.js}`);
+      const access = propertyAccess(js, name).join("");
+      components.set(name, entry.kind === "module" ? this.rebaseModule(entry, access) : { kind: "value", js: access });
+    }
+    lines.push(`${bodyCtx.indent}return { ${fields.join(", ")} };`.replace("{  }", "{}"));
+    lines.push(`${ctx.indent}})();`);
+    newScope.define(declaration.name, { kind: "module", js, components });
+    return newScope;
+  }
+
+  /**
+   * Cambia el objeto por el que se accede a los componentes de un módulo (`N` en `module N = M`).
+   * @param {Object} entry - El módulo.
+   * @param {string} js - La expresión del nuevo objeto.
+   * @returns {Object} El módulo con los accesos cambiados.
+   */
+  rebaseModule(entry, js) {
+    const components = new Map();
+    entry.components.forEach((component, name) => {
+      if (component.js === null || component.kind === "runtime" || component.kind === "constant") {
+        components.set(name, component);
+        return;
+      }
+      const access = propertyAccess(js, name).join("");
+      components.set(name, component.kind === "module" ? this.rebaseModule(component, access) : { kind: "value", js: access });
+    });
+    return { kind: "module", js, components };
+  }
+
+  /**
+   * Busca un nombre que puede estar calificado por módulos (`x`, `List.map`, `M.N.x`).
+   * @param {string} name - El nombre.
+   * @param {Environment} scope - El ámbito.
+   * @returns {Object|undefined} Su entrada, o `undefined` si no existe.
+   */
+  resolve(name, scope) {
+    const [first, ...rest] = name.split(".");
+    let entry = scope.lookup(first);
+    for (const component of rest) {
+      entry = entry && entry.kind === "module" ? entry.components.get(component) : undefined;
+    }
+    return entry;
+  }
+
+  /**
+   * Busca un módulo por su ruta.
+   * @param {string} path - La ruta.
+   * @param {Environment} scope - El ámbito.
+   * @returns {Object} El módulo.
+   * @throws {Error} Si el módulo no existe.
+   */
+  resolveModule(path, scope) {
+    const entry = this.resolve(path, scope);
+    if (!entry || entry.kind !== "module") {
+      throw new Error(`Módulo "${path}" no definido.`);
+    }
+    return entry;
+  }
+
+  /**
+   * Hace visibles sin calificar los componentes de un módulo (`open M`, `let open M in`).
+   * @param {string} path - La ruta del módulo.
+   * @param {Environment} scope - El ámbito actual.
+   * @returns {Environment} Un ámbito hijo con los componentes del módulo.
+   */
+  openModule(path, scope) {
+    const module = this.resolveModule(path, scope);
+    const opened = scope.extend();
+    module.components.forEach((entry, name) => opened.define(name, entry));
+    return opened;
+  }
+
+  /**
+   * Elige un identificador de JavaScript libre para un nombre: no puede ser una palabra
+   * reservada ni un nombre del runtime, ni ocultar otra variable visible, ni repetir uno ya
+   * declarado en el mismo bloque. Si el nombre está ocupado se le añade un número (`x$1`).
+   * @param {string} name - El nombre de OCaml (o la base de una variable auxiliar, como `$m`).
+   * @param {Environment} scope - El ámbito donde se declara.
+   * @param {Object} ctx - El bloque de JavaScript donde se declara.
+   * @returns {string} El identificador, que queda declarado en el bloque.
+   */
+  fresh(name, scope, ctx) {
+    const base = jsIdentifier(name);
+    for (let index = 0; ; index++) {
+      const candidate = index === 0 ? base : `${base}${base.startsWith("$") ? "" : "$"}${index}`;
+      if (!this.reserved.has(candidate) && !ctx.declared.has(candidate) && !isVisible(candidate, scope)) {
+        ctx.declared.add(candidate);
+        return candidate;
+      }
+    }
+  }
+
+  /**
+   * Declara una variable de OCaml en un ámbito con un identificador libre.
+   * @param {string} name - El nombre.
+   * @param {Environment} scope - El ámbito.
+   * @param {Object} ctx - El bloque de JavaScript.
+   * @returns {string} El identificador.
+   */
+  declare(name, scope, ctx) {
+    const js = this.fresh(name, scope, ctx);
+    scope.define(name, { kind: "value", js });
+    return js;
+  }
+
+  /**
+   * Declara una variable auxiliar del código generado (`$m`, `$p`, ...). Queda en el ámbito
+   * con un nombre que OCaml no puede escribir, para que las funciones interiores no la oculten.
+   * @param {string} base - La base del identificador.
+   * @param {Environment} scope - El ámbito.
+   * @param {Object} ctx - El bloque de JavaScript.
+   * @returns {string} El identificador.
+   */
+  temporary(base, scope, ctx) {
+    const js = this.fresh(base, scope, ctx);
+    scope.define(`(${js})`, { kind: "temporary", js });
+    return js;
+  }
+
+  /**
+   * Anota el uso de una función del runtime.
+   * @param {string} name - Su nombre.
+   * @returns {string} El mismo nombre.
+   */
+  use(name) {
+    this.used.add(name);
+    return name;
+  }
+
+  /**
+   * Traduce un grupo de definiciones `let` (o `let rec`).
+   * @param {Array<Object>} declarations - Las definiciones.
+   * @param {boolean} recursive - Si el grupo es recursivo.
+   * @param {Environment} scope - El ámbito actual.
+   * @param {Object} ctx - El bloque de JavaScript.
+   * @param {Array<*>} lines - Las líneas de salida.
+   * @returns {Environment} El ámbito con los nombres definidos.
+   */
+  bindings(declarations, recursive, scope, ctx, lines) {
+    const newScope = scope.extend();
+    if (recursive) {
+      const names = declarations.map(declaration => this.declare(bindingName(declaration), newScope, ctx));
+      const group = this.tailCallGroup(declarations, newScope, ctx);
+      declarations.forEach((declaration, index) => {
+        const self = { name: bindingName(declaration), entry: newScope.lookup(bindingName(declaration)), group };
+        this.binding(declaration, names[index], newScope, ctx, lines, self);
+      });
+      return newScope;
+    }
+    // Los valores de un `let` no recursivo se calculan en el ámbito anterior a las definiciones.
+    declarations.forEach(declaration => {
+      if (declaration.type === "PatternDeclaration") {
+        this.patternBinding(declaration, scope, newScope, ctx, lines);
+        return;
+      }
+      const js = this.declare(bindingName(declaration), newScope, ctx);
+      this.binding(declaration, js, scope, ctx, lines, null);
+    });
+    return newScope;
+  }
+
+  /**
+   * Decide si las funciones de un `let rec ... and ...` usan un trampolín: solo si alguna
+   * llama a otra del grupo en posición de cola. En ese caso declara la versión interna de
+   * cada función (`$odd` para `odd`), la que devuelve esas llamadas sin hacerlas.
+   * @param {Array<Object>} declarations - Las definiciones del grupo.
+   * @param {Environment} scope - El ámbito con los nombres del grupo.
+   * @param {Object} ctx - El bloque de JavaScript.
+   * @returns {Map<Object, {js: string, arity: number}>|null} La versión interna y el número
+   * de parámetros de cada función, por su entrada en el ámbito, o `null` si no hace falta.
+   */
+  tailCallGroup(declarations, scope, ctx) {
+    const functions = declarations
+      .map(declaration => ({ name: bindingName(declaration), parts: functionParts(declaration) }))
+      .filter(({ parts }) => parts);
+    const mutual = functions.some(caller => functions.some(callee =>
+      callee !== caller && callsInTailPosition(caller.parts, callee.name, arityOf(callee.parts))));
+    if (!mutual) return null;
+    return new Map(functions.map(({ name, parts }) => {
+      const entry = scope.lookup(name);
+      return [entry, { js: this.temporary(`$${entry.js}`, scope, ctx), arity: arityOf(parts) }];
+    }));
+  }
+
+  /**
+   * Traduce una definición `let patrón = expresión`. Un patrón que acepta cualquier valor se
+   * escribe con desestructuración (`const [a, b] = ...`); si no, las variables se declaran
+   * antes y se asignan en el árbol de decisión del patrón, que lanza `Match_failure` si no coincide.
+   * @param {Object} declaration - El nodo `PatternDeclaration`.
+   * @param {Environment} scope - El ámbito donde se calcula el valor.
+   * @param {Environment} newScope - El ámbito donde se definen las variables del patrón.
+   * @param {Object} ctx - El bloque de JavaScript.
+   * @param {Array<*>} lines - Las líneas de salida.
+   */
+  patternBinding(declaration, scope, newScope, ctx, lines) {
+    const { pattern, expression } = declaration;
+    const names = patternNames(pattern);
+    if (isDestructurable(pattern)) {
+      if (names.length === 0) {
+        // `let () = e` y `let _ = e` solo calculan la expresión.
+        this.scopedBlock(expression, scope, ctx, DISCARD, lines);
+        return;
+      }
+      const value = this.expression(expression, scope, ctx);
+      lines.push([ctx.indent, fragment(declaration, "const ", this.destructure(pattern, newScope, ctx, false), " = ", value.code, ";")]);
+      return;
+    }
+    const subject = this.subject(expression, scope, ctx, lines);
+    const variables = names.map(name => this.declare(name, newScope, ctx));
+    if (variables.length > 0) lines.push(`${ctx.indent}let ${variables.join(", ")};`);
+    const failure = (failCtx, failLines) => failLines.push([failCtx.indent, fragment(declaration, `${this.use("$matchFailure")}(${declaration.line}, ${declaration.column});`)]);
+    const action = (rowScope, rowCtx, rowLines) => names.forEach((name, i) => {
+      rowLines.push(`${rowCtx.indent}${variables[i]} = ${this.resolve(name, rowScope).js};`);
+    });
+    // El árbol ve las variables ya declaradas, así no las oculta con las suyas.
+    this.matchTree([subject], [{ patterns: [pattern], bindings: [], guard: null, action }], newScope, ctx, DISCARD, failure, lines);
+  }
+
+  /**
+   * Traduce una definición a la declaración de su variable.
+   * @param {Object} declaration - La definición.
+   * @param {string} js - El identificador de la variable.
+   * @param {Environment} scope - El ámbito donde se calcula el valor.
+   * @param {Object} ctx - El bloque de JavaScript.
+   * @param {Array<*>} lines - Las líneas de salida.
+   * @param {Object|null} self - En un `let rec`, el nombre y la entrada de la propia función,
+   * y el trampolín del grupo (ver `tailCallGroup`).
+   */
+  binding(declaration, js, scope, ctx, lines, self) {
+    const parts = functionParts(declaration);
+    const internal = parts && self && self.group && self.group.get(self.entry);
+    if (internal) {
+      // La versión interna, y la visible, que hace en el trampolín las llamadas que esta devuelve.
+      const value = this.functionValue(parts, scope, ctx, self);
+      lines.push([ctx.indent, fragment(declaration, "const ", internal.js, " = ", value.code, ";")]);
+      const wrapperScope = scope.extend();
+      const wrapperCtx = nested(ctx);
+      const params = Array.from({ length: internal.arity }, (_, i) => {
+        const param = parts.params && parts.params[i];
+        return this.fresh(param && param.type === "VariablePattern" ? param.name : "$x", wrapperScope, wrapperCtx);
+      });
+      const call = `${this.use("$trampoline")}(${internal.js}${params.map(param => `(${param})`).join("")})`;
+      lines.push([ctx.indent, fragment(declaration, "const ", js, " = ", params.map(param => `(${param}) => `).join(""), call, ";")]);
+      return;
+    }
+    if (parts) {
+      const value = this.functionValue(parts, scope, ctx, self);
+      lines.push([ctx.indent, fragment(declaration, "const ", js, " = ", value.code, ";")]);
+      return;
+    }
+    if (isStatementLike(declaration.expression)) {
+      lines.push([ctx.indent, fragment(declaration, "let ", js, ";")]);
+      this.scopedBlock(declaration.expression, scope, ctx, { kind: "assign", js }, lines);
+      return;
+    }
+    const value = this.expression(declaration.expression, scope, ctx);
+    lines.push([ctx.indent, fragment(declaration, "const ", js, " = ", value.code, ";")]);
+  }
+
+  /**
+   * Traduce una función a funciones flecha currificadas.
+   * @param {{params: Array<Object>|null, cases: Array<Object>|null, body: Object|null, node: Object}} parts - La función.
+   * @param {Environment} scope - El ámbito donde se define.
+   * @param {Object} ctx - El bloque de JavaScript donde aparece.
+   * @param {Object|null} [self] - En un `let rec`, el nombre y la entrada de la propia función,
+   * y el trampolín del grupo.
+   * @returns {{precedence: number, code: *}} La expresión de la función.
+   */
+  functionValue(parts, scope, ctx, self = null) {
+    const { params, body } = parts;
+    const loop = Boolean(self && params && !containsFunction(body)
+      && params.every(param => param.type === "VariablePattern")
+      && new Set(params.map(param => param.name)).size === params.length
+      && hasTailCall(body, self.name, params.length));
+    const group = self && self.group && self.group.has(self.entry) ? self.group : null;
+    const tail = loop || group ? { entry: self.entry, loop, group } : null;
+    return this.arrow(parts, 0, scope, ctx, tail, []);
+  }
+
+  /**
+   * Traduce el parámetro `index` de una función y lo que le sigue.
+   * @param {Object} parts - La función.
+   * @param {number} index - La posición del parámetro.
+   * @param {Environment} scope - El ámbito con los parámetros anteriores.
+   * @param {Object} ctx - El bloque de JavaScript donde aparece la función flecha.
+   * @param {Object|null} tail - Cómo se traducen sus llamadas en posición de cola: `{entry, loop, group}`
+   * si se traducen a un bucle (`loop`) o se devuelven al trampolín del grupo (`group`).
+   * @param {Array<string>} outerParams - Los identificadores de los parámetros anteriores.
+   * @returns {{precedence: number, code: *}} La expresión de la función.
+   */
+  arrow(parts, index, scope, ctx, tail, outerParams) {
+    const { params, cases, body } = parts;
+    const functionCtx = nested(ctx);
+    const functionScope = scope.extend();
+    const position = cases ? cases[0] : params[index];
+    const statements = [];
+
+    if (cases) {
+      const param = this.temporary("$p", functionScope, functionCtx);
+      const failure = (failCtx, failLines) => failLines.push([failCtx.indent, fragment(cases[0], `${this.use("$matchFailure")}(${cases[0].pattern.line}, ${cases[0].pattern.column});`)]);
+      this.matchCases(param, cases, functionScope, functionCtx, tail ? { ...RETURN, group: tail.group } : RETURN, failure, statements);
+      return this.arrowExpression(position, param, statements, ctx);
+    }
+
+    const pattern = params[index];
+    const last = index === params.length - 1;
+    let param;
+    if (isDestructurable(pattern)) {
+      param = this.destructure(pattern, functionScope, functionCtx, false);
+      if (!last) {
+        // Con más parámetros, el cuerpo es directamente la siguiente función flecha.
+        const next = this.arrow(parts, index + 1, functionScope, blockContext(ctx.indent, functionCtx.declared), tail, [...outerParams, param]);
+        return expression("assignment", pattern, "(", param, ") => ", next.code);
+      }
+      if (!tail && !isStatementLike(body) && !(body.type === "IfExpression" && body.elseBranch && body.elseBranch.type === "IfExpression")) {
+        const result = this.expression(body, functionScope, blockContext(ctx.indent, functionCtx.declared));
+        return expression("assignment", pattern, "(", param, ") => ", statementOperand(operandResult(result, "assignment")));
+      }
+      this.functionBody(parts, index, functionScope, functionCtx, statements, tail, [...outerParams, param]);
+    } else {
+      param = this.temporary("$p", functionScope, functionCtx);
+      const failure = (failCtx, failLines) => failLines.push([failCtx.indent, fragment(pattern, `${this.use("$matchFailure")}(${pattern.line}, ${pattern.column});`)]);
+      const action = (rowScope, rowCtx, rowLines) => {
+        if (last) {
+          this.functionBody(parts, index, rowScope, rowCtx, rowLines, tail && { ...tail, loop: false }, []);
+        } else {
+          const next = this.arrow(parts, index + 1, rowScope, rowCtx, tail && { ...tail, loop: false }, []);
+          rowLines.push([rowCtx.indent, "return ", next.code, ";"]);
+        }
+      };
+      this.matchTree([param], [{ patterns: [pattern], bindings: [], guard: null, action }], functionScope, functionCtx, RETURN, failure, statements);
+    }
+    return this.arrowExpression(position, param, statements, ctx);
+  }
+
+  /**
+   * Escribe una función flecha cuyo cuerpo es un bloque.
+   * @param {Object} node - El nodo del parámetro.
+   * @param {string} param - El parámetro de JavaScript.
+   * @param {Array<*>} statements - Las líneas del cuerpo.
+   * @param {Object} ctx - El bloque donde aparece la función.
+   * @returns {{precedence: number, code: *}} La expresión de la función.
+   */
+  arrowExpression(node, param, statements, ctx) {
+    return expression("assignment", node, "(", param, ") => {\n", joinLines(statements), "\n", ctx.indent, "}");
+  }
+
+  /**
+   * Escribe el cuerpo de la función tras su último parámetro (irrefutable). Si sus llamadas
+   * recursivas en posición de cola se traducen a un bucle, copia los parámetros anteriores en
+   * variables propias y envuelve el cuerpo en un `while (true)`.
+   * @param {Object} parts - La función.
+   * @param {number} index - La posición del último parámetro.
+   * @param {Environment} scope - El ámbito con todos los parámetros.
+   * @param {Object} ctx - El bloque del cuerpo.
+   * @param {Array<*>} lines - Las líneas de salida.
+   * @param {Object|null} tail - Cómo se traducen sus llamadas en posición de cola (ver `arrow`).
+   * @param {Array<string>} params - Los identificadores de todos los parámetros.
+   */
+  functionBody(parts, index, scope, ctx, lines, tail, params) {
+    if (!tail || !tail.loop) {
+      this.block(parts.body, scope, ctx, tail ? { ...RETURN, group: tail.group } : RETURN, lines);
+      return;
+    }
+    // Los parámetros de las funciones exteriores no se pueden reasignar: cada llamada a la
+    // función parcialmente aplicada debe empezar con los mismos valores.
+    const loopScope = scope.extend();
+    const variables = parts.params.map((param, position) => {
+      if (position === index) return params[position];
+      const js = this.fresh(param.name, loopScope, ctx);
+      loopScope.define(param.name, { kind: "value", js });
+      lines.push(`${ctx.indent}let ${js} = ${params[position]};`);
+      return js;
+    });
+    lines.push(`${ctx.indent}while (true) {`);
+    this.block(parts.body, loopScope, nested(ctx), { kind: "return", loop: { entry: tail.entry, variables }, group: tail.group }, lines);
+    lines.push(`${ctx.indent}}`);
+  }
+
+  /**
+   * Escribe un patrón irrefutable como parámetro de JavaScript, declarando sus variables.
+   * @param {Object} pattern - El patrón (para el que `isDestructurable` es `true`).
+   * @param {Environment} scope - El ámbito de la función.
+   * @param {Object} ctx - El bloque de la función.
+   * @param {boolean} inner - Si está dentro de otro patrón (donde `_` es un hueco).
+   * @returns {string} El parámetro.
+   */
+  destructure(pattern, scope, ctx, inner) {
+    switch (pattern.type) {
+      case "VariablePattern":
+        return this.declare(pattern.name, scope, ctx);
+      case "TuplePattern":
+        return `[${pattern.elements.map(element => this.destructure(element, scope, ctx, true)).join(", ")}]`;
+      case "RecordPattern": {
+        const fields = pattern.fields.filter(field => field.pattern.type !== "WildcardPattern").map(field => {
+          const value = this.destructure(field.pattern, scope, ctx, true);
+          return value === field.name ? value : `${propertyKey(field.name)}: ${value}`;
+        });
+        return fields.length === 0 ? "{}" : `{ ${fields.join(", ")} }`;
+      }
+      case "WildcardPattern":
+        return inner ? "" : "_";
+      default:
+        return ""; // `()`
+    }
+  }
+
+  /**
+   * Traduce una expresión como sentencias que entregan su valor a un destino: lo devuelven
+   * (`return`, la siguiente vuelta del bucle de una función recursiva o, en un grupo con
+   * trampolín, la llamada pendiente), lo descartan o lo asignan a una variable.
+   * @param {Object} node - La expresión.
+   * @param {Environment} scope - El ámbito.
+   * @param {Object} ctx - El bloque de JavaScript.
+   * @param {Object} target - El destino (`{kind: "return", loop, group}`, `{kind: "discard"}` o `{kind: "assign", js}`).
+   * @param {Array<*>} lines - Las líneas de salida.
+   */
+  block(node, scope, ctx, target, lines) {
+    switch (node.type) {
+      case "IfExpression": {
+        let current = node;
+        let keyword = "if (";
+        while (true) {
+          const condition = this.expression(current.condition, scope, ctx);
+          lines.push([ctx.indent, fragment(current, keyword, condition.code, ") {")]);
+          this.block(current.thenBranch, scope, nested(ctx), target, lines);
+          const otherwise = current.elseBranch;
+          if (otherwise && otherwise.type === "IfExpression") {
+            current = otherwise;
+            keyword = "} else if (";
+            continue;
+          }
+          if (otherwise) {
+            lines.push(`${ctx.indent}} else {`);
+            this.block(otherwise, scope, nested(ctx), target, lines);
+          }
+          lines.push(`${ctx.indent}}`);
+          if (!otherwise) this.deliver(UNIT_RESULT, node, ctx, target, lines);
+          return;
+        }
+      }
+
+      case "LetExpression": {
+        const bodyScope = this.bindings(node.declarations, node.recursive, scope, ctx, lines);
+        this.block(node.body, bodyScope, ctx, target, lines);
+        return;
+      }
+
+      case "LetOpenExpression":
+        this.block(node.body, this.openModule(node.module, scope), ctx, target, lines);
+        return;
+
+      case "SequenceExpression": {
+        if (node.expressions.length === 0) {
+          this.deliver(UNIT_RESULT, node, ctx, target, lines);
+          return;
+        }
+        const last = node.expressions.length - 1;
+        node.expressions.forEach((item, index) => this.block(item, scope, ctx, index === last ? target : DISCARD, lines));
+        return;
+      }
+
+      case "MatchExpression": {
+        const subject = this.subject(node.scrutinee, scope, ctx, lines);
+        const failure = (failCtx, failLines) => failLines.push([failCtx.indent, fragment(node, `${this.use("$matchFailure")}(${node.line}, ${node.column});`)]);
+        this.matchCases(subject, node.cases, scope, ctx, target, failure, lines);
+        return;
+      }
+
+      case "TryExpression": {
+        lines.push([ctx.indent, fragment(node, "try {")]);
+        // Dentro del `try`, una llamada recursiva no está en posición de cola.
+        this.block(node.body, scope, nested(ctx), target.kind === "return" ? RETURN : target, lines);
+        const handlerCtx = nested(ctx);
+        const handlerScope = scope.extend();
+        const error = this.temporary("$error", handlerScope, handlerCtx);
+        const exception = this.temporary("$exn", handlerScope, handlerCtx);
+        lines.push(`${ctx.indent}} catch (${error}) {`);
+        lines.push(`${handlerCtx.indent}const ${exception} = ${this.use("$exception")}(${error});`);
+        const failure = (failCtx, failLines) => failLines.push(`${failCtx.indent}throw ${error};`);
+        this.matchCases(exception, node.cases, handlerScope, handlerCtx, target, failure, lines);
+        lines.push(`${ctx.indent}}`);
+        return;
+      }
+
+      case "WhileExpression": {
+        const condition = this.expression(node.condition, scope, ctx);
+        lines.push([ctx.indent, fragment(node, "while (", condition.code, ") {")]);
+        this.block(node.body, scope, nested(ctx), DISCARD, lines);
+        lines.push(`${ctx.indent}}`);
+        this.deliver(UNIT_RESULT, node, ctx, target, lines);
+        return;
+      }
+
+      case "ForExpression": {
+        const start = this.expression(node.start, scope, ctx);
+        let end = this.expression(node.end, scope, ctx);
+        if (!["NumberLiteral", "Identifier"].includes(node.end.type)) {
+          // El límite se evalúa una sola vez, antes de la primera vuelta.
+          const js = this.temporary("$end", scope.extend(), ctx);
+          lines.push([ctx.indent, fragment(node.end, "const ", js, " = ", end.code, ";")]);
+          end = { precedence: PRECEDENCE.primary, code: js };
+        }
+        const bodyCtx = nested(ctx);
+        const bodyScope = scope.extend();
+        const variable = this.declare(node.variable, bodyScope, bodyCtx);
+        const [comparison, step] = node.direction === "to" ? [" <= ", "++"] : [" >= ", "--"];
+        lines.push([ctx.indent, fragment(node, "for (let ", variable, " = ", start.code, "; ", variable, comparison, operand(end, "relational"), "; ", variable, step, ") {")]);
+        this.block(node.body, bodyScope, bodyCtx, DISCARD, lines);
+        lines.push(`${ctx.indent}}`);
+        this.deliver(UNIT_RESULT, node, ctx, target, lines);
+        return;
+      }
+
+      case "AssignmentExpression":
+        lines.push([ctx.indent, this.assignment(node, scope, ctx), ";"]);
+        this.deliver(UNIT_RESULT, node, ctx, target, lines);
+        return;
+
+      case "BinaryExpression":
+        if (node.operator === ":=") {
+          lines.push([ctx.indent, this.assignment(node, scope, ctx), ";"]);
+          this.deliver(UNIT_RESULT, node, ctx, target, lines);
+          return;
+        }
+        break;
+
+      case "ApplicationExpression": {
+        const { callee, args } = applicationSpine(node);
+        const entry = callee.type === "Identifier" ? this.resolve(callee.value, scope) : undefined;
+        if (entry && entry.kind === "runtime" && entry.js === "raise" && args.length === 1) {
+          const exception = this.expression(args[0], scope, ctx);
+          lines.push([ctx.indent, fragment(node, this.use("raise"), "(", exception.code, ");")]);
+          return;
+        }
+        const loop = target.kind === "return" && target.loop;
+        if (loop && entry === loop.entry && args.length === loop.variables.length) {
+          // Llamada recursiva en posición de cola: se reasignan los parámetros y se da otra vuelta.
+          const values = args.map(arg => operand(this.expression(arg, scope, ctx), "assignment"));
+          const assigned = loop.variables.length === 1
+            ? fragment(node, loop.variables[0], " = ", values[0], ";")
+            : fragment(node, "[", loop.variables.join(", "), "] = [", values.flatMap((value, i) => (i === 0 ? [value] : [", ", value])), "];");
+          lines.push([ctx.indent, assigned]);
+          lines.push(`${ctx.indent}continue;`);
+          return;
+        }
+        const internal = target.kind === "return" && target.group && target.group.get(entry);
+        if (internal && args.length === internal.arity) {
+          // Llamada en posición de cola a una función del grupo: se devuelve para que la haga el trampolín.
+          const values = args.map(arg => [", ", operand(this.expression(arg, scope, ctx), "assignment")]);
+          lines.push([ctx.indent, fragment(node, "return ", this.use("$tailCall"), "(", internal.js, ...values, ");")]);
+          return;
+        }
+        break;
+      }
+    }
+    this.deliver(this.expression(node, scope, ctx), node, ctx, target, lines);
+  }
+
+  /**
+   * Traduce una expresión como sentencias (como `block`), dentro de un bloque `{ ... }` propio
+   * si empieza con un `let ... in`, para que sus variables locales no queden declaradas en el
+   * bloque donde aparece.
+   * @param {Object} node - La expresión.
+   * @param {Environment} scope - El ámbito.
+   * @param {Object} ctx - El bloque de JavaScript.
+   * @param {Object} target - El destino del valor.
+   * @param {Array<*>} lines - Las líneas de salida.
+   */
+  scopedBlock(node, scope, ctx, target, lines) {
+    let inner = node;
+    while (inner.type === "LetOpenExpression") inner = inner.body;
+    if (inner.type !== "LetExpression") {
+      this.block(node, scope, ctx, target, lines);
+      return;
+    }
+    lines.push(`${ctx.indent}{`);
+    this.block(node, scope, nested(ctx), target, lines);
+    lines.push(`${ctx.indent}}`);
+  }
+
+  /**
+   * Entrega el valor de una expresión a su destino.
+   * @param {{precedence: number, code: *, unit?: boolean}} result - La expresión.
+   * @param {Object} node - Su nodo AST.
+   * @param {Object} ctx - El bloque de JavaScript.
+   * @param {Object} target - El destino.
+   * @param {Array<*>} lines - Las líneas de salida.
+   */
+  deliver(result, node, ctx, target, lines) {
+    if (target.kind === "return") {
+      lines.push([ctx.indent, result.unit ? fragment(node, "return;") : fragment(node, "return ", result.code, ";")]);
+    } else if (target.kind === "assign") {
+      if (!result.unit) lines.push([ctx.indent, fragment(node, target.js, " = ", result.code, ";")]);
+    } else if (!result.unit) {
+      lines.push([ctx.indent, fragment(node, statementOperand(result), ";")]);
+    }
+  }
+
+  /**
+   * Devuelve una expresión que nombra el valor que se examina en un `match`: la variable si
+   * ya lo es, o una constante auxiliar con su valor.
+   * @param {Object} node - La expresión examinada.
+   * @param {Environment} scope - El ámbito.
+   * @param {Object} ctx - El bloque de JavaScript.
+   * @param {Array<*>} lines - Las líneas de salida.
+   * @returns {string} El identificador.
+   */
+  subject(node, scope, ctx, lines) {
+    if (node.type === "Identifier") {
+      const entry = this.resolve(node.value, scope);
+      if (entry && (entry.kind === "value" || entry.kind === "temporary")) return entry.js;
+    }
+    const value = this.expression(node, scope, ctx);
+    const js = this.temporary("$m", scope.extend(), ctx);
+    lines.push([ctx.indent, fragment(node, "const ", js, " = ", value.code, ";")]);
+    return js;
+  }
+
+  /**
+   * Traduce los casos de un `match`, un `try` o un `function` a un árbol de decisión.
+   * @param {string} subject - La expresión del valor examinado.
+   * @param {Array<Object>} cases - Los casos (`{pattern, guard, body}`).
+   * @param {Environment} scope - El ámbito.
+   * @param {Object} ctx - El bloque de JavaScript.
+   * @param {Object} target - El destino del valor del caso elegido.
+   * @param {Function} failure - Escribe el código que se ejecuta si ningún caso coincide.
+   * @param {Array<*>} lines - Las líneas de salida.
+   */
+  matchCases(subject, cases, scope, ctx, target, failure, lines) {
+    const rows = cases.map(matchCase => ({
+      patterns: [matchCase.pattern],
+      bindings: [],
+      guard: matchCase.guard || null,
+      action: (rowScope, rowCtx, rowLines) => this.block(matchCase.body, rowScope, rowCtx, target, rowLines)
+    }));
+    this.matchTree([subject], rows, scope, ctx, target, failure, lines);
+  }
+
+  /**
+   * Escribe el árbol de decisión de una matriz de patrones. Cada fila tiene un patrón por
+   * posición examinada (`null` si acepta cualquier valor), las variables que ya ató, su
+   * guarda y la acción que se ejecuta si se elige. Se examina la primera posición que
+   * comprueba algo en la primera fila: una tupla o un registro se descomponen en sus
+   * componentes; un constructor o un literal se comprueban con un `if` por alternativa, y
+   * cada rama sigue con las filas compatibles.
+   * @param {Array<string>} occurrences - Las expresiones de los valores examinados.
+   * @param {Array<Object>} rows - Las filas.
+   * @param {Environment} scope - El ámbito.
+   * @param {Object} ctx - El bloque de JavaScript.
+   * @param {Object} target - El destino de la acción.
+   * @param {Function} failure - Escribe el código del fallo.
+   * @param {Array<*>} lines - Las líneas de salida.
+   */
+  matchTree(occurrences, rows, scope, ctx, target, failure, lines) {
+    rows = rows.flatMap(row => normalizeRow(row, occurrences));
+    if (rows.length === 0) {
+      failure(ctx, lines);
+      return;
+    }
+    const [first] = rows;
+    const column = first.patterns.findIndex(pattern => pattern !== null);
+
+    if (column === -1) {
+      // La primera fila acepta el valor: se atan sus variables y, si no hay guarda, se elige.
+      const rowScope = scope.extend();
+      first.bindings.forEach(([name, occurrence, node]) => {
+        const current = scope.lookup(name);
+        if (current && current.js === occurrence) {
+          // `match n with ... | n -> ...` ya tiene el valor en la variable del mismo nombre.
+          rowScope.define(name, current);
+          return;
+        }
+        const js = this.declare(name, rowScope, ctx);
+        lines.push([ctx.indent, fragment(node, "const ", js, " = ", occurrence, ";")]);
+      });
+      if (!first.guard) {
+        first.action(rowScope, ctx, lines);
+        return;
+      }
+      const guard = this.expression(first.guard, rowScope, ctx);
+      lines.push([ctx.indent, fragment(first.guard, "if (", guard.code, ") {")]);
+      first.action(rowScope, nested(ctx), lines);
+      if (target.kind === "return") {
+        // La acción siempre sale del bloque: el resto del árbol puede seguir sin `else`.
+        lines.push(`${ctx.indent}}`);
+        this.matchTree(occurrences, rows.slice(1), scope, ctx, target, failure, lines);
+      } else {
+        lines.push(`${ctx.indent}} else {`);
+        this.matchTree(occurrences, rows.slice(1), scope, nested(ctx), target, failure, lines);
+        lines.push(`${ctx.indent}}`);
+      }
+      return;
+    }
+
+    const pattern = first.patterns[column];
+    const occurrence = occurrences[column];
+
+    if (pattern.type === "TuplePattern" || pattern.type === "RecordPattern") {
+      // Una tupla o un registro no se comprueban: se examinan sus componentes.
+      const names = pattern.type === "TuplePattern"
+        ? pattern.elements.map((_, index) => index)
+        : [...new Set(rows.flatMap(row => (row.patterns[column] ? row.patterns[column].fields.map(field => field.name) : [])))];
+      const components = names.map(name => (typeof name === "number" ? `${occurrence}[${name}]` : propertyAccess(occurrence, name).join("")));
+      const expanded = rows.map(row => {
+        const current = row.patterns[column];
+        const parts = names.map((name, index) => {
+          if (!current) return null;
+          if (current.type === "TuplePattern") return current.elements[index];
+          const field = current.fields.find(candidate => candidate.name === name);
+          return field ? field.pattern : null;
+        });
+        return { ...row, patterns: splice(row.patterns, column, parts) };
+      });
+      this.matchTree(splice(occurrences, column, components), expanded, scope, ctx, target, failure, lines);
+      return;
+    }
+
+    const heads = [];
+    for (const row of rows) {
+      const current = row.patterns[column];
+      if (current && !heads.some(head => headKey(head) === headKey(current))) heads.push(current);
+    }
+    const complete = this.coversAll(heads);
+    heads.forEach((head, index) => {
+      const key = headKey(head);
+      const argument = argumentPattern(head) !== null;
+      const branchOccurrences = splice(occurrences, column, argument ? [`${occurrence}.arg`] : []);
+      const branchRows = rows
+        .filter(row => row.patterns[column] === null || headKey(row.patterns[column]) === key)
+        .map(row => {
+          const current = row.patterns[column];
+          return { ...row, patterns: splice(row.patterns, column, argument ? [current && argumentPattern(current)] : []) };
+        });
+      if (complete && index === heads.length - 1) {
+        if (index === 0) {
+          // Un solo constructor posible (como `::` tras descartar `[]`): no hay nada que comprobar.
+          this.matchTree(branchOccurrences, branchRows, scope, ctx, target, failure, lines);
+          return;
+        }
+        lines.push(`${ctx.indent}} else {`);
+      } else {
+        lines.push([ctx.indent, fragment(head, index === 0 ? "if (" : "} else if (", this.headTest(head, occurrence, scope, ctx), ") {")]);
+      }
+      this.matchTree(branchOccurrences, branchRows, scope, nested(ctx), target, failure, lines);
+    });
+    if (complete && heads.length === 1) return;
+    if (!complete) {
+      lines.push(`${ctx.indent}} else {`);
+      const defaults = rows.filter(row => row.patterns[column] === null).map(row => ({ ...row, patterns: splice(row.patterns, column, []) }));
+      this.matchTree(splice(occurrences, column, []), defaults, scope, nested(ctx), target, failure, lines);
+    }
+    lines.push(`${ctx.indent}}`);
+  }
+
+  /**
+   * Indica si unas alternativas cubren todos los valores posibles: los dos booleanos o todos
+   * los constructores de un tipo.
+   * @param {Array<Object>} heads - Los patrones de las alternativas.
+   * @returns {boolean} `true` si no hace falta la rama del resto.
+   */
+  coversAll(heads) {
+    const keys = new Set(heads.map(headKey));
+    if (heads.every(head => head.type === "LiteralPattern" && head.literal.type === "BooleanLiteral")) {
+      return keys.size === 2;
+    }
+    const [head] = heads;
+    if (head.type === "LiteralPattern") return false;
+    const group = this.variants.get(head.type === "ConsPattern" ? "::" : head.qualifiedName || head.name);
+    return Boolean(group) && group.every(name => keys.has(`c:${name}`));
+  }
+
+  /**
+   * La condición que comprueba si un valor coincide con una alternativa.
+   * @param {Object} head - El patrón de la alternativa.
+   * @param {string} occurrence - La expresión del valor.
+   * @param {Environment} scope - El ámbito.
+   * @param {Object} ctx - El bloque de JavaScript.
+   * @returns {*} El código de la condición.
+   */
+  headTest(head, occurrence, scope, ctx) {
+    if (head.type === "LiteralPattern") {
+      if (head.literal.type === "BooleanLiteral") return head.literal.value ? occurrence : `!${occurrence}`;
+      return [occurrence, " === ", operand(this.expression(head.literal, scope, ctx), "relational")];
+    }
+    const name = head.type === "ConsPattern" ? "::" : head.qualifiedName || head.name;
+    return `${occurrence}.tag === ${JSON.stringify(name)}`;
+  }
+
+  /**
+   * Traduce una asignación (`r.x <- v`, `a.(i) <- v` o `r := v`).
+   * @param {Object} node - La asignación.
+   * @param {Environment} scope - El ámbito.
+   * @param {Object} ctx - El bloque de JavaScript.
+   * @returns {Fragment} El código, con la precedencia de una asignación.
+   */
+  assignment(node, scope, ctx) {
+    if (node.type === "BinaryExpression") {
+      const ref = this.expression(node.left, scope, ctx);
+      const value = this.expression(node.right, scope, ctx);
+      return fragment(node, operand(ref, "call"), ".contents = ", operand(value, "assignment"));
+    }
+    const value = this.expression(node.value, scope, ctx);
+    if (node.target.type === "ArrayAccessExpression") {
+      const array = this.expression(node.target.array, scope, ctx);
+      const index = this.expression(node.target.index, scope, ctx);
+      return fragment(node, this.use("$set"), "(", array.code, ", ", index.code, ", ", operand(value, "assignment"), ")");
+    }
+    const record = this.expression(node.target.record, scope, ctx);
+    return fragment(node, propertyAccess(operand(record, "call"), node.target.field), " = ", operand(value, "assignment"));
+  }
+
+  /**
+   * Traduce una expresión a una expresión de JavaScript.
+   * @param {Object} node - La expresión.
+   * @param {Environment} scope - El ámbito.
+   * @param {Object} ctx - El bloque de JavaScript donde aparece.
+   * @returns {{precedence: number, code: *, unit?: boolean}} La expresión.
+   */
+  expression(node, scope, ctx) {
+    switch (node.type) {
+      case "NumberLiteral": {
+        const text = `${node.value}n`;
+        return expression(text.startsWith("-") ? "unary" : "primary", node, text);
+      }
+      case "FloatLiteral": {
+        const text = floatLiteral(node.value);
+        return expression(text.startsWith("-") ? "unary" : "primary", node, text);
+      }
+      case "CharLiteral":
+        return expression("primary", node, JSON.stringify(String(node.value)));
+      case "StringLiteral":
+        return expression("primary", node, JSON.stringify(node.value));
+      case "BooleanLiteral":
+        return expression("primary", node, String(node.value));
+
+      case "Identifier": {
+        const entry = this.resolve(node.value, scope);
+        if (!entry || entry.kind === "module") {
+          throw new Error(`Variable "${node.value}" no definida.`);
+        }
+        if (entry.kind === "runtime") this.use(entry.js);
+        return expression(entry.js.startsWith("-") ? "unary" : "primary", node, entry.js);
+      }
+
+      case "ConstructorExpression": {
+        if (node.name === "()") return { ...UNIT_RESULT, code: fragment(node, "undefined") };
+        const name = node.qualifiedName || node.name;
+        if (name === "[]") return expression("call", node, this.use("$list"), "([])");
+        if (!node.argument) return expression("primary", node, `{ tag: ${JSON.stringify(name)} }`);
+        const argument = this.expression(node.argument, scope, ctx);
+        return expression("primary", node, `{ tag: ${JSON.stringify(name)}, arg: `, operand(argument, "assignment"), " }");
+      }
+
+      case "ListExpression":
+        return expression("call", node, this.use("$list"), "([", this.list(node.elements, scope, ctx), "])");
+      case "ConsExpression": {
+        const head = this.expression(node.head, scope, ctx);
+        const tail = this.expression(node.tail, scope, ctx);
+        return expression("call", node, this.use("$cons"), "(", operand(head, "assignment"), ", ", operand(tail, "assignment"), ")");
+      }
+      case "TupleExpression":
+      case "ArrayExpression":
+        return expression("primary", node, "[", this.list(node.elements, scope, ctx), "]");
+
+      case "RecordExpression": {
+        const fields = node.fields.map(field => {
+          const value = this.expression(field.value, scope, ctx);
+          return [propertyKey(field.name), ": ", operand(value, "assignment")];
+        });
+        if (node.base) {
+          const base = this.expression(node.base, scope, ctx);
+          fields.unshift(["...", operand(base, "assignment")]);
+        }
+        return expression("primary", node, "{ ", fields.flatMap((field, i) => (i === 0 ? [field] : [", ", field])), " }");
+      }
+
+      case "FieldAccessExpression": {
+        const record = this.expression(node.record, scope, ctx);
+        return expression("call", node, propertyAccess(operand(record, "call"), node.field));
+      }
+      case "ArrayAccessExpression": {
+        const array = this.expression(node.array, scope, ctx);
+        const index = this.expression(node.index, scope, ctx);
+        return expression("call", node, this.use("$get"), "(", operand(array, "assignment"), ", ", operand(index, "assignment"), ")");
+      }
+      case "AssignmentExpression":
+        return { ...expression("unary", node, "void (", this.assignment(node, scope, ctx), ")"), unit: true };
+
+      case "ApplicationExpression":
+        return this.application(node, scope, ctx);
+      case "BinaryExpression":
+        return this.binary(node, scope, ctx);
+
+      case "UnaryExpression": {
+        const value = this.expression(node.operand, scope, ctx);
+        if (node.operator === "!") return expression("call", node, operand(value, "call"), ".contents");
+        // `- -x` no puede escribirse `--x`: el operando negativo va entre paréntesis.
+        const negated = node.operator === "-" && value.unwrapped || value;
+        const negation = ["-", operand(negated, negated.precedence === PRECEDENCE.unary ? "call" : "unary")];
+        if (node.operator === "-") return this.intArithmetic(node, "unary", negation);
+        return expression("unary", node, ...negation);
+      }
+
+      case "FunctionExpression":
+        return this.functionValue({ params: node.params || null, cases: node.cases || null, body: node.body || null, node }, scope, ctx);
+
+      case "IfExpression":
+        if (!isStatementLike(node)) {
+          const condition = this.expression(node.condition, scope, ctx);
+          const thenBranch = this.expression(node.thenBranch, scope, ctx);
+          const elseBranch = node.elseBranch ? this.expression(node.elseBranch, scope, ctx) : UNIT_RESULT;
+          return expression("conditional", node, operand(condition, "or"), " ? ", operand(thenBranch, "assignment"), " : ", operand(elseBranch, "assignment"));
+        }
+        return this.immediateFunction(node, scope, ctx);
+
+      case "LetOpenExpression":
+        return this.expression(node.body, this.openModule(node.module, scope), ctx);
+
+      case "MatchExpression":
+      case "TryExpression":
+      case "LetExpression":
+      case "SequenceExpression":
+      case "WhileExpression":
+      case "ForExpression":
+        return this.immediateFunction(node, scope, ctx);
+
+      default:
+        throw new Error(`Expresión no soportada en la traducción a JavaScript: ${node.type}`);
+    }
+  }
+
+  /**
+   * Traduce una lista de expresiones separadas por comas (los elementos de una lista, una
+   * tupla o un array).
+   * @param {Array<Object>} elements - Las expresiones.
+   * @param {Environment} scope - El ámbito.
+   * @param {Object} ctx - El bloque de JavaScript.
+   * @returns {Array<*>} El código.
+   */
+  list(elements, scope, ctx) {
+    return elements.flatMap((element, index) => {
+      const code = operand(this.expression(element, scope, ctx), "assignment");
+      return index === 0 ? [code] : [", ", code];
+    });
+  }
+
+  /**
+   * Traduce una expresión que en JavaScript son sentencias como una función flecha que se
+   * llama en el acto: `(() => { ... })()`.
+   * @param {Object} node - La expresión.
+   * @param {Environment} scope - El ámbito.
+   * @param {Object} ctx - El bloque de JavaScript donde aparece.
+   * @returns {{precedence: number, code: *}} La expresión.
+   */
+  immediateFunction(node, scope, ctx) {
+    const lines = [];
+    this.block(node, scope, nested(ctx), RETURN, lines);
+    return expression("call", node, "(() => {\n", joinLines(lines), "\n", ctx.indent, "})()");
+  }
+
+  /**
+   * Traduce una aplicación `f a b` a llamadas currificadas `f(a)(b)`. `not e` y `ref e`
+   * se escriben directamente como `!e` y `{ contents: e }`.
+   * @param {Object} node - El nodo `ApplicationExpression`.
+   * @param {Environment} scope - El ámbito.
+   * @param {Object} ctx - El bloque de JavaScript.
+   * @returns {{precedence: number, code: *}} La expresión.
+   */
+  application(node, scope, ctx) {
+    const { callee, args } = applicationSpine(node);
+    if (callee.type === "Identifier" && args.length === 1) {
+      const entry = this.resolve(callee.value, scope);
+      if (entry && entry.kind === "runtime" && entry.js === "not") {
+        return expression("unary", node, "!", operand(this.expression(args[0], scope, ctx), "unary"));
+      }
+      if (entry && entry.kind === "runtime" && entry.js === "ref") {
+        return expression("primary", node, "{ contents: ", operand(this.expression(args[0], scope, ctx), "assignment"), " }");
+      }
+    }
+    const parts = [operand(this.expression(callee, scope, ctx), "call")];
+    args.forEach(arg => {
+      const value = this.expression(arg, scope, ctx);
+      // Con `()` como argumento basta la llamada sin argumentos: `print_newline ()` es `print_newline()`.
+      parts.push(value.unit && arg.type === "ConstructorExpression" ? "()" : ["(", operand(value, "assignment"), ")"]);
+    });
+    return expression("call", node, ...parts);
+  }
+
+  /**
+   * Traduce un operador binario.
+   * @param {Object} node - El nodo `BinaryExpression`.
+   * @param {Environment} scope - El ámbito.
+   * @param {Object} ctx - El bloque de JavaScript.
+   * @returns {{precedence: number, code: *}} La expresión.
+   */
+  binary(node, scope, ctx) {
+    if (node.operator === ":=") {
+      return { ...expression("unary", node, "void (", this.assignment(node, scope, ctx), ")"), unit: true };
+    }
+    const left = this.expression(node.left, scope, ctx);
+    const right = this.expression(node.right, scope, ctx);
+
+    if (node.operator in RUNTIME_OPERATORS) {
+      return expression("call", node, this.use(RUNTIME_OPERATORS[node.operator]), "(", operand(left, "assignment"), ", ", operand(right, "assignment"), ")");
+    }
+
+    if (node.operator in COMPARISONS) {
+      const operator = COMPARISONS[node.operator];
+      const level = operator.includes("=") && !operator.includes("<") && !operator.includes(">") ? "equality" : "relational";
+      if (isBasicType(node.operandType) || [node.left, node.right].some(isLiteral)) {
+        return expression(level, node, operand(left, level), ` ${operator} `, operand(right, nextLevel(level)));
+      }
+      const constant = [node.right, node.left].find(isConstantConstructor);
+      if (constant && level === "equality") {
+        // Comparar con un constructor constante solo mira la etiqueta: `x = None` es `x.tag === "None"`.
+        const other = constant === node.right ? left : right;
+        const name = constant.qualifiedName || constant.name;
+        return expression(level, node, operand(other, "call"), `.tag ${operator} ${JSON.stringify(name)}`);
+      }
+      if (level === "equality") {
+        const call = expression("call", node, this.use("$equal"), "(", operand(left, "assignment"), ", ", operand(right, "assignment"), ")");
+        return operator === "===" ? call : expression("unary", node, "!", call.code);
+      }
+      return expression("relational", node, this.use("$compare"), "(", operand(left, "assignment"), ", ", operand(right, "assignment"), `) ${operator} 0`);
+    }
+
+    const [operator, level] = DIRECT_OPERATORS[node.operator];
+    if (operator === "**") {
+      // En JavaScript, `**` es asociativo por la derecha y su operando izquierdo no puede ser unario.
+      return expression(level, node, operand(left, "call"), " ** ", operand(right, "exponent"));
+    }
+    if (INT_OPERATORS.has(node.operator)) {
+      const code = [operand(left.unwrapped || left, level), ` ${operator} `, operand(right.unwrapped || right, nextLevel(level))];
+      return this.intArithmetic(node, level, code);
+    }
+    // Los operadores son asociativos por la izquierda: el operando derecho con la misma precedencia va entre paréntesis.
+    return expression(level, node, operand(left, level), ` ${operator} `, operand(right, nextLevel(level)));
+  }
+
+  /**
+   * Escribe una operación de `int` reducida a 63 bits: `wrapInt(a + b)`. El resultado guarda
+   * también la operación sin reducir, para que otra operación de `int` que la contenga la use
+   * directamente y reduzca solo su propio resultado.
+   * @param {Object} node - El nodo de la operación.
+   * @param {string} level - La precedencia de la operación sin reducir.
+   * @param {Array<*>} code - El código de la operación sin reducir.
+   * @returns {{precedence: number, code: *, unwrapped: Object}} La expresión.
+   */
+  intArithmetic(node, level, code) {
+    return { ...expression("call", node, this.use("wrapInt"), "(", ...code, ")"), unwrapped: expression(level, node, ...code) };
+  }
+}
+
+/**
+ * El nivel de precedencia inmediatamente superior, para el operando derecho de un operador
+ * asociativo por la izquierda.
+ * @param {string} level - El nivel.
+ * @returns {string} El nivel siguiente.
+ */
+function nextLevel(level) {
+  const levels = Object.keys(PRECEDENCE).sort((a, b) => PRECEDENCE[a] - PRECEDENCE[b]);
+  return levels[levels.indexOf(level) + 1];
+}
+
+/**
+ * Devuelve una expresión con la precedencia mínima de una posición, añadiendo los paréntesis
+ * si hacen falta.
+ * @param {{precedence: number, code: *}} result - La expresión.
+ * @param {string} level - El nivel de la posición.
+ * @returns {{precedence: number, code: *}} La expresión, que ya puede ocupar esa posición.
+ */
+function operandResult(result, level) {
+  return result.precedence < PRECEDENCE[level] ? { ...result, precedence: PRECEDENCE.primary, code: ["(", result.code, ")"] } : result;
+}
+
+/**
+ * Indica si un identificador de JavaScript ya nombra una variable visible en un ámbito.
+ * @param {string} js - El identificador.
+ * @param {Environment} scope - El ámbito.
+ * @returns {boolean} `true` si alguna entrada visible lo usa.
+ */
+function isVisible(js, scope) {
+  for (let env = scope; env; env = env.parent) {
+    for (const entry of env.values.values()) {
+      if (entry.js === js) return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Indica si el tipo de los operandos de una comparación permite usar los operadores de
+ * JavaScript directamente.
+ * @param {Object|undefined} type - El tipo que anotó el análisis semántico.
+ * @returns {boolean} `true` para `int`, `float`, `string` y `bool`.
+ */
+function isBasicType(type) {
+  const pruned = type && prune(type);
+  return pruned instanceof TypeConstructor && BASIC_TYPES.has(pruned.name);
+}
+
+/**
+ * Indica si una expresión es un literal (su tipo es básico aunque no se haya anotado).
+ * @param {Object} node - La expresión.
+ * @returns {boolean} `true` si es un número, una cadena o un booleano literal.
+ */
+function isLiteral(node) {
+  return ["NumberLiteral", "FloatLiteral", "CharLiteral", "StringLiteral", "BooleanLiteral"].includes(node.type);
+}
+
+/**
+ * Indica si una expresión es un constructor constante (`None`, `[]`, `Red`).
+ * @param {Object} node - La expresión.
+ * @returns {boolean} `true` si lo es.
+ */
+function isConstantConstructor(node) {
+  return node.type === "ConstructorExpression" && node.name !== "()" && !node.argument;
+}
+
+/**
+ * Prepara una fila del árbol de decisión: las variables y los alias se convierten en
+ * variables atadas a la posición examinada (y la posición ya no comprueba nada), `_` y `()`
+ * aceptan cualquier valor, una lista `[a; b]` se escribe con `::` y `[]`, y un patrón
+ * `p | q` divide la fila en dos.
+ * @param {Object} row - La fila.
+ * @param {Array<string>} occurrences - Las expresiones de los valores examinados.
+ * @returns {Array<Object>} Las filas resultantes.
+ */
+function normalizeRow(row, occurrences) {
+  const patterns = [...row.patterns];
+  const bindings = [...row.bindings];
+  for (let index = 0; index < patterns.length; index++) {
+    let pattern = patterns[index];
+    while (pattern) {
+      if (pattern.type === "VariablePattern") {
+        bindings.push([pattern.name, occurrences[index], pattern]);
+        pattern = null;
+      } else if (pattern.type === "WildcardPattern" || (pattern.type === "ConstructorPattern" && pattern.name === "()")) {
+        pattern = null;
+      } else if (pattern.type === "AliasPattern") {
+        bindings.push([pattern.name, occurrences[index], pattern]);
+        pattern = pattern.pattern;
+      } else if (pattern.type === "ListPattern") {
+        pattern = pattern.elements.reduceRight(
+          (tail, head) => ({ type: "ConsPattern", head, tail, line: head.line, column: head.column }),
+          { type: "ConstructorPattern", name: "[]", qualifiedName: "[]", argument: null, line: pattern.line, column: pattern.column }
+        );
+      } else if (pattern.type === "OrPattern") {
+        const prefix = { ...row, patterns, bindings };
+        return [
+          ...normalizeRow({ ...prefix, patterns: splice(patterns, index, [pattern.left]) }, occurrences),
+          ...normalizeRow({ ...prefix, patterns: splice(patterns, index, [pattern.right]) }, occurrences)
+        ];
+      } else {
+        break;
+      }
+    }
+    patterns[index] = pattern;
+  }
+  return [{ ...row, patterns, bindings }];
+}
+
+/** Caracteres de la codificación base64 de los mapas de fuentes. */
+const BASE64_DIGITS = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+/**
+ * Codifica un entero en VLQ base64, el formato de los segmentos de un mapa de fuentes.
+ * @param {number} value - El entero.
+ * @returns {string} Su codificación.
+ */
+function encodeVlq(value) {
+  let rest = value < 0 ? (-value << 1) | 1 : value << 1;
+  let text = "";
+  do {
+    let digit = rest & 31;
+    rest >>>= 5;
+    if (rest > 0) digit |= 32; // Bit de continuación.
+    text += BASE64_DIGITS[digit];
+  } while (rest > 0);
+  return text;
+}
+
+/**
+ * Escribe los trozos del código generado y anota dónde empieza cada uno que procede de un
+ * nodo del AST.
+ * @param {Array<*>} parts - Las partes del programa.
+ * @returns {{code: string, mappings: Array<Array<number>>}} El código y las correspondencias
+ * `[línea generada, columna generada, línea original, columna original]` (desde 0).
+ */
+function render(parts) {
+  let code = "";
+  let line = 0;
+  let column = 0;
+  const mappings = [];
+  const visit = part => {
+    if (typeof part === "string") {
+      code += part;
+      const lastBreak = part.lastIndexOf("\n");
+      if (lastBreak === -1) {
+        column += part.length;
+      } else {
+        line += part.split("\n").length - 1;
+        column = part.length - lastBreak - 1;
+      }
+    } else if (Array.isArray(part)) {
+      part.forEach(visit);
+    } else {
+      const { node } = part;
+      if (node && node.line) {
+        const mapping = [line, column, node.line - 1, node.column - 1];
+        const previous = mappings[mappings.length - 1];
+        // Si dos trozos empiezan en el mismo sitio, vale el más interior.
+        if (previous && previous[0] === line && previous[1] === column) mappings[mappings.length - 1] = mapping;
+        else mappings.push(mapping);
+      }
+      part.parts.forEach(visit);
+    }
+  };
+  visit(parts);
+  return { code, mappings };
+}
+
+/**
+ * Codifica las correspondencias en el campo `mappings` de un mapa de fuentes (versión 3).
+ * @param {Array<Array<number>>} mappings - Las correspondencias, en orden.
+ * @returns {string} El texto codificado.
+ */
+function encodeMappings(mappings) {
+  const lines = [];
+  let sourceLine = 0;
+  let sourceColumn = 0;
+  for (const [line, column, originalLine, originalColumn] of mappings) {
+    while (lines.length <= line) lines.push({ column: 0, segments: [] });
+    const current = lines[line];
+    current.segments.push(encodeVlq(column - current.column) + encodeVlq(0)
+      + encodeVlq(originalLine - sourceLine) + encodeVlq(originalColumn - sourceColumn));
+    current.column = column;
+    sourceLine = originalLine;
+    sourceColumn = originalColumn;
+  }
+  return lines.map(current => current.segments.join(",")).join(";");
+}
+
+/**
+ * Traduce un programa de OCaml a un módulo de JavaScript independiente.
+ * @param {Object} ast - El AST (un nodo `Program`) tras el análisis semántico.
+ * @param {Object} [options]
+ * @param {string} [options.fileName] - El nombre del archivo de OCaml, para el mapa de fuentes.
+ * @param {string} [options.source] - El código original: se incluye en el mapa de fuentes y
+ * cada sentencia va precedida de su primera línea como comentario.
+ * @returns {{code: string, map: Object}} El código y su mapa de fuentes.
+ */
+export function transpile(ast, { fileName = "programa.ml", source = null } = {}) {
+  const generator = new JsGenerator(source);
+  const { body, exports } = generator.program(ast);
+  const runtime = runtimeFor(generator.used);
+
+  const parts = [`// Traducido a JavaScript desde ${fileName} por el simulador de OCaml.\n`];
+  if (runtime.source) {
+    parts.push("\n// ----------------- Runtime -----------------\n\n", runtime.source, "\n");
+  }
+  if (runtime.names.has("$compare")) {
+    const tags = [...generator.tags].map(([name, tag]) => `${JSON.stringify(name)}: ${tag}`).join(", ");
+    parts.push(`\n// Posición de cada constructor en su tipo, para \`compare\`.\nconst $tags = { ${tags} };\n`);
+  }
+  parts.push("\n// ----------------- Programa -----------------\n\n", body, "\n");
+  if (exports.length > 0) {
+    parts.push(`\nexport { ${exports.join(", ")} };\n`);
+  }
+
+  const { code, mappings } = render(parts);
+  const map = {
+    version: 3,
+    file: fileName.replace(/\.ml$/, "") + ".js",
+    sources: [fileName],
+    names: [],
+    mappings: encodeMappings(mappings)
+  };
+  if (source !== null) map.sourcesContent = [source];
+  return { code, map };
+}
+
+/**
+ * Añade al código generado su mapa de fuentes en línea, para descargarlo como un solo archivo.
+ * @param {string} code - El código.
+ * @param {Object} map - El mapa de fuentes.
+ * @returns {string} El código con el comentario `sourceMappingURL`.
+ */
+export function withInlineSourceMap(code, map) {
+  const bytes = new TextEncoder().encode(JSON.stringify(map));
+  let binary = "";
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return `${code}//# sourceMappingURL=data:application/json;charset=utf-8;base64,${btoa(binary)}\n`;
+}
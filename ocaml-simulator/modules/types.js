@@ -0,0 +1,331 @@
+// modules/types.js
+
+/**
+ * Representación de los tipos de OCaml para la inferencia de tipos (Hindley–Milner).
+ *
+ * Un tipo es una variable de tipo (`'a`) o la aplicación de un constructor de tipos a
+ * sus argumentos: `int` y `string` son constructores sin argumentos, `int list` es `list`
+ * aplicado a `int`, las funciones usan el constructor `->` con dos argumentos y las
+ * tuplas el constructor `*` con tantos argumentos como componentes.
+ *
+ * Las variables se resuelven por mutación (`instance`) al unificarlas, y cada una guarda
+ * el "nivel" de `let` en el que se creó: al generalizar, solo se cuantifican las variables
+ * creadas dentro del `let` actual (técnica de niveles de Rémy, la misma que usa OCaml).
+ */
+
+/** Nivel de las variables generalizadas (cuantificadas) de un esquema de tipos. */
+export const GENERIC_LEVEL = Infinity;
+
+let nextVariableId = 0;
+
+/**
+ * Una variable de tipo. Mientras `instance` es `null` la variable está libre; al
+ * unificarla con otro tipo, `instance` apunta a ese tipo.
+ */
+export class TypeVariable {
+  /**
+   * @param {number} level - El nivel de `let` en el que se crea la variable.
+   */
+  constructor(level) {
+    this.id = nextVariableId++;
+    this.level = level;
+    this.instance = null;
+  }
+}
+
+/**
+ * La aplicación de un constructor de tipos a sus argumentos (`int`, `'a list`, `int -> int`, ...).
+ */
+export class TypeConstructor {
+  /**
+   * @param {string} name - El nombre del constructor de tipos.
+   * @param {Array<Object>} [args] - Los tipos argumento.
+   */
+  constructor(name, args = []) {
+    this.name = name;
+    this.args = args;
+  }
+}
+
+/**
+ * Error de unificación: dos tipos que deberían ser iguales no lo son.
+ */
+export class UnificationError extends Error {
+  /**
+   * @param {string} message - Descripción del conflicto concreto.
+   */
+  constructor(message) {
+    super(message);
+    this.name = "UnificationError";
+  }
+}
+
+/** El tipo `int`. */
+export const intType = new TypeConstructor("int");
+/** El tipo `float`. */
+export const floatType = new TypeConstructor("float");
+/** El tipo `char`. */
+export const charType = new TypeConstructor("char");
+/** El tipo `string`. */
+export const stringType = new TypeConstructor("string");
+/** El tipo `bool`. */
+export const boolType = new TypeConstructor("bool");
+/** El tipo `exn` de las excepciones (una variante extensible con `exception`). */
+export const exnType = new TypeConstructor("exn");
+/** El tipo `unit`. */
+export const unitType = new TypeConstructor("unit");
+
+/**
+ * Construye el tipo función `param -> result`.
+ * @param {Object} param - El tipo del parámetro.
+ * @param {Object} result - El tipo del resultado.
+ * @returns {TypeConstructor} El tipo función.
+ */
+export function functionType(param, result) {
+  return new TypeConstructor("->", [param, result]);
+}
+
+/**
+ * Construye el tipo tupla `t1 * t2 * ...`.
+ * @param {Array<Object>} items - Los tipos de los componentes.
+ * @returns {TypeConstructor} El tipo tupla.
+ */
+export function tupleType(items) {
+  return new TypeConstructor("*", items);
+}
+
+/**
+ * Construye el tipo `element list`.
+ * @param {Object} element - El tipo de los elementos.
+ * @returns {TypeConstructor} El tipo lista.
+ */
+export function listType(element) {
+  return new TypeConstructor("list", [element]);
+}
+
+/**
+ * Construye el tipo `element option`.
+ * @param {Object} element - El tipo del valor opcional.
+ * @returns {TypeConstructor} El tipo opción.
+ */
+export function optionType(element) {
+  return new TypeConstructor("option", [element]);
+}
+
+/**
+ * Construye el tipo `element ref` de las referencias (registros con un campo mutable `contents`).
+ * @param {Object} element - El tipo del contenido.
+ * @returns {TypeConstructor} El tipo referencia.
+ */
+export function refType(element) {
+  return new TypeConstructor("ref", [element]);
+}
+
+/**
+ * Construye el tipo `('a, 'r) format` de las cadenas de formato de `Printf`: `'a` es el
+ * tipo de la función que recibe un argumento por directiva y devuelve `'r`.
+ * @param {Object} args - El tipo de la función que consume los argumentos.
+ * @param {Object} result - El tipo del resultado final.
+ * @returns {TypeConstructor} El tipo formato.
+ */
+export function formatType(args, result) {
+  return new TypeConstructor("format", [args, result]);
+}
+
+/**
+ * Construye el tipo `element array`.
+ * @param {Object} element - El tipo de los elementos.
+ * @returns {TypeConstructor} El tipo array.
+ */
+export function arrayType(element) {
+  return new TypeConstructor("array", [element]);
+}
+
+/**
+ * Sigue la cadena de instancias de una variable hasta llegar a un tipo que no es una
+ * variable resuelta. Acorta la cadena por el camino.
+ * @param {Object} type - El tipo a resolver.
+ * @returns {Object} El representante actual del tipo.
+ */
+export function prune(type) {
+  if (type instanceof TypeVariable && type.instance) {
+    type.instance = prune(type.instance);
+    return type.instance;
+  }
+  return type;
+}
+
+/**
+ * Comprueba que la variable `variable` no aparece dentro de `type` (si apareciera, el
+ * tipo sería infinito, como en `'a = 'a list`). De paso, baja el nivel de las variables
+ * de `type` al de `variable`, para que no se generalicen antes de tiempo.
+ * @param {TypeVariable} variable - La variable que se va a unificar.
+ * @param {Object} type - El tipo con el que se unifica.
+ * @throws {UnificationError} Si la variable aparece en el tipo.
+ */
+function occursCheckAdjustLevels(variable, type) {
+  type = prune(type);
+  if (type instanceof TypeVariable) {
+    if (type === variable) {
+      throw new UnificationError("el tipo resultante sería infinito (una variable de tipo aparece dentro de sí misma)");
+    }
+    type.level = Math.min(type.level, variable.level);
+  } else {
+    type.args.forEach(arg => occursCheckAdjustLevels(variable, arg));
+  }
+}
+
+/**
+ * Unifica dos tipos: los hace iguales instanciando las variables de tipo necesarias.
+ * @param {Object} a - Primer tipo.
+ * @param {Object} b - Segundo tipo.
+ * @throws {UnificationError} Si los tipos no pueden unificarse.
+ */
+export function unify(a, b) {
+  a = prune(a);
+  b = prune(b);
+  if (a === b) return;
+
+  if (a instanceof TypeVariable) {
+    occursCheckAdjustLevels(a, b);
+    a.instance = b;
+  } else if (b instanceof TypeVariable) {
+    unify(b, a);
+  } else if (a.name === b.name && a.args.length === b.args.length) {
+    a.args.forEach((arg, i) => unify(arg, b.args[i]));
+  } else {
+    throw new UnificationError("los constructores de tipo no coinciden");
+  }
+}
+
+/**
+ * Generaliza un tipo: marca como genéricas (cuantificadas) las variables libres creadas
+ * en un nivel más profundo que `level`, es decir, dentro del `let` que se está cerrando.
+ * @param {Object} type - El tipo a generalizar.
+ * @param {number} level - El nivel actual (el del `let` exterior).
+ */
+export function generalize(type, level) {
+  type = prune(type);
+  if (type instanceof TypeVariable) {
+    if (type.level > level) {
+      type.level = GENERIC_LEVEL;
+    }
+  } else {
+    type.args.forEach(arg => generalize(arg, level));
+  }
+}
+
+/**
+ * Baja al nivel `level` las variables libres de un tipo que no se generaliza (por la
+ * restricción de valores), para que tampoco se generalicen al cerrar un `let` exterior:
+ * en `let r = ref []`, el tipo `'_weak1 list ref` debe quedar fijado por el primer uso de `r`.
+ * @param {Object} type - El tipo.
+ * @param {number} level - El nivel actual.
+ */
+export function limitLevels(type, level) {
+  type = prune(type);
+  if (type instanceof TypeVariable) {
+    type.level = Math.min(type.level, level);
+  } else {
+    type.args.forEach(arg => limitLevels(arg, level));
+  }
+}
+
+/**
+ * Crea una instancia fresca de un esquema de tipos: copia el tipo sustituyendo cada
+ * variable genérica por una variable nueva del nivel actual. Así cada uso de una función
+ * polimórfica (`id 1`, `id "a"`) obtiene sus propias variables.
+ * @param {Object} type - El esquema de tipos.
+ * @param {number} level - El nivel actual.
+ * @param {Map} [substitution] - Variables genéricas ya sustituidas (para compartirlas entre varios tipos).
+ * @returns {Object} La instancia.
+ */
+export function instantiate(type, level, substitution = new Map()) {
+  type = prune(type);
+  if (type instanceof TypeVariable) {
+    if (type.level !== GENERIC_LEVEL) return type;
+    if (!substitution.has(type)) {
+      substitution.set(type, new TypeVariable(level));
+    }
+    return substitution.get(type);
+  }
+  if (type.args.length === 0) return type;
+  return new TypeConstructor(type.name, type.args.map(arg => instantiate(arg, level, substitution)));
+}
+
+/**
+ * Genera el nombre de la n-ésima variable de tipo: `'a`, `'b`, ..., `'z`, `'a1`, ...
+ * @param {number} index - Índice de la variable.
+ * @returns {string} El nombre.
+ */
+function variableName(index) {
+  const letter = String.fromCharCode(97 + (index % 26));
+  const suffix = index >= 26 ? Math.floor(index / 26) : "";
+  return `'${letter}${suffix}`;
+}
+
+/**
+ * Convierte un tipo en texto con la sintaxis de OCaml (`'a -> 'a`, `(int * string) list`).
+ * Las variables se nombran en orden de aparición. Se puede compartir `names` entre varias
+ * llamadas para que la misma variable reciba el mismo nombre en todos los textos (por
+ * ejemplo, en un mensaje que muestra el tipo encontrado y el esperado).
+ *
+ * Si se indica `weakNames`, las variables no generalizadas se muestran como variables
+ * débiles (`'_weak1`), con nombres compartidos por todo el programa, igual que el REPL de
+ * OCaml al imprimir el tipo de una definición.
+ *
+ * Si se indica `modulePath` (`"M."`), los tipos definidos en ese módulo se escriben sin
+ * calificar, como en la firma del propio módulo (`t` en lugar de `M.t`).
+ * @param {Object} type - El tipo a imprimir.
+ * @param {Map} [names] - Nombres ya asignados a las variables.
+ * @param {Map|null} [weakNames] - Nombres ya asignados a las variables débiles.
+ * @param {string} [modulePath] - Ruta del módulo desde el que se escribe el tipo.
+ * @returns {string} El tipo en sintaxis OCaml.
+ */
+export function typeToString(type, names = new Map(), weakNames = null, modulePath = "") {
+  return printType(type, names, 0, weakNames, modulePath);
+}
+
+/**
+ * Imprime un tipo añadiendo paréntesis según la precedencia del contexto:
+ * 0 = cualquier posición, 1 = operando de `->` a la izquierda, 2 = componente de tupla,
+ * 3 = argumento de un constructor de tipos.
+ * @param {Object} type - El tipo.
+ * @param {Map} names - Nombres de las variables.
+ * @param {number} precedence - Precedencia del contexto.
+ * @param {Map|null} weakNames - Nombres de las variables débiles (o `null` para no distinguirlas).
+ * @param {string} modulePath - Ruta del módulo cuyos tipos se escriben sin calificar.
+ * @returns {string} El texto.
+ */
+function printType(type, names, precedence, weakNames, modulePath) {
+  type = prune(type);
+  if (type instanceof TypeVariable) {
+    if (weakNames && type.level !== GENERIC_LEVEL) {
+      if (!weakNames.has(type)) {
+        weakNames.set(type, `'_weak${weakNames.size + 1}`);
+      }
+      return weakNames.get(type);
+    }
+    if (!names.has(type)) {
+      names.set(type, variableName(names.size));
+    }
+    return names.get(type);
+  }
+
+  const wrap = (text, own) => (precedence > own ? `(${text})` : text);
+  const print = (arg, argPrecedence) => printType(arg, names, argPrecedence, weakNames, modulePath);
+  if (type.name === "->") {
+    return wrap(`${print(type.args[0], 1)} -> ${print(type.args[1], 0)}`, 0);
+  }
+  if (type.name === "*") {
+    return wrap(type.args.map(arg => print(arg, 3)).join(" * "), 1);
+  }
+  const name = modulePath && type.name.startsWith(modulePath) ? type.name.slice(modulePath.length) : type.name;
+  if (type.args.length === 0) {
+    return name;
+  }
+  if (type.args.length === 1) {
+    return `${print(type.args[0], 3)} ${name}`;
+  }
+  return `(${type.args.map(arg => print(arg, 0)).join(", ")}) ${name}`;
+}
@@ -0,0 +1,573 @@
+// modules/values.js
+
+/**
+ * Representaciones de los valores estructurados de OCaml en tiempo de ejecución.
+ * Los valores simples usan tipos nativos de JavaScript: los `int` son `BigInt` (para
+ * reproducir la aritmética de 63 bits de OCaml), los `float` son `number`, y las cadenas
+ * y los booleanos son `string` y `boolean`. Los `char` son `OCamlChar`, uno por código (como
+ * los de los literales del AST), para distinguirlos de las cadenas al escribirlos. Las clausuras las representa cada motor de
+ * ejecución (`OCamlFunction` en el intérprete); aquí se definen las funciones predefinidas, las
+ * tuplas, los valores construidos con constructores (`Some x`, `None`, `[]`, `x :: xs`, ...),
+ * los registros, los arrays y los módulos. Los valores inmutables se congelan al crearse; los registros
+ * con campos `mutable` y los arrays son bloques del montón que se comparten por referencia.
+ */
+
+/** Número de bits de los enteros de OCaml en una plataforma de 64 bits (uno se reserva como etiqueta). */
+export const INT_BITS = 63;
+/** El mayor entero representable (`max_int`). */
+export const MAX_INT = 2n ** BigInt(INT_BITS - 1) - 1n;
+/** El menor entero representable (`min_int`). */
+export const MIN_INT = -(2n ** BigInt(INT_BITS - 1));
+
+/**
+ * Reduce un entero al rango de los enteros de OCaml, dando la vuelta como lo hace el
+ * hardware: `max_int + 1 = min_int`.
+ * @param {bigint} value - El resultado exacto de una operación.
+ * @returns {bigint} El valor equivalente en 63 bits con signo.
+ */
+export function wrapInt(value) {
+  return BigInt.asIntN(INT_BITS, value);
+}
+
+/**
+ * Número de bits de un desplazamiento (`lsl`, `lsr`, `asr`). OCaml no especifica el resultado
+ * si no está entre 0 y 63; aquí esos desplazamientos cuentan como de 63 bits.
+ * @param {bigint} count - El operando derecho del desplazamiento.
+ * @returns {bigint} El número de bits.
+ */
+export function shiftCount(count) {
+  return count < 0n || count > BigInt(INT_BITS) ? BigInt(INT_BITS) : count;
+}
+
+/**
+ * Desplazamiento a la izquierda (`lsl`): los bits que salen de los 63 se pierden.
+ * @param {bigint} value - El entero.
+ * @param {bigint} count - Los bits que se desplaza.
+ * @returns {bigint} El resultado.
+ */
+export function shiftLeft(value, count) {
+  return wrapInt(value << shiftCount(count));
+}
+
+/**
+ * Desplazamiento lógico a la derecha (`lsr`): entran ceros por la izquierda, así que un
+ * negativo se desplaza como el entero sin signo de sus 63 bits (`-1 lsr 1 = max_int`).
+ * @param {bigint} value - El entero.
+ * @param {bigint} count - Los bits que se desplaza.
+ * @returns {bigint} El resultado.
+ */
+export function shiftRight(value, count) {
+  return wrapInt(BigInt.asUintN(INT_BITS, value) >> shiftCount(count));
+}
+
+/**
+ * Desplazamiento aritmético a la derecha (`asr`): se copia el bit de signo (`-8 asr 1 = -4`).
+ * @param {bigint} value - El entero.
+ * @param {bigint} count - Los bits que se desplaza.
+ * @returns {bigint} El resultado.
+ */
+export function shiftRightArithmetic(value, count) {
+  return value >> shiftCount(count);
+}
+
+/**
+ * Convierte el texto de un entero (con signo opcional, prefijos `0x`, `0o`, `0b` y
+ * separadores `_`) en su valor, como `int_of_string` y los literales del lenguaje. Los
+ * literales decimales deben caber en el rango de `int`; los hexadecimales, octales y
+ * binarios pueden ocupar los 63 bits y se interpretan en complemento a dos
+ * (`0x7FFF_FFFF_FFFF_FFFF = -1`).
+ * @param {string} text - El texto a convertir.
+ * @returns {bigint|null} El valor, o `null` si el texto no es un entero válido o no cabe en un `int`.
+ */
+export function parseInt63(text) {
+  const match = /^([+-]?)(0[xX][0-9a-fA-F][0-9a-fA-F_]*|0[oO][0-7][0-7_]*|0[bB][01][01_]*|[0-9][0-9_]*)$/.exec(text);
+  if (!match) return null;
+  const negative = match[1] === "-";
+  const decimal = !/^0[xXoObB]/.test(match[2]);
+  const magnitude = BigInt(match[2].replace(/_/g, "").replace(/^0([XOB])/, (_, radix) => `0${radix.toLowerCase()}`));
+  const limit = decimal ? (negative ? -MIN_INT : MAX_INT) : 2n ** BigInt(INT_BITS) - 1n;
+  if (magnitude > limit) return null;
+  return wrapInt(negative ? -magnitude : magnitude);
+}
+
+/**
+ * Emula el formato `%.<precision>g` de C: notación decimal o exponencial según el
+ * exponente, sin ceros finales y con al menos dos cifras en el exponente (`1e+20`).
+ * @param {number} value - Un número finito.
+ * @param {number} precision - El número de cifras significativas.
+ * @returns {string} El número formateado.
+ */
+export function formatGeneral(value, precision) {
+  // `toExponential` y `toFixed` pierden el signo del cero negativo, que C sí escribe (`-0`).
+  if (Object.is(value, -0)) return `-${formatGeneral(0, precision)}`;
+  const [mantissa, exponentText] = value.toExponential(precision - 1).split("e");
+  const exponent = Number(exponentText);
+  const stripZeros = text => (text.includes(".") ? text.replace(/\.?0+$/, "") : text);
+  if (exponent < -4 || exponent >= precision) {
+    const sign = exponent < 0 ? "-" : "+";
+    return `${stripZeros(mantissa)}e${sign}${String(Math.abs(exponent)).padStart(2, "0")}`;
+  }
+  return stripZeros(value.toFixed(Math.max(0, precision - 1 - exponent)));
+}
+
+/**
+ * Añade un punto a un número que, escrito así, parecería un entero (`3` pasa a `3.`),
+ * como hace OCaml para que el texto siga siendo un literal `float` válido.
+ * @param {string} text - El número formateado.
+ * @returns {string} El texto con punto decimal si hacía falta.
+ */
+export function validFloatLexeme(text) {
+  return /^-?\d+$/.test(text) ? `${text}.` : text;
+}
+
+/**
+ * Convierte un `float` en texto como `string_of_float`: 12 cifras significativas.
+ * @param {number} value - El número.
+ * @returns {string} El texto (`3.`, `-0.`, `0.1`, `1e+20`, `inf`, `nan`).
+ */
+export function floatToString(value) {
+  if (Number.isNaN(value)) return "nan";
+  if (!Number.isFinite(value)) return value > 0 ? "inf" : "-inf";
+  return validFloatLexeme(formatGeneral(value, 12));
+}
+
+/**
+ * Convierte un `float` en texto como el REPL de OCaml: con las cifras necesarias (12, 15
+ * o 18) para que el texto represente exactamente el mismo número.
+ * @param {number} value - El número.
+ * @returns {string} El texto (`3.`, `0.1`, `0.333333333333333315`, `infinity`, `nan`).
+ */
+export function formatFloat(value) {
+  if (Number.isNaN(value)) return "nan";
+  if (!Number.isFinite(value)) return value > 0 ? "infinity" : "neg_infinity";
+  const text = [12, 15].map(precision => formatGeneral(value, precision)).find(candidate => Number(candidate) === value);
+  return validFloatLexeme(text || formatGeneral(value, 18));
+}
+
+/**
+ * Un carácter (`'a'`): un byte, con su código de 0 a 255. Hay un único objeto por código
+ * (`OCamlChar.of`), así que dos caracteres iguales son el mismo valor también para `==`.
+ */
+export class OCamlChar {
+  /**
+   * @param {number} code - El código del carácter.
+   */
+  constructor(code) {
+    this.code = code;
+    Object.freeze(this);
+  }
+
+  /**
+   * Devuelve el carácter de un código.
+   * @param {number} code - El código, de 0 a 255.
+   * @returns {OCamlChar} El carácter.
+   */
+  static of(code) {
+    return CHARS[code];
+  }
+
+  /**
+   * El carácter como cadena de un carácter: así lo escriben `print_char` y `%c`.
+   * @returns {string} El carácter.
+   */
+  toString() {
+    return String.fromCharCode(this.code);
+  }
+
+  /**
+   * En JSON (el AST de la línea de órdenes), el carácter se escribe como cadena.
+   * @returns {string} El carácter.
+   */
+  toJSON() {
+    return this.toString();
+  }
+}
+
+/** Los 256 caracteres, por código. */
+const CHARS = Array.from({ length: 256 }, (_, code) => new OCamlChar(code));
+
+/**
+ * Una tupla `(a, b, ...)` con dos o más componentes.
+ */
+export class OCamlTuple {
+  /**
+   * @param {Array<*>} items - Los componentes de la tupla, en orden.
+   */
+  constructor(items) {
+    this.items = Object.freeze([...items]);
+    Object.freeze(this);
+  }
+}
+
+/**
+ * Un valor construido con un constructor de tipo variante, como `None`, `Some 3` o
+ * `x :: xs`. Las listas se representan con los constructores `[]` y `::`, igual que
+ * en la definición de OCaml (`type 'a list = [] | (::) of 'a * 'a list`).
+ */
+export class OCamlVariant {
+  /**
+   * @param {string} name - El nombre del constructor.
+   * @param {Array<*>} [args] - Los argumentos del constructor (vacío si es constante).
+   * @param {number} [tag] - La posición del constructor en la declaración de su tipo, contando
+   * por separado los constantes y los que llevan argumentos (determina el orden de `compare`).
+   */
+  constructor(name, args = [], tag = 0) {
+    this.name = name;
+    this.args = Object.freeze([...args]);
+    this.tag = tag;
+    Object.freeze(this);
+  }
+}
+
+/** El valor `()`, único valor del tipo `unit`. */
+export const UNIT = new OCamlVariant("()");
+
+/**
+ * Un registro `{ x = 1; y = 2 }`. Los campos se guardan en el orden de la declaración
+ * del tipo, que es el orden en que se imprimen.
+ *
+ * Los valores inmutables se congelan, así que da igual compartirlos o copiarlos. Un registro
+ * con campos `mutable` (como las referencias, `{ mutable contents : 'a }`) es en cambio un
+ * bloque del montón: todas las variables que lo contienen comparten el mismo objeto, y una
+ * asignación `r.x <- v` es visible desde todas ellas.
+ */
+export class OCamlRecord {
+  /**
+   * @param {Object} fields - Los valores de los campos, por nombre.
+   * @param {Array<string>} [mutableFields] - Los campos declarados como `mutable`.
+   */
+  constructor(fields, mutableFields = []) {
+    this.mutableFields = Object.freeze([...mutableFields]);
+    // Un objeto sellado conserva sus campos pero permite cambiar su valor.
+    this.fields = mutableFields.length > 0 ? Object.seal({ ...fields }) : Object.freeze({ ...fields });
+    Object.freeze(this);
+  }
+
+  /**
+   * Cambia el valor de un campo mutable (`r.x <- v`).
+   * @param {string} name - El nombre del campo.
+   * @param {*} value - El nuevo valor.
+   * @throws {Error} Si el campo no es mutable.
+   */
+  setField(name, value) {
+    if (!this.mutableFields.includes(name)) {
+      throw new Error(`El campo "${name}" no es mutable.`);
+    }
+    this.fields[name] = value;
+  }
+}
+
+/**
+ * Un array `[| a; b; ... |]`. Como los registros con campos mutables, es un bloque del
+ * montón que se comparte por referencia: su longitud es fija, pero sus elementos pueden
+ * cambiar con `a.(i) <- v`.
+ */
+export class OCamlArray {
+  /**
+   * @param {Array<*>} items - Los elementos iniciales.
+   */
+  constructor(items) {
+    this.items = Object.seal([...items]);
+    Object.freeze(this);
+  }
+
+  /**
+   * Comprueba que un índice es válido para el array.
+   * @param {bigint} index - El índice.
+   * @returns {number} El índice como número de JavaScript.
+   * @throws {OCamlException} `Invalid_argument "index out of bounds"` si está fuera de rango.
+   */
+  checkIndex(index) {
+    if (index < 0n || index >= BigInt(this.items.length)) {
+      throw builtinException("Invalid_argument", ["index out of bounds"]);
+    }
+    return Number(index);
+  }
+
+  /**
+   * Devuelve el elemento de una posición (`a.(i)`).
+   * @param {bigint} index - El índice.
+   * @returns {*} El elemento.
+   */
+  get(index) {
+    return this.items[this.checkIndex(index)];
+  }
+
+  /**
+   * Cambia el elemento de una posición (`a.(i) <- v`).
+   * @param {bigint} index - El índice.
+   * @param {*} value - El nuevo elemento.
+   */
+  set(index, value) {
+    this.items[this.checkIndex(index)] = value;
+  }
+}
+
+/**
+ * Clase base de los valores de función: las funciones predefinidas y las clausuras de
+ * cada motor de ejecución. Todas se aplican a un argumento con `apply` y se muestran como `<fun>`.
+ */
+export class FunctionValue {}
+
+/**
+ * Una función predefinida (como `not` o `float_of_int`), implementada en JavaScript. Igual que las
+ * clausuras, se aplica a un argumento cada vez: si aún le faltan argumentos, devuelve
+ * otra función predefinida con los recibidos hasta el momento.
+ */
+export class PrimitiveFunction extends FunctionValue {
+  /**
+   * @param {string} name - El nombre de la función, para los mensajes.
+   * @param {number} arity - El número de argumentos que espera.
+   * @param {Function} implementation - La implementación, que recibe todos los argumentos.
+   * @param {Array<*>} [args] - Los argumentos ya recibidos.
+   */
+  constructor(name, arity, implementation, args = []) {
+    super();
+    this.name = name;
+    this.arity = arity;
+    this.implementation = implementation;
+    this.args = args;
+  }
+
+  /**
+   * Aplica la función a un argumento.
+   * @param {*} argValue - El valor del argumento.
+   * @returns {PrimitiveFunction|*} Una nueva función si es aplicación parcial, o el resultado.
+   */
+  apply(argValue) {
+    const args = [...this.args, argValue];
+    if (args.length < this.arity) {
+      return new PrimitiveFunction(this.name, this.arity, this.implementation, args);
+    }
+    return this.implementation(...args);
+  }
+}
+
+/**
+ * Un módulo en tiempo de ejecución. Los tipos no existen al ejecutar, así que un módulo es
+ * solo la tabla de los valores y submódulos que exporta (`List.map`, `M.N.x`).
+ */
+export class OCamlModule {
+  /**
+   * @param {Map<string, *>} components - Los valores y submódulos, por nombre.
+   */
+  constructor(components) {
+    this.components = components;
+    Object.freeze(this);
+  }
+}
+
+/**
+ * Una excepción de OCaml en vuelo. El valor de la excepción es un constructor del tipo
+ * `exn` (`Not_found`, `Failure "..."`, o uno declarado con `exception`); el error de
+ * JavaScript solo sirve para propagarlo hasta el `try ... with` que lo capture.
+ */
+export class OCamlException extends Error {
+  /**
+   * @param {OCamlVariant} value - El valor de la excepción.
+   * @param {{line: number, column: number}|null} [location] - Dónde se lanzó, si se conoce.
+   */
+  constructor(value, location = null) {
+    super(`Exception: ${value.name}`);
+    this.name = "OCamlException";
+    this.value = value;
+    this.location = location;
+  }
+}
+
+/**
+ * Crea una de las excepciones predefinidas de OCaml, lista para lanzarse con `throw`.
+ * @param {string} name - El constructor (`"Division_by_zero"`, `"Failure"`, ...).
+ * @param {Array<*>} [args] - Su argumento, si lo tiene (`["int_of_string"]`).
+ * @param {Object|null} [node] - El nodo del AST donde se produce, para la posición.
+ * @returns {OCamlException} La excepción.
+ */
+export function builtinException(name, args = [], node = null) {
+  return new OCamlException(new OCamlVariant(name, args), node ? { line: node.line, column: node.column } : null);
+}
+
+/** La lista vacía `[]`. */
+export const NIL = new OCamlVariant("[]");
+
+/**
+ * Construye la lista `head :: tail`.
+ * @param {*} head - El primer elemento.
+ * @param {OCamlVariant} tail - El resto de la lista.
+ * @returns {OCamlVariant} La nueva lista.
+ */
+export function cons(head, tail) {
+  return new OCamlVariant("::", [head, tail]);
+}
+
+/**
+ * Convierte una lista de OCaml (`::` y `[]`) en un array de JavaScript.
+ * @param {OCamlVariant} list - La lista.
+ * @returns {Array<*>} Sus elementos, en orden.
+ */
+export function listToArray(list) {
+  const items = [];
+  for (; list.name === "::"; list = list.args[1]) {
+    items.push(list.args[0]);
+  }
+  return items;
+}
+
+/**
+ * Convierte un array de JavaScript en una lista de OCaml.
+ * @param {Array<*>} items - Los elementos, en orden.
+ * @returns {OCamlVariant} La lista.
+ */
+export function arrayToList(items) {
+  return items.reduceRight((tail, head) => cons(head, tail), NIL);
+}
+
+/**
+ * Lanza el error de OCaml al comparar funciones: las funciones no tienen igualdad ni orden
+ * estructural. Cualquier objeto que no sea una tupla, un constructor ni un registro es una función.
+ * @param {*} a - Primer valor.
+ * @param {*} b - Segundo valor.
+ * @throws {OCamlException} `Invalid_argument "compare: functional value"` si alguno de los valores es una función.
+ */
+function checkComparable(a, b) {
+  const isFunction = value => typeof value === 'object' && !(value instanceof OCamlChar) && !(value instanceof OCamlTuple) &&
+    !(value instanceof OCamlVariant) && !(value instanceof OCamlRecord) && !(value instanceof OCamlArray);
+  if (isFunction(a) || isFunction(b)) {
+    throw builtinException("Invalid_argument", ["compare: functional value"]);
+  }
+}
+
+/**
+ * Indica si dos valores son estructuralmente iguales, como el operador `=` de OCaml.
+ * @param {*} a - Primer valor.
+ * @param {*} b - Segundo valor.
+ * @returns {boolean} `true` si ambos valores tienen la misma estructura y contenido.
+ * @throws {OCamlException} Si la comparación llega a una función.
+ */
+export function valuesEqual(a, b) {
+  checkComparable(a, b);
+  if (a instanceof OCamlTuple && b instanceof OCamlTuple) {
+    return a.items.length === b.items.length && a.items.every((item, i) => valuesEqual(item, b.items[i]));
+  }
+  if (a instanceof OCamlVariant && b instanceof OCamlVariant) {
+    return a.name === b.name && a.args.length === b.args.length && a.args.every((arg, i) => valuesEqual(arg, b.args[i]));
+  }
+  if (a instanceof OCamlRecord && b instanceof OCamlRecord) {
+    return Object.keys(a.fields).every(name => valuesEqual(a.fields[name], b.fields[name]));
+  }
+  if (a instanceof OCamlArray && b instanceof OCamlArray) {
+    return a.items.length === b.items.length && a.items.every((item, i) => valuesEqual(item, b.items[i]));
+  }
+  return a === b;
+}
+
+/**
+ * Compara dos valores del mismo tipo con el orden estructural de OCaml (el de `compare`,
+ * `<`, `>=`, ...): los números, los caracteres y las cadenas por su valor, `false < true`, las tuplas,
+ * los registros y los arrays componente a componente (los arrays más cortos primero),
+ * y los constructores constantes antes que los
+ * que llevan argumentos (así `[] < [1]` y `None < Some 0`); entre dos constructores del
+ * mismo grupo decide su orden en la declaración del tipo.
+ * @param {*} a - Primer valor.
+ * @param {*} b - Segundo valor.
+ * @returns {number} Negativo si `a < b`, cero si son iguales y positivo si `a > b`.
+ * @throws {OCamlException} Si la comparación llega a una función.
+ */
+export function compareValues(a, b) {
+  checkComparable(a, b);
+  if (a instanceof OCamlChar && b instanceof OCamlChar) {
+    return a.code - b.code;
+  }
+  if (a instanceof OCamlTuple && b instanceof OCamlTuple) {
+    return compareSequences(a.items, b.items);
+  }
+  if (a instanceof OCamlVariant && b instanceof OCamlVariant) {
+    if ((a.args.length === 0) !== (b.args.length === 0)) {
+      return a.args.length === 0 ? -1 : 1;
+    }
+    if (a.name !== b.name) {
+      return a.tag - b.tag;
+    }
+    return compareSequences(a.args, b.args);
+  }
+  if (a instanceof OCamlRecord && b instanceof OCamlRecord) {
+    return compareSequences(Object.values(a.fields), Object.values(b.fields));
+  }
+  if (a instanceof OCamlArray && b instanceof OCamlArray) {
+    // Los arrays se ordenan primero por su longitud y después elemento a elemento.
+    return a.items.length !== b.items.length ? a.items.length - b.items.length : compareSequences(a.items, b.items);
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Compara dos listas de valores en orden lexicográfico.
+ * @param {Array<*>} left - Primera lista.
+ * @param {Array<*>} right - Segunda lista.
+ * @returns {number} El resultado de la primera comparación distinta de cero (o la diferencia de longitudes).
+ */
+function compareSequences(left, right) {
+  for (let i = 0; i < Math.min(left.length, right.length); i++) {
+    const order = compareValues(left[i], right[i]);
+    if (order !== 0) return order;
+  }
+  return left.length - right.length;
+}
+
+/**
+ * Devuelve los bytes de una cadena. En OCaml una cadena es una secuencia de bytes y el código
+ * fuente se lee en UTF-8, así que `String.length "ñ"` es 2 y las posiciones de `String.get` y
+ * `String.sub` cuentan bytes. Las cadenas del simulador son las de JavaScript: sus bytes son
+ * los de su codificación UTF-8. (Un carácter de código mayor que 127 escrito con un escape,
+ * como `"\233"`, ocupa así dos bytes, y no uno como en OCaml.)
+ *
+ * Se recuerda la última cadena codificada, porque los bucles que recorren una cadena con
+ * `String.get` piden sus bytes una y otra vez.
+ * @param {string} text - La cadena.
+ * @returns {Uint8Array} Sus bytes en UTF-8.
+ */
+export function utf8Bytes(text) {
+  if (utf8Bytes.text !== text) {
+    utf8Bytes.text = text;
+    utf8Bytes.bytes = new TextEncoder().encode(text);
+  }
+  return utf8Bytes.bytes;
+}
+
+/**
+ * Devuelve la subcadena de una cadena entre dos posiciones en bytes (ver `utf8Bytes`). Si el
+ * rango corta un carácter de varios bytes, cada trozo suelto se convierte en `\u{FFFD}`.
+ * @param {string} text - La cadena.
+ * @param {number} start - La posición del primer byte.
+ * @param {number} length - El número de bytes.
+ * @returns {string} La subcadena.
+ */
+export function utf8Sub(text, start, length) {
+  return new TextDecoder().decode(utf8Bytes(text).subarray(start, start + length));
+}
+
+/**
+ * Escribe una cadena como un literal de OCaml: entre comillas y con las secuencias de
+ * escape de `String.escaped` (`\n`, `\"`, `\\`, y `\ddd` para otros caracteres de control).
+ * @param {string} value - La cadena.
+ * @returns {string} El literal (`"hola\n"`).
+ */
+export function formatString(value) {
+  const escapes = { "\\": "\\\\", "\"": "\\\"", "\n": "\\n", "\t": "\\t", "\r": "\\r", "\b": "\\b" };
+  const escaped = value.replace(/[\\"\x00-\x1f\x7f]/g, char => escapes[char] || `\\${String(char.charCodeAt(0)).padStart(3, "0")}`);
+  return `"${escaped}"`;
+}
+
+/**
+ * Escribe un carácter como un literal de OCaml: entre comillas simples y con las secuencias de
+ * escape de `Char.escaped` (`'\n'`, `'\''`, `'\\'`, y `'\ddd'` para los no imprimibles).
+ * @param {OCamlChar|string} value - El carácter (en el código JavaScript generado, una cadena
+ * de un carácter).
+ * @returns {string} El literal (`'a'`).
+ */
+export function formatChar(value) {
+  const escapes = { "\\": "\\\\", "'": "\\'", "\n": "\\n", "\t": "\\t", "\r": "\\r", "\b": "\\b" };
+  const char = String(value);
+  const code = char.charCodeAt(0);
+  const escaped = escapes[char] ?? (code < 32 || code > 126 ? `\\${String(code).padStart(3, "0")}` : char);
+  return `'${escaped}'`;
+}
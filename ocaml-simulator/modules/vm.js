@@ -0,0 +1,401 @@
+// modules/vm.js
+
+import { OCamlTuple, OCamlVariant, OCamlRecord, OCamlArray, OCamlException, FunctionValue, PrimitiveFunction, builtinException, NIL, cons, listToArray, valuesEqual, compareValues, wrapInt, shiftLeft, shiftRight, shiftRightArithmetic } from './values.js';
+import { primitives, primitiveValue } from './primitives.js';
+import { DEFAULT_MAX_STACK_DEPTH, PROGRESS_INTERVAL, ExecutionLimitError, matchFailure, isStackExhaustion } from './interpreter.js';
+
+/**
+ * Máquina virtual que ejecuta el bytecode de `compiler.js`. Tiene una pila de operandos,
+ * una pila de marcos (uno por llamada activa, con sus casillas locales) y una pila de
+ * manejadores de excepciones (`PUSHTRAP`). Los valores son los mismos que los del
+ * intérprete (`values.js`), así que comparten las funciones predefinidas y la forma de
+ * mostrar los resultados; solo las clausuras son propias (`Closure`).
+ */
+
+/**
+ * Una clausura de la máquina virtual: el índice de su código y los valores que captura.
+ */
+class Closure extends FunctionValue {
+  /**
+   * @param {number} code - El índice de la función en `program.functions`.
+   * @param {Array<*>} env - Los valores capturados (`ENVACC n`).
+   * @param {Array<Closure>|null} group - Las clausuras de su grupo `let rec` (`RECACC n`).
+   * @param {VirtualMachine} machine - La máquina que la ejecuta cuando la llama una función predefinida.
+   */
+  constructor(code, env, group, machine) {
+    super();
+    this.code = code;
+    this.env = env;
+    this.group = group;
+    this.machine = machine;
+  }
+
+  /**
+   * Aplica la clausura a un argumento. Lo usan las funciones predefinidas que reciben
+   * funciones (`List.map`, `Option.iter`, ...).
+   * @param {*} argValue - El valor del argumento.
+   * @returns {*} El resultado de la llamada.
+   */
+  apply(argValue) {
+    return this.machine.call(this, argValue);
+  }
+}
+
+/**
+ * La máquina virtual: las casillas globales y las pilas de ejecución.
+ */
+export class VirtualMachine {
+  /**
+   * @param {Object} program - El programa devuelto por `compileProgram`.
+   * @param {Array<string>} stdout - Donde se acumula el texto que escribe el programa.
+   * @param {{maxStackDepth?: number, maxSteps?: number, onProgress?: function(number): void}} [options] -
+   * La profundidad máxima de la pila de marcos, el presupuesto de pasos (uno por instrucción
+   * ejecutada; sin límite por defecto) y una función a la que se avisa cada
+   * `PROGRESS_INTERVAL` pasos con los pasos dados, como en el intérprete.
+   */
+  constructor(program, stdout, options = {}) {
+    this.program = program;
+    this.globals = new Array(program.globals.length);
+    primitives.forEach((primitive, i) => {
+      this.globals[i] = primitiveValue(primitive, stdout);
+    });
+    this.maxStackDepth = options.maxStackDepth ?? DEFAULT_MAX_STACK_DEPTH;
+    this.maxSteps = options.maxSteps ?? Infinity;
+    this.onProgress = options.onProgress ?? null;
+    this.steps = 0;   // Las instrucciones ejecutadas.
+    this.stack = [];  // La pila de operandos.
+    this.frames = []; // Un marco por llamada activa: `{ code, pc, locals, env, group, base }`.
+    this.traps = [];  // Los manejadores `try` activos: `{ frame, height, handler }`.
+    this.raised = new WeakMap(); // La excepción original de cada valor capturado, para `RERAISE`.
+  }
+
+  /**
+   * Cuenta una instrucción ejecutada y avisa del progreso.
+   * @throws {ExecutionLimitError} Si se agota el presupuesto de pasos.
+   */
+  countStep() {
+    this.steps++;
+    if (this.steps > this.maxSteps) {
+      this.steps = this.maxSteps;
+      throw new ExecutionLimitError(`⚠️ Se superó el límite de ${this.maxSteps} pasos de ejecución (instrucciones de bytecode).`, this.steps);
+    }
+    if (this.onProgress && this.steps % PROGRESS_INTERVAL === 0) {
+      this.onProgress(this.steps);
+    }
+  }
+
+  /**
+   * Ejecuta una frase de nivel superior.
+   * @param {Object} phrase - La frase.
+   * @returns {*} El valor que deja su código.
+   */
+  runPhrase(phrase) {
+    this.pushFrame(phrase.code, null, null);
+    return this.run(this.frames.length - 1);
+  }
+
+  /**
+   * Ejecuta una frase de nivel superior y devuelve su resultado tal como lo espera
+   * `describeStatement`: el valor de cada nombre que define o, si no define ninguno, el de
+   * la expresión.
+   * @param {Object} phrase - La frase.
+   * @returns {*} El resultado.
+   * @throws {OCamlException|ExecutionLimitError} Si la frase lanza una excepción o se agota
+   * el presupuesto de pasos (o lo pide `onProgress`).
+   */
+  evaluate(phrase) {
+    if (phrase.error) {
+      throw phrase.error;
+    }
+    const value = this.runPhrase(phrase);
+    const results = phrase.results.map(slots => Array.isArray(slots) ? slots.map(slot => this.globals[slot]) : this.globals[slots]);
+    return phrase.statement.type === "DeclarationGroup" ? results : results.length > 0 ? results[0] : value;
+  }
+
+  /**
+   * Llama a una clausura desde JavaScript y ejecuta hasta que devuelve su resultado.
+   * @param {Closure} closure - La clausura.
+   * @param {*} argument - El argumento.
+   * @returns {*} El resultado.
+   */
+  call(closure, argument) {
+    this.pushFrame(this.program.functions[closure.code], closure.env, closure.group).locals[0] = argument;
+    return this.run(this.frames.length - 1);
+  }
+
+  /**
+   * Apila el marco de una llamada.
+   * @param {Object} code - El bloque de código.
+   * @param {Array<*>|null} env - Los valores capturados.
+   * @param {Array<Closure>|null} group - El grupo `let rec`.
+   * @returns {Object} El marco.
+   * @throws {OCamlException} `Stack_overflow` si se supera la profundidad máxima.
+   */
+  pushFrame(code, env, group) {
+    if (this.frames.length >= this.maxStackDepth) {
+      throw builtinException("Stack_overflow");
+    }
+    const frame = { code, pc: 0, locals: new Array(code.localsCount), env, group, base: this.stack.length };
+    this.frames.push(frame);
+    return frame;
+  }
+
+  /**
+   * El bucle de ejecución: interpreta instrucciones hasta que el marco `bottom` devuelve su
+   * resultado. Una excepción se entrega al manejador más reciente instalado durante esta
+   * ejecución; si no hay ninguno, las pilas se restauran y la excepción sale de `run`
+   * (hacia la función predefinida que llamó a la clausura, o hacia `runPhrase`). Un
+   * `ExecutionLimitError` no es una excepción de OCaml: ningún manejador lo captura.
+   * @param {number} bottom - La posición del primer marco de esta ejecución.
+   * @returns {*} El resultado del marco `bottom`.
+   */
+  run(bottom) {
+    const { stack, frames, traps } = this;
+    const height = frames[bottom].base;
+    const firstTrap = traps.length;
+    while (true) {
+      const frame = frames[frames.length - 1];
+      const instruction = frame.code.instructions[frame.pc++];
+      try {
+        this.countStep();
+        const result = this.execute(instruction, frame, bottom);
+        if (result !== undefined) {
+          return result.value;
+        }
+      } catch (e) {
+        const error = isStackExhaustion(e) ? builtinException("Stack_overflow") : e;
+        if (error instanceof OCamlException && !error.location && instruction.node) {
+          error.location = { line: instruction.node.line, column: instruction.node.column };
+        }
+        if (!(error instanceof OCamlException) || traps.length === firstTrap) {
+          frames.length = bottom;
+          stack.length = height;
+          traps.length = firstTrap;
+          throw error;
+        }
+        // Se descartan los marcos y los operandos posteriores al `try` y se salta al manejador.
+        const trap = traps.pop();
+        frames.length = trap.frame + 1;
+        stack.length = trap.height;
+        frames[trap.frame].pc = trap.handler;
+        this.raised.set(error.value, error);
+        stack.push(error.value);
+      }
+    }
+  }
+
+  /**
+   * Ejecuta una instrucción.
+   * @param {Object} instruction - La instrucción.
+   * @param {Object} frame - El marco actual.
+   * @param {number} bottom - El primer marco de la ejecución actual.
+   * @returns {{value: *}|undefined} El resultado, si la instrucción termina la ejecución
+   * (el `RETURN` del marco `bottom`).
+   */
+  execute(instruction, frame, bottom) {
+    const { stack } = this;
+    const { op, args, node } = instruction;
+    switch (op) {
+      case "CONST": stack.push(args[0]); break;
+      case "LOCAL": stack.push(frame.locals[args[0]]); break;
+      case "SETLOCAL": frame.locals[args[0]] = stack.pop(); break;
+      case "ENVACC": stack.push(frame.env[args[0]]); break;
+      case "RECACC": stack.push(frame.group[args[0]]); break;
+      case "GETGLOBAL": stack.push(this.globals[args[0]]); break;
+      case "SETGLOBAL": this.globals[args[0]] = stack.pop(); break;
+      case "POP": stack.pop(); break;
+
+      case "CLOSURE": {
+        const env = stack.splice(stack.length - args[1]);
+        stack.push(new Closure(args[0], env, null, this));
+        break;
+      }
+      case "CLOSUREREC": {
+        // Las funciones de un `let rec` comparten el entorno y se ven entre sí a través del grupo.
+        const env = stack.splice(stack.length - args[1]);
+        const group = [];
+        args[0].forEach(code => group.push(new Closure(code, env, group, this)));
+        stack.push(...group);
+        break;
+      }
+
+      case "APPLY":
+      case "APPTERM": {
+        const argument = stack.pop();
+        const callee = stack.pop();
+        if (callee instanceof Closure) {
+          if (op === "APPTERM") {
+            // La llamada en posición de cola reutiliza el lugar del marco actual.
+            this.frames.pop();
+            stack.length = frame.base;
+          }
+          this.pushFrame(this.program.functions[callee.code], callee.env, callee.group).locals[0] = argument;
+          break;
+        }
+        if (!(callee instanceof PrimitiveFunction)) {
+          throw new Error(`Se intentó aplicar a un valor que no es una función.`);
+        }
+        const result = callee.apply(argument);
+        if (op === "APPTERM") {
+          return this.leave(frame, result, bottom);
+        }
+        stack.push(result);
+        break;
+      }
+      case "RETURN":
+        return this.leave(frame, stack.pop(), bottom);
+
+      case "BRANCH": frame.pc = args[0].pc; break;
+      case "BRANCHIF": if (stack.pop() === true) frame.pc = args[0].pc; break;
+      case "BRANCHIFNOT": if (stack.pop() !== true) frame.pc = args[0].pc; break;
+
+      case "PUSHTRAP":
+        this.traps.push({ frame: this.frames.length - 1, height: stack.length, handler: args[0].pc });
+        break;
+      case "POPTRAP": this.traps.pop(); break;
+      case "RERAISE": {
+        // Una excepción que ningún caso del `try` acepta sigue propagándose con su posición original.
+        const value = stack.pop();
+        throw this.raised.get(value) || new OCamlException(value);
+      }
+      case "MATCHFAILURE": throw matchFailure(node);
+
+      case "NEGINT": stack.push(wrapInt(-stack.pop())); break;
+      case "NEGFLOAT": stack.push(-stack.pop()); break;
+
+      case "MAKETUPLE": stack.push(new OCamlTuple(stack.splice(stack.length - args[0]))); break;
+      case "MAKEBLOCK": stack.push(new OCamlVariant(args[0], stack.splice(stack.length - args[2]), args[1])); break;
+      case "MAKELIST": stack.push(stack.splice(stack.length - args[0]).reduceRight((tail, head) => cons(head, tail), NIL)); break;
+      case "CONS": {
+        const tail = stack.pop();
+        stack.push(cons(stack.pop(), tail));
+        break;
+      }
+      case "MAKEARRAY": stack.push(new OCamlArray(stack.splice(stack.length - args[0]))); break;
+      case "MAKERECORD": {
+        const [names, order, mutableFields, hasBase] = args;
+        const values = stack.splice(stack.length - names.length);
+        const fields = hasBase ? { ...stack.pop().fields } : {};
+        names.forEach((name, i) => {
+          fields[name] = values[i];
+        });
+        stack.push(new OCamlRecord(Object.fromEntries(order.map(name => [name, fields[name]])), mutableFields));
+        break;
+      }
+
+      case "GETFIELD": {
+        const value = stack.pop();
+        stack.push(value instanceof OCamlTuple ? value.items[args[0]] : value.args[args[0]]);
+        break;
+      }
+      case "GETARG": {
+        // Un constructor con varios argumentos (como los de `::`) se ve como una tupla.
+        const value = stack.pop();
+        stack.push(value.args.length === 1 ? value.args[0] : new OCamlTuple(value.args));
+        break;
+      }
+      case "ISCONSTR": {
+        const value = stack.pop();
+        stack.push(value instanceof OCamlVariant && value.name === args[0]);
+        break;
+      }
+      case "GETRECORDFIELD": {
+        const record = stack.pop();
+        if (!(record instanceof OCamlRecord) || !(args[0] in record.fields)) {
+          throw new Error(`El valor no es un registro con el campo "${args[0]}".`);
+        }
+        stack.push(record.fields[args[0]]);
+        break;
+      }
+      case "SETRECORDFIELD": {
+        const value = stack.pop();
+        stack.pop().setField(args[0], value);
+        break;
+      }
+      case "GETARRAY": {
+        const index = stack.pop();
+        stack.push(stack.pop().get(index));
+        break;
+      }
+      case "SETARRAY": {
+        const value = stack.pop();
+        const index = stack.pop();
+        stack.pop().set(index, value);
+        break;
+      }
+
+      default: {
+        // Operadores binarios: los dos operandos están en la cima, el derecho arriba.
+        const right = stack.pop();
+        const left = stack.pop();
+        stack.push(binaryOperation(op, left, right, node));
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Termina el marco actual con un resultado y lo entrega al marco que lo llamó.
+   * @param {Object} frame - El marco que termina.
+   * @param {*} result - Su resultado.
+   * @param {number} bottom - El primer marco de la ejecución actual.
+   * @returns {{value: *}|undefined} El resultado, si el marco era `bottom` y la ejecución termina.
+   */
+  leave(frame, result, bottom) {
+    this.frames.pop();
+    this.stack.length = frame.base;
+    if (this.frames.length === bottom) {
+      return { value: result };
+    }
+    this.stack.push(result);
+    return undefined;
+  }
+}
+
+/**
+ * Aplica un operador binario.
+ * @param {string} op - La instrucción (`ADDINT`, `EQ`, `CONCAT`, ...).
+ * @param {*} left - El operando izquierdo.
+ * @param {*} right - El operando derecho.
+ * @param {Object} node - El nodo de la operación, para la posición de `Division_by_zero`.
+ * @returns {*} El resultado.
+ * @throws {OCamlException} `Division_by_zero` si se divide un entero por cero.
+ */
+function binaryOperation(op, left, right, node) {
+  // Entre dos `float` se usa la comparación IEEE, en la que `nan` no es menor, mayor ni igual a nada.
+  const floats = typeof left === 'number' && typeof right === 'number';
+  switch (op) {
+    case "ADDINT": return wrapInt(left + right);
+    case "SUBINT": return wrapInt(left - right);
+    case "MULINT": return wrapInt(left * right);
+    case "DIVINT":
+    case "MODINT":
+      if (right === 0n) {
+        throw builtinException("Division_by_zero", [], node);
+      }
+      return op === "DIVINT" ? wrapInt(left / right) : left % right;
+    case "ANDINT": return left & right;
+    case "ORINT": return left | right;
+    case "XORINT": return left ^ right;
+    case "LSLINT": return shiftLeft(left, right);
+    case "LSRINT": return shiftRight(left, right);
+    case "ASRINT": return shiftRightArithmetic(left, right);
+    case "ADDFLOAT": return left + right;
+    case "SUBFLOAT": return left - right;
+    case "MULFLOAT": return left * right;
+    case "DIVFLOAT": return left / right;
+    case "POWFLOAT": return left ** right;
+    case "EQ": return valuesEqual(left, right);
+    case "NEQ": return !valuesEqual(left, right);
+    case "LT": return floats ? left < right : compareValues(left, right) < 0;
+    case "GT": return floats ? left > right : compareValues(left, right) > 0;
+    case "LE": return floats ? left <= right : compareValues(left, right) <= 0;
+    case "GE": return floats ? left >= right : compareValues(left, right) >= 0;
+    case "PHYSEQ": return left === right;
+    case "PHYSNEQ": return left !== right;
+    case "CONCAT": return left + right;
+    case "APPEND": return listToArray(left).reduceRight((tail, head) => cons(head, tail), right);
+    default:
+      throw new Error(`Instrucción desconocida: ${op}`);
+  }
+}
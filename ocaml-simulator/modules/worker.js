@@ -0,0 +1,19 @@
+// modules/worker.js
+
+import { executeProgram } from './sandbox.js';
+import { serveToplevel } from './repl.js';
+
+/**
+ * Punto de entrada del Web Worker que ejecuta los programas fuera del hilo de la página.
+ * El protocolo de mensajes está descrito en `sandbox.js` (ejecuciones) y en `repl.js`
+ * (el toplevel).
+ */
+const toplevel = serveToplevel(message => self.postMessage(message));
+
+self.onmessage = ({ data }) => {
+  if (data.type === "run") {
+    executeProgram(data.code, data, message => self.postMessage(message));
+  } else if (data.type === "toplevel") {
+    toplevel(data);
+  }
+};
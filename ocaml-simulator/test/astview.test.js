@@ -0,0 +1,48 @@
+// test/astview.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeSyntax } from '../modules/parser.js';
+import { buildAstTree, describeFields, nodeAt, layoutAstTree, astToDot } from '../modules/astview.js';
+
+/**
+ * Construye el árbol del explorador de un programa correcto.
+ * @param {string} code - El código.
+ * @returns {{root: Object, nodes: Array<Object>}} El árbol.
+ */
+function treeOf(code) {
+  const { ast, errors } = analyzeSyntax(code);
+  assert.deepEqual(errors, []);
+  return buildAstTree(ast);
+}
+
+test("los nodos van en preorden, con su campo en el padre y sus campos simples", () => {
+  const tree = treeOf("let x = 1 + 2;;");
+  assert.deepEqual(tree.nodes.map(node => [node.label, node.edge, describeFields(node)]), [
+    ["Program", null, ""],
+    ["LetDeclaration", "body[0]", 'identifier: "x", recursive: false'],
+    ["BinaryExpression", "expression", 'operator: "+"'],
+    ["NumberLiteral", "left", "value: 1"],
+    ["NumberLiteral", "right", "value: 2"]
+  ]);
+  assert.equal(tree.root.range, null);
+});
+
+test("una posición del código lleva al nodo más profundo que la contiene", () => {
+  const tree = treeOf("let x = 1 + 2;;");
+  assert.equal(nodeAt(tree, { line: 1, column: 13 }).edge, "right");
+  assert.equal(nodeAt(tree, { line: 1, column: 11 }).label, "BinaryExpression");
+  assert.equal(nodeAt(tree, { line: 2, column: 1 }), null);
+});
+
+test("un nodo plegado oculta sus descendientes en el grafo", () => {
+  const tree = treeOf("let x = 1 + 2;;");
+  assert.equal(layoutAstTree(tree).boxes.length, 5);
+  assert.equal(layoutAstTree(tree, new Set([2])).boxes.length, 3);
+});
+
+test("el grafo se exporta en DOT con una arista por hijo", () => {
+  const dot = astToDot(treeOf("let x = 1;;"));
+  assert.match(dot, /n1 \[label="LetDeclaration\\nidentifier: \\"x\\", recursive: false"\];/);
+  assert.match(dot, /n1 -> n2 \[label="expression"\];/);
+});
@@ -0,0 +1,44 @@
+// test/cli.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+/** La ruta del programa de la línea de comandos. */
+const CLI = fileURLToPath(new URL('../bin/ocaml-sim.js', import.meta.url));
+
+/**
+ * Ejecuta `ocaml-sim` con unos argumentos y un código en la entrada estándar.
+ * @param {Array<string>} args - Los argumentos.
+ * @param {string} [input] - La entrada estándar.
+ * @returns {{status: number, stdout: string, stderr: string}} El código de salida y las salidas.
+ */
+function cli(args, input = '') {
+  const { status, stdout, stderr } = spawnSync(process.execPath, [CLI, ...args], { input, encoding: 'utf8' });
+  return { status, stdout, stderr };
+}
+
+test("los códigos de salida distinguen cada tipo de fallo", () => {
+  assert.equal(cli(['run'], 'print_int 3;;\n').status, 0);
+  assert.equal(cli(['check'], 'let x = 1 + "a";;\n').status, 1);
+  assert.equal(cli(['run'], 'let x = 1 / 0;;\n').status, 2);
+  assert.equal(cli(['run', '--max-steps', '1000'], 'let rec f n = f (n + 1);;\nf 0;;\n').status, 2);
+  assert.equal(cli(['etapa'], '').status, 64);
+  assert.equal(cli(['run', '/no/existe.ml']).status, 66);
+});
+
+test("run escribe la salida estándar del programa y, con --toplevel, las respuestas", () => {
+  assert.equal(cli(['run'], 'print_int 3;;\n').stdout, '3');
+  assert.equal(cli(['run', '--toplevel'], 'let x = 1;;\n').stdout, 'val x : int = 1\n');
+});
+
+test("un archivo que no se puede leer se reporta en JSON como un diagnóstico más", () => {
+  const { status, stdout } = cli(['run', '--json', '/no/existe.ml']);
+  assert.equal(status, 66);
+  const [error] = JSON.parse(stdout).errors;
+  assert.equal(error.severity, 'error');
+  assert.equal(error.code, 'io/unreadable-file');
+  assert.deepEqual(error.range, { start: { line: 1, column: 1 }, end: { line: 1, column: 1 } });
+  assert.match(error.message, /No se puede leer "\/no\/existe.ml"/);
+});
@@ -0,0 +1,43 @@
+// test/debugger.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeSyntax } from '../modules/parser.js';
+import { analyzeSemantics } from '../modules/semantic.js';
+import { Debugger } from '../modules/debugger.js';
+
+/**
+ * Crea una sesión de depuración de un programa correcto.
+ * @param {string} code - El código.
+ * @returns {Debugger} La sesión, en pausa al principio de la primera sentencia.
+ */
+function debug(code) {
+  const { ast, errors } = analyzeSyntax(code);
+  assert.deepEqual(errors, []);
+  analyzeSemantics(ast);
+  return new Debugger(ast, code);
+}
+
+test("las órdenes de paso tras el final del programa devuelven el estado final", () => {
+  const session = debug("let f x = x + 1;;\nprint_int (f 2);;\n");
+  const finished = session.continue();
+  assert.equal(finished.finished, true);
+  assert.equal(finished.stdout, "3");
+
+  for (const command of ["stepInto", "stepOver", "stepOut", "continue"]) {
+    const state = session[command]();
+    assert.equal(state.finished, true, command);
+    assert.equal(state.span, null, command);
+    assert.equal(state.stdout, "3", command);
+  }
+});
+
+test("saltar la última sentencia termina el programa", () => {
+  const session = debug("let x = 1;;\n");
+  let state = session.state();
+  for (let i = 0; i < 10 && !state.finished; i++) {
+    state = session.stepOver();
+  }
+  assert.equal(state.finished, true);
+  assert.equal(session.stepOut().finished, true);
+});
@@ -0,0 +1,54 @@
+// test/diagnostics.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeSyntax } from '../modules/parser.js';
+import { analyzeSemantics } from '../modules/semantic.js';
+import { DIAGNOSTIC_CODES, diagnosticLines, hasErrors, rangeContains } from '../modules/diagnostics.js';
+
+/**
+ * Analiza un programa y devuelve sus diagnósticos: los sintácticos o, si no hay, los semánticos.
+ * @param {string} code - El código.
+ * @returns {Array<Object>} Los diagnósticos.
+ */
+function diagnosticsOf(code) {
+  const { ast, errors } = analyzeSyntax(code);
+  return errors.length > 0 ? errors : analyzeSemantics(ast);
+}
+
+test("cada diagnóstico tiene un código conocido y un rango", () => {
+  const programs = ["let x = 1", 'let s = "abc', "let y = 1 + true;;", "let z = w;;", 'let b = "a" == "b";;'];
+  for (const diagnostic of programs.flatMap(diagnosticsOf)) {
+    assert.ok(diagnostic.code in DIAGNOSTIC_CODES, diagnostic.code);
+    assert.ok(["error", "warning"].includes(diagnostic.severity));
+    assert.deepEqual(Object.keys(diagnostic.range), ["start", "end"]);
+    assert.ok(Array.isArray(diagnostic.related) && Array.isArray(diagnostic.fixes));
+  }
+});
+
+test("la corrección del ';;' que falta lo inserta al final del código", () => {
+  const [diagnostic] = diagnosticsOf("let x = 1");
+  assert.equal(diagnostic.code, "syntax/missing-delimiter");
+  assert.deepEqual(diagnostic.fixes[0].edits, [{ range: { start: { line: 1, column: 10 }, end: { line: 1, column: 10 } }, text: ";;" }]);
+});
+
+test("las posiciones relacionadas y las correcciones se escriben debajo del mensaje", () => {
+  const [duplicate] = diagnosticsOf("type t = A | A;;");
+  assert.deepEqual(diagnosticLines(duplicate), [
+    '❌ Línea 1, columna 14: El constructor "A" aparece más de una vez en el tipo "t".',
+    "   ↳ Línea 1, columna 10: Primera definición del constructor."
+  ]);
+  const [physical] = diagnosticsOf('let b = "a" == "b";;');
+  assert.equal(diagnosticLines(physical).at(-1), "   💡 Cambiar '==' por '='.");
+});
+
+test("los avisos no cuentan como errores", () => {
+  assert.equal(hasErrors(diagnosticsOf('let b = "a" == "b";;')), false);
+  assert.equal(hasErrors(diagnosticsOf("let z = w;;")), true);
+});
+
+test("el fin de un rango es exclusivo", () => {
+  const range = { start: { line: 1, column: 5 }, end: { line: 1, column: 8 } };
+  assert.equal(rangeContains(range, { line: 1, column: 5 }), true);
+  assert.equal(rangeContains(range, { line: 1, column: 8 }), false);
+});
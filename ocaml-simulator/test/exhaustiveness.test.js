@@ -0,0 +1,35 @@
+// test/exhaustiveness.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeSyntax } from '../modules/parser.js';
+import { analyzeSemantics } from '../modules/semantic.js';
+
+/**
+ * Analiza un programa sin errores sintácticos y devuelve sus diagnósticos semánticos.
+ * @param {string} code - El código.
+ * @returns {Array<Object>} Los diagnósticos.
+ */
+function check(code) {
+  const { ast, errors } = analyzeSyntax(code);
+  assert.deepEqual(errors, []);
+  return analyzeSemantics(ast);
+}
+
+test("un match no exhaustivo avisa con un valor que no cubre", () => {
+  const [warning, ...rest] = check("let f x = match x with 0 -> 1 | 1 -> 2;;");
+  assert.deepEqual(rest, []);
+  assert.equal(warning.severity, "warning");
+  assert.equal(warning.code, "warning/non-exhaustive-match");
+  assert.match(warning.message, /Ejemplo de valor no cubierto: 2/);
+});
+
+test("un caso cubierto por los anteriores avisa de que no se usa", () => {
+  const diagnostics = check("let g = function Some x -> x | None -> 0 | Some 3 -> 4;;");
+  assert.deepEqual(diagnostics.map(diagnostic => diagnostic.code), ["warning/unused-case"]);
+});
+
+test("los patrones que cubren todos los constructores no avisan", () => {
+  assert.deepEqual(check("let h = function [] -> 0 | [_] -> 1 | _ :: _ :: _ -> 2;;"), []);
+  assert.deepEqual(check("let k x = match x with n when n > 0 -> 1 | _ -> 0;;"), []);
+});
@@ -0,0 +1,55 @@
+// test/highlighter.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { lexLine, LineHighlighter, matchBrackets, indentationAfter } from '../modules/highlighter.js';
+
+/**
+ * Devuelve el texto y la clase CSS de cada token de las líneas analizadas.
+ * @param {Array<Object>} lines - Las líneas (ver `lexLine`).
+ * @returns {Array<Array<Array<string>>>} Por cada línea, los pares `[texto, clase]`.
+ */
+function classesOf(lines) {
+  return lines.map(line => line.tokens.map(token => [token.value, token.className]));
+}
+
+test("cada token recibe su clase, y los constructores una propia", () => {
+  assert.deepEqual(classesOf([lexLine('let x = Some (* c *) "a"')]), [[
+    ["let", "tok-keyword"], ["x", "tok-identifier"], ["=", "tok-operator"], ["Some", "tok-constructor"],
+    ["(* c *)", "tok-comment"], ['"a"', "tok-string"]
+  ]]);
+});
+
+test("un comentario que ocupa varias líneas continúa en la siguiente", () => {
+  const lines = new LineHighlighter().update("(* a\nb *) let y = 2");
+  assert.deepEqual(classesOf(lines), [
+    [["(* a", "tok-comment"]],
+    [["b *)", "tok-comment"], ["let", "tok-keyword"], ["y", "tok-identifier"], ["=", "tok-operator"], ["2", "tok-number"]]
+  ]);
+});
+
+test("al editar solo se vuelven a analizar las líneas que cambian de texto o de estado", () => {
+  const highlighter = new LineHighlighter();
+  const code = "(* a\nb *) let f x =\n  (x + [1])\nlet y = 2";
+  highlighter.update(code);
+  highlighter.update(code.replace("let y = 2", "let y = 3"));
+  assert.equal(highlighter.relexed, 1);
+  assert.deepEqual(highlighter.changed, { start: 3, end: 4, removed: 1 });
+  // Sin el cierre del comentario, las líneas siguientes empiezan dentro de él.
+  highlighter.update("(* a\nb let f x =\n  (x + [1])\nlet y = 3");
+  assert.equal(highlighter.relexed, 3);
+  assert.ok(highlighter.lines.slice(1).every(line => line.tokens.every(token => token.type === "Comment")));
+});
+
+test("los paréntesis se emparejan y los que sobran se marcan", () => {
+  const lines = new LineHighlighter().update("let f x =\n  (x + [1])) + 2");
+  const { match, unmatched } = matchBrackets(lines, { line: 2, column: 3 });
+  assert.deepEqual(match.map(range => range.start), [{ line: 2, column: 3 }, { line: 2, column: 11 }]);
+  assert.deepEqual(unmatched.map(range => range.start), [{ line: 2, column: 12 }]);
+});
+
+test("tras un = al final de la línea la sangría aumenta un nivel", () => {
+  const lines = new LineHighlighter().update("let f x =\n  x + 1");
+  assert.equal(indentationAfter(lines, { line: 1, column: 10 }), "  ");
+  assert.equal(indentationAfter(lines, { line: 2, column: 8 }), "  ");
+});
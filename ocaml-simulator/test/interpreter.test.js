@@ -0,0 +1,39 @@
+// test/interpreter.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeSyntax } from '../modules/parser.js';
+import { analyzeSemantics } from '../modules/semantic.js';
+import { interpret } from '../modules/interpreter.js';
+
+/**
+ * Analiza e interpreta un programa correcto.
+ * @param {string} code - El código.
+ * @returns {{output: string, stdout: string}} La respuesta del toplevel y la salida estándar.
+ */
+function run(code) {
+  const { ast, errors } = analyzeSyntax(code);
+  assert.deepEqual(errors, []);
+  analyzeSemantics(ast);
+  return interpret(ast);
+}
+
+test("Match_failure indica la línea desde 1 y la columna desde 0, como OCaml", () => {
+  const { output } = run("let g x =\n  match x with 0 -> 1;;\ng 5;;\n");
+  assert.match(output, /Exception: Match_failure \("\/\/toplevel\/\/", 2, 2\)\./);
+});
+
+test("el argumento de Match_failure se puede capturar", () => {
+  const { output } = run("let g x = match x with 0 -> 1;;\nlet r = try g 3 with Match_failure (_, l, c) -> l * 100 + c;;\n");
+  assert.match(output, /val r : int = 110/);
+});
+
+test("las llamadas en posición de cola no hacen crecer la pila", () => {
+  const { output } = run("let rec loop n acc = if n = 0 then acc else loop (n - 1) (acc + 1);;\nlet r = loop 200000 0;;\n");
+  assert.match(output, /val r : int = 200000/);
+});
+
+test("una recursión sin fin lanza Stack_overflow, que se puede capturar", () => {
+  const { output } = run("let rec f n = 1 + f n;;\nlet x = try f 0 with Stack_overflow -> -1;;\n");
+  assert.match(output, /val x : int = -1/);
+});
@@ -0,0 +1,49 @@
+// test/lexer.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeLexically, decodeEscapes } from '../modules/lexer.js';
+import { analyzeSyntax } from '../modules/parser.js';
+
+/**
+ * Devuelve el tipo y el texto de cada token de un código, sin el `EOF` final.
+ * @param {string} code - El código.
+ * @returns {Array<Array<string>>} Los pares `[tipo, valor]`.
+ */
+function tokensOf(code) {
+  return analyzeLexically(code).filter(token => token.type !== "EOF").map(token => [token.type, token.value]);
+}
+
+test("cada clase de token se reconoce con su tipo", () => {
+  assert.deepEqual(tokensOf(`let rec f x = 0x1F + 3.5e2 in (* c *) "a\\n" ^ 'b' :: [] ;;`), [
+    ["Keyword", "let"], ["Keyword", "rec"], ["Identifier", "f"], ["Identifier", "x"], ["Symbol", "="],
+    ["Number", "0x1F"], ["Symbol", "+"], ["Float", "3.5e2"], ["Keyword", "in"],
+    ["String", `"a\\n"`], ["Symbol", "^"], ["Char", "'b'"], ["Symbol", "::"],
+    ["Symbol", "["], ["Symbol", "]"], ["Delimiter", ";;"]
+  ]);
+  assert.deepEqual(tokensOf("'a list"), [["TypeVariable", "'a"], ["Identifier", "list"]]);
+});
+
+test("los comentarios anidados se descartan y las posiciones siguen el código", () => {
+  const [token] = analyzeLexically("(* a (* b *) c *)\n  x");
+  assert.equal(token.value, "x");
+  assert.equal(token.line, 2);
+  assert.equal(token.column, 3);
+});
+
+test("las secuencias de escape de las cadenas se decodifican", () => {
+  assert.equal(decodeEscapes("a\\tb\\065\\x42\\\\"), "a\tbAB\\");
+  assert.equal(decodeEscapes("\\u{48}\\u{e9}\\u{1F600}"), "Hé😀");
+  // Un sustituto no es un punto de código válido: el escape se deja tal cual.
+  assert.equal(decodeEscapes("\\u{D800}"), "\\u{D800}");
+});
+
+test("una cadena sin cerrar se reporta una sola vez", () => {
+  const { errors } = analyzeSyntax('let s = "abc;;\n');
+  assert.deepEqual(errors.map(error => error.code), ["lex/unterminated-string"]);
+});
+
+test("un carácter inválido no provoca además un error sintáctico", () => {
+  const { errors } = analyzeSyntax("let c = '\\300';;\nlet d = 1;;");
+  assert.deepEqual(errors.map(error => error.code), ["lex/invalid-char"]);
+});
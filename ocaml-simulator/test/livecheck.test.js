@@ -0,0 +1,31 @@
+// test/livecheck.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkCode, typeAt } from '../modules/livecheck.js';
+
+test("con errores sintácticos no se analizan los tipos", () => {
+  const { ast, diagnostics } = checkCode("let x = ;;\nlet y = 1 + true;;");
+  assert.equal(ast, null);
+  assert.deepEqual(diagnostics.map(diagnostic => diagnostic.code), ["syntax/unexpected-token"]);
+});
+
+test("el tipo de un nombre se encuentra en cualquier posición dentro de él", () => {
+  const { ast, diagnostics } = checkCode("let f x = x + 1;;\nlet y = List.map f [1];;");
+  assert.deepEqual(diagnostics, []);
+  assert.deepEqual(typeAt(ast, { line: 1, column: 5 }), {
+    name: "f",
+    range: { start: { line: 1, column: 5 }, end: { line: 1, column: 6 } },
+    type: "int -> int"
+  });
+  assert.equal(typeAt(ast, { line: 1, column: 7 }).type, "int");
+  // Un nombre calificado se muestra entero, con el tipo de este uso.
+  const map = typeAt(ast, { line: 2, column: 14 });
+  assert.equal(map.name, "List.map");
+  assert.equal(map.type, "(int -> int) -> int list -> int list");
+});
+
+test("fuera de un nombre no hay tipo", () => {
+  const { ast } = checkCode("let f x = x + 1;;");
+  assert.equal(typeAt(ast, { line: 1, column: 3 }), null);
+});
@@ -0,0 +1,59 @@
+// test/parser.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeSyntax, forEachChild, walkAst } from '../modules/parser.js';
+import { analyzeSemantics } from '../modules/semantic.js';
+
+/**
+ * Analiza un programa correcto y devuelve su primera sentencia.
+ * @param {string} code - El código.
+ * @returns {Object} El nodo de la sentencia.
+ */
+function firstStatement(code) {
+  const { ast, errors } = analyzeSyntax(code);
+  assert.deepEqual(errors, []);
+  return ast.body[0];
+}
+
+test("let rec y let ... in se analizan con su cuerpo y sus definiciones", () => {
+  const declaration = firstStatement("let rec f n = let m = n - 1 in if n = 0 then 1 else n * f m;;");
+  assert.equal(declaration.type, "FunctionDeclaration");
+  assert.equal(declaration.recursive, true);
+  assert.deepEqual(declaration.params.map(param => param.name), ["n"]);
+  const local = declaration.body;
+  assert.equal(local.type, "LetExpression");
+  assert.deepEqual(local.declarations.map(item => item.identifier), ["m"]);
+  assert.equal(local.body.type, "IfExpression");
+});
+
+test("una expresión que falta se reporta con su posición", () => {
+  const { errors } = analyzeSyntax("let x = in 3;;");
+  assert.deepEqual(errors.map(error => error.code), ["syntax/unexpected-token"]);
+  assert.deepEqual(errors[0].range, { start: { line: 1, column: 9 }, end: { line: 1, column: 11 } });
+});
+
+test("forEachChild da los campos que son nodos o arrays, con su nombre", () => {
+  const { ast } = analyzeSyntax("let x = 1 + 2;;");
+  const [declaration] = ast.body;
+  const children = [];
+  forEachChild(declaration, (child, key) => children.push([key, child.type]));
+  assert.deepEqual(children, [["expression", "BinaryExpression"]]);
+});
+
+test("walkAst recorre los casos de un match y no entra en los tipos anotados", () => {
+  const { ast } = analyzeSyntax("let f x = match x with 0 -> 1 | _ -> 2;;");
+  analyzeSemantics(ast);
+  const types = [];
+  walkAst(ast, node => { types.push(node.type); });
+  assert.ok(types.includes("WildcardPattern"));
+  assert.ok(types.includes(undefined)); // Los casos `{pattern, guard, body}` no tienen tipo.
+  assert.ok(types.every(type => type === undefined || typeof type === "string"));
+});
+
+test("walkAst se detiene cuando la visita devuelve true", () => {
+  const { ast } = analyzeSyntax("let a = 1;;\nlet b = 2;;");
+  let visited = 0;
+  walkAst(ast, node => ++visited === 2);
+  assert.equal(visited, 2);
+});
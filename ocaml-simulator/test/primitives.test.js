@@ -0,0 +1,38 @@
+// test/primitives.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeSyntax } from '../modules/parser.js';
+import { analyzeSemantics } from '../modules/semantic.js';
+import { interpret } from '../modules/interpreter.js';
+import { utf8Bytes, utf8Sub } from '../modules/values.js';
+
+/**
+ * Analiza e interpreta un programa correcto.
+ * @param {string} code - El código.
+ * @returns {string} La respuesta del toplevel.
+ */
+function run(code) {
+  const { ast, errors } = analyzeSyntax(code);
+  assert.deepEqual(errors, []);
+  analyzeSemantics(ast);
+  return interpret(ast).output;
+}
+
+test("String.length cuenta bytes en UTF-8, como OCaml", () => {
+  assert.match(run('let n = String.length "ñ";;'), /val n : int = 2/);
+  assert.match(run('let n = String.length "a\\u{1F600}";;'), /val n : int = 5/);
+});
+
+test("String.sub y String.get usan posiciones en bytes", () => {
+  const output = run('let s = "año";;\nlet a = String.sub s 1 2;;\nlet b = String.sub s 3 1;;\nlet c = String.get s 1;;');
+  assert.match(output, /val a : string = "ñ"/);
+  assert.match(output, /val b : string = "o"/);
+  assert.match(output, /val c : char = '\\195'/);
+  assert.match(run('let s = String.sub "año" 2 3;;'), /Invalid_argument/);
+});
+
+test("utf8Sub convierte en U+FFFD los trozos de un carácter cortado", () => {
+  assert.equal(utf8Bytes("ñ").length, 2);
+  assert.equal(utf8Sub("ñ", 0, 1), "\u{FFFD}");
+});
@@ -0,0 +1,44 @@
+// test/reducer.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeSyntax } from '../modules/parser.js';
+import { analyzeSemantics } from '../modules/semantic.js';
+import { traceProgram } from '../modules/reducer.js';
+
+/**
+ * Analiza un programa correcto y devuelve la traza de su última sentencia.
+ * @param {string} code - El código.
+ * @param {{strategy?: string, maxSteps?: number}} [options] - Las opciones de `traceProgram`.
+ * @returns {{steps: Array<string>|null, truncated: boolean, output: string}} La traza.
+ */
+function traceLast(code, options) {
+  const { ast, errors } = analyzeSyntax(code);
+  assert.deepEqual(errors, []);
+  analyzeSemantics(ast);
+  return traceProgram(ast, options).statements.at(-1);
+}
+
+test("por valor, el argumento se reduce antes de sustituirlo", () => {
+  const { steps, output } = traceLast("let sq x = x * x;;\nsq (1 + 2);;");
+  assert.deepEqual(steps, ["sq (1 + 2)", "sq 3", "3 * 3", "9"]);
+  assert.equal(output, "- : int = 9\n");
+});
+
+test("por necesidad, el argumento se sustituye sin evaluar y se evalúa una sola vez", () => {
+  const { steps } = traceLast("let sq x = x * x;;\nsq (1 + 2);;", { strategy: "need" });
+  assert.deepEqual(steps, ["sq (1 + 2)", "(1 + 2) * (1 + 2)", "3 * 3", "9"]);
+});
+
+test("una excepción aparece como un paso más de la traza", () => {
+  const { steps, output } = traceLast("1 / 0;;");
+  assert.deepEqual(steps, ["1 / 0", "raise Division_by_zero"]);
+  assert.match(output, /Exception: Division_by_zero/);
+});
+
+test("la traza se corta al llegar al límite de pasos", () => {
+  const { steps, truncated, output } = traceLast("let rec f n = f n;;\nf 0;;", { maxSteps: 5 });
+  assert.equal(truncated, true);
+  assert.equal(steps.length, 6);
+  assert.match(output, /límite de 5 pasos/);
+});
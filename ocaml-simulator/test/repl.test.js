@@ -0,0 +1,42 @@
+// test/repl.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Toplevel } from '../modules/repl.js';
+
+test("las definiciones se conservan de una frase a la siguiente", () => {
+  const toplevel = new Toplevel();
+  assert.deepEqual(toplevel.submit("let x = 1;;"), [{ kind: "response", text: "val x : int = 1" }]);
+  assert.deepEqual(toplevel.submit("let y = x + 1;;\nprint_int y;;"), [
+    { kind: "response", text: "val y : int = 2" },
+    { kind: "stdout", text: "2" },
+    { kind: "response", text: "- : unit = ()" }
+  ]);
+});
+
+test("un error en una frase no borra el entorno", () => {
+  const toplevel = new Toplevel();
+  toplevel.submit("let x = 1;;");
+  const [error] = toplevel.submit('x + "a";;');
+  assert.equal(error.kind, "error");
+  assert.match(error.text, /tiene tipo string pero se esperaba una expresión de tipo int/);
+  assert.equal(toplevel.submit("List.hd [];;")[0].text, '❌ Línea 1, columna 1: Exception: Failure "hd".');
+  assert.deepEqual(toplevel.submit("x;;"), [{ kind: "response", text: "- : int = 1" }]);
+});
+
+test("las directivas muestran tipos, cargan el editor y reinician el entorno", () => {
+  const toplevel = new Toplevel({ source: () => "let z = 5;;" });
+  toplevel.submit("let x = 1;;");
+  assert.deepEqual(toplevel.submit("#show x"), [{ kind: "response", text: "val x : int" }]);
+  assert.deepEqual(toplevel.submit("#type x + 1"), [{ kind: "response", text: "- : int" }]);
+  assert.deepEqual(toplevel.submit("#use"), [{ kind: "response", text: "val z : int = 5" }]);
+  assert.equal(toplevel.submit("#reset")[0].kind, "info");
+  assert.match(toplevel.submit("x;;")[0].text, /Variable "x" usada sin declarar/);
+});
+
+test("una frase que supera el presupuesto de pasos se detiene", () => {
+  const toplevel = new Toplevel();
+  const entries = toplevel.submit("let rec f n = f n;;\nf 0;;", { maxSteps: 100 });
+  assert.equal(entries.at(-1).kind, "error");
+  assert.match(entries.at(-1).text, /límite de 100 pasos/);
+});
@@ -0,0 +1,41 @@
+// test/sandbox.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { executeProgram, timeLimitMessage } from '../modules/sandbox.js';
+
+/**
+ * Ejecuta un programa y devuelve todos los mensajes que envía, en orden.
+ * @param {string} code - El código.
+ * @param {Object} [limits] - Las opciones de `executeProgram`.
+ * @returns {Array<Object>} Los mensajes.
+ */
+function messagesOf(code, limits = {}) {
+  const messages = [];
+  executeProgram(code, limits, message => messages.push(message));
+  return messages;
+}
+
+test("un programa sin fin se detiene al superar el tiempo máximo, con la salida parcial", () => {
+  const messages = messagesOf('let rec loop n = loop (n + 1);;\nprint_string "a";;\nloop 0;;', { timeout: 300 });
+  const done = messages.at(-1);
+  assert.equal(done.type, "done");
+  assert.equal(done.status, "aborted");
+  assert.equal(done.message, timeLimitMessage(300));
+  // Los avisos de progreso llevan lo que el programa escribió antes de detenerse.
+  assert.ok(messages.slice(0, -1).every(message => message.type === "progress"));
+  assert.equal(messages.map(message => message.stdout).join(""), "a");
+});
+
+test("el intérprete también respeta el presupuesto de pasos", () => {
+  const done = messagesOf("let rec f n = f (n + 1);;\nf 0;;", { maxSteps: 500 }).at(-1);
+  assert.equal(done.status, "aborted");
+  assert.equal(done.steps, 500);
+});
+
+test("los errores de análisis terminan la ejecución sin ejecutar nada", () => {
+  const [done] = messagesOf("let x = ;;");
+  assert.equal(done.status, "syntax-error");
+  assert.deepEqual(done.errors.map(error => error.code), ["syntax/unexpected-token"]);
+  assert.equal(messagesOf('let x = 1 + "a";;')[0].status, "semantic-error");
+});
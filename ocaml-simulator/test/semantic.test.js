@@ -0,0 +1,44 @@
+// test/semantic.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeSyntax } from '../modules/parser.js';
+import { analyzeSemantics } from '../modules/semantic.js';
+
+/**
+ * Analiza un programa y devuelve sus diagnósticos semánticos y el tipo inferido de cada sentencia.
+ * @param {string} code - El código.
+ * @returns {{diagnostics: Array<Object>, types: Array<string>}} Los diagnósticos y los tipos.
+ */
+function infer(code) {
+  const { ast, errors } = analyzeSyntax(code);
+  assert.deepEqual(errors, []);
+  const diagnostics = analyzeSemantics(ast);
+  return { diagnostics, types: ast.body.map(statement => statement.inferredType) };
+}
+
+test("los let se generalizan: una función polimórfica se usa con varios tipos", () => {
+  const { diagnostics, types } = infer("let id x = x;;\nlet p = (id 1, id true);;");
+  assert.deepEqual(diagnostics, []);
+  assert.deepEqual(types, ["'a -> 'a", "int * bool"]);
+});
+
+test("el tipo de una función recursiva de orden superior se infiere sin anotaciones", () => {
+  const { types } = infer("let rec map f = function [] -> [] | x :: r -> f x :: map f r;;");
+  assert.deepEqual(types, ["('a -> 'b) -> 'a list -> 'b list"]);
+});
+
+test("un error de unificación indica el tipo encontrado y el esperado", () => {
+  const { diagnostics } = infer('let x = 1 + "a";;');
+  assert.deepEqual(diagnostics.map(diagnostic => diagnostic.code), ["type/mismatch"]);
+  assert.match(diagnostics[0].message, /tiene tipo string pero se esperaba una expresión de tipo int/);
+});
+
+test("la comprobación de ocurrencia rechaza los tipos infinitos", () => {
+  const { diagnostics } = infer("let f x = x x;;");
+  assert.match(diagnostics[0].message, /infinito/);
+});
+
+test("una referencia a una lista vacía tiene un tipo débil, sin generalizar", () => {
+  assert.deepEqual(infer("let r = ref [];;").types, ["'_weak1 list ref"]);
+});
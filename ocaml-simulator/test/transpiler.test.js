@@ -0,0 +1,129 @@
+// test/transpiler.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { analyzeSyntax } from '../modules/parser.js';
+import { analyzeSemantics } from '../modules/semantic.js';
+import { transpile } from '../modules/transpiler.js';
+import { executeProgram } from '../modules/sandbox.js';
+
+/**
+ * Traduce un programa correcto a JavaScript.
+ * @param {string} code - El código.
+ * @returns {string} El módulo de JavaScript generado.
+ */
+function transpiled(code) {
+  const { ast, errors } = analyzeSyntax(code);
+  assert.deepEqual(errors, []);
+  analyzeSemantics(ast);
+  return transpile(ast).code;
+}
+
+/**
+ * Decodifica los `mappings` de un mapa de fuentes (base64 VLQ).
+ * @param {string} mappings - El texto de los `mappings`.
+ * @returns {Array<Array<Array<number>>>} Por cada línea generada, sus segmentos con posiciones
+ * absolutas `[columna, fuente, línea, columna original]`, todas desde 0.
+ */
+function decodeMappings(mappings) {
+  const digits = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+  const state = [0, 0, 0, 0];
+  return mappings.split(';').map(line => {
+    state[0] = 0;
+    return line.split(',').filter(Boolean).map(segment => {
+      const values = [];
+      let value = 0;
+      let shift = 0;
+      for (const char of segment) {
+        const digit = digits.indexOf(char);
+        value += (digit & 31) << shift;
+        shift += 5;
+        if (digit < 32) {
+          values.push(value & 1 ? -(value >> 1) : value >> 1);
+          value = 0;
+          shift = 0;
+        }
+      }
+      return values.map((delta, i) => (state[i] += delta));
+    });
+  });
+}
+
+/**
+ * Ejecuta un programa con uno de los motores del simulador.
+ * @param {string} code - El código.
+ * @param {string} engine - `"interpreter"` o `"bytecode"`.
+ * @returns {string} Su salida estándar.
+ */
+function stdoutOf(code, engine) {
+  let stdout = '';
+  executeProgram(code, { engine }, message => { stdout += message.stdout ?? ''; });
+  return stdout;
+}
+
+/**
+ * Ejecuta el JavaScript generado para un programa en otro proceso de Node.
+ * @param {string} code - El código de OCaml.
+ * @returns {string} Su salida estándar.
+ */
+function stdoutOfJs(code) {
+  const { status, stdout, stderr } = spawnSync(process.execPath, ['--input-type=module'], { input: transpiled(code), encoding: 'utf8' });
+  assert.equal(status, 0, stderr);
+  return stdout;
+}
+
+/**
+ * Comprueba que el intérprete, la máquina virtual y el JavaScript generado escriben lo mismo.
+ * @param {string} code - El código.
+ * @param {string} expected - La salida esperada.
+ */
+function assertAgree(code, expected) {
+  assert.equal(stdoutOf(code, 'interpreter'), expected);
+  assert.equal(stdoutOf(code, 'bytecode'), expected);
+  assert.equal(stdoutOfJs(code), expected);
+}
+
+test("el intérprete, la máquina virtual y el JavaScript generado coinciden", () => {
+  assertAgree(`
+type shape = Circle of float | Rect of float * float;;
+let area = function Circle r -> 3.0 *. r *. r | Rect (w, h) -> w *. h;;
+let rec sum = function [] -> 0 | x :: rest -> x + sum rest;;
+let safe_div a b = try a / b with Division_by_zero -> -1;;
+let () =
+  print_int (sum (List.map (fun x -> x * x) [1; 2; 3]));
+  print_newline ();
+  Printf.printf "%.1f %d %d\\n" (area (Rect (2.0, 3.5))) (safe_div 7 2) (safe_div 1 0);
+  print_string (string_of_bool (max_int + 1 = min_int));;
+`, "14\n7.0 3 -1\ntrue");
+});
+
+test("las llamadas en posición de cola entre funciones de un let rec ... and no llenan la pila", () => {
+  assertAgree(`
+let rec even n = if n = 0 then true else odd (n - 1)
+and odd n = if n = 0 then false else even (n - 1);;
+let () = print_string (string_of_bool (even 1000001));;
+`, "false");
+});
+
+test("las operaciones de int se reducen a 63 bits con wrapInt, una vez por cadena", () => {
+  const code = transpiled("let f a b = a * b + 1;;");
+  assert.match(code, /const f = \(a\) => \(b\) => wrapInt\(a \* b \+ 1n\);/);
+  assert.doesNotMatch(code, /BigInt\.asIntN\(63/);
+});
+
+test("el mapa de fuentes lleva cada definición a su línea de OCaml", () => {
+  const source = "let x = 1;;\nlet y = x + 2;;\n";
+  const { ast } = analyzeSyntax(source);
+  analyzeSemantics(ast);
+  const { code, map } = transpile(ast, { fileName: "p.ml", source });
+  assert.equal(map.file, "p.js");
+  assert.deepEqual(map.sources, ["p.ml"]);
+  assert.deepEqual(map.sourcesContent, [source]);
+  const line = code.split("\n").findIndex(text => text.startsWith("const y"));
+  // `const y` viene de la definición (que empieza en `y`) y `wrapInt(x + 2n)`, del operador `+`.
+  const [declaration, value] = decodeMappings(map.mappings)[line];
+  assert.deepEqual(declaration, [0, 0, 1, 4]);
+  assert.deepEqual(value.slice(2), [1, 10]);
+  assert.equal(code.split("\n")[line].slice(value[0]), "wrapInt(x + 2n);");
+});
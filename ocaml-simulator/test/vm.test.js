@@ -0,0 +1,57 @@
+// test/vm.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeSyntax } from '../modules/parser.js';
+import { compileProgram, disassemble } from '../modules/compiler.js';
+import { executeProgram } from '../modules/sandbox.js';
+
+/**
+ * Ejecuta un programa con un motor y devuelve el último mensaje, con toda la salida acumulada.
+ * @param {string} code - El código.
+ * @param {Object} limits - Las opciones de `executeProgram` (el motor y los límites).
+ * @returns {Object} El mensaje `done`, con `stdout` y `output` completos.
+ */
+function execute(code, limits) {
+  let stdout = '';
+  let output = '';
+  let done = null;
+  executeProgram(code, limits, message => {
+    stdout += message.stdout ?? '';
+    output += message.output ?? '';
+    if (message.type === 'done') done = message;
+  });
+  return { ...done, stdout, output };
+}
+
+test("el compilador traduce las operaciones a instrucciones de la máquina", () => {
+  const { ast } = analyzeSyntax("let x = 1 + 2;;");
+  const listing = disassemble(compileProgram(ast));
+  assert.match(listing, /CONST 1\n.*CONST 2\n.*ADDINT\n.*SETGLOBAL \d+ +\(\* x \*\)/);
+});
+
+test("la máquina virtual responde lo mismo que el intérprete", () => {
+  const code = `
+type point = { x : int; y : int };;
+let norm { x; y } = x * x + y * y;;
+let adders = List.map (fun n -> fun m -> n + m) [1; 2; 3];;
+let total = List.fold_left (fun acc f -> acc + f 10) 0 adders;;
+exception Found of int;;
+let find p l = try List.iter (fun x -> if p x then raise (Found x)) l; None with Found x -> Some x;;
+let r = (norm { x = 3; y = 4 }, find (fun x -> x > 1) [1; 2; 3]);;
+let () = Printf.printf "%d\\n" total;;
+let v = List.hd [];;
+`;
+  const interpreter = execute(code, { engine: "interpreter" });
+  const bytecode = execute(code, { engine: "bytecode" });
+  assert.equal(bytecode.output, interpreter.output);
+  assert.equal(bytecode.stdout, "36\n");
+  assert.match(bytecode.output, /val r : int \* int option = \(25, Some 2\)/);
+});
+
+test("el presupuesto de pasos cuenta instrucciones y detiene la máquina", () => {
+  const result = execute("let rec f n = f (n + 1);;\nf 0;;", { engine: "bytecode", maxSteps: 1000 });
+  assert.equal(result.status, "aborted");
+  assert.equal(result.steps, 1000);
+  assert.match(result.message, /1000 pasos .*bytecode/);
+});